@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const SERVICE_TOKEN_SECRET = process.env.TRIGGER_SERVICE_SECRET;
+const SERVICE_TOKEN_MAX_AGE_MS = 5 * 60 * 1000;
+const log = createLogger('Auth');
+
+function isAdmin(user) {
+    return user?.app_metadata?.role === 'admin';
+}
+
+async function verifyUserToken(supabaseAdmin, token) {
+    try {
+        const { data, error } = await supabaseAdmin.auth.getUser(token);
+        return error || !data?.user ? null : data.user;
+    } catch (err) {
+        log.error('Token verification failed', { error: err.message });
+        return null;
+    }
+}
+
+// Service token: "Service <unixMs>.<hex HMAC-SHA256(TRIGGER_SERVICE_SECRET, `${unixMs}.${rawBody}`)>"
+// Signing the body stops a captured token from being replayed with a different target.
+function verifyServiceToken(token, rawBody) {
+    if (!SERVICE_TOKEN_SECRET) return false;
+
+    const [timestamp, signature] = token.split('.');
+    const age = Date.now() - parseInt(timestamp, 10);
+    if (!signature || !(age >= -30000 && age <= SERVICE_TOKEN_MAX_AGE_MS)) return false;
+
+    const expected = crypto
+        .createHmac('sha256', SERVICE_TOKEN_SECRET)
+        .update(`${timestamp}.${rawBody || ''}`)
+        .digest('hex');
+    return signature.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+// Express middleware that authenticates requests with the caller's Supabase JWT
+// (Authorization: Bearer <access_token>) and exposes the user as req.user.
+function requireUser(supabaseAdmin) {
+    return async (req, res, next) => {
+        const header = req.headers.authorization || '';
+        const token = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+        if (!token) return res.status(401).json({ error: 'Missing bearer token' });
+
+        const user = await verifyUserToken(supabaseAdmin, token);
+        if (!user) return res.status(401).json({ error: 'Invalid or expired token' });
+
+        req.user = user;
+        next();
+    };
+}
+
+// Accepts either a Supabase JWT or a signed service token. Sets req.caller to
+// { type: 'user' | 'admin' | 'service', id } (and req.user for JWT callers).
+function requireCaller(supabaseAdmin) {
+    return async (req, res, next) => {
+        const header = req.headers.authorization || '';
+
+        if (header.startsWith('Service ')) {
+            if (!verifyServiceToken(header.slice(8).trim(), req.rawBody)) {
+                return res.status(401).json({ error: 'Invalid service token' });
+            }
+            req.caller = { type: 'service', id: 'service' };
+            return next();
+        }
+
+        if (header.startsWith('Bearer ')) {
+            const user = await verifyUserToken(supabaseAdmin, header.slice(7).trim());
+            if (!user) return res.status(401).json({ error: 'Invalid or expired token' });
+
+            req.user = user;
+            req.caller = { type: isAdmin(user) ? 'admin' : 'user', id: user.id };
+            return next();
+        }
+
+        res.status(401).json({ error: 'Missing credentials' });
+    };
+}
+
+// For routes behind requireCaller: admins and service callers only
+function requireAdmin(req, res, next) {
+    if (req.caller?.type === 'admin' || req.caller?.type === 'service') return next();
+    res.status(403).json({ error: 'Admin role required' });
+}
+
+module.exports = { requireUser, requireCaller, requireAdmin, isAdmin };
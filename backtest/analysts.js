@@ -0,0 +1,102 @@
+const fs = require('fs');
+const fetch = require('node-fetch');
+
+// Analyst sources for backtests. Each is an async fn({ time, previousTime, userQuery, language, balances,
+// positions, history }) -> analyst response ({ text, tradeRecommendations }). history maps every symbol to
+// its candles up to and including the current one.
+
+// The live analyst endpoint. It fetches its own market data, so unless it honours `backtest.asOf` its
+// answers reflect today's market, not the simulated time.
+function createHttpAnalyst({ url, timeoutMs = 120000, userId = 'backtest', historyBars = 100 }) {
+    return async ({ time, userQuery, language, balances, positions, history }) => {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                userQuery,
+                language,
+                userBalances: balances,
+                userPositions: positions,
+                userId,
+                backtest: {
+                    asOf: new Date(time).toISOString(),
+                    klines: Object.fromEntries(Object.entries(history).map(([symbol, candles]) => [symbol, candles.slice(-historyBars)]))
+                }
+            }),
+            timeout: timeoutMs
+        });
+
+        if (!response.ok) {
+            const errorBody = await response.text();
+            throw new Error(`Analyst failed (HTTP ${response.status}): ${errorBody}`);
+        }
+        return response.json();
+    };
+}
+
+// Replays stored analyst answers, e.g. an export of autonomous_runs rows ({ started_at, analyst_response })
+// or [{ time, response }]. Each step uses the latest answer recorded since the previous step.
+function createRecordedAnalyst(file) {
+    const rows = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(rows)) throw new Error('Recorded analyst file must be an array');
+
+    const recorded = rows
+        .map(row => ({
+            time: Date.parse(row.time ?? row.started_at ?? row.created_at),
+            response: row.response ?? row.analyst_response
+        }))
+        .filter(r => Number.isFinite(r.time) && r.response)
+        .sort((a, b) => a.time - b.time);
+    if (recorded.length === 0) throw new Error(`No recorded analyst responses in ${file}`);
+
+    return async ({ time, previousTime }) => {
+        const due = recorded.filter(r => r.time <= time && (previousTime === null || r.time > previousTime));
+        return due.length > 0 ? due[due.length - 1].response : { text: null, tradeRecommendations: [] };
+    };
+}
+
+function sma(candles, period) {
+    if (candles.length < period) return null;
+    return candles.slice(-period).reduce((sum, c) => sum + c.close, 0) / period;
+}
+
+// Deterministic stand-in for the analyst: moving-average crossover per symbol, with SL/TP at fixed
+// distances. Useful to exercise the loop and the simulator without calling anything.
+function createMockAnalyst({ fast = 10, slow = 30, stopPct = 2, takePct = 4, leverage = 3, equityPct = 10 } = {}) {
+    return async ({ balances, positions, history }) => {
+        const equity = parseFloat(balances.find(b => b.asset === 'USDT')?.free || 0);
+        const tradeRecommendations = [];
+
+        for (const [symbol, candles] of Object.entries(history)) {
+            const now = { fast: sma(candles, fast), slow: sma(candles, slow) };
+            const before = { fast: sma(candles.slice(0, -1), fast), slow: sma(candles.slice(0, -1), slow) };
+            if (now.slow === null || before.slow === null) continue;
+
+            const crossedUp = before.fast <= before.slow && now.fast > now.slow;
+            const crossedDown = before.fast >= before.slow && now.fast < now.slow;
+            if (!crossedUp && !crossedDown) continue;
+
+            const price = candles[candles.length - 1].close;
+            const isLong = crossedUp;
+            const position = positions.find(p => p.symbol === symbol);
+            const posAmt = position ? parseFloat(position.positionAmt) : 0;
+            // Flip in one order: the opposite position plus the new entry
+            const quantity = Math.abs(posAmt) + equity * equityPct / 100 * leverage / price;
+
+            tradeRecommendations.push({
+                symbol,
+                action: isLong ? 'BUY' : 'SELL',
+                quantity,
+                leverage,
+                stopLoss: price * (1 - (isLong ? 1 : -1) * stopPct / 100),
+                takeProfit: price * (1 + (isLong ? 1 : -1) * takePct / 100),
+                confidence: 0.7,
+                reason: `SMA${fast} crossed ${isLong ? 'above' : 'below'} SMA${slow}`
+            });
+        }
+
+        return { text: `Mock analyst: ${tradeRecommendations.length} crossover signal(s)`, tradeRecommendations };
+    };
+}
+
+module.exports = { createHttpAnalyst, createRecordedAnalyst, createMockAnalyst };
@@ -0,0 +1,218 @@
+const fs = require('fs');
+const { loadKlines, barIntervalMs } = require('./klines');
+const { createSimulatedAccount } = require('./simulator');
+const { createHttpAnalyst, createRecordedAnalyst, createMockAnalyst } = require('./analysts');
+const { buildReport } = require('./report');
+const { normalizeSizingConfig } = require('../sizing');
+const { t, normalizeLanguage } = require('../i18n');
+require('dotenv').config();
+
+// Offline backtest of the autonomous loop over local klines:
+//   npm run backtest -- --data ./klines --analyst mock --every 4 --out report.json
+// Steps through every candle; SL/TP and liquidations are checked inside each candle, and every `every`
+// candles (after `warmup`) the analyst gets the same balances and enriched positions runUserCycle sends.
+// Recommendations go through normalizeRecommendation and are filled at the candle close.
+
+const USAGE = `Usage: node backtest/index.js --data <dir> [options]
+  --data <dir>            Kline files, one per symbol (BTCUSDT.csv / BTCUSDT.json)
+  --symbols <list>        Comma-separated subset of the files (default: all)
+  --from, --to <date>     Limit the simulated period (ISO dates)
+  --analyst <source>      mock | recorded | http (default: mock)
+  --recorded <file>       Recorded analyst responses (autonomous_runs export) for --analyst recorded
+  --analyst-url <url>     Analyst endpoint for --analyst http (default: RENDER_ANALYST_URL)
+  --every <bars>          Candles between analyst calls (default: 1)
+  --warmup <bars>         Candles of history before the first call (default: 50)
+  --balance <usdt>        Starting balance (default: 10000)
+  --fee <rate>            Taker fee rate per fill (default: 0.0004)
+  --slippage-bps <bps>    Slippage on market and stop fills (default: 0)
+  --max-leverage <x>      Leverage cap (default: 125)
+  --sizing <json>         position_sizing config, e.g. '{"mode":"equity_pct","equityPct":10}'
+  --language <tr|en>      Language of the analyst prompt (default: tr)
+  --out <file>            Write the full report (equity curve, trades, fills) as JSON`;
+
+async function runBacktest({
+    klines,
+    analyst,
+    every = 1,
+    warmup = 50,
+    from = null,
+    to = null,
+    language = 'tr',
+    account: accountOptions = {}
+}) {
+    const account = createSimulatedAccount(accountOptions);
+    const symbols = Object.keys(klines);
+    const stepMs = Math.min(...symbols.map(s => barIntervalMs(klines[s]) || Infinity));
+    if (!Number.isFinite(stepMs)) throw new Error('Need at least two candles to infer the bar interval');
+
+    const inRange = (time) => (from === null || time >= from) && (to === null || time <= to);
+    const times = [...new Set(symbols.flatMap(s => klines[s].map(c => c.openTime)))].filter(inRange).sort((a, b) => a - b);
+    const bySymbolTime = Object.fromEntries(symbols.map(s => [s, new Map(klines[s].map(c => [c.openTime, c]))]));
+    const userQuery = t(language, 'analyst.userQuery');
+
+    // Candles before `from` still count as history
+    const history = Object.fromEntries(symbols.map(s => [s, klines[s].filter(c => from !== null && c.openTime < from)]));
+    const prices = {};
+    const equityCurve = [];
+    const cycles = [];
+    let previousCycle = null;
+
+    for (let bar = 0; bar < times.length; bar++) {
+        const openTime = times[bar];
+        const closeTime = openTime + stepMs;
+
+        for (const symbol of symbols) {
+            const candle = bySymbolTime[symbol].get(openTime);
+            if (!candle) continue;
+            const fired = account.processCandle(symbol, candle);
+            if (fired) console.log(`[Backtest] ${new Date(openTime).toISOString()} ${symbol} ${fired} triggered`);
+            history[symbol].push(candle);
+            prices[symbol] = candle.close;
+        }
+
+        if (bar >= warmup && (bar - warmup) % every === 0) {
+            const { balances } = account.getContext(prices);
+            const cycle = { time: new Date(closeTime).toISOString(), recommendations: 0, executed: 0, error: null };
+            try {
+                const analysis = await analyst({
+                    time: closeTime,
+                    previousTime: previousCycle,
+                    userQuery,
+                    language,
+                    balances,
+                    positions: account.getEnrichedPositions(prices, closeTime),
+                    history
+                });
+                const recommendations = Array.isArray(analysis?.tradeRecommendations) ? analysis.tradeRecommendations : [];
+                cycle.recommendations = recommendations.length;
+                for (const raw of recommendations) {
+                    const symbol = String(raw?.symbol || '').replace(/[\/\s-]/g, '').toUpperCase();
+                    if (account.execute(raw, prices[symbol] || 0, closeTime, prices)) cycle.executed++;
+                }
+            } catch (error) {
+                console.error(`[Backtest] Analyst call at ${cycle.time} failed:`, error.message);
+                cycle.error = error.message;
+            }
+            cycles.push(cycle);
+            previousCycle = closeTime;
+        }
+
+        equityCurve.push({ time: new Date(closeTime).toISOString(), equity: account.equity(prices) });
+    }
+
+    // Whatever is still open is closed at the last prices so it shows up in the trade list
+    if (times.length > 0) {
+        const endTime = times[times.length - 1] + stepMs;
+        account.closeAll(prices, endTime);
+        equityCurve[equityCurve.length - 1].equity = account.equity(prices);
+    }
+
+    return buildReport({
+        equityCurve,
+        closedTrades: account.closedTrades,
+        fills: account.fills,
+        rejections: account.rejections,
+        cycles,
+        stepMs: stepMs * every,
+        startingBalance: accountOptions.startingBalance ?? 10000,
+        settings: { symbols, every, warmup, language, barMs: stepMs, ...accountOptions }
+    });
+}
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) throw new Error(`Unexpected argument: ${argv[i]}`);
+        const key = argv[i].slice(2);
+        if (key === 'help') {
+            args.help = true;
+            continue;
+        }
+        if (i + 1 >= argv.length) throw new Error(`Missing value for --${key}`);
+        args[key] = argv[++i];
+    }
+    return args;
+}
+
+function numberArg(args, key, fallback) {
+    if (args[key] === undefined) return fallback;
+    const value = Number(args[key]);
+    if (!Number.isFinite(value)) throw new Error(`--${key} must be a number`);
+    return value;
+}
+
+function dateArg(args, key) {
+    if (args[key] === undefined) return null;
+    const value = Date.parse(args[key]);
+    if (!Number.isFinite(value)) throw new Error(`--${key} must be a date`);
+    return value;
+}
+
+function createAnalyst(args) {
+    switch (args.analyst || 'mock') {
+        case 'mock':
+            return createMockAnalyst();
+        case 'recorded':
+            if (!args.recorded) throw new Error('--recorded <file> is required for --analyst recorded');
+            return createRecordedAnalyst(args.recorded);
+        case 'http': {
+            const url = args['analyst-url'] || process.env.RENDER_ANALYST_URL ||
+                (process.env.SUPABASE_URL && `${process.env.SUPABASE_URL}/functions/v1/market-analyst`);
+            if (!url) throw new Error('--analyst-url (or RENDER_ANALYST_URL) is required for --analyst http');
+            return createHttpAnalyst({ url, timeoutMs: parseInt(process.env.ANALYST_TIMEOUT_MS || '120000', 10) });
+        }
+        default:
+            throw new Error(`Unknown analyst source: ${args.analyst}`);
+    }
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help || !args.data) {
+        console.log(USAGE);
+        process.exit(args.help ? 0 : 1);
+    }
+
+    let sizing = null;
+    if (args.sizing) {
+        const { config, error } = normalizeSizingConfig(JSON.parse(args.sizing));
+        if (error) throw new Error(`--sizing: ${error}`);
+        sizing = config;
+    }
+
+    const symbols = args.symbols ? args.symbols.split(',').map(s => s.trim()).filter(Boolean) : null;
+    const klines = loadKlines(args.data, symbols);
+    console.log(`[Backtest] Loaded ${Object.entries(klines).map(([s, c]) => `${s} (${c.length})`).join(', ')}`);
+
+    const report = await runBacktest({
+        klines,
+        analyst: createAnalyst(args),
+        every: numberArg(args, 'every', 1),
+        warmup: numberArg(args, 'warmup', 50),
+        from: dateArg(args, 'from'),
+        to: dateArg(args, 'to'),
+        language: normalizeLanguage(args.language),
+        account: {
+            startingBalance: numberArg(args, 'balance', 10000),
+            feeRate: numberArg(args, 'fee', 0.0004),
+            slippageBps: numberArg(args, 'slippage-bps', 0),
+            maxLeverage: numberArg(args, 'max-leverage', 125),
+            sizing
+        }
+    });
+
+    console.table(report.summary);
+    if (args.out) {
+        fs.writeFileSync(args.out, JSON.stringify(report, null, 2));
+        console.log(`[Backtest] Report written to ${args.out}`);
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('[Backtest] Failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { runBacktest };
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+
+// Historical futures klines from local files, one file per symbol named after it (BTCUSDT.csv, ETHUSDT.json).
+// CSV: Binance kline dump columns (open_time, open, high, low, close, volume, ...), header row optional.
+// JSON: the /fapi/v1/klines array-of-arrays payload, or objects with the getKlines() field names.
+// Every loader returns getKlines()-shaped candles, oldest first.
+
+function toCandle(openTime, open, high, low, close, volume) {
+    const candle = {
+        openTime: typeof openTime === 'number' ? openTime : (/^\d+$/.test(String(openTime)) ? parseInt(openTime, 10) : Date.parse(openTime)),
+        open: parseFloat(open),
+        high: parseFloat(high),
+        low: parseFloat(low),
+        close: parseFloat(close),
+        volume: parseFloat(volume) || 0
+    };
+    const valid = Number.isFinite(candle.openTime) && [candle.open, candle.high, candle.low, candle.close].every(v => v > 0);
+    return valid ? candle : null;
+}
+
+function parseCsv(text) {
+    return text
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(Boolean)
+        .map(line => line.split(',').map(cell => cell.trim().replace(/^"|"$/g, '')))
+        .map(cells => toCandle(...cells.slice(0, 6)))
+        .filter(Boolean); // Drops the header row and anything unparseable
+}
+
+function parseJson(text) {
+    const data = JSON.parse(text);
+    if (!Array.isArray(data)) throw new Error('Kline JSON must be an array');
+    return data
+        .map(k => (Array.isArray(k)
+            ? toCandle(k[0], k[1], k[2], k[3], k[4], k[5])
+            : toCandle(k.openTime ?? k.open_time ?? k.time, k.open, k.high, k.low, k.close, k.volume)))
+        .filter(Boolean);
+}
+
+function loadKlineFile(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    const candles = path.extname(file).toLowerCase() === '.json' ? parseJson(text) : parseCsv(text);
+    if (candles.length === 0) throw new Error(`No klines found in ${file}`);
+
+    // Sorted and de-duplicated by open time so concatenated monthly dumps work
+    const byTime = new Map(candles.map(c => [c.openTime, c]));
+    return [...byTime.values()].sort((a, b) => a.openTime - b.openTime);
+}
+
+// Loads every .csv/.json file in dir (optionally only the listed symbols) -> { SYMBOL: candles }
+function loadKlines(dir, symbols = null) {
+    const wanted = symbols ? new Set(symbols.map(s => s.toUpperCase())) : null;
+    const result = {};
+    for (const file of fs.readdirSync(dir)) {
+        const ext = path.extname(file).toLowerCase();
+        if (ext !== '.csv' && ext !== '.json') continue;
+        const symbol = path.basename(file, ext).toUpperCase();
+        if (wanted && !wanted.has(symbol)) continue;
+        result[symbol] = loadKlineFile(path.join(dir, file));
+    }
+
+    if (Object.keys(result).length === 0) throw new Error(`No kline files found in ${dir}`);
+    for (const symbol of wanted || []) {
+        if (!result[symbol]) throw new Error(`No kline file for ${symbol} in ${dir}`);
+    }
+    return result;
+}
+
+// Bar length (ms) as the most common gap between candles
+function barIntervalMs(candles) {
+    const counts = new Map();
+    for (let i = 1; i < candles.length; i++) {
+        const gap = candles[i].openTime - candles[i - 1].openTime;
+        counts.set(gap, (counts.get(gap) || 0) + 1);
+    }
+    let best = null;
+    for (const [gap, count] of counts) {
+        if (best === null || count > counts.get(best)) best = gap;
+    }
+    return best;
+}
+
+module.exports = { loadKlines, loadKlineFile, barIntervalMs };
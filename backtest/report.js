@@ -0,0 +1,73 @@
+// Performance statistics for a finished backtest.
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+// Largest peak-to-trough fall of the equity curve, in USDT and percent of the peak
+function maxDrawdown(equityCurve) {
+    let peak = -Infinity;
+    let worst = { amount: 0, pct: 0 };
+    for (const point of equityCurve) {
+        peak = Math.max(peak, point.equity);
+        const amount = peak - point.equity;
+        const pct = peak > 0 ? amount / peak * 100 : 0;
+        if (pct > worst.pct) worst = { amount, pct };
+    }
+    return worst;
+}
+
+// Annualized Sharpe ratio of per-point equity returns (risk-free rate 0)
+function sharpeRatio(equityCurve, stepMs) {
+    const returns = [];
+    for (let i = 1; i < equityCurve.length; i++) {
+        const prev = equityCurve[i - 1].equity;
+        if (prev > 0) returns.push(equityCurve[i].equity / prev - 1);
+    }
+    if (returns.length < 2 || !(stepMs > 0)) return null;
+
+    const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+    const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+    const std = Math.sqrt(variance);
+    if (std === 0) return null;
+    return mean / std * Math.sqrt(YEAR_MS / stepMs);
+}
+
+function round(value, digits = 4) {
+    return value === null || value === undefined ? null : parseFloat(value.toFixed(digits));
+}
+
+function buildReport({ equityCurve, closedTrades, fills, rejections, cycles, stepMs, startingBalance, settings }) {
+    const finalEquity = equityCurve.length > 0 ? equityCurve[equityCurve.length - 1].equity : startingBalance;
+    const wins = closedTrades.filter(t => t.netPnl > 0);
+    const losses = closedTrades.filter(t => t.netPnl <= 0);
+    const grossProfit = wins.reduce((sum, t) => sum + t.netPnl, 0);
+    const grossLoss = -losses.reduce((sum, t) => sum + t.netPnl, 0);
+    const drawdown = maxDrawdown(equityCurve);
+
+    return {
+        settings,
+        summary: {
+            from: equityCurve[0]?.time || null,
+            to: equityCurve[equityCurve.length - 1]?.time || null,
+            startingBalance,
+            finalEquity: round(finalEquity, 2),
+            totalReturnPct: round((finalEquity / startingBalance - 1) * 100, 2),
+            trades: closedTrades.length,
+            winRate: closedTrades.length > 0 ? round(wins.length / closedTrades.length * 100, 2) : null,
+            profitFactor: grossLoss > 0 ? round(grossProfit / grossLoss, 2) : null,
+            fees: round(fills.reduce((sum, f) => sum + f.fee, 0), 2),
+            maxDrawdown: round(drawdown.amount, 2),
+            maxDrawdownPct: round(drawdown.pct, 2),
+            sharpe: round(sharpeRatio(equityCurve, stepMs), 2),
+            analystCalls: cycles.length,
+            analystErrors: cycles.filter(c => c.error).length,
+            rejectedRecommendations: rejections.length
+        },
+        equityCurve,
+        trades: closedTrades,
+        fills,
+        rejections,
+        cycles
+    };
+}
+
+module.exports = { buildReport, maxDrawdown, sharpeRatio };
@@ -0,0 +1,263 @@
+const { normalizeRecommendation } = require('../recommendations');
+const { targetNotional } = require('../sizing');
+const { t } = require('../i18n');
+
+// In-memory USDT-M futures account for backtests. Positions are netted per symbol (one-way mode) and
+// orders are routed the way executeTradeInternal routes them: CLOSE closes, an opposite-side order
+// reduces or flips, a same-side order adds. SL/TP are stop-market orders checked against each candle's
+// high/low; when both could have fired inside one candle the stop loss is assumed to fire first.
+// Limit and scaled entries are filled at the candle close like market orders.
+// Funding payments are not simulated.
+
+const MAX_MARGIN_SHARE = 0.9;          // Same headroom validateTrade and sizing.js leave for fees
+const MAINTENANCE_MARGIN_RATE = 0.004; // Lowest Binance bracket; liquidation price is an approximation
+
+function createSimulatedAccount({ startingBalance = 10000, feeRate = 0.0004, slippageBps = 0, maxLeverage = 125, sizing = null } = {}) {
+    let wallet = startingBalance;
+    const positions = new Map(); // symbol -> { positionAmt, entryPrice, leverage, openedAt, openReason, confidence, fees, stopLoss, takeProfit }
+    const leverageBySymbol = {};
+    const fills = [];
+    const closedTrades = [];
+    const rejections = [];
+
+    function slipped(side, price) {
+        return price * (1 + (side === 'BUY' ? 1 : -1) * slippageBps / 10000);
+    }
+
+    function usedMargin() {
+        let sum = 0;
+        for (const p of positions.values()) sum += Math.abs(p.positionAmt) * p.entryPrice / p.leverage;
+        return sum;
+    }
+
+    function unrealized(prices) {
+        let sum = 0;
+        for (const [symbol, p] of positions) sum += ((prices[symbol] ?? p.entryPrice) - p.entryPrice) * p.positionAmt;
+        return sum;
+    }
+
+    function equity(prices) {
+        return wallet + unrealized(prices);
+    }
+
+    function liquidationPrice(p) {
+        return p.entryPrice * (1 - Math.sign(p.positionAmt) * (1 / p.leverage - MAINTENANCE_MARGIN_RATE));
+    }
+
+    // Applies one fill to the netted position; reduced or closed quantity becomes a closed trade record
+    function applyFill(symbol, side, qty, price, time, exitReason, opening = {}) {
+        const signedQty = side === 'BUY' ? qty : -qty;
+        const fee = qty * price * feeRate;
+        const pos = positions.get(symbol);
+        const posAmt = pos ? pos.positionAmt : 0;
+        let realizedPnl = 0;
+
+        if (!pos || Math.sign(posAmt) === Math.sign(signedQty)) {
+            const newAmt = posAmt + signedQty;
+            positions.set(symbol, {
+                ...(pos || { openedAt: time, openReason: opening.reason || null, confidence: opening.confidence ?? null, fees: 0, stopLoss: 0, takeProfit: 0 }),
+                positionAmt: newAmt,
+                entryPrice: pos ? (Math.abs(posAmt) * pos.entryPrice + qty * price) / Math.abs(newAmt) : price,
+                leverage: leverageBySymbol[symbol] || 1,
+                fees: (pos ? pos.fees : 0) + fee
+            });
+        } else {
+            const closeQty = Math.min(Math.abs(posAmt), qty);
+            realizedPnl = closeQty * (price - pos.entryPrice) * Math.sign(posAmt);
+            const closeFee = fee * closeQty / qty;
+            const entryFees = pos.fees * closeQty / Math.abs(posAmt);
+            closedTrades.push({
+                symbol,
+                side: posAmt > 0 ? 'LONG' : 'SHORT',
+                entryTime: new Date(pos.openedAt).toISOString(),
+                exitTime: new Date(time).toISOString(),
+                entryPrice: pos.entryPrice,
+                exitPrice: price,
+                quantity: closeQty,
+                leverage: pos.leverage,
+                pnl: realizedPnl,
+                fees: entryFees + closeFee,
+                netPnl: realizedPnl - entryFees - closeFee,
+                exitReason,
+                openReason: pos.openReason
+            });
+
+            const newAmt = posAmt + signedQty;
+            if (Math.abs(newAmt) < 1e-12) {
+                positions.delete(symbol);
+            } else if (Math.sign(newAmt) === Math.sign(posAmt)) {
+                positions.set(symbol, { ...pos, positionAmt: newAmt, fees: pos.fees - entryFees });
+            } else {
+                // Flip: the remainder opens a fresh position without the old SL/TP
+                positions.set(symbol, {
+                    positionAmt: newAmt,
+                    entryPrice: price,
+                    leverage: leverageBySymbol[symbol] || 1,
+                    openedAt: time,
+                    openReason: opening.reason || null,
+                    confidence: opening.confidence ?? null,
+                    fees: fee - closeFee,
+                    stopLoss: 0,
+                    takeProfit: 0
+                });
+            }
+        }
+
+        wallet += realizedPnl - fee;
+        fills.push({ time: new Date(time).toISOString(), symbol, side, price, qty, fee, realizedPnl, reason: exitReason });
+        return { realizedPnl, fee };
+    }
+
+    // Same shapes as getUserBinanceContext / the paper adapter
+    function getContext(prices) {
+        const balances = wallet > 0 ? [{ asset: 'USDT', free: wallet.toString(), locked: usedMargin().toString() }] : [];
+        const list = [...positions].map(([symbol, p]) => {
+            const markPrice = prices[symbol] ?? p.entryPrice;
+            return {
+                symbol,
+                positionAmt: p.positionAmt.toString(),
+                entryPrice: p.entryPrice.toString(),
+                markPrice: markPrice.toString(),
+                unrealizedProfit: ((markPrice - p.entryPrice) * p.positionAmt).toString(),
+                leverage: p.leverage.toString(),
+                positionSide: 'BOTH'
+            };
+        });
+        return { balances, positions: list };
+    }
+
+    // Opening context in the form runUserCycle adds from autonomous_trades
+    function getEnrichedPositions(prices, now) {
+        return getContext(prices).positions.map(pos => {
+            const p = positions.get(pos.symbol);
+            return {
+                ...pos,
+                openedAt: new Date(p.openedAt).toISOString(),
+                openingReason: p.openReason || 'No reason recorded',
+                openingConfidence: p.confidence || 0.9,
+                ageHours: parseFloat(((now - p.openedAt) / (1000 * 60 * 60)).toFixed(1))
+            };
+        });
+    }
+
+    // SL/TP and liquidation inside one candle; returns what fired (SL | TP | LIQUIDATION) or null
+    function processCandle(symbol, candle) {
+        const pos = positions.get(symbol);
+        if (!pos) return null;
+
+        const isLong = pos.positionAmt > 0;
+        const closeSide = isLong ? 'SELL' : 'BUY';
+        const qty = Math.abs(pos.positionAmt);
+        const adverse = isLong ? candle.low : candle.high;
+        const favorable = isLong ? candle.high : candle.low;
+        const reached = (price, extreme) => (isLong ? extreme <= price : extreme >= price);
+        const liqPrice = liquidationPrice(pos);
+
+        // A stop that sits beyond the liquidation price never gets the chance to fire
+        const stopBeforeLiq = pos.stopLoss > 0 && (isLong ? pos.stopLoss > liqPrice : pos.stopLoss < liqPrice);
+        if (stopBeforeLiq && reached(pos.stopLoss, adverse)) {
+            // Gaps through the stop fill at the open
+            const price = isLong ? Math.min(candle.open, pos.stopLoss) : Math.max(candle.open, pos.stopLoss);
+            applyFill(symbol, closeSide, qty, slipped(closeSide, price), candle.openTime, 'SL');
+            return 'SL';
+        }
+        if (reached(liqPrice, adverse)) {
+            applyFill(symbol, closeSide, qty, liqPrice, candle.openTime, 'LIQUIDATION');
+            return 'LIQUIDATION';
+        }
+        if (pos.takeProfit > 0 && (isLong ? favorable >= pos.takeProfit : favorable <= pos.takeProfit)) {
+            const price = isLong ? Math.max(candle.open, pos.takeProfit) : Math.min(candle.open, pos.takeProfit);
+            applyFill(symbol, closeSide, qty, slipped(closeSide, price), candle.openTime, 'TP');
+            return 'TP';
+        }
+        return null;
+    }
+
+    function reject(raw, time, reasonKey, params) {
+        rejections.push({ time: new Date(time).toISOString(), recommendation: raw, reason: t('en', reasonKey, params) });
+        return null;
+    }
+
+    // Executes one raw analyst recommendation at price; returns the fill or null when rejected
+    function execute(raw, price, time, prices) {
+        const { trade, reasonKey, reasonParams } = normalizeRecommendation(raw, price);
+        if (!trade) return reject(raw, time, reasonKey, reasonParams);
+        if (!(price > 0)) return reject(raw, time, 'trade.noMarketPrice', { symbol: trade.symbol });
+
+        const pos = positions.get(trade.symbol);
+        const posAmt = pos ? pos.positionAmt : 0;
+
+        if (trade.action === 'CLOSE') {
+            if (posAmt === 0) return reject(raw, time, 'trade.noPositionToClose', { symbol: trade.symbol });
+            const side = posAmt > 0 ? 'SELL' : 'BUY';
+            return applyFill(trade.symbol, side, Math.abs(posAmt), slipped(side, price), time, 'CLOSE');
+        }
+
+        const side = trade.action;
+        const isClosing = (side === 'SELL' && posAmt > 0) || (side === 'BUY' && posAmt < 0);
+        const leverage = Math.min(trade.leverage || 1, maxLeverage);
+        const currentEquity = equity(prices);
+
+        let qty = trade.quantity;
+        if (!isClosing && sizing && sizing.mode !== 'analyst') {
+            try {
+                const notional = Math.min(
+                    targetNotional(sizing, { equity: currentEquity, leverage, price, stopLoss: trade.stopLoss, confidence: trade.confidence }),
+                    currentEquity * MAX_MARGIN_SHARE * leverage
+                );
+                qty = notional / price;
+            } catch (sizingError) {
+                return reject(raw, time, sizingError.messageKey, sizingError.messageParams);
+            }
+        }
+        if (!(qty > 0)) return reject(raw, time, 'trade.invalidQuantity', { quantity: qty });
+
+        // Only the position-increasing part needs fresh margin
+        const openingQty = Math.max(0, Math.abs(posAmt + (side === 'BUY' ? qty : -qty)) - Math.abs(posAmt));
+        const requiredMargin = openingQty * price / leverage;
+        const available = currentEquity - usedMargin();
+        if (requiredMargin > available * MAX_MARGIN_SHARE) {
+            return reject(raw, time, 'trade.insufficientBalance', {
+                required: requiredMargin.toFixed(2),
+                leverage,
+                available: available.toFixed(2)
+            });
+        }
+
+        const isFlip = isClosing && qty > Math.abs(posAmt);
+        if (!isClosing || isFlip) leverageBySymbol[trade.symbol] = leverage;
+        const result = applyFill(trade.symbol, side, qty, slipped(side, price), time, isFlip ? 'FLIP' : 'REDUCE', {
+            reason: trade.reason,
+            confidence: trade.confidence
+        });
+
+        // New entries and flips take the recommendation's SL/TP, replacing only the kinds it sets
+        const next = positions.get(trade.symbol);
+        if (next && (!isClosing || isFlip)) {
+            if (trade.stopLoss > 0) next.stopLoss = trade.stopLoss;
+            if (trade.takeProfit > 0) next.takeProfit = trade.takeProfit;
+        }
+        return result;
+    }
+
+    return {
+        equity,
+        getContext,
+        getEnrichedPositions,
+        processCandle,
+        execute,
+        openPositionCount: () => positions.size,
+        // Closes what is left at the last prices so every trade ends up in the report
+        closeAll(prices, time) {
+            for (const [symbol, p] of [...positions]) {
+                const side = p.positionAmt > 0 ? 'SELL' : 'BUY';
+                applyFill(symbol, side, Math.abs(p.positionAmt), slipped(side, prices[symbol] ?? p.entryPrice), time, 'END');
+            }
+        },
+        fills,
+        closedTrades,
+        rejections
+    };
+}
+
+module.exports = { createSimulatedAccount };
@@ -1,245 +1,132 @@
-const fetch = require('node-fetch');
-const crypto = require('crypto');
-const CryptoJS = require('crypto-js'); // Added CryptoJS import
-const { createClient } = require('@supabase/supabase-js');
+const { getUserExchange, findPosition, positionSideOf } = require('./exchanges');
+const { getSymbolRules, roundToStep } = require('./symbolRules');
+const { checkTradeRisk } = require('./risk');
+const { registerPosition, closePositionRules } = require('./positionMonitor');
+const { cancelAiConditionalOrders, placeProtectiveOrders } = require('./conditionalOrders');
+const { placeEntryOrders, cancelPendingEntries } = require('./entryOrders');
+const { sizePosition } = require('./sizing');
+const { loadStrategy, allocateBalances } = require('./strategies');
+const { localizedError } = require('./i18n');
+const { createLogger } = require('./logger');
 require('dotenv').config();
 
-const ENCRYPTION_KEY = process.env.APP_SECRET_KEY;
+const baseLog = createLogger('Exchange');
 
-// Helper to get 32-byte key from any string (SHA-256)
-function getCryptoKey(secret) {
-    return CryptoJS.SHA256(secret).toString(CryptoJS.enc.Hex);
+// Errors raised before any order is sent; callers use `stage` to tell them from exchange errors
+function validationFailure(key, params) {
+    const error = localizedError(key, params);
+    error.stage = 'validation';
+    return error;
 }
 
-// Decryption Helper
-async function decrypt(text) {
-    const [ivHex, cipherHex] = text.split(':');
-    const iv = Buffer.from(ivHex, 'hex');
-    const ciphertext = Buffer.from(cipherHex, 'hex');
-
-    // Derive key using SHA-256 from ENCRYPTION_KEY
-    const derivedKeyHex = getCryptoKey(ENCRYPTION_KEY);
-    const derivedKeyBuffer = Buffer.from(derivedKeyHex, 'hex');
-
-    const key = await crypto.webcrypto.subtle.importKey(
-        "raw",
-        derivedKeyBuffer, // Use the SHA-256 derived key
-        "AES-GCM",
-        false,
-        ["decrypt"]
-    );
-
-    const decrypted = await crypto.webcrypto.subtle.decrypt(
-        { name: "AES-GCM", iv: iv },
-        key,
-        ciphertext
-    );
-
-    return new TextDecoder().decode(decrypted);
-}
-
-// Helper: HMAC SHA256 Signature
-function signHmac(key, queryString) {
-    return crypto.createHmac('sha256', key).update(queryString).digest('hex');
-}
+// Validate trade before execution against the symbol's exchange filters
+async function validateTrade(exchange, rules, quantity, side, userBalances, leverage = 1, orderType = 'MARKET') {
+    const cleanSymbol = rules.symbol;
 
-async function getSymbolStepSize(symbol) {
-    try {
-        const response = await fetch('https://testnet.binancefuture.com/fapi/v1/exchangeInfo');
-        const data = await response.json();
-        const symbolInfo = data.symbols.find(s => s.symbol === symbol);
-        if (symbolInfo) {
-            const lotSizeFilter = symbolInfo.filters.find(f => f.filterType === 'LOT_SIZE');
-            if (lotSizeFilter) {
-                return parseFloat(lotSizeFilter.stepSize);
-            }
-        }
-        return 0.001; // Default fallback
-    } catch (error) {
-        console.error(`[Binance API] Failed to fetch exchangeInfo for ${symbol}:`, error);
-        return 0.001;
-    }
-}
-
-async function getSymbolTickSize(symbol) {
-    try {
-        const response = await fetch('https://testnet.binancefuture.com/fapi/v1/exchangeInfo');
-        const data = await response.json();
-        const symbolInfo = data.symbols.find(s => s.symbol === symbol);
-        if (symbolInfo) {
-            const priceFilter = symbolInfo.filters.find(f => f.filterType === 'PRICE_FILTER');
-            if (priceFilter) {
-                return parseFloat(priceFilter.tickSize);
-            }
-        }
-        return 0.01; // Default fallback
-    } catch (error) {
-        console.error(`[Binance API] Failed to fetch tickSize for ${symbol}:`, error);
-        return 0.01;
+    // 1. Quantity must be greater than zero and inside MARKET_LOT_SIZE (LOT_SIZE for limit orders)
+    const qty = parseFloat(quantity);
+    if (!(qty > 0)) {
+        throw validationFailure('trade.invalidQuantity', { quantity });
     }
-}
-
-function roundToStep(value, stepSize) {
-    const precision = Math.max(0, Math.round(-Math.log10(stepSize)));
-    const rounded = Math.floor(value / stepSize) * stepSize;
-    return rounded.toFixed(precision);
-}
-
-// Get current market price for a symbol
-async function getMarketPrice(symbol) {
-    try {
-        const response = await fetch(`https://testnet.binancefuture.com/fapi/v1/ticker/price?symbol=${symbol}`);
-        const data = await response.json();
-        return parseFloat(data.price);
-    } catch (error) {
-        console.error(`[Binance API] Failed to fetch market price for ${symbol}:`, error);
-        return 0;
+    const lot = orderType === 'MARKET' && rules.marketLotSize.stepSize ? rules.marketLotSize : rules.lotSize;
+    if (qty < lot.minQty) {
+        throw validationFailure('trade.quantityBelowMin', { quantity: qty, min: lot.minQty, symbol: cleanSymbol });
     }
-}
-
-// Validate trade before execution
-async function validateTrade(cleanSymbol, quantity, side, userBalances) {
-    // 1. Quantity must be greater than zero
-    const qty = parseFloat(quantity);
-    if (qty <= 0) {
-        throw new Error(`Invalid quantity: ${quantity} must be greater than zero`);
+    if (lot.maxQty && qty > lot.maxQty) {
+        throw validationFailure('trade.quantityAboveMax', { quantity: qty, max: lot.maxQty, symbol: cleanSymbol });
     }
 
     // 2. Get market price
-    const marketPrice = await getMarketPrice(cleanSymbol);
+    const marketPrice = await exchange.getMarketPrice(cleanSymbol);
     if (marketPrice === 0) {
-        throw new Error(`Could not fetch market price for ${cleanSymbol}`);
+        throw validationFailure('trade.noMarketPrice', { symbol: cleanSymbol });
     }
 
-    // 3. Calculate notional value (quantity * price)
+    // 3. Calculate notional value (quantity * price) against the MIN_NOTIONAL filter
     const notionalValue = qty * marketPrice;
-
-    // Minimum notional values
-    const MIN_NOTIONAL_STANDARD = 20; // Most symbols require at least 20 USDT
-    const MIN_NOTIONAL_SMALL = 5; // BTC, ETH, and other high-value assets
-
-    // High-value symbols that can have smaller notional
-    const highValueSymbols = ['BTCUSDT', 'ETHUSDT', 'BNBUSDT'];
-    const minNotional = highValueSymbols.includes(cleanSymbol) ? MIN_NOTIONAL_SMALL : MIN_NOTIONAL_STANDARD;
-
-    if (notionalValue < minNotional) {
-        throw new Error(`Notional value ${notionalValue.toFixed(2)} USDT is below minimum ${minNotional} USDT for ${cleanSymbol}`);
+    if (notionalValue < rules.minNotional) {
+        throw validationFailure('trade.notionalBelowMin', {
+            notional: notionalValue.toFixed(2),
+            min: rules.minNotional,
+            symbol: cleanSymbol
+        });
     }
 
     // 4. Check if user has sufficient balance (USDT)
     const usdtBalance = userBalances.find(b => b.asset === 'USDT');
     const availableBalance = usdtBalance ? parseFloat(usdtBalance.free) : 0;
 
-    // Rough margin requirement check (notional / leverage, but we'll use full notional for safety)
+    // Rough margin requirement check (notional / leverage); sizing.js caps entries against the same 90%
     if (side === 'BUY' || side === 'SELL') {
-        // For opening positions, check if notional is less than or equal to available balance
-        // This is a rough check - actual margin requirement depends on leverage
-        if (notionalValue > availableBalance * 0.9) { // 90% of balance to leave room for fees
-            throw new Error(`Insufficient balance: Need ~${notionalValue.toFixed(2)} USDT but only ${availableBalance.toFixed(2)} USDT available`);
+        const requiredMargin = notionalValue / leverage;
+        if (requiredMargin > availableBalance * 0.9) { // 90% of balance to leave room for fees
+            throw validationFailure('trade.insufficientBalance', {
+                required: requiredMargin.toFixed(2),
+                leverage,
+                available: availableBalance.toFixed(2)
+            });
         }
     }
 
     return { notionalValue, marketPrice };
 }
 
-async function getUserBinanceContext(supabaseAdmin, userId) {
-    if (!ENCRYPTION_KEY) throw new Error('Server config error: encryption key missing');
-
-    // Fetch User Keys
-    const { data: settings, error: settingsError } = await supabaseAdmin
-        .from('user_settings')
-        .select('binance_api_key, binance_secret_key')
-        .eq('user_id', userId)
-        .single();
-
-    if (settingsError || !settings) throw new Error('API Keys not configured');
-
-    // Decrypt Keys
-    const apiKey = (await decrypt(settings.binance_api_key)).replace(/[^\x20-\x7E]/g, '').trim();
-    const secretKey = (await decrypt(settings.binance_secret_key)).replace(/[^\x20-\x7E]/g, '').trim();
+// One limit order per distinct price (after tick rounding), sharing the quantity equally;
+// each order has to pass LOT_SIZE and MIN_NOTIONAL on its own
+function buildEntries(rules, prices, quantity) {
+    const distinct = [...new Set(prices.map(price => roundToStep(price, rules.priceFilter.tickSize)))];
+    const qty = roundToStep(parseFloat(quantity) / distinct.length, rules.lotSize.stepSize);
 
-    const timestamp = Date.now();
-    const recvWindow = 5000;
-    const queryString = `timestamp=${timestamp}&recvWindow=${recvWindow}`;
-    const signature = signHmac(secretKey, queryString);
-
-    const BINANCE_API_URL = 'https://testnet.binancefuture.com/fapi/v2/account';
-    const response = await fetch(`${BINANCE_API_URL}?${queryString}&signature=${signature}`, {
-        method: 'GET',
-        headers: { 'X-MBX-APIKEY': apiKey },
-        timeout: 10000
-    });
-
-    const accountData = await response.json();
-    if (!response.ok) throw new Error(`Binance API Error: ${JSON.stringify(accountData)} `);
-
-    const balances = (accountData.assets || []).filter(b =>
-        parseFloat(b.walletBalance) > 0 || parseFloat(b.marginBalance) > 0
-    ).map(b => ({
-        asset: b.asset,
-        free: b.walletBalance,
-        locked: b.maintMargin
-    }));
-
-    const positions = (accountData.positions || []).filter(p =>
-        parseFloat(p.positionAmt) !== 0
-    ).map(p => ({
-        symbol: p.symbol,
-        positionAmt: p.positionAmt,
-        entryPrice: p.entryPrice,
-        markPrice: p.markPrice || 0,
-        unrealizedProfit: p.unrealizedProfit,
-        leverage: p.leverage,
-        positionSide: p.positionSide
-    }));
-
-    return { balances, positions };
+    for (const price of distinct) {
+        if (parseFloat(qty) < rules.lotSize.minQty) {
+            throw validationFailure('trade.quantityBelowMin', { quantity: qty, min: rules.lotSize.minQty, symbol: rules.symbol });
+        }
+        const notional = parseFloat(qty) * parseFloat(price);
+        if (notional < rules.minNotional) {
+            throw validationFailure('trade.notionalBelowMin', { notional: notional.toFixed(2), min: rules.minNotional, symbol: rules.symbol });
+        }
+    }
+    return distinct.map(price => ({ price, quantity: qty }));
 }
 
-async function executeTradeInternal(supabaseAdmin, userId, trade) {
-    if (!ENCRYPTION_KEY) throw new Error('Server config error: encryption key missing');
-
-    const { data: settings } = await supabaseAdmin
-        .from('user_settings')
-        .select('binance_api_key, binance_secret_key')
-        .eq('user_id', userId)
-        .single();
-
-    if (!settings) throw new Error('API Keys not configured');
+async function getUserBinanceContext(supabaseAdmin, userId) {
+    const exchange = await getUserExchange(supabaseAdmin, userId);
+    return exchange.getAccount();
+}
 
-    const apiKey = (await decrypt(settings.binance_api_key)).replace(/[^\x20-\x7E]/g, '').trim();
-    const secretKey = (await decrypt(settings.binance_secret_key)).replace(/[^\x20-\x7E]/g, '').trim();
+// options.dryRun: run every check (symbol rules, validation, risk) but stop before touching the account
+async function executeTradeInternal(supabaseAdmin, userId, trade, { dryRun = false } = {}) {
+    // Resolves to the user's venue (Binance/Bybit, testnet/mainnet) or the paper simulator
+    const exchange = await getUserExchange(supabaseAdmin, userId);
+    const log = baseLog.child({ venue: exchange.name, env: exchange.env, userId });
 
     const timestamp = Date.now();
     const cleanSymbol = trade.symbol.replace(/[\/\s-]/g, '').toUpperCase();
 
-    const BINANCE_ORDER_URL = 'https://testnet.binancefuture.com/fapi/v1/order';
-    const BINANCE_ALGO_ORDER_URL = 'https://testnet.binancefuture.com/fapi/v1/algoOrder';
-
-    // 1. Fetch current position to check for opposite sides
-    console.log(`[Binance API] Fetching current state for ${cleanSymbol} position awareness...`);
-    const { positions } = await getUserBinanceContext(supabaseAdmin, userId);
-    const existingPos = positions.find(p => p.symbol === cleanSymbol);
-    const posAmt = existingPos ? parseFloat(existingPos.positionAmt) : 0;
-
-    // 1.5 Set Leverage (if provided and different)
-    const targetLeverage = trade.leverage || 1;
-    if (trade.action !== 'CLOSE' && (!existingPos || parseInt(existingPos.leverage) !== targetLeverage)) {
-        console.log(`[Binance API] Setting Leverage for ${cleanSymbol} to ${targetLeverage} x`);
-        try {
-            const levQuery = `symbol=${cleanSymbol}&leverage=${targetLeverage}&timestamp=${timestamp}&recvWindow=5000`;
-            const levSig = signHmac(secretKey, levQuery);
+    // 0. Reject unlisted, delisted or halted symbols before touching the account
+    const rules = await getSymbolRules(exchange, cleanSymbol);
+    if (!rules) {
+        throw validationFailure('trade.symbolNotListed', { symbol: cleanSymbol, exchange: exchange.name, env: exchange.env });
+    }
+    if (rules.status !== 'TRADING') {
+        throw validationFailure('trade.symbolNotTradable', { symbol: cleanSymbol, status: rules.status });
+    }
 
-            const levRes = await fetch(`https://testnet.binancefuture.com/fapi/v1/leverage?${levQuery}&signature=${levSig}`, {
-                method: 'POST',
-                headers: { 'X-MBX-APIKEY': apiKey }
-            });
-            const levData = await levRes.json();
-            if (!levRes.ok) console.warn(`[Binance API] Failed to set leverage: ${JSON.stringify(levData)}`);
-            else console.log(`[Binance API] Leverage set result: ${JSON.stringify(levData)}`);
-        } catch (levErr) {
-            console.error(`[Binance API] Leverage error:`, levErr);
-        }
+    // 1. Position mode and current position(s): hedge mode keeps a LONG and a SHORT per symbol
+    log.debug('Fetching position state', { symbol: cleanSymbol });
+    const hedgeMode = exchange.getPositionMode ? (await exchange.getPositionMode()) === 'hedge' : false;
+    const account = await exchange.getAccount();
+    const { positions } = account;
+    // A strategy profile's trades are checked and sized against its capital allocation only
+    const strategy = trade.strategyId ? await loadStrategy(supabaseAdmin, userId, trade.strategyId) : null;
+    if (trade.strategyId && !strategy) log.warn('Strategy profile not found, using the full balance', { strategyId: trade.strategyId });
+    const balances = allocateBalances(account.balances, strategy);
+
+    // 1.5 Resolve Leverage (applied on the exchange once risk checks pass)
+    let targetLeverage = trade.leverage || 1;
+    if (rules.maxLeverage && targetLeverage > rules.maxLeverage) {
+        log.warn('Requested leverage above symbol max, clamping', { symbol: cleanSymbol, requested: targetLeverage, max: rules.maxLeverage });
+        targetLeverage = rules.maxLeverage;
     }
 
     // 2. Determine Order Side & Logic
@@ -248,99 +135,210 @@ async function executeTradeInternal(supabaseAdmin, userId, trade) {
     const params = {
         symbol: cleanSymbol,
         side: requestedSide,
-        type: 'MARKET',
         quantity: trade.quantity,
-        timestamp: timestamp,
-        newClientOrderId: `AI_${Date.now()}`
+        clientOrderId: `AI_${Date.now()}`
     };
 
     // 3. Intelligent Routing (Auto-Close/Flip)
+    // positionSide: the position this order opens, adds to or closes
     let isClosing = false;
+    let existingPos;
+    let positionSide;
     if (trade.action === 'CLOSE') {
-        if (posAmt !== 0) {
-            params.side = posAmt > 0 ? 'SELL' : 'BUY';
-            params.quantity = Math.abs(posAmt);
-            isClosing = true;
-            console.log(`[Binance API] Explicit CLOSE for ${cleanSymbol}: ${posAmt} -> ${params.side} ${params.quantity}`);
-        } else {
-            throw new Error(`Kapatılacak ${cleanSymbol} pozisyonu bulunamadı.`);
+        // trade.positionSide picks the side; without it there must be exactly one position to close
+        const open = ['LONG', 'SHORT'].map(side => findPosition(positions, cleanSymbol, side)).filter(Boolean);
+        existingPos = trade.positionSide
+            ? findPosition(positions, cleanSymbol, trade.positionSide)
+            : open.length === 1 ? open[0] : null;
+        if (!existingPos) {
+            if (open.length > 1) throw validationFailure('trade.closeSideRequired', { symbol: cleanSymbol });
+            throw validationFailure('trade.noPositionToClose', { symbol: cleanSymbol });
         }
+
+        positionSide = positionSideOf(existingPos);
+        params.side = positionSide === 'LONG' ? 'SELL' : 'BUY';
+        params.quantity = Math.abs(parseFloat(existingPos.positionAmt));
+        isClosing = true;
+        log.info('Explicit close', { symbol: cleanSymbol, positionSide, side: params.side, quantity: params.quantity });
+    } else if (hedgeMode) {
+        // Each direction is its own position: BUY adds to the LONG, SELL to the SHORT, neither reduces the other
+        positionSide = requestedSide === 'BUY' ? 'LONG' : 'SHORT';
+        existingPos = findPosition(positions, cleanSymbol, positionSide);
     } else {
-        const reducingLong = requestedSide === 'SELL' && posAmt > 0;
-        const reducingShort = requestedSide === 'BUY' && posAmt < 0;
+        existingPos = findPosition(positions, cleanSymbol);
+        const existingSide = existingPos ? positionSideOf(existingPos) : null;
+        const reducingLong = requestedSide === 'SELL' && existingSide === 'LONG';
+        const reducingShort = requestedSide === 'BUY' && existingSide === 'SHORT';
 
         if (reducingLong || reducingShort) {
             isClosing = true;
-            console.log(`[Binance API] ${requestedSide} identified as CLOSING/REDUCING action for ${cleanSymbol} (Current: ${posAmt})`);
+            log.info('Order reduces the open position', { symbol: cleanSymbol, side: requestedSide, positionAmt: existingPos.positionAmt });
         }
+        positionSide = isClosing ? existingSide : requestedSide === 'BUY' ? 'LONG' : 'SHORT';
+    }
+    if (hedgeMode) params.positionSide = positionSide;
+    const posAmt = existingPos ? parseFloat(existingPos.positionAmt) : 0;
+
+    // 3.2 LIMIT / POST_ONLY entries rest on the book (entryOrders.js); reductions stay market orders
+    const orderType = trade.action === 'CLOSE' ? 'MARKET' : trade.orderType || 'MARKET';
+    const limitEntry = orderType !== 'MARKET';
+    if (limitEntry && isClosing) {
+        throw validationFailure('trade.limitEntryReduces', { symbol: cleanSymbol, positionSide });
+    }
+    const averageEntry = limitEntry ? trade.prices.reduce((sum, p) => sum + p, 0) / trade.prices.length : null;
+
+    // 3.5 Position sizing for entries (closes and reductions are sized from the position). A one-way order asking
+    // for more than the position flips it: the part beyond the position is sized like any other entry.
+    let sizing = null;
+    if (!isClosing) {
+        sizing = await sizePosition(supabaseAdmin, userId, exchange, rules, trade, { balances, leverage: targetLeverage, entryPrice: averageEntry });
+        params.quantity = sizing.quantity;
+        log.info('Position sized', { symbol: cleanSymbol, ...sizing });
+    } else if (trade.action !== 'CLOSE' && parseFloat(trade.quantity) > Math.abs(posAmt)) {
+        const remainder = { ...trade, quantity: parseFloat(trade.quantity) - Math.abs(posAmt) };
+        sizing = await sizePosition(supabaseAdmin, userId, exchange, rules, remainder, { balances, leverage: targetLeverage });
+        params.quantity = Math.abs(posAmt) + parseFloat(sizing.quantity);
+        log.info('Flip sized', { symbol: cleanSymbol, closing: Math.abs(posAmt), ...sizing });
     }
 
     // 4. Apply Precision Rounding
-    const stepSize = await getSymbolStepSize(cleanSymbol);
+    // MARKET orders are bound by MARKET_LOT_SIZE; fall back to LOT_SIZE for limit orders or where a venue has no separate filter
+    const stepSize = (!limitEntry && rules.marketLotSize.stepSize) || rules.lotSize.stepSize;
+    const tickSize = rules.priceFilter.tickSize;
     params.quantity = roundToStep(parseFloat(params.quantity.toString()), stepSize);
 
     // Determine detailed Client Order ID
     let idPrefix = 'AI_OPEN';
     if (isClosing) idPrefix = 'AI_CLOSE';
-    params.newClientOrderId = `${idPrefix}_${timestamp}`;
+    params.clientOrderId = `${idPrefix}_${timestamp}`;
 
-    console.log(`[Binance API] Order: ${params.side} ${params.quantity} ${cleanSymbol} (Step: ${stepSize}) ID: ${params.newClientOrderId}`);
+    log.info('Prepared order', { ...params, stepSize });
 
     // VALIDATION: Check quantity, notional value, and balance before executing
+    let validationResult;
     try {
-        const { balances } = await getUserBinanceContext(supabaseAdmin, userId);
-        const validationResult = await validateTrade(cleanSymbol, params.quantity, params.side, balances);
-        console.log(`[Binance API] Trade validated. Notional: ${validationResult.notionalValue.toFixed(2)} USDT, Price: ${validationResult.marketPrice}`);
+        validationResult = await validateTrade(exchange, rules, params.quantity, params.side, balances, targetLeverage, orderType);
+        log.debug('Trade validated', { symbol: cleanSymbol, notional: validationResult.notionalValue, price: validationResult.marketPrice });
     } catch (validationError) {
-        console.error(`[Binance API] Validation failed for ${cleanSymbol}:`, validationError.message);
+        log.warn('Validation failed', { symbol: cleanSymbol, error: validationError.message });
+        validationError.stage = 'validation';
         throw validationError; // Throw to prevent order execution
     }
 
-    const queryString = Object.keys(params).map(key => `${key}=${params[key]}`).join('&');
-    const signature = signHmac(secretKey, queryString);
+    // A one-way order larger than the position it reduces flips it: the part beyond the position is a new entry
+    const flipQty = isClosing && trade.action !== 'CLOSE' ? Math.max(0, parseFloat(params.quantity) - Math.abs(posAmt)) : 0;
+    const isFlip = flipQty > 0;
 
-    const response = await fetch(`${BINANCE_ORDER_URL}?${queryString}&signature=${signature}`, {
-        method: 'POST',
-        headers: { 'X-MBX-APIKEY': apiKey }
-    });
+    // RISK: Per-user limits (leverage, exposure, open positions, daily loss / kill switch); reductions are exempt,
+    // the opening part of a flip is not
+    try {
+        await checkTradeRisk(supabaseAdmin, userId, exchange, trade, {
+            symbol: cleanSymbol,
+            side: params.side,
+            positionSide: isFlip ? (positionSide === 'LONG' ? 'SHORT' : 'LONG') : positionSide,
+            quantity: isFlip ? flipQty : parseFloat(params.quantity),
+            price: averageEntry ?? validationResult.marketPrice,
+            leverage: targetLeverage,
+            isClosing: isClosing && !isFlip,
+            isFlip
+        }, { dryRun });
+    } catch (riskError) {
+        log.warn('Risk check blocked order', { symbol: cleanSymbol, rule: riskError.rule || 'ERROR', error: riskError.message });
+        riskError.stage = 'validation';
+        throw riskError;
+    }
 
-    const result = await response.json();
-    console.log(`[Binance API] Order Response for ${cleanSymbol}:`, JSON.stringify(result));
+    const entries = limitEntry ? buildEntries(rules, trade.prices, params.quantity) : null;
 
-    if (!response.ok) {
-        throw new Error(`Binance API Error: ${result.msg || JSON.stringify(result)} (Code: ${result.code})`);
+    if (dryRun) {
+        return { dryRun: true, ...params, positionSide, orderType, entries, leverage: targetLeverage, isClosing, sizing, ...validationResult };
     }
 
-    // 5. Place Stop Loss & Take Profit
-    if (!isClosing && result.orderId && (trade.stopLoss > 0 || trade.takeProfit > 0)) {
-        console.log(`[Binance API] Placing SL/TP orders for ${cleanSymbol}...`);
-        const tickSize = await getSymbolTickSize(cleanSymbol);
-
-        const placeConditionalOrder = async (type, stopPrice, tag) => {
-            const exitSide = params.side === 'BUY' ? 'SELL' : 'BUY';
-            const roundedPrice = roundToStep(stopPrice, tickSize);
-            const algoId = `${tag}_${Date.now()}`;
-            const condParams = `symbol=${cleanSymbol}&side=${exitSide}&algoType=CONDITIONAL&type=${type}&triggerPrice=${roundedPrice}&closePosition=true&newClientOrderId=${algoId}&timestamp=${Date.now()}&recvWindow=5000`;
-            const condSig = signHmac(secretKey, condParams);
-
-            const r = await fetch(`${BINANCE_ALGO_ORDER_URL}?${condParams}&signature=${condSig}`, {
-                method: 'POST',
-                headers: { 'X-MBX-APIKEY': apiKey }
-            });
-            return await r.json();
+    // 4.5 Set Leverage (if provided and different)
+    if (trade.action !== 'CLOSE' && (!existingPos || parseInt(existingPos.leverage) !== targetLeverage)) {
+        try {
+            const levData = await exchange.setLeverage(cleanSymbol, targetLeverage);
+            log.info('Leverage set', { symbol: cleanSymbol, leverage: targetLeverage, response: levData });
+        } catch (levErr) {
+            log.warn('Failed to set leverage', { symbol: cleanSymbol, leverage: targetLeverage, error: levErr.message });
+        }
+    }
+
+    // Resting entries get their SL/TP and position rules once a fill is confirmed (entryOrders.js)
+    if (limitEntry) {
+        const placement = await placeEntryOrders(supabaseAdmin, userId, exchange, {
+            symbol: cleanSymbol,
+            side: params.side,
+            positionSide,
+            hedgeMode,
+            orderType,
+            entries,
+            ttlMinutes: trade.ttlMinutes,
+            trade,
+            log
+        });
+        return {
+            orderId: placement.orders[0].orderId,
+            orders: placement.orders,
+            pending: true,
+            expiresAt: placement.expiresAt,
+            symbol: cleanSymbol,
+            side: params.side,
+            positionSide,
+            hedgeMode,
+            orderType,
+            isClosing,
+            sizing
         };
+    }
 
-        if (trade.stopLoss > 0) {
-            const slRes = await placeConditionalOrder('STOP_MARKET', trade.stopLoss, 'AI_RULE_SL');
-            console.log(`[Binance API] SL Result:`, JSON.stringify(slRes));
-        }
-        if (trade.takeProfit > 0) {
-            const tpRes = await placeConditionalOrder('TAKE_PROFIT_MARKET', trade.takeProfit, 'AI_RULE_TP');
-            console.log(`[Binance API] TP Result:`, JSON.stringify(tpRes));
-        }
+    // An explicit close also withdraws the side's unfilled entries, which would reopen it
+    if (trade.action === 'CLOSE') {
+        await cancelPendingEntries(supabaseAdmin, userId, exchange, { symbol: cleanSymbol, positionSide, log });
+    }
+
+    const result = await exchange.placeMarketOrder(params);
+    log.info('Order response', { symbol: cleanSymbol, response: result });
+
+    // A full close or a flip leaves the old position's SL/TP behind; they would fire against whatever comes next.
+    // In hedge mode only the orders of this order's side are touched.
+    const sideFilter = hedgeMode ? positionSide : null;
+    const closesFully = isClosing && parseFloat(params.quantity) >= Math.abs(posAmt);
+    if (closesFully && result.orderId) {
+        await cancelAiConditionalOrders(exchange, cleanSymbol, { positionSide: sideFilter, log });
+        await closePositionRules(supabaseAdmin, userId, cleanSymbol, positionSide);
+    }
+
+    // A flip opens a new position in the requested direction: protect it like any other entry
+    const opensPosition = !isClosing || isFlip;
+
+    // 5. Place Stop Loss & Take Profit, replacing (not stacking on) the ones already protecting the symbol
+    // (a flip has already cancelled everything above)
+    if (opensPosition && result.orderId) {
+        await placeProtectiveOrders(exchange, {
+            symbol: cleanSymbol,
+            closeSide: params.side === 'BUY' ? 'SELL' : 'BUY',
+            positionSide: sideFilter,
+            stopLoss: trade.stopLoss,
+            takeProfit: trade.takeProfit,
+            tickSize,
+            replace: !isFlip,
+            log
+        });
+    }
+
+    // 6. Hand the position to the monitor (trailing stop, break-even, partial TP)
+    if (opensPosition && result.orderId) {
+        await registerPosition(supabaseAdmin, userId, {
+            symbol: cleanSymbol,
+            side: params.side,
+            stopLoss: trade.stopLoss,
+            management: trade.management,
+            addsToPosition: !isClosing && Boolean(existingPos)
+        });
     }
 
-    return { ...result, isClosing };
+    return { ...result, symbol: cleanSymbol, side: params.side, positionSide, hedgeMode, isClosing, sizing };
 }
 
 module.exports = { getUserBinanceContext, executeTradeInternal };
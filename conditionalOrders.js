@@ -0,0 +1,137 @@
+const { getUserExchange, findPosition, KEY_COLUMNS } = require('./exchanges');
+const { withCycleLock } = require('./cycleLock');
+const { roundToStep } = require('./symbolRules');
+const { createLogger } = require('./logger');
+
+// Housekeeping for the AI's closePosition SL/TP orders (clientAlgoId AI_*, or Bybit's position-level TP/SL).
+// Orders placed by the user by hand are never touched.
+
+const TYPES = ['STOP_MARKET', 'TAKE_PROFIT_MARKET'];
+const defaultLog = createLogger('Orders');
+
+function isAiConditional(order) {
+    return TYPES.includes(order.type) && (order.positionLevel || (order.clientAlgoId || '').startsWith('AI_'));
+}
+
+// Cancels the symbol's AI conditional orders, optionally only some types or (hedge mode) one position side.
+// Failures are logged, not thrown: a leftover order must not turn an already filled trade into an error.
+async function cancelAiConditionalOrders(exchange, symbol, { types = TYPES, positionSide = null, log = defaultLog } = {}) {
+    let orders;
+    try {
+        orders = (await exchange.getOpenConditionalOrders(symbol))
+            .filter(o => o.symbol === symbol && isAiConditional(o) && types.includes(o.type))
+            .filter(o => !positionSide || o.positionSide === positionSide);
+    } catch (err) {
+        log.error('Could not list conditional orders', { symbol, error: err.message });
+        return 0;
+    }
+
+    let cancelled = 0;
+    for (const order of orders) {
+        try {
+            await exchange.cancelConditionalOrder({ symbol, algoId: order.algoId });
+            cancelled++;
+            log.info('Cancelled conditional order', { symbol, type: order.type, id: order.clientAlgoId || order.algoId });
+        } catch (err) {
+            log.error('Failed to cancel conditional order', { symbol, type: order.type, algoId: order.algoId, error: err.message });
+        }
+    }
+    return cancelled;
+}
+
+// Places the AI stop loss / take profit (closePosition) for a position. With replace, the AI orders of the
+// same types are cancelled first so they never stack. closeSide is the side that closes the position;
+// positionSide (LONG/SHORT) only in hedge mode.
+async function placeProtectiveOrders(exchange, { symbol, closeSide, positionSide = null, stopLoss, takeProfit, tickSize, replace = true, log = defaultLog }) {
+    const types = [];
+    if (stopLoss > 0) types.push('STOP_MARKET');
+    if (takeProfit > 0) types.push('TAKE_PROFIT_MARKET');
+    if (types.length === 0) return;
+
+    if (replace) await cancelAiConditionalOrders(exchange, symbol, { types, positionSide, log });
+
+    const place = (type, stopPrice, tag) => exchange.placeConditionalOrder({
+        symbol,
+        side: closeSide,
+        ...(positionSide ? { positionSide } : {}),
+        type,
+        triggerPrice: roundToStep(stopPrice, tickSize),
+        clientAlgoId: `${tag}_${Date.now()}`
+    });
+
+    if (stopLoss > 0) {
+        const slRes = await place('STOP_MARKET', stopLoss, 'AI_RULE_SL');
+        log.info('Stop loss placed', { symbol, response: slRes });
+    }
+    if (takeProfit > 0) {
+        const tpRes = await place('TAKE_PROFIT_MARKET', takeProfit, 'AI_RULE_TP');
+        log.info('Take profit placed', { symbol, response: tpRes });
+    }
+}
+
+// An order is orphaned when there is no position it could close: none at all, or one on the same side.
+// Hedge-mode orders name the position side they close (a SELL stop closes the LONG).
+async function sweepUser(supabaseAdmin, userId) {
+    const exchange = await getUserExchange(supabaseAdmin, userId);
+    if (!exchange.getOpenConditionalOrders) return 0;
+
+    const orders = (await exchange.getOpenConditionalOrders()).filter(isAiConditional);
+    if (orders.length === 0) return 0;
+
+    const { positions } = await exchange.getAccount();
+    let cancelled = 0;
+    for (const order of orders) {
+        const closesSide = order.positionSide === 'LONG' || order.positionSide === 'SHORT'
+            ? order.positionSide
+            : order.side === 'SELL' ? 'LONG' : 'SHORT';
+        if (findPosition(positions, order.symbol, closesSide)) continue;
+
+        try {
+            await exchange.cancelConditionalOrder({ symbol: order.symbol, algoId: order.algoId });
+            cancelled++;
+            defaultLog.info('Swept orphaned order', { userId, symbol: order.symbol, type: order.type, id: order.clientAlgoId || order.algoId });
+        } catch (err) {
+            defaultLog.error('Failed to sweep order', { userId, symbol: order.symbol, algoId: order.algoId, error: err.message });
+        }
+    }
+    return cancelled;
+}
+
+// Users whose AI orders may need sweeping, whether or not autonomous trading is still on (the kill switch turns
+// it off but leaves the orders): live users with usable credentials for their venue, paper users with AI orders resting
+async function sweepCandidates(supabaseAdmin) {
+    const { data: settings, error } = await supabaseAdmin
+        .from('user_settings')
+        .select(`user_id, trading_mode, exchange, credentials_status, ${Object.values(KEY_COLUMNS).flat().join(', ')}`);
+    if (error) throw new Error(`Orphan sweep scan failed: ${error.message}`);
+
+    const { data: accounts, error: accountsError } = await supabaseAdmin
+        .from('paper_accounts')
+        .select('user_id, open_orders');
+    if (accountsError) throw new Error(`Orphan sweep scan failed: ${accountsError.message}`);
+    const paperWithOrders = new Set((accounts || [])
+        .filter(a => (a.open_orders || []).some(isAiConditional))
+        .map(a => a.user_id));
+
+    return (settings || [])
+        .filter(s => s.trading_mode === 'paper'
+            ? paperWithOrders.has(s.user_id)
+            : s.credentials_status !== 'invalid' && (KEY_COLUMNS[s.exchange || 'binance'] || []).every(column => s[column]))
+        .map(s => s.user_id);
+}
+
+// Scheduler entry point: each user under the cycle lock so a cycle's fresh entry is never mistaken for an orphan
+async function sweepOrphanedOrders(supabaseAdmin) {
+    const users = await sweepCandidates(supabaseAdmin);
+
+    for (const userId of users) {
+        try {
+            const { acquired } = await withCycleLock(supabaseAdmin, userId, () => sweepUser(supabaseAdmin, userId));
+            if (!acquired) defaultLog.info('Cycle in flight, sweep skipped', { userId });
+        } catch (err) {
+            defaultLog.error('Sweep failed', { userId, error: err.message });
+        }
+    }
+}
+
+module.exports = { isAiConditional, cancelAiConditionalOrders, placeProtectiveOrders, sweepOrphanedOrders };
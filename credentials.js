@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+
+// Encryption of stored exchange credentials (user_settings.*_api_key / *_secret_key).
+// Envelope: `v<version>:<ivHex>:<ciphertextHex>`, AES-256-GCM with the key SHA-256(secret) of that version.
+// Values without a version prefix (`<ivHex>:<ciphertextHex>`) predate versioning and use version 1.
+// Keyring:
+//   APP_SECRET_KEYS         - "2:newSecret,1:oldSecret"; every listed version can decrypt
+//   APP_SECRET_KEY          - the original secret, used as version 1 unless APP_SECRET_KEYS lists one
+//   APP_SECRET_KEY_VERSION  - version new values are encrypted with (default: the highest)
+// Rotation: add the new version to APP_SECRET_KEYS, deploy, run `npm run keys:reencrypt`, then drop
+// the old version once no value uses it.
+
+const LEGACY_VERSION = 1;
+const ENVELOPE_PATTERN = /^(?:v(\d+):)?([0-9a-f]+):([0-9a-f]+)$/i;
+
+function credentialsError(message, reason) {
+    const error = new Error(message);
+    error.code = 'CREDENTIALS_INVALID';
+    error.reason = reason;
+    error.stage = 'credentials';
+    error.retryable = false;
+    return error;
+}
+
+function loadKeyring() {
+    const keyring = new Map();
+    for (const entry of (process.env.APP_SECRET_KEYS || '').split(',')) {
+        const match = entry.trim().match(/^(\d+):(.+)$/);
+        if (match) keyring.set(parseInt(match[1], 10), match[2]);
+    }
+    if (process.env.APP_SECRET_KEY && !keyring.has(LEGACY_VERSION)) keyring.set(LEGACY_VERSION, process.env.APP_SECRET_KEY);
+    return keyring;
+}
+
+function keyringVersions() {
+    return [...loadKeyring().keys()].sort((a, b) => a - b);
+}
+
+function currentKeyVersion() {
+    const versions = keyringVersions();
+    if (versions.length === 0) return null;
+    const configured = parseInt(process.env.APP_SECRET_KEY_VERSION || '', 10);
+    return Number.isFinite(configured) ? configured : versions[versions.length - 1];
+}
+
+function sha256Hex(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+const derivedKeys = new Map(); // version:usage:hash(secret) -> CryptoKey
+
+async function getKey(version, usage) {
+    const secret = loadKeyring().get(version);
+    if (!secret) throw credentialsError(`No encryption key configured for version ${version}`, 'unknown_key_version');
+
+    const cacheKey = `${version}:${usage}:${sha256Hex(secret)}`;
+    if (!derivedKeys.has(cacheKey)) {
+        const raw = Buffer.from(sha256Hex(secret), 'hex');
+        derivedKeys.set(cacheKey, await crypto.webcrypto.subtle.importKey('raw', raw, 'AES-GCM', false, [usage]));
+    }
+    return derivedKeys.get(cacheKey);
+}
+
+function parseEnvelope(value) {
+    const match = String(value || '').match(ENVELOPE_PATTERN);
+    if (!match) throw credentialsError('Stored credential is not a valid ciphertext', 'malformed');
+    return {
+        version: match[1] ? parseInt(match[1], 10) : LEGACY_VERSION,
+        iv: Buffer.from(match[2], 'hex'),
+        ciphertext: Buffer.from(match[3], 'hex')
+    };
+}
+
+// Version a stored value was encrypted with
+function envelopeVersion(value) {
+    return parseEnvelope(value).version;
+}
+
+async function decryptSecret(value) {
+    const { version, iv, ciphertext } = parseEnvelope(value);
+    const key = await getKey(version, 'decrypt');
+    try {
+        const decrypted = await crypto.webcrypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, ciphertext);
+        return new TextDecoder().decode(decrypted).replace(/[^\x20-\x7E]/g, '').trim();
+    } catch {
+        // GCM tag mismatch: wrong key for this version, or a corrupted value
+        throw credentialsError(`Stored credential could not be decrypted with key version ${version}`, 'decrypt_failed');
+    }
+}
+
+async function encryptSecret(plaintext, version = currentKeyVersion()) {
+    if (version === null) throw new Error('Server config error: encryption key missing');
+    const key = await getKey(version, 'encrypt');
+    const iv = crypto.randomBytes(12);
+    const ciphertext = await crypto.webcrypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(plaintext));
+    return `v${version}:${iv.toString('hex')}:${Buffer.from(ciphertext).toString('hex')}`;
+}
+
+// Identifies a set of stored ciphertexts under the current keyring; a recorded credentials error only
+// stays valid while this is unchanged (new keys saved by the user, or a key version added by us)
+function credentialsFingerprint(values) {
+    const keyring = [...loadKeyring()].map(([version, secret]) => `${version}:${sha256Hex(secret)}`).sort();
+    return sha256Hex(JSON.stringify({ values, keyring })).slice(0, 32);
+}
+
+module.exports = {
+    credentialsError,
+    keyringVersions,
+    currentKeyVersion,
+    envelopeVersion,
+    decryptSecret,
+    encryptSecret,
+    credentialsFingerprint
+};
@@ -0,0 +1,82 @@
+const os = require('os');
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+// Per-user lease so a user never has two trade cycles in flight, across instances.
+// Backed by the `cycle_locks` table: user_id (primary key), owner, acquired_at, expires_at.
+// A lease is kept alive by a heartbeat while the cycle runs; if the process dies the lease
+// simply expires and the next acquirer takes it over.
+
+const INSTANCE_ID = `${os.hostname()}-${process.pid}`;
+const LEASE_TTL_MS = parseInt(process.env.CYCLE_LOCK_TTL_MS || `${5 * 60 * 1000}`, 10);
+const UNIQUE_VIOLATION = '23505';
+const log = createLogger('CycleLock');
+
+async function acquireCycleLock(supabaseAdmin, userId, ttlMs = LEASE_TTL_MS) {
+    const owner = `${INSTANCE_ID}:${crypto.randomUUID()}`;
+    const now = new Date();
+    const lease = {
+        owner,
+        acquired_at: now.toISOString(),
+        expires_at: new Date(now.getTime() + ttlMs).toISOString()
+    };
+
+    const { error } = await supabaseAdmin.from('cycle_locks').insert({ user_id: userId, ...lease });
+    if (!error) return owner;
+    if (error.code !== UNIQUE_VIOLATION) throw new Error(`Cycle lock insert failed: ${error.message}`);
+
+    // Row exists: take it over only if the previous lease has expired (conditional update is atomic)
+    const { data: recovered, error: updateError } = await supabaseAdmin
+        .from('cycle_locks')
+        .update(lease)
+        .eq('user_id', userId)
+        .lt('expires_at', now.toISOString())
+        .select('user_id');
+
+    if (updateError) throw new Error(`Cycle lock takeover failed: ${updateError.message}`);
+    if (recovered && recovered.length > 0) {
+        log.warn('Recovered stale lease', { userId });
+        return owner;
+    }
+    return null;
+}
+
+async function extendCycleLock(supabaseAdmin, userId, owner, ttlMs = LEASE_TTL_MS) {
+    const { data, error } = await supabaseAdmin
+        .from('cycle_locks')
+        .update({ expires_at: new Date(Date.now() + ttlMs).toISOString() })
+        .eq('user_id', userId)
+        .eq('owner', owner)
+        .select('user_id');
+    return !error && data && data.length > 0;
+}
+
+async function releaseCycleLock(supabaseAdmin, userId, owner) {
+    const { error } = await supabaseAdmin
+        .from('cycle_locks')
+        .delete()
+        .eq('user_id', userId)
+        .eq('owner', owner);
+    if (error) log.error('Release failed', { userId, error: error.message });
+}
+
+// Runs fn while holding the user's lease. Returns { acquired: false } without running fn if
+// another cycle holds it.
+async function withCycleLock(supabaseAdmin, userId, fn) {
+    const owner = await acquireCycleLock(supabaseAdmin, userId);
+    if (!owner) return { acquired: false };
+
+    const heartbeat = setInterval(async () => {
+        const held = await extendCycleLock(supabaseAdmin, userId, owner);
+        if (!held) log.error('Lease lost while cycle still running', { userId });
+    }, Math.floor(LEASE_TTL_MS / 3));
+
+    try {
+        return { acquired: true, result: await fn() };
+    } finally {
+        clearInterval(heartbeat);
+        await releaseCycleLock(supabaseAdmin, userId, owner);
+    }
+}
+
+module.exports = { withCycleLock, acquireCycleLock, releaseCycleLock };
@@ -0,0 +1,56 @@
+const { notifyUser } = require('./notifications');
+const { createLogger } = require('./logger');
+
+// Daily summary for users who opted into the daily_summary notification event:
+// trades opened and closed in the last 24 hours and their net PnL.
+const WINDOW_MS = 24 * 60 * 60 * 1000;
+const log = createLogger('Summary');
+
+async function summarizeUser(supabaseAdmin, userId, since) {
+    const { data: opened, error: openedError } = await supabaseAdmin
+        .from('autonomous_trades')
+        .select('id')
+        .eq('user_id', userId)
+        .or('kind.is.null,kind.eq.OPEN')
+        .gte('created_at', since);
+    if (openedError) throw new Error(`autonomous_trades load failed: ${openedError.message}`);
+
+    const { data: closed, error: closedError } = await supabaseAdmin
+        .from('autonomous_trades')
+        .select('symbol, net_pnl')
+        .eq('user_id', userId)
+        .or('kind.is.null,kind.eq.OPEN')
+        .gte('closed_at', since);
+    if (closedError) throw new Error(`autonomous_trades load failed: ${closedError.message}`);
+
+    const netPnl = closed.reduce((sum, t) => sum + (parseFloat(t.net_pnl) || 0), 0);
+    const wins = closed.filter(t => parseFloat(t.net_pnl) > 0).length;
+    return { opened: opened.length, closed: closed.length, wins, netPnl };
+}
+
+// Scheduler entry point
+async function sendDailySummaries(supabaseAdmin) {
+    const { data: users, error } = await supabaseAdmin
+        .from('user_settings')
+        .select('user_id')
+        .contains('notification_prefs', { events: ['daily_summary'] });
+    if (error) throw new Error(`Daily summary scan failed: ${error.message}`);
+
+    const since = new Date(Date.now() - WINDOW_MS).toISOString();
+    for (const { user_id: userId } of users || []) {
+        try {
+            const summary = await summarizeUser(supabaseAdmin, userId, since);
+            await notifyUser(supabaseAdmin, userId, {
+                event: 'daily_summary',
+                titleKey: 'notify.dailySummary.title',
+                messageKey: 'notify.dailySummary.message',
+                params: { ...summary, pnl: summary.netPnl.toFixed(2) },
+                data: { event: 'DAILY_SUMMARY', ...summary }
+            });
+        } catch (err) {
+            log.error('Daily summary failed', { userId, error: err.message });
+        }
+    }
+}
+
+module.exports = { sendDailySummaries };
@@ -0,0 +1,302 @@
+const { randomUUID } = require('crypto');
+const { getUserExchange, findPosition } = require('./exchanges');
+const { getSymbolRules } = require('./symbolRules');
+const { withCycleLock } = require('./cycleLock');
+const { placeProtectiveOrders } = require('./conditionalOrders');
+const { registerPosition } = require('./positionMonitor');
+const { createLogger } = require('./logger');
+
+// Resting entry orders (LIMIT / POST_ONLY, single or scaled ladders) placed from analyst recommendations.
+// Each exchange order gets an `entry_orders` row; the orders of one recommendation share a group_id:
+//   user_id, group_id, symbol, side (BUY | SELL), position_side (LONG | SHORT), hedge_mode
+//   order_id, client_order_id, order_type, price, quantity, expires_at
+//   status (OPEN | FILLED | CANCELED | EXPIRED | REJECTED), filled_qty, avg_price
+//   stop_loss, take_profit, management - applied once the group has a fill
+//   protected_at - when the group's SL/TP and position rules were placed (or were no longer needed)
+// processUserEntries follows OPEN orders to a final state, cancels them once expires_at passes and
+// protects a group as soon as any of its orders has filled. The journal (autonomous_trades) keeps one
+// PENDING row per order; reconcile.js fills those in like any other order.
+
+const OPEN_STATUSES = ['NEW', 'PARTIALLY_FILLED'];
+const FINAL_STATUSES = ['FILLED', 'CANCELED', 'EXPIRED', 'REJECTED'];
+const QTY_EPSILON = 1e-9;
+const log = createLogger('Entries');
+
+let processingRunning = false;
+
+async function updateEntry(supabaseAdmin, id, fields) {
+    const { error } = await supabaseAdmin
+        .from('entry_orders')
+        .update({ ...fields, updated_at: new Date().toISOString() })
+        .eq('id', id);
+    if (error) throw new Error(`entry_orders update failed: ${error.message}`);
+}
+
+// An order that ended without any fill never opened anything: close its PENDING journal row here,
+// since paper orders cannot be looked up once withdrawn
+async function closeJournalRow(supabaseAdmin, userId, orderId, status) {
+    const { error } = await supabaseAdmin
+        .from('autonomous_trades')
+        .update({ status, reconciled_at: new Date().toISOString() })
+        .eq('user_id', userId)
+        .eq('order_id', orderId)
+        .eq('status', 'PENDING');
+    if (error) log.error('Journal update failed', { userId, orderId, error: error.message });
+}
+
+// Places one limit order per entry ({ price, quantity }) and records them as one group. Orders the venue
+// rejects (e.g. a post-only price the market has reached) are skipped; throws only when none was placed.
+async function placeEntryOrders(supabaseAdmin, userId, exchange, { symbol, side, positionSide, hedgeMode, orderType, entries, ttlMinutes, trade, log: entryLog = log }) {
+    const groupId = randomUUID();
+    const timestamp = Date.now();
+    const expiresAt = new Date(timestamp + ttlMinutes * 60 * 1000).toISOString();
+    const placed = [];
+    let firstError = null;
+
+    for (const [index, entry] of entries.entries()) {
+        const clientOrderId = `AI_ENTRY_${timestamp}_${index}`;
+        try {
+            const result = await exchange.placeLimitOrder({
+                symbol,
+                side,
+                quantity: entry.quantity,
+                price: entry.price,
+                postOnly: orderType === 'POST_ONLY',
+                clientOrderId,
+                positionSide: hedgeMode ? positionSide : null
+            });
+            if (!result.orderId) throw new Error(`No orderId in response: ${JSON.stringify(result)}`);
+            placed.push({ ...entry, orderId: result.orderId, clientOrderId });
+            entryLog.info('Entry order placed', { symbol, side, orderType, price: entry.price, quantity: entry.quantity, orderId: result.orderId });
+        } catch (error) {
+            firstError = firstError || error;
+            entryLog.warn('Entry order rejected', { symbol, side, orderType, price: entry.price, error: error.message });
+        }
+    }
+    if (placed.length === 0) throw firstError;
+
+    const { error } = await supabaseAdmin.from('entry_orders').insert(placed.map(order => ({
+        user_id: userId,
+        group_id: groupId,
+        symbol,
+        side,
+        position_side: positionSide,
+        hedge_mode: hedgeMode,
+        order_id: order.orderId,
+        client_order_id: order.clientOrderId,
+        order_type: orderType,
+        price: parseFloat(order.price),
+        quantity: parseFloat(order.quantity),
+        expires_at: expiresAt,
+        status: 'OPEN',
+        filled_qty: 0,
+        stop_loss: trade.stopLoss > 0 ? trade.stopLoss : null,
+        take_profit: trade.takeProfit > 0 ? trade.takeProfit : null,
+        management: trade.management || null
+    })));
+
+    // Untracked orders would neither expire nor get a stop: withdraw them rather than leave them resting
+    if (error) {
+        entryLog.error('Failed to record entry orders, cancelling them', { symbol, groupId, error: error.message });
+        for (const order of placed) {
+            await exchange.cancelOrder(symbol, order.orderId).catch(cancelError => {
+                entryLog.error('Failed to cancel untracked entry order', { symbol, orderId: order.orderId, error: cancelError.message });
+            });
+        }
+        throw new Error(`entry_orders insert failed: ${error.message}`);
+    }
+
+    return { groupId, expiresAt, orders: placed };
+}
+
+// Unfilled entries for the analyst context
+async function listPendingEntries(supabaseAdmin, userId) {
+    const { data: rows, error } = await supabaseAdmin
+        .from('entry_orders')
+        .select('group_id, symbol, side, position_side, order_type, price, quantity, filled_qty, expires_at, created_at')
+        .eq('user_id', userId)
+        .eq('status', 'OPEN')
+        .order('created_at', { ascending: true });
+    if (error) throw new Error(`entry_orders load failed: ${error.message}`);
+
+    return rows.map(r => ({
+        groupId: r.group_id,
+        symbol: r.symbol,
+        side: r.side,
+        positionSide: r.position_side,
+        orderType: r.order_type,
+        price: parseFloat(r.price),
+        quantity: parseFloat(r.quantity),
+        filledQty: parseFloat(r.filled_qty) || 0,
+        placedAt: r.created_at,
+        expiresAt: r.expires_at
+    }));
+}
+
+// Withdraws the unfilled entries for one side of a symbol (an explicit CLOSE of that side). The groups are
+// marked protected: whatever filled is being closed. Orders that fail to cancel (already filled) stay OPEN.
+async function cancelPendingEntries(supabaseAdmin, userId, exchange, { symbol, positionSide, log: entryLog = log }) {
+    const { data: rows, error } = await supabaseAdmin
+        .from('entry_orders')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('symbol', symbol)
+        .eq('position_side', positionSide)
+        .eq('status', 'OPEN');
+    if (error) {
+        entryLog.error('Could not load pending entries', { symbol, error: error.message });
+        return 0;
+    }
+
+    let cancelled = 0;
+    for (const row of rows) {
+        try {
+            const response = await exchange.cancelOrder(symbol, row.order_id);
+            const filledQty = Math.max(parseFloat(row.filled_qty) || 0, parseFloat(response?.executedQty) || 0);
+            await updateEntry(supabaseAdmin, row.id, {
+                status: 'CANCELED',
+                filled_qty: filledQty,
+                protected_at: row.protected_at || new Date().toISOString()
+            });
+            if (response?.executedQty !== undefined && filledQty === 0) {
+                await closeJournalRow(supabaseAdmin, userId, row.order_id, 'CANCELED');
+            }
+            cancelled++;
+            entryLog.info('Pending entry cancelled', { symbol, orderId: row.order_id, price: row.price });
+        } catch (err) {
+            entryLog.error('Failed to cancel pending entry', { symbol, orderId: row.order_id, error: err.message });
+        }
+    }
+    return cancelled;
+}
+
+// Brings one OPEN row up to date with its order and cancels it once it has expired
+async function followEntry(supabaseAdmin, userId, exchange, row, now) {
+    const order = await exchange.getOrder(row.symbol, row.order_id);
+    const fields = {
+        filled_qty: parseFloat(order.executedQty) || 0,
+        avg_price: parseFloat(order.avgPrice) || null
+    };
+
+    if (!OPEN_STATUSES.includes(order.status)) {
+        fields.status = FINAL_STATUSES.includes(order.status) ? order.status : 'CANCELED';
+    } else if (now >= new Date(row.expires_at).getTime()) {
+        const response = await exchange.cancelOrder(row.symbol, row.order_id);
+        fields.filled_qty = Math.max(fields.filled_qty, parseFloat(response?.executedQty) || 0);
+        fields.status = 'EXPIRED';
+        log.info('Entry order expired', { userId, symbol: row.symbol, orderId: row.order_id, filledQty: fields.filled_qty });
+    }
+
+    if (fields.status && fields.status !== 'FILLED' && fields.filled_qty === 0) {
+        await closeJournalRow(supabaseAdmin, userId, row.order_id, fields.status);
+    }
+    await updateEntry(supabaseAdmin, row.id, fields);
+    Object.assign(row, fields);
+}
+
+// SL/TP and position rules for a group with a fill; skipped when the position is already gone.
+// groupFilledQty: what the group's orders filled in total; a larger position was already open before them.
+async function protectGroup(supabaseAdmin, userId, exchange, row, positions, groupFilledQty) {
+    const groupLog = log.child({ userId, symbol: row.symbol });
+    const stopLoss = parseFloat(row.stop_loss) || 0;
+    const takeProfit = parseFloat(row.take_profit) || 0;
+
+    const position = findPosition(positions, row.symbol, row.position_side);
+    if (position) {
+        const rules = await getSymbolRules(exchange, row.symbol);
+        if (!rules) throw new Error(`No symbol rules for ${row.symbol}`);
+
+        await placeProtectiveOrders(exchange, {
+            symbol: row.symbol,
+            closeSide: row.side === 'BUY' ? 'SELL' : 'BUY',
+            positionSide: row.hedge_mode ? row.position_side : null,
+            stopLoss,
+            takeProfit,
+            tickSize: rules.priceFilter.tickSize,
+            log: groupLog
+        });
+        await registerPosition(supabaseAdmin, userId, {
+            symbol: row.symbol,
+            side: row.side,
+            stopLoss,
+            management: row.management,
+            addsToPosition: Math.abs(parseFloat(position.positionAmt)) > groupFilledQty + QTY_EPSILON
+        });
+        groupLog.info('Entry filled, position protected', { groupId: row.group_id, stopLoss, takeProfit });
+    } else {
+        groupLog.warn('Entry filled but the position is already closed, nothing to protect', { groupId: row.group_id });
+    }
+
+    const { error } = await supabaseAdmin
+        .from('entry_orders')
+        .update({ protected_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+        .eq('group_id', row.group_id);
+    if (error) throw new Error(`entry_orders update failed: ${error.message}`);
+}
+
+// One user's pass: open orders first, then protection for groups with new fills.
+// Callers hold the user's cycle lock.
+async function processUserEntries(supabaseAdmin, userId) {
+    const { data: rows, error } = await supabaseAdmin
+        .from('entry_orders')
+        .select('*')
+        .eq('user_id', userId)
+        .or('status.eq.OPEN,and(protected_at.is.null,filled_qty.gt.0)');
+    if (error) throw new Error(`entry_orders load failed: ${error.message}`);
+    if (rows.length === 0) return;
+
+    const exchange = await getUserExchange(supabaseAdmin, userId);
+    const now = Date.now();
+
+    for (const row of rows.filter(r => r.status === 'OPEN')) {
+        try {
+            await followEntry(supabaseAdmin, userId, exchange, row, now);
+        } catch (err) {
+            log.error('Entry order check failed', { userId, symbol: row.symbol, orderId: row.order_id, error: err.message });
+        }
+    }
+
+    const groups = new Map();
+    const filledByGroup = new Map();
+    for (const row of rows) {
+        filledByGroup.set(row.group_id, (filledByGroup.get(row.group_id) || 0) + (parseFloat(row.filled_qty) || 0));
+        if (!row.protected_at && parseFloat(row.filled_qty) > 0 && !groups.has(row.group_id)) groups.set(row.group_id, row);
+    }
+    if (groups.size === 0) return;
+
+    const { positions } = await exchange.getAccount();
+    for (const row of groups.values()) {
+        try {
+            await protectGroup(supabaseAdmin, userId, exchange, row, positions, filledByGroup.get(row.group_id));
+        } catch (err) {
+            log.error('Entry protection failed', { userId, symbol: row.symbol, groupId: row.group_id, error: err.message });
+        }
+    }
+}
+
+// Scheduler entry point. Skips users whose trade cycle currently holds the cycle lock.
+async function processPendingEntries(supabaseAdmin) {
+    if (processingRunning) return;
+    processingRunning = true;
+
+    try {
+        const { data: rows, error } = await supabaseAdmin
+            .from('entry_orders')
+            .select('user_id')
+            .or('status.eq.OPEN,and(protected_at.is.null,filled_qty.gt.0)');
+        if (error) throw new Error(`entry_orders scan failed: ${error.message}`);
+
+        for (const userId of new Set((rows || []).map(r => r.user_id))) {
+            try {
+                const { acquired } = await withCycleLock(supabaseAdmin, userId, () => processUserEntries(supabaseAdmin, userId));
+                if (!acquired) log.debug('Cycle in flight, skipping this pass', { userId });
+            } catch (err) {
+                log.error('Entry pass failed', { userId, error: err.message });
+            }
+        }
+    } finally {
+        processingRunning = false;
+    }
+}
+
+module.exports = { placeEntryOrders, listPendingEntries, cancelPendingEntries, processUserEntries, processPendingEntries };
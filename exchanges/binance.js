@@ -0,0 +1,306 @@
+const { createBinanceClient } = require('./binanceClient');
+const { createLogger } = require('../logger');
+
+const log = createLogger('Binance API');
+
+// Binance USDT-M Futures adapter
+const BASE_URLS = {
+    testnet: 'https://testnet.binancefuture.com',
+    mainnet: 'https://fapi.binance.com'
+};
+
+const STREAM_URLS = {
+    testnet: 'wss://stream.binancefuture.com',
+    mainnet: 'wss://fstream.binance.com'
+};
+
+// Position mode per account; it only changes when the user switches it in Binance, and never with open positions
+const POSITION_MODE_CACHE_MS = 5 * 60 * 1000;
+const positionModes = new Map(); // client.accountKey -> { mode, expiresAt }
+
+// Klines request weight by limit
+function klinesWeight(limit) {
+    if (limit < 100) return 1;
+    if (limit < 500) return 2;
+    return limit <= 1000 ? 5 : 10;
+}
+
+function createBinanceAdapter({ env = 'testnet', apiKey = null, secretKey = null } = {}) {
+    const baseUrl = BASE_URLS[env];
+    if (!baseUrl) throw new Error(`Unknown Binance environment: ${env}`);
+
+    // Throttling, retries and error tagging live in binanceClient.js
+    const client = createBinanceClient({ baseUrl, apiKey, secretKey });
+
+    async function getAccount() {
+        const accountData = await client.signed('GET', '/fapi/v2/account', {}, { weight: 5 });
+
+        const balances = (accountData.assets || []).filter(b =>
+            parseFloat(b.walletBalance) > 0 || parseFloat(b.marginBalance) > 0
+        ).map(b => ({
+            asset: b.asset,
+            free: b.walletBalance,
+            locked: b.maintMargin
+        }));
+
+        const positions = (accountData.positions || []).filter(p =>
+            parseFloat(p.positionAmt) !== 0
+        ).map(p => ({
+            symbol: p.symbol,
+            positionAmt: p.positionAmt,
+            entryPrice: p.entryPrice,
+            markPrice: p.markPrice || 0,
+            unrealizedProfit: p.unrealizedProfit,
+            leverage: p.leverage,
+            positionSide: p.positionSide
+        }));
+
+        return { balances, positions };
+    }
+
+    // Full exchangeInfo normalized to the shape used by symbolRules.js
+    async function getExchangeInfo() {
+        const data = await client.request('GET', '/fapi/v1/exchangeInfo');
+        client.updateRateLimits(data.rateLimits);
+
+        return data.symbols.map(s => {
+            const filter = (type) => s.filters.find(f => f.filterType === type) || {};
+            const lotSize = filter('LOT_SIZE');
+            const marketLotSize = filter('MARKET_LOT_SIZE');
+            const priceFilter = filter('PRICE_FILTER');
+            const minNotional = filter('MIN_NOTIONAL');
+
+            return {
+                symbol: s.symbol,
+                status: s.status,
+                lotSize: {
+                    minQty: parseFloat(lotSize.minQty),
+                    maxQty: parseFloat(lotSize.maxQty),
+                    stepSize: parseFloat(lotSize.stepSize)
+                },
+                marketLotSize: {
+                    minQty: parseFloat(marketLotSize.minQty),
+                    maxQty: parseFloat(marketLotSize.maxQty),
+                    stepSize: parseFloat(marketLotSize.stepSize)
+                },
+                priceFilter: {
+                    minPrice: parseFloat(priceFilter.minPrice),
+                    maxPrice: parseFloat(priceFilter.maxPrice),
+                    tickSize: parseFloat(priceFilter.tickSize)
+                },
+                minNotional: parseFloat(minNotional.notional) || 0,
+                maxLeverage: null // Only available through the signed leverageBracket endpoint
+            };
+        });
+    }
+
+    // Signed: { SYMBOL: maxInitialLeverage } for every symbol
+    async function getLeverageBrackets() {
+        const data = await client.signed('GET', '/fapi/v1/leverageBracket');
+
+        return Object.fromEntries(data.map(entry => [
+            entry.symbol,
+            Math.max(...entry.brackets.map(b => b.initialLeverage))
+        ]));
+    }
+
+    // Get current market price for a symbol
+    async function getMarketPrice(symbol) {
+        try {
+            const data = await client.request('GET', '/fapi/v1/ticker/price', { symbol });
+            return parseFloat(data.price);
+        } catch (error) {
+            log.error('Failed to fetch market price', { symbol, error });
+            return 0;
+        }
+    }
+
+    // Sum of REALIZED_PNL income since 00:00 UTC
+    async function getDailyRealizedPnl() {
+        const startOfDay = new Date();
+        startOfDay.setUTCHours(0, 0, 0, 0);
+        const data = await client.signed('GET', '/fapi/v1/income', {
+            incomeType: 'REALIZED_PNL',
+            startTime: startOfDay.getTime(),
+            limit: 1000
+        }, { weight: 30 });
+
+        return data.reduce((sum, entry) => sum + parseFloat(entry.income), 0);
+    }
+
+    // 'hedge' when the account holds separate LONG and SHORT positions per symbol (dualSidePosition)
+    async function getPositionMode() {
+        const cached = positionModes.get(client.accountKey);
+        if (cached && cached.expiresAt > Date.now()) return cached.mode;
+
+        const data = await client.signed('GET', '/fapi/v1/positionSide/dual', {}, { weight: 30 });
+        const mode = data.dualSidePosition ? 'hedge' : 'oneway';
+        positionModes.set(client.accountKey, { mode, expiresAt: Date.now() + POSITION_MODE_CACHE_MS });
+        return mode;
+    }
+
+    async function getOrder(symbol, orderId) {
+        const data = await client.signed('GET', '/fapi/v1/order', { symbol, orderId });
+
+        return {
+            orderId: data.orderId,
+            symbol: data.symbol,
+            status: data.status,
+            side: data.side,
+            positionSide: data.positionSide,
+            type: data.origType || data.type,
+            clientOrderId: data.clientOrderId,
+            avgPrice: parseFloat(data.avgPrice),
+            executedQty: parseFloat(data.executedQty),
+            updateTime: data.updateTime,
+            reduceOnly: Boolean(data.reduceOnly || data.closePosition)
+        };
+    }
+
+    // Account fills for a symbol, either for one order or since startTime (Binance caps the window at 7 days)
+    async function getUserTrades(symbol, { startTime, orderId } = {}) {
+        const params = { symbol, limit: 1000 };
+        if (orderId) params.orderId = orderId;
+        else if (startTime) params.startTime = Math.max(startTime, Date.now() - 7 * 24 * 60 * 60 * 1000 + 60000);
+
+        const data = await client.signed('GET', '/fapi/v1/userTrades', params, { weight: 5 });
+
+        return data.map(t => ({
+            orderId: t.orderId,
+            symbol: t.symbol,
+            side: t.side,
+            positionSide: t.positionSide,
+            price: parseFloat(t.price),
+            qty: parseFloat(t.qty),
+            commission: parseFloat(t.commission),
+            realizedPnl: parseFloat(t.realizedPnl),
+            time: t.time
+        }));
+    }
+
+    async function setLeverage(symbol, leverage) {
+        return client.signed('POST', '/fapi/v1/leverage', { symbol, leverage });
+    }
+
+    // positionSide (LONG/SHORT) only in hedge mode, where Binance rejects reduceOnly: the side already says what closes
+    async function placeMarketOrder({ symbol, side, quantity, clientOrderId, reduceOnly = false, positionSide = null }) {
+        return client.signed('POST', '/fapi/v1/order', {
+            symbol,
+            side,
+            type: 'MARKET',
+            quantity,
+            newClientOrderId: clientOrderId,
+            ...(positionSide ? { positionSide } : reduceOnly ? { reduceOnly: 'true' } : {})
+        }, { order: true });
+    }
+
+    // Resting entry order: GTC, or GTX (post-only; Binance rejects it if it would execute on arrival)
+    async function placeLimitOrder({ symbol, side, quantity, price, postOnly = false, clientOrderId, positionSide = null }) {
+        return client.signed('POST', '/fapi/v1/order', {
+            symbol,
+            side,
+            type: 'LIMIT',
+            timeInForce: postOnly ? 'GTX' : 'GTC',
+            quantity,
+            price,
+            newClientOrderId: clientOrderId,
+            ...(positionSide ? { positionSide } : {})
+        }, { order: true });
+    }
+
+    async function cancelOrder(symbol, orderId) {
+        return client.signed('DELETE', '/fapi/v1/order', { symbol, orderId });
+    }
+
+    // Close-position conditional order (STOP_MARKET / TAKE_PROFIT_MARKET) via the algo order endpoint.
+    // Binance rejections come back as the error body ({ code, msg }) rather than thrown: the entry has
+    // already filled, and callers check the response for an algoId.
+    async function placeConditionalOrder({ symbol, side, type, triggerPrice, clientAlgoId, positionSide = null }) {
+        try {
+            return await client.signed('POST', '/fapi/v1/algoOrder', {
+                symbol,
+                side,
+                ...(positionSide ? { positionSide } : {}),
+                algoType: 'CONDITIONAL',
+                type,
+                triggerPrice,
+                closePosition: true,
+                newClientOrderId: clientAlgoId
+            }, { order: true });
+        } catch (error) {
+            if (error.body) return error.body;
+            throw error;
+        }
+    }
+
+    // All symbols when symbol is omitted
+    async function getOpenConditionalOrders(symbol) {
+        const data = await client.signed('GET', '/fapi/v1/openAlgoOrders', symbol ? { symbol } : {}, { weight: symbol ? 1 : 40 });
+
+        const orders = Array.isArray(data) ? data : data.orders || [];
+        return orders.map(o => ({
+            algoId: o.algoId,
+            clientAlgoId: o.clientAlgoId,
+            symbol: o.symbol,
+            side: o.side,
+            positionSide: o.positionSide,
+            type: o.orderType || o.type,
+            triggerPrice: parseFloat(o.triggerPrice)
+        }));
+    }
+
+    async function cancelConditionalOrder({ symbol, algoId }) {
+        return client.signed('DELETE', '/fapi/v1/algoOrder', { symbol, algoId });
+    }
+
+    // Oldest first: [{ openTime, open, high, low, close, volume }]
+    async function getKlines(symbol, interval, limit = 100) {
+        const data = await client.request('GET', '/fapi/v1/klines', { symbol, interval, limit }, { weight: klinesWeight(limit) });
+
+        return data.map(k => ({
+            openTime: k[0],
+            open: parseFloat(k[1]),
+            high: parseFloat(k[2]),
+            low: parseFloat(k[3]),
+            close: parseFloat(k[4]),
+            volume: parseFloat(k[5])
+        }));
+    }
+
+    // User-data stream listenKey: API key header only, no signature
+    function listenKeyRequest(method) {
+        return client.request(method, '/fapi/v1/listenKey', {}, { keyed: true });
+    }
+
+    const userStream = {
+        createListenKey: async () => (await listenKeyRequest('POST')).listenKey,
+        keepAliveListenKey: () => listenKeyRequest('PUT'),
+        closeListenKey: () => listenKeyRequest('DELETE'),
+        url: (listenKey) => `${STREAM_URLS[env]}/ws/${listenKey}`
+    };
+
+    return {
+        name: 'binance',
+        env,
+        marketKey: `binance:${env}`,
+        getAccount,
+        getExchangeInfo,
+        getLeverageBrackets: apiKey ? getLeverageBrackets : null,
+        getMarketPrice,
+        getDailyRealizedPnl,
+        getPositionMode,
+        getOrder,
+        getUserTrades,
+        setLeverage,
+        placeMarketOrder,
+        placeLimitOrder,
+        cancelOrder,
+        placeConditionalOrder,
+        getOpenConditionalOrders,
+        cancelConditionalOrder,
+        getKlines,
+        userStream: apiKey ? userStream : null
+    };
+}
+
+module.exports = { createBinanceAdapter };
@@ -0,0 +1,288 @@
+const crypto = require('crypto');
+const { instrumentFetch } = require('../metrics');
+const { createLogger } = require('../logger');
+
+const fetch = instrumentFetch('binance', require('node-fetch'));
+const log = createLogger('Binance API');
+
+// Shared REST client for Binance USDT-M futures, used by every adapter instance:
+//   - signed requests are timestamped with the offset to /fapi/v1/time, resynced every TIME_SYNC_MS and
+//     right after a -1021 rejection (that request is then sent once more)
+//   - request weight (X-MBX-USED-WEIGHT-1M, per IP) and order counts (X-MBX-ORDER-COUNT-10S/1M, per
+//     account) are tracked from response headers; a request that would cross THROTTLE_RATIO of a limit
+//     waits for the next window instead
+//   - 429 pauses all requests to the host for Retry-After; 418 (IP ban) fails fast until the ban lifts
+//   - GETs are retried with backoff on network errors, timeouts, 5xx, 429 and retryable codes; other
+//     methods are not, since Binance may have executed them
+// Errors carry code (Binance error code, or TIMEOUT / NETWORK / BANNED / HTTP_<status>), httpStatus,
+// retryable (safe to send again) and body (the parsed error response, when there was one).
+
+const RECV_WINDOW = parseInt(process.env.BINANCE_RECV_WINDOW || '5000', 10);
+const REQUEST_TIMEOUT_MS = parseInt(process.env.BINANCE_TIMEOUT_MS || '10000', 10);
+const TIME_SYNC_MS = 15 * 60 * 1000;
+const THROTTLE_RATIO = 0.9;
+const MAX_GET_ATTEMPTS = 3;
+const RETRY_BASE_MS = 500;
+const DEFAULT_RETRY_AFTER_MS = 5000;
+
+// Defaults until exchangeInfo's rateLimits are seen
+const DEFAULT_LIMITS = { weight1m: 2400, orders10s: 300, orders1m: 1200 };
+
+// Rejected before execution: safe to send again whatever the method
+const REJECTED_CODES = new Set([-1003, -1008, -1021]);
+// Server-side failures where a GET can simply be repeated
+const RETRYABLE_CODES = new Set([-1000, -1001, -1003, -1006, -1007, -1008, -1021]);
+
+const hosts = new Map();    // baseUrl -> { timeOffset, timeSyncedAt, timeSync, limits, weight, pausedUntil, bannedUntil }
+const accounts = new Map(); // baseUrl + API key hash -> { orders10s, orders1m }
+
+function binanceError(message, { code = null, httpStatus = null, retryable = false, body = null, retryAfterMs = null } = {}) {
+    const error = new Error(message);
+    error.venue = 'binance';
+    error.code = code;
+    error.httpStatus = httpStatus;
+    error.retryable = retryable;
+    error.body = body;
+    if (retryAfterMs !== null) error.retryAfterMs = retryAfterMs;
+    return error;
+}
+
+function isRetryable(method, httpStatus, code) {
+    if (httpStatus === 418) return false;
+    if (httpStatus === 429 || REJECTED_CODES.has(code)) return true;
+    if (method !== 'GET') return false;
+    return httpStatus >= 500 || RETRYABLE_CODES.has(code);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Usage within fixed clock windows (Binance resets counters on window boundaries)
+function windowCounter(sizeMs) {
+    return { sizeMs, window: -1, used: 0 };
+}
+
+function usedIn(counter, now) {
+    return Math.floor(now / counter.sizeMs) === counter.window ? counter.used : 0;
+}
+
+function setUsed(counter, now, used) {
+    counter.window = Math.floor(now / counter.sizeMs);
+    counter.used = used;
+}
+
+function msToNextWindow(counter, now) {
+    return (Math.floor(now / counter.sizeMs) + 1) * counter.sizeMs - now;
+}
+
+function getHost(baseUrl) {
+    if (!hosts.has(baseUrl)) {
+        hosts.set(baseUrl, {
+            timeOffset: 0,
+            timeSyncedAt: 0,
+            timeSync: null,
+            limits: { ...DEFAULT_LIMITS },
+            weight: windowCounter(60 * 1000),
+            pausedUntil: 0,
+            bannedUntil: 0
+        });
+    }
+    return hosts.get(baseUrl);
+}
+
+function accountKeyFor(baseUrl, apiKey) {
+    return `${baseUrl}:${crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 16)}`;
+}
+
+function getAccount(accountKey) {
+    if (!accounts.has(accountKey)) {
+        accounts.set(accountKey, { orders10s: windowCounter(10 * 1000), orders1m: windowCounter(60 * 1000) });
+    }
+    return accounts.get(accountKey);
+}
+
+function serverNow(host) {
+    return Date.now() + host.timeOffset;
+}
+
+function retryAfterMs(headers) {
+    const seconds = parseInt(headers.get('retry-after'), 10);
+    return Number.isFinite(seconds) ? seconds * 1000 : DEFAULT_RETRY_AFTER_MS;
+}
+
+function recordUsage(host, account, headers) {
+    const now = serverNow(host);
+    const weight = parseInt(headers.get('x-mbx-used-weight-1m'), 10);
+    if (Number.isFinite(weight)) setUsed(host.weight, now, weight);
+    if (!account) return;
+    const orders10s = parseInt(headers.get('x-mbx-order-count-10s'), 10);
+    const orders1m = parseInt(headers.get('x-mbx-order-count-1m'), 10);
+    if (Number.isFinite(orders10s)) setUsed(account.orders10s, now, orders10s);
+    if (Number.isFinite(orders1m)) setUsed(account.orders1m, now, orders1m);
+}
+
+async function syncTime(baseUrl, host) {
+    if (!host.timeSync) {
+        host.timeSync = (async () => {
+            const sentAt = Date.now();
+            const response = await fetch(`${baseUrl}/fapi/v1/time`, { timeout: REQUEST_TIMEOUT_MS });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const { serverTime } = await response.json();
+            const receivedAt = Date.now();
+            host.timeOffset = serverTime - Math.round((sentAt + receivedAt) / 2);
+            host.timeSyncedAt = receivedAt;
+            recordUsage(host, null, response.headers);
+            log.debug('Server time synced', { baseUrl, offsetMs: host.timeOffset });
+        })().catch(error => {
+            // Keep signing with the previous offset; -1021 rejections force another attempt
+            log.warn('Server time sync failed', { baseUrl, error: error.message });
+        }).finally(() => {
+            host.timeSync = null;
+        });
+    }
+    return host.timeSync;
+}
+
+// Waits until the request fits under the host's weight limit and the account's order limits
+async function throttle(host, account, weight) {
+    for (;;) {
+        if (host.bannedUntil > Date.now()) {
+            const remaining = host.bannedUntil - Date.now();
+            throw binanceError(`Binance API Error: IP banned for another ${Math.ceil(remaining / 1000)}s`, {
+                code: 'BANNED', httpStatus: 418, retryAfterMs: remaining
+            });
+        }
+
+        const now = serverNow(host);
+        let waitMs = Math.max(0, host.pausedUntil - Date.now());
+        if (usedIn(host.weight, now) + weight > host.limits.weight1m * THROTTLE_RATIO) {
+            waitMs = Math.max(waitMs, msToNextWindow(host.weight, now));
+        }
+        if (account && usedIn(account.orders10s, now) + 1 > host.limits.orders10s * THROTTLE_RATIO) {
+            waitMs = Math.max(waitMs, msToNextWindow(account.orders10s, now));
+        }
+        if (account && usedIn(account.orders1m, now) + 1 > host.limits.orders1m * THROTTLE_RATIO) {
+            waitMs = Math.max(waitMs, msToNextWindow(account.orders1m, now));
+        }
+
+        if (waitMs <= 0) {
+            // Count the request now so concurrent callers see it before its response headers arrive
+            setUsed(host.weight, now, usedIn(host.weight, now) + weight);
+            if (account) {
+                setUsed(account.orders10s, now, usedIn(account.orders10s, now) + 1);
+                setUsed(account.orders1m, now, usedIn(account.orders1m, now) + 1);
+            }
+            return;
+        }
+        log.info('Throttling request', { waitMs, usedWeight: usedIn(host.weight, now), weightLimit: host.limits.weight1m });
+        await sleep(waitMs + 50);
+    }
+}
+
+function createBinanceClient({ baseUrl, apiKey = null, secretKey = null }) {
+    const host = getHost(baseUrl);
+    const accountKey = apiKey ? accountKeyFor(baseUrl, apiKey) : null;
+    const account = accountKey ? getAccount(accountKey) : null;
+
+    async function send(method, path, params, { signed, keyed, weight, order, timeout }) {
+        if (signed && Date.now() - host.timeSyncedAt > TIME_SYNC_MS) await syncTime(baseUrl, host);
+        await throttle(host, order ? account : null, weight);
+
+        let query = Object.entries(params)
+            .map(([key, value]) => `${key}=${value}`)
+            .join('&');
+        if (signed) {
+            query = [query, `timestamp=${serverNow(host)}`, `recvWindow=${RECV_WINDOW}`].filter(Boolean).join('&');
+            query += `&signature=${crypto.createHmac('sha256', secretKey).update(query).digest('hex')}`;
+        }
+
+        let response;
+        try {
+            response = await fetch(`${baseUrl}${path}${query ? `?${query}` : ''}`, {
+                method,
+                headers: signed || keyed ? { 'X-MBX-APIKEY': apiKey } : {},
+                timeout
+            });
+        } catch (error) {
+            const code = error.type === 'request-timeout' ? 'TIMEOUT' : 'NETWORK';
+            throw binanceError(`Binance API Error: ${method} ${path} failed (${error.message})`, { code, retryable: method === 'GET' });
+        }
+        recordUsage(host, order ? account : null, response.headers);
+
+        const text = await response.text();
+        let data = null;
+        try {
+            data = text ? JSON.parse(text) : null;
+        } catch {
+            // Gateway errors and maintenance pages are HTML
+        }
+        if (response.ok && data !== null) return data;
+
+        if (response.status === 418) {
+            host.bannedUntil = Date.now() + retryAfterMs(response.headers);
+            log.error('IP banned by Binance', { baseUrl, until: new Date(host.bannedUntil).toISOString() });
+        } else if (response.status === 429) {
+            host.pausedUntil = Math.max(host.pausedUntil, Date.now() + retryAfterMs(response.headers));
+            log.warn('Rate limited by Binance, pausing', { baseUrl, until: new Date(host.pausedUntil).toISOString() });
+        }
+
+        const code = typeof data?.code === 'number' ? data.code : `HTTP_${response.status}`;
+        const message = data?.msg
+            ? `Binance API Error: ${data.msg} (Code: ${data.code})`
+            : `Binance API Error: ${method} ${path} HTTP ${response.status}${response.ok ? ' (invalid JSON)' : ''}`;
+        throw binanceError(message, {
+            code,
+            httpStatus: response.status,
+            retryable: isRetryable(method, response.status, code),
+            body: data,
+            retryAfterMs: [418, 429].includes(response.status) ? retryAfterMs(response.headers) : null
+        });
+    }
+
+    // options: signed, keyed (API key header without a signature), weight, order (counts against order limits), timeout
+    async function request(method, path, params = {}, options = {}) {
+        const opts = { signed: false, keyed: false, weight: 1, order: false, timeout: REQUEST_TIMEOUT_MS, ...options };
+        const maxAttempts = method === 'GET' ? MAX_GET_ATTEMPTS : 1;
+        let attempts = 0;
+        let resynced = false;
+
+        for (;;) {
+            attempts++;
+            try {
+                return await send(method, path, params, opts);
+            } catch (error) {
+                if (error.code === -1021 && opts.signed && !resynced) {
+                    resynced = true;
+                    attempts--;
+                    host.timeSyncedAt = 0;
+                    await syncTime(baseUrl, host);
+                    continue;
+                }
+                if (!error.retryable || attempts >= maxAttempts) throw error;
+
+                const delay = error.httpStatus === 429 ? 0 : RETRY_BASE_MS * 2 ** (attempts - 1); // 429 waits in throttle()
+                log.warn('Retrying request', { method, path, attempt: attempts, code: error.code, delayMs: delay });
+                await sleep(delay);
+            }
+        }
+    }
+
+    // exchangeInfo.rateLimits -> limits used for throttling
+    function updateRateLimits(rateLimits = []) {
+        for (const limit of rateLimits) {
+            const seconds = { SECOND: 1, MINUTE: 60 }[limit.interval] * limit.intervalNum;
+            if (limit.rateLimitType === 'REQUEST_WEIGHT' && seconds === 60) host.limits.weight1m = limit.limit;
+            if (limit.rateLimitType === 'ORDERS' && seconds === 10) host.limits.orders10s = limit.limit;
+            if (limit.rateLimitType === 'ORDERS' && seconds === 60) host.limits.orders1m = limit.limit;
+        }
+    }
+
+    return {
+        request,
+        signed: (method, path, params, options) => request(method, path, params, { ...options, signed: true }),
+        updateRateLimits,
+        serverTime: () => serverNow(host),
+        accountKey // identifies the account across adapter instances without exposing the API key
+    };
+}
+
+module.exports = { createBinanceClient, binanceError, isRetryable };
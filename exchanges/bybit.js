@@ -0,0 +1,370 @@
+const crypto = require('crypto');
+const { instrumentFetch } = require('../metrics');
+const { createLogger } = require('../logger');
+
+const fetch = instrumentFetch('bybit', require('node-fetch'));
+const log = createLogger('Bybit API');
+
+// Bybit V5 USDT perpetuals (category=linear) adapter.
+// Returns the same shapes as the Binance adapter so the trade flow stays venue-agnostic.
+const BASE_URLS = {
+    testnet: 'https://api-testnet.bybit.com',
+    mainnet: 'https://api.bybit.com'
+};
+
+const RECV_WINDOW = 5000;
+const LEVERAGE_NOT_MODIFIED = 110043;
+
+function createBybitAdapter({ env = 'testnet', apiKey = null, secretKey = null } = {}) {
+    const baseUrl = BASE_URLS[env];
+    if (!baseUrl) throw new Error(`Unknown Bybit environment: ${env}`);
+
+    // V5 signature: HMAC_SHA256(timestamp + apiKey + recvWindow + (queryString | jsonBody))
+    async function signedRequest(method, path, params = {}) {
+        const timestamp = Date.now().toString();
+        const isGet = method === 'GET';
+        const query = isGet ? new URLSearchParams(params).toString() : '';
+        const body = isGet ? '' : JSON.stringify(params);
+        const signature = crypto
+            .createHmac('sha256', secretKey)
+            .update(timestamp + apiKey + RECV_WINDOW + (isGet ? query : body))
+            .digest('hex');
+
+        const response = await fetch(`${baseUrl}${path}${query ? `?${query}` : ''}`, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                'X-BAPI-API-KEY': apiKey,
+                'X-BAPI-TIMESTAMP': timestamp,
+                'X-BAPI-RECV-WINDOW': RECV_WINDOW.toString(),
+                'X-BAPI-SIGN': signature
+            },
+            body: isGet ? undefined : body,
+            timeout: 10000
+        });
+        const data = await response.json();
+        return { ok: response.ok && data.retCode === 0, data };
+    }
+
+    async function publicRequest(path, params) {
+        const response = await fetch(`${baseUrl}${path}?${new URLSearchParams(params).toString()}`);
+        const data = await response.json();
+        if (data.retCode !== 0) throw new Error(`Bybit API Error: ${data.retMsg} (Code: ${data.retCode})`);
+        return data.result;
+    }
+
+    async function getAccount() {
+        const wallet = await signedRequest('GET', '/v5/account/wallet-balance', { accountType: 'UNIFIED' });
+        if (!wallet.ok) throw new Error(`Bybit API Error: ${JSON.stringify(wallet.data)} `);
+
+        const positionList = await signedRequest('GET', '/v5/position/list', { category: 'linear', settleCoin: 'USDT' });
+        if (!positionList.ok) throw new Error(`Bybit API Error: ${JSON.stringify(positionList.data)} `);
+
+        const coins = wallet.data.result?.list?.[0]?.coin || [];
+        const balances = coins.filter(c =>
+            parseFloat(c.walletBalance) > 0 || parseFloat(c.equity) > 0
+        ).map(c => ({
+            asset: c.coin,
+            free: c.walletBalance,
+            locked: c.totalPositionMM || '0'
+        }));
+
+        const positions = (positionList.data.result?.list || []).filter(p =>
+            parseFloat(p.size) !== 0
+        ).map(p => ({
+            symbol: p.symbol,
+            positionAmt: (p.side === 'Sell' ? -parseFloat(p.size) : parseFloat(p.size)).toString(),
+            entryPrice: p.avgPrice,
+            markPrice: p.markPrice || 0,
+            unrealizedProfit: p.unrealisedPnl,
+            leverage: p.leverage,
+            positionSide: p.positionIdx === 1 ? 'LONG' : p.positionIdx === 2 ? 'SHORT' : 'BOTH'
+        }));
+
+        return { balances, positions };
+    }
+
+    // All linear instruments normalized to the shape used by symbolRules.js
+    async function getExchangeInfo() {
+        const instruments = [];
+        let cursor = '';
+        do {
+            const params = { category: 'linear', limit: 1000 };
+            if (cursor) params.cursor = cursor;
+            const result = await publicRequest('/v5/market/instruments-info', params);
+            instruments.push(...(result.list || []));
+            cursor = result.nextPageCursor;
+        } while (cursor);
+
+        return instruments.map(i => ({
+            symbol: i.symbol,
+            status: i.status === 'Trading' ? 'TRADING' : i.status.toUpperCase(),
+            lotSize: {
+                minQty: parseFloat(i.lotSizeFilter.minOrderQty),
+                maxQty: parseFloat(i.lotSizeFilter.maxOrderQty),
+                stepSize: parseFloat(i.lotSizeFilter.qtyStep)
+            },
+            marketLotSize: {
+                minQty: parseFloat(i.lotSizeFilter.minOrderQty),
+                maxQty: parseFloat(i.lotSizeFilter.maxMktOrderQty || i.lotSizeFilter.maxOrderQty),
+                stepSize: parseFloat(i.lotSizeFilter.qtyStep)
+            },
+            priceFilter: {
+                minPrice: parseFloat(i.priceFilter.minPrice),
+                maxPrice: parseFloat(i.priceFilter.maxPrice),
+                tickSize: parseFloat(i.priceFilter.tickSize)
+            },
+            minNotional: parseFloat(i.lotSizeFilter.minNotionalValue) || 0,
+            maxLeverage: parseFloat(i.leverageFilter.maxLeverage)
+        }));
+    }
+
+    async function getMarketPrice(symbol) {
+        try {
+            const result = await publicRequest('/v5/market/tickers', { category: 'linear', symbol });
+            return parseFloat(result.list?.[0]?.lastPrice) || 0;
+        } catch (error) {
+            log.error('Failed to fetch market price', { symbol, error });
+            return 0;
+        }
+    }
+
+    // Sum of closed-position PnL since 00:00 UTC
+    async function getDailyRealizedPnl() {
+        const startOfDay = new Date();
+        startOfDay.setUTCHours(0, 0, 0, 0);
+
+        let total = 0;
+        let cursor = '';
+        do {
+            const params = { category: 'linear', startTime: startOfDay.getTime(), limit: 100 };
+            if (cursor) params.cursor = cursor;
+            const { ok, data } = await signedRequest('GET', '/v5/position/closed-pnl', params);
+            if (!ok) throw new Error(`Bybit API Error: ${JSON.stringify(data)}`);
+
+            total += (data.result.list || []).reduce((sum, entry) => sum + parseFloat(entry.closedPnl), 0);
+            cursor = data.result.nextPageCursor;
+        } while (cursor);
+
+        return total;
+    }
+
+    const ORDER_STATUS = {
+        New: 'NEW',
+        Untriggered: 'NEW',
+        PartiallyFilled: 'PARTIALLY_FILLED',
+        Filled: 'FILLED',
+        Cancelled: 'CANCELED',
+        PartiallyFilledCanceled: 'CANCELED',
+        Deactivated: 'CANCELED',
+        Rejected: 'REJECTED'
+    };
+
+    async function getOrder(symbol, orderId) {
+        const { ok, data } = await signedRequest('GET', '/v5/order/history', { category: 'linear', symbol, orderId });
+        if (!ok) throw new Error(`Bybit API Error: ${data.retMsg || JSON.stringify(data)} (Code: ${data.retCode})`);
+
+        // Order history can lag behind for resting orders; open ones are always in the realtime list
+        let order = data.result.list?.[0];
+        if (!order) {
+            const open = await signedRequest('GET', '/v5/order/realtime', { category: 'linear', symbol, orderId });
+            if (!open.ok) throw new Error(`Bybit API Error: ${open.data.retMsg || JSON.stringify(open.data)} (Code: ${open.data.retCode})`);
+            order = open.data.result.list?.[0];
+        }
+        if (!order) throw new Error(`Bybit API Error: order ${orderId} not found`);
+
+        let type = order.orderType.toUpperCase();
+        if (order.stopOrderType === 'StopLoss') type = 'STOP_MARKET';
+        else if (order.stopOrderType === 'TakeProfit') type = 'TAKE_PROFIT_MARKET';
+
+        return {
+            orderId: order.orderId,
+            symbol: order.symbol,
+            status: ORDER_STATUS[order.orderStatus] || order.orderStatus.toUpperCase(),
+            side: order.side.toUpperCase(),
+            type,
+            clientOrderId: order.orderLinkId,
+            avgPrice: parseFloat(order.avgPrice) || 0,
+            executedQty: parseFloat(order.cumExecQty) || 0,
+            updateTime: parseInt(order.updatedTime, 10),
+            reduceOnly: Boolean(order.reduceOnly || order.closeOnTrigger)
+        };
+    }
+
+    // Executions carry no PnL on Bybit, so realized PnL is joined in from closed-pnl by orderId
+    async function getUserTrades(symbol, { startTime, orderId } = {}) {
+        const params = { category: 'linear', symbol, limit: 100 };
+        if (orderId) params.orderId = orderId;
+        else if (startTime) params.startTime = startTime;
+
+        const executions = await signedRequest('GET', '/v5/execution/list', params);
+        if (!executions.ok) throw new Error(`Bybit API Error: ${JSON.stringify(executions.data)}`);
+
+        const closedParams = { category: 'linear', symbol, limit: 100 };
+        if (startTime) closedParams.startTime = startTime;
+        const closed = await signedRequest('GET', '/v5/position/closed-pnl', closedParams);
+        if (!closed.ok) throw new Error(`Bybit API Error: ${JSON.stringify(closed.data)}`);
+
+        const pnlByOrder = {};
+        for (const entry of closed.data.result.list || []) {
+            pnlByOrder[entry.orderId] = (pnlByOrder[entry.orderId] || 0) + parseFloat(entry.closedPnl);
+        }
+
+        return (executions.data.result.list || []).map(e => {
+            const realizedPnl = pnlByOrder[e.orderId] || 0;
+            delete pnlByOrder[e.orderId]; // Attribute the order's PnL to its first execution only
+            return {
+                orderId: e.orderId,
+                symbol: e.symbol,
+                side: e.side.toUpperCase(),
+                price: parseFloat(e.execPrice),
+                qty: parseFloat(e.execQty),
+                commission: parseFloat(e.execFee),
+                realizedPnl,
+                time: parseInt(e.execTime, 10)
+            };
+        });
+    }
+
+    async function setLeverage(symbol, leverage) {
+        const { ok, data } = await signedRequest('POST', '/v5/position/set-leverage', {
+            category: 'linear',
+            symbol,
+            buyLeverage: leverage.toString(),
+            sellLeverage: leverage.toString()
+        });
+        if (!ok && data.retCode !== LEVERAGE_NOT_MODIFIED) throw new Error(`Bybit API Error: ${JSON.stringify(data)}`);
+        return { symbol, leverage };
+    }
+
+    async function placeMarketOrder({ symbol, side, quantity, clientOrderId, reduceOnly = false }) {
+        const { ok, data } = await signedRequest('POST', '/v5/order/create', {
+            category: 'linear',
+            symbol,
+            side: side === 'BUY' ? 'Buy' : 'Sell',
+            orderType: 'Market',
+            qty: quantity.toString(),
+            orderLinkId: clientOrderId,
+            ...(reduceOnly ? { reduceOnly: true } : {})
+        });
+
+        if (!ok) {
+            throw new Error(`Bybit API Error: ${data.retMsg || JSON.stringify(data)} (Code: ${data.retCode})`);
+        }
+        return { ...data.result, symbol, side, status: 'NEW' };
+    }
+
+    async function placeLimitOrder({ symbol, side, quantity, price, postOnly = false, clientOrderId }) {
+        const { ok, data } = await signedRequest('POST', '/v5/order/create', {
+            category: 'linear',
+            symbol,
+            side: side === 'BUY' ? 'Buy' : 'Sell',
+            orderType: 'Limit',
+            qty: quantity.toString(),
+            price: price.toString(),
+            timeInForce: postOnly ? 'PostOnly' : 'GTC',
+            orderLinkId: clientOrderId
+        });
+
+        if (!ok) {
+            throw new Error(`Bybit API Error: ${data.retMsg || JSON.stringify(data)} (Code: ${data.retCode})`);
+        }
+        return { ...data.result, symbol, side, status: 'NEW' };
+    }
+
+    async function cancelOrder(symbol, orderId) {
+        const { ok, data } = await signedRequest('POST', '/v5/order/cancel', { category: 'linear', symbol, orderId });
+        if (!ok) throw new Error(`Bybit API Error: ${data.retMsg || JSON.stringify(data)} (Code: ${data.retCode})`);
+        return data.result;
+    }
+
+    // Bybit's equivalent of a closePosition=true stop is the position-level (Full) TP/SL
+    async function placeConditionalOrder({ symbol, type, triggerPrice, clientAlgoId }) {
+        const field = type === 'STOP_MARKET' ? 'stopLoss' : 'takeProfit';
+        const { data } = await signedRequest('POST', '/v5/position/trading-stop', {
+            category: 'linear',
+            symbol,
+            tpslMode: 'Full',
+            positionIdx: 0,
+            [field]: triggerPrice.toString()
+        });
+        return { ...data, clientAlgoId };
+    }
+
+    // Position-level TP/SL show up as pseudo orders; their algoId names the field to clear on cancel
+    async function getOpenConditionalOrders(symbol) {
+        const params = symbol ? { category: 'linear', symbol } : { category: 'linear', settleCoin: 'USDT' };
+        const { ok, data } = await signedRequest('GET', '/v5/position/list', params);
+        if (!ok) throw new Error(`Bybit API Error: ${data.retMsg || JSON.stringify(data)} (Code: ${data.retCode})`);
+
+        const orders = [];
+        for (const p of data.result.list || []) {
+            if (parseFloat(p.size) === 0) continue;
+            const closeSide = p.side === 'Buy' ? 'SELL' : 'BUY';
+            if (parseFloat(p.stopLoss) > 0) {
+                orders.push({ algoId: 'stopLoss', clientAlgoId: null, positionLevel: true, symbol: p.symbol, side: closeSide, type: 'STOP_MARKET', triggerPrice: parseFloat(p.stopLoss) });
+            }
+            if (parseFloat(p.takeProfit) > 0) {
+                orders.push({ algoId: 'takeProfit', clientAlgoId: null, positionLevel: true, symbol: p.symbol, side: closeSide, type: 'TAKE_PROFIT_MARKET', triggerPrice: parseFloat(p.takeProfit) });
+            }
+        }
+        return orders;
+    }
+
+    // Setting a position-level TP/SL to 0 removes it
+    async function cancelConditionalOrder({ symbol, algoId }) {
+        const { ok, data } = await signedRequest('POST', '/v5/position/trading-stop', {
+            category: 'linear',
+            symbol,
+            tpslMode: 'Full',
+            positionIdx: 0,
+            [algoId]: '0'
+        });
+        if (!ok) throw new Error(`Bybit API Error: ${data.retMsg || JSON.stringify(data)} (Code: ${data.retCode})`);
+        return data.result;
+    }
+
+    const KLINE_INTERVALS = { '1m': '1', '5m': '5', '15m': '15', '30m': '30', '1h': '60', '4h': '240', '1d': 'D' };
+
+    // Oldest first (Bybit returns newest first): [{ openTime, open, high, low, close, volume }]
+    async function getKlines(symbol, interval, limit = 100) {
+        const result = await publicRequest('/v5/market/kline', {
+            category: 'linear',
+            symbol,
+            interval: KLINE_INTERVALS[interval] || interval,
+            limit
+        });
+        return (result.list || []).map(k => ({
+            openTime: parseInt(k[0], 10),
+            open: parseFloat(k[1]),
+            high: parseFloat(k[2]),
+            low: parseFloat(k[3]),
+            close: parseFloat(k[4]),
+            volume: parseFloat(k[5])
+        })).reverse();
+    }
+
+    return {
+        name: 'bybit',
+        env,
+        marketKey: `bybit:${env}`,
+        getAccount,
+        getExchangeInfo,
+        getLeverageBrackets: null, // maxLeverage already comes with instruments-info
+        getMarketPrice,
+        getDailyRealizedPnl,
+        getOrder,
+        getUserTrades,
+        setLeverage,
+        placeMarketOrder,
+        placeLimitOrder,
+        cancelOrder,
+        placeConditionalOrder,
+        getOpenConditionalOrders,
+        cancelConditionalOrder,
+        getKlines,
+        userStream: null // Not implemented for Bybit; reconciliation picks up its fills
+    };
+}
+
+module.exports = { createBybitAdapter };
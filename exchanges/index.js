@@ -0,0 +1,154 @@
+const { createBinanceAdapter } = require('./binance');
+const { createBybitAdapter } = require('./bybit');
+const { createPaperAdapter, processPaperTriggers } = require('./paper');
+const { decryptSecret, credentialsError, credentialsFingerprint, currentKeyVersion } = require('../credentials');
+const { notifyUser } = require('../notifications');
+const { createLogger } = require('../logger');
+require('dotenv').config();
+
+// Every venue adapter implements the same interface:
+//   name, env
+//   getAccount()                -> { balances: [{ asset, free, locked }], positions: [{ symbol, positionAmt, positionSide, ... }] }
+//                                  positionAmt is negative for shorts; positionSide is LONG/SHORT in hedge mode, else BOTH
+//   marketKey                   -> shared key for public market data (symbolRules.js caches per key)
+//   getExchangeInfo()           -> [{ symbol, status, lotSize, marketLotSize, priceFilter, minNotional, maxLeverage }]
+//   getLeverageBrackets         -> null, or signed fn returning { SYMBOL: maxLeverage }
+//   getMarketPrice(symbol)      -> number (0 when unavailable)
+//   getDailyRealizedPnl()       -> realized PnL (USDT) since 00:00 UTC
+//   getPositionMode             -> optional; fn returning 'hedge' | 'oneway' (adapters without it are one-way)
+//   getOrder(symbol, orderId)   -> { orderId, symbol, status, side, positionSide, type, clientOrderId, avgPrice, executedQty, updateTime, reduceOnly }
+//                                  reduceOnly is true for orders that can only shrink a position (reduce-only or close-position)
+//   getUserTrades(symbol, { startTime, orderId }) -> [{ orderId, symbol, side, positionSide, price, qty, commission, realizedPnl, time }]
+//   setLeverage(symbol, leverage)
+//   placeMarketOrder({ symbol, side, quantity, clientOrderId, reduceOnly, positionSide? })   -> { orderId, ... }
+//   placeLimitOrder({ symbol, side, quantity, price, postOnly, clientOrderId, positionSide? }) -> { orderId, ... }
+//   cancelOrder(symbol, orderId)
+//   placeConditionalOrder({ symbol, side, type, triggerPrice, clientAlgoId, positionSide? }) -> venue response
+//     positionSide (LONG/SHORT) is only passed in hedge mode
+//   getOpenConditionalOrders(symbol?) -> [{ algoId, clientAlgoId, symbol, side, positionSide?, type, triggerPrice, positionLevel? }], all symbols when omitted
+//   cancelConditionalOrder({ symbol, algoId })
+//   getKlines(symbol, interval, limit) -> [{ openTime, open, high, low, close, volume }], oldest first
+//   userStream                  -> null, or { createListenKey, keepAliveListenKey, closeListenKey, url(listenKey) }
+const ADAPTERS = {
+    binance: createBinanceAdapter,
+    bybit: createBybitAdapter
+};
+
+// user_settings columns holding each venue's encrypted credentials
+const KEY_COLUMNS = {
+    binance: ['binance_api_key', 'binance_secret_key'],
+    bybit: ['bybit_api_key', 'bybit_secret_key']
+};
+
+const CREDENTIAL_CACHE_MS = parseInt(process.env.CREDENTIAL_CACHE_MS || '60000', 10);
+const credentialCache = new Map(); // userId -> { fingerprint, apiKey, secretKey, expiresAt }
+
+const log = createLogger('Exchange');
+
+// Per-user credentials state in user_settings: credentials_status (ok | invalid), credentials_error,
+// credentials_fingerprint (ciphertexts + keyring the failure was seen with), credentials_checked_at.
+// The user is told once; later lookups with the same fingerprint fail fast without decrypting again.
+async function markCredentialsInvalid(supabaseAdmin, userId, fingerprint, error) {
+    const { data: marked } = await supabaseAdmin
+        .from('user_settings')
+        .update({
+            credentials_status: 'invalid',
+            credentials_error: error.message,
+            credentials_fingerprint: fingerprint,
+            credentials_checked_at: new Date().toISOString()
+        })
+        .eq('user_id', userId)
+        .or(`credentials_fingerprint.is.null,credentials_fingerprint.neq.${fingerprint}`)
+        .select('user_id');
+    if (!marked || marked.length === 0) return;
+
+    log.warn('Exchange credentials unusable', { userId, reason: error.reason, error: error.message });
+    await notifyUser(supabaseAdmin, userId, {
+        titleKey: 'notify.credentialsInvalid.title',
+        messageKey: 'notify.credentialsInvalid.message',
+        data: { event: 'CREDENTIALS_INVALID', reason: error.reason }
+    });
+}
+
+async function clearCredentialsError(supabaseAdmin, userId) {
+    await supabaseAdmin
+        .from('user_settings')
+        .update({ credentials_status: 'ok', credentials_error: null, credentials_fingerprint: null, credentials_checked_at: new Date().toISOString() })
+        .eq('user_id', userId)
+        .eq('credentials_status', 'invalid');
+}
+
+// Decrypted API key pair, cached for CREDENTIAL_CACHE_MS as long as the stored ciphertexts are unchanged
+async function getCredentials(supabaseAdmin, userId, settings, venue) {
+    const values = KEY_COLUMNS[venue].map(column => settings[column]);
+    if (!values[0] || !values[1]) throw new Error('API Keys not configured');
+
+    const fingerprint = credentialsFingerprint(values);
+    const cached = credentialCache.get(userId);
+    if (cached && cached.fingerprint === fingerprint && cached.expiresAt > Date.now()) return cached;
+
+    if (settings.credentials_status === 'invalid' && settings.credentials_fingerprint === fingerprint) {
+        throw credentialsError(settings.credentials_error || 'Stored exchange credentials cannot be decrypted', 'recorded');
+    }
+
+    let apiKey;
+    let secretKey;
+    try {
+        apiKey = await decryptSecret(values[0]);
+        secretKey = await decryptSecret(values[1]);
+    } catch (error) {
+        credentialCache.delete(userId);
+        if (error.code === 'CREDENTIALS_INVALID') await markCredentialsInvalid(supabaseAdmin, userId, fingerprint, error);
+        throw error;
+    }
+    if (settings.credentials_status === 'invalid') await clearCredentialsError(supabaseAdmin, userId);
+
+    const entry = { fingerprint, apiKey, secretKey, expiresAt: Date.now() + CREDENTIAL_CACHE_MS };
+    credentialCache.set(userId, entry);
+    return entry;
+}
+
+function invalidateCredentials(userId) {
+    credentialCache.delete(userId);
+}
+
+// LONG or SHORT: positionSide in hedge mode, the sign of positionAmt otherwise (null when flat)
+function positionSideOf(position) {
+    if (position.positionSide === 'LONG' || position.positionSide === 'SHORT') return position.positionSide;
+    const amt = parseFloat(position.positionAmt);
+    return amt > 0 ? 'LONG' : amt < 0 ? 'SHORT' : null;
+}
+
+// The symbol's open position on `side` (hedge mode can hold a LONG and a SHORT at once), or on any side
+function findPosition(positions, symbol, side = null) {
+    return positions.find(p =>
+        p.symbol === symbol && parseFloat(p.positionAmt) !== 0 && (!side || positionSideOf(p) === side)
+    ) || null;
+}
+
+// Resolves the adapter for whichever venue/environment the user has connected in user_settings.
+// Unusable credentials throw an error with code CREDENTIALS_INVALID (see credentials.js).
+async function getUserExchange(supabaseAdmin, userId) {
+    const { data: settings, error: settingsError } = await supabaseAdmin
+        .from('user_settings')
+        .select(`exchange, exchange_env, trading_mode, credentials_status, credentials_error, credentials_fingerprint, ${Object.values(KEY_COLUMNS).flat().join(', ')}`)
+        .eq('user_id', userId)
+        .single();
+
+    if (settingsError || !settings) throw new Error('API Keys not configured');
+
+    // Paper accounts never touch a real venue
+    if (settings.trading_mode === 'paper') return createPaperAdapter({ supabaseAdmin, userId });
+
+    const venue = settings.exchange || 'binance';
+    const env = settings.exchange_env || 'testnet';
+    const createAdapter = ADAPTERS[venue];
+    if (!createAdapter) throw new Error(`Unsupported exchange: ${venue}`);
+
+    if (currentKeyVersion() === null) throw new Error('Server config error: encryption key missing');
+
+    const { apiKey, secretKey } = await getCredentials(supabaseAdmin, userId, settings, venue);
+    return createAdapter({ env, apiKey, secretKey });
+}
+
+module.exports = { getUserExchange, invalidateCredentials, processPaperTriggers, positionSideOf, findPosition, KEY_COLUMNS };
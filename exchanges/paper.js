@@ -0,0 +1,519 @@
+const { createBinanceAdapter } = require('./binance');
+const { createLogger } = require('../logger');
+
+// Simulated USDT-M futures exchange for users with trading_mode = 'paper'.
+// State lives in the `paper_accounts` table, one row per user:
+//   user_id, wallet_balance, positions (jsonb), leverage (jsonb), open_orders (jsonb),
+//   realized_day (UTC date), realized_day_pnl, fills (jsonb, most recent MAX_FILL_HISTORY), updated_at
+//   version (integer, default 0) - bumped on every write. Writes compare-and-set on it (mutatePaperAccount):
+//   the cycle, processPaperTriggers and processPendingEntries change the same row concurrently.
+// Positions are netted per symbol (one-way mode) the same way Binance does it, so
+// executeTradeInternal can keep its routing logic unchanged. open_orders holds the closePosition
+// SL/TP orders (algoId) and resting LIMIT entries (orderId); both are filled by processPaperTriggers.
+
+const PAPER_STARTING_BALANCE = parseFloat(process.env.PAPER_STARTING_BALANCE || '10000');
+const TAKER_FEE_RATE = 0.0004; // Binance USDT-M default taker fee
+const MAKER_FEE_RATE = 0.0002; // ...and maker fee, for resting limit orders
+const DEFAULT_LEVERAGE = 1;
+const MAX_FILL_HISTORY = 500;
+const MAX_WRITE_ATTEMPTS = 5;
+const UNCHANGED = Symbol('unchanged'); // A mutation returning this skips the write
+const log = createLogger('Paper');
+
+// Prices and symbol rules come from a public (keyless) Binance market feed
+const market = createBinanceAdapter({ env: process.env.PAPER_MARKET_ENV || 'testnet' });
+const getMarketPrice = (symbol) => market.getMarketPrice(symbol);
+
+function utcDay() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+async function loadPaperAccount(supabaseAdmin, userId) {
+    const { data: account, error } = await supabaseAdmin
+        .from('paper_accounts')
+        .select('user_id, wallet_balance, positions, leverage, open_orders, realized_day, realized_day_pnl, fills, version')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) throw new Error(`Paper account load failed: ${error.message}`);
+    if (account) {
+        return {
+            ...account,
+            wallet_balance: parseFloat(account.wallet_balance),
+            positions: account.positions || [],
+            leverage: account.leverage || {},
+            open_orders: account.open_orders || [],
+            realized_day_pnl: parseFloat(account.realized_day_pnl) || 0,
+            fills: account.fills || [],
+            version: account.version || 0
+        };
+    }
+
+    log.info('Creating paper account', { userId, balance: PAPER_STARTING_BALANCE });
+    const fresh = {
+        user_id: userId,
+        wallet_balance: PAPER_STARTING_BALANCE,
+        positions: [],
+        leverage: {},
+        open_orders: [],
+        realized_day: utcDay(),
+        realized_day_pnl: 0,
+        fills: [],
+        version: 0
+    };
+    const { error: insertError } = await supabaseAdmin.from('paper_accounts').insert(fresh);
+    if (insertError) throw new Error(`Paper account create failed: ${insertError.message}`);
+    return fresh;
+}
+
+// Writes the account if nobody else wrote it since it was loaded; returns false on a version conflict
+async function savePaperAccount(supabaseAdmin, account) {
+    const { data, error } = await supabaseAdmin
+        .from('paper_accounts')
+        .update({
+            wallet_balance: account.wallet_balance,
+            positions: account.positions,
+            leverage: account.leverage,
+            open_orders: account.open_orders,
+            realized_day: account.realized_day,
+            realized_day_pnl: account.realized_day_pnl,
+            fills: account.fills,
+            version: account.version + 1,
+            updated_at: new Date().toISOString()
+        })
+        .eq('user_id', account.user_id)
+        .eq('version', account.version)
+        .select('user_id');
+
+    if (error) throw new Error(`Paper account save failed: ${error.message}`);
+    return data.length > 0;
+}
+
+// Load-modify-write with optimistic concurrency: mutate(account) runs on a fresh copy each attempt (it may throw
+// to reject the change, or return UNCHANGED to skip the write) and its result is returned once the write lands.
+// Market prices should be fetched before calling, so retries stay cheap.
+async function mutatePaperAccount(supabaseAdmin, userId, mutate) {
+    for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+        const account = await loadPaperAccount(supabaseAdmin, userId);
+        const result = await mutate(account);
+        if (result === UNCHANGED || await savePaperAccount(supabaseAdmin, account)) return result;
+        log.debug('Paper account changed concurrently, retrying', { userId, attempt });
+    }
+    throw new Error(`Paper account update failed: ${MAX_WRITE_ATTEMPTS} concurrent write conflicts`);
+}
+
+// Margin held by open positions and by resting LIMIT entries (at their limit price), as Binance reserves it
+function usedMargin(account) {
+    const positions = account.positions.reduce((sum, p) =>
+        sum + Math.abs(p.positionAmt) * p.entryPrice / (p.leverage || DEFAULT_LEVERAGE), 0);
+    const orders = account.open_orders
+        .filter(o => o.type === 'LIMIT')
+        .reduce((sum, o) => sum + o.quantity * o.price / (account.leverage[o.symbol] || DEFAULT_LEVERAGE), 0);
+    return positions + orders;
+}
+
+// Applies a filled quantity to the netted position and books realized PnL and fees.
+function applyFill(account, symbol, side, qty, price, feeRate = TAKER_FEE_RATE) {
+    const signedQty = side === 'BUY' ? qty : -qty;
+    const leverage = account.leverage[symbol] || DEFAULT_LEVERAGE;
+    const fee = qty * price * feeRate;
+    let realizedPnl = 0;
+
+    const index = account.positions.findIndex(p => p.symbol === symbol);
+    const pos = index >= 0 ? account.positions[index] : null;
+    const posAmt = pos ? pos.positionAmt : 0;
+
+    if (!pos || Math.sign(posAmt) === Math.sign(signedQty)) {
+        // Opening or adding: weighted-average entry
+        const newAmt = posAmt + signedQty;
+        const entryPrice = pos
+            ? (Math.abs(posAmt) * pos.entryPrice + qty * price) / Math.abs(newAmt)
+            : price;
+        const next = { symbol, positionAmt: newAmt, entryPrice, leverage };
+        if (index >= 0) account.positions[index] = next;
+        else account.positions.push(next);
+    } else {
+        // Reducing, closing or flipping
+        const closeQty = Math.min(Math.abs(posAmt), qty);
+        realizedPnl = closeQty * (price - pos.entryPrice) * Math.sign(posAmt);
+        const newAmt = posAmt + signedQty;
+
+        if (Math.abs(newAmt) < 1e-12) {
+            account.positions.splice(index, 1);
+        } else if (Math.sign(newAmt) === Math.sign(posAmt)) {
+            account.positions[index] = { ...pos, positionAmt: newAmt };
+        } else {
+            account.positions[index] = { symbol, positionAmt: newAmt, entryPrice: price, leverage };
+        }
+    }
+
+    account.wallet_balance += realizedPnl - fee;
+
+    // Daily realized PnL feeds the risk engine's daily loss limit
+    const today = utcDay();
+    if (account.realized_day !== today) {
+        account.realized_day = today;
+        account.realized_day_pnl = 0;
+    }
+    account.realized_day_pnl += realizedPnl;
+
+    return { realizedPnl, fee };
+}
+
+function newOrderId() {
+    return Date.now() * 1000 + Math.floor(Math.random() * 1000);
+}
+
+// Keeps a bounded fill history so reconciliation can read paper fills like exchange userTrades
+function recordFill(account, fill) {
+    account.fills.push({ ...fill, time: Date.now() });
+    if (account.fills.length > MAX_FILL_HISTORY) account.fills.splice(0, account.fills.length - MAX_FILL_HISTORY);
+}
+
+async function getPaperContext(supabaseAdmin, userId) {
+    const account = await loadPaperAccount(supabaseAdmin, userId);
+
+    const positions = [];
+    for (const p of account.positions) {
+        const markPrice = await getMarketPrice(p.symbol) || p.entryPrice;
+        positions.push({
+            symbol: p.symbol,
+            positionAmt: p.positionAmt.toString(),
+            entryPrice: p.entryPrice.toString(),
+            markPrice: markPrice.toString(),
+            unrealizedProfit: ((markPrice - p.entryPrice) * p.positionAmt).toString(),
+            leverage: (p.leverage || DEFAULT_LEVERAGE).toString(),
+            positionSide: 'BOTH'
+        });
+    }
+
+    const balances = account.wallet_balance > 0 ? [{
+        asset: 'USDT',
+        free: account.wallet_balance.toString(),
+        locked: usedMargin(account).toString()
+    }] : [];
+
+    return { balances, positions };
+}
+
+async function getPaperDailyRealizedPnl(supabaseAdmin, userId) {
+    const account = await loadPaperAccount(supabaseAdmin, userId);
+    return account.realized_day === utcDay() ? account.realized_day_pnl : 0;
+}
+
+async function setPaperLeverage(supabaseAdmin, userId, symbol, leverage) {
+    await mutatePaperAccount(supabaseAdmin, userId, account => {
+        account.leverage[symbol] = leverage;
+
+        // Binance applies the new leverage to the open position as well
+        const pos = account.positions.find(p => p.symbol === symbol);
+        if (pos) pos.leverage = leverage;
+    });
+    return { symbol, leverage, maxNotionalValue: 'INF' };
+}
+
+async function placePaperMarketOrder(supabaseAdmin, userId, { symbol, side, quantity, clientOrderId, reduceOnly = false }) {
+    let qty = parseFloat(quantity);
+    const price = await getMarketPrice(symbol);
+    if (!(qty > 0) || !(price > 0)) {
+        throw new Error(`Paper order rejected: invalid quantity ${quantity} or price ${price} for ${symbol}`);
+    }
+
+    const orderId = newOrderId();
+    const { realizedPnl, fee } = await mutatePaperAccount(supabaseAdmin, userId, account => {
+        // Only the position-increasing part of an order needs fresh margin
+        const pos = account.positions.find(p => p.symbol === symbol);
+        const posAmt = pos ? pos.positionAmt : 0;
+
+        qty = parseFloat(quantity);
+        if (reduceOnly) {
+            const reduces = side === 'BUY' ? posAmt < 0 : posAmt > 0;
+            if (!reduces) throw new Error(`Paper order rejected: ReduceOnly order would not reduce the ${symbol} position`);
+            qty = Math.min(qty, Math.abs(posAmt));
+        }
+        const signedQty = side === 'BUY' ? qty : -qty;
+        const openingQty = Math.max(0, Math.abs(posAmt + signedQty) - Math.abs(posAmt));
+        const leverage = account.leverage[symbol] || DEFAULT_LEVERAGE;
+        const requiredMargin = openingQty * price / leverage + qty * price * TAKER_FEE_RATE;
+        const available = account.wallet_balance - usedMargin(account);
+
+        if (openingQty > 0 && requiredMargin > available) {
+            throw new Error(`Paper order rejected: Margin is insufficient (need ${requiredMargin.toFixed(2)} USDT, available ${available.toFixed(2)} USDT)`);
+        }
+
+        const fill = applyFill(account, symbol, side, qty, price);
+        recordFill(account, { orderId, symbol, side, price, qty, commission: fill.fee, realizedPnl: fill.realizedPnl, type: 'MARKET', clientOrderId, reduceOnly });
+        return fill;
+    });
+
+    log.info('Filled', { userId, side, quantity: qty, symbol, price, realizedPnl, fee });
+
+    return {
+        orderId,
+        clientOrderId,
+        symbol,
+        side,
+        type: 'MARKET',
+        status: 'FILLED',
+        origQty: qty.toString(),
+        executedQty: qty.toString(),
+        avgPrice: price.toString(),
+        updateTime: Date.now()
+    };
+}
+
+// A limit price the market has already reached executes at once (taker) unless the order is post-only,
+// which is rejected like Binance's GTX; otherwise the order rests until processPaperTriggers fills it.
+async function placePaperLimitOrder(supabaseAdmin, userId, { symbol, side, quantity, price, postOnly = false, clientOrderId }) {
+    const qty = parseFloat(quantity);
+    const limitPrice = parseFloat(price);
+    const marketPrice = await getMarketPrice(symbol);
+    if (!(qty > 0) || !(limitPrice > 0) || !(marketPrice > 0)) {
+        throw new Error(`Paper order rejected: invalid quantity ${quantity}, price ${price} or market price ${marketPrice} for ${symbol}`);
+    }
+
+    const marketable = side === 'BUY' ? marketPrice <= limitPrice : marketPrice >= limitPrice;
+    if (marketable && postOnly) {
+        throw new Error(`Paper order rejected: post-only ${side} at ${limitPrice} would execute immediately (market ${marketPrice})`);
+    }
+    if (marketable) {
+        const filled = await placePaperMarketOrder(supabaseAdmin, userId, { symbol, side, quantity: qty, clientOrderId });
+        return { ...filled, type: 'LIMIT', price: limitPrice.toString() };
+    }
+
+    const order = {
+        orderId: newOrderId(),
+        clientOrderId,
+        symbol,
+        side,
+        type: 'LIMIT',
+        price: limitPrice,
+        quantity: qty,
+        createdAt: new Date().toISOString()
+    };
+    await mutatePaperAccount(supabaseAdmin, userId, account => {
+        const leverage = account.leverage[symbol] || DEFAULT_LEVERAGE;
+        const requiredMargin = qty * limitPrice / leverage + qty * limitPrice * MAKER_FEE_RATE;
+        const available = account.wallet_balance - usedMargin(account);
+        if (requiredMargin > available) {
+            throw new Error(`Paper order rejected: Margin is insufficient (need ${requiredMargin.toFixed(2)} USDT, available ${available.toFixed(2)} USDT)`);
+        }
+        account.open_orders.push(order);
+    });
+
+    return { orderId: order.orderId, clientOrderId, symbol, side, type: 'LIMIT', status: 'NEW', price: limitPrice.toString(), origQty: qty.toString(), executedQty: '0' };
+}
+
+async function cancelPaperOrder(supabaseAdmin, userId, symbol, orderId) {
+    await mutatePaperAccount(supabaseAdmin, userId, account => {
+        const index = account.open_orders.findIndex(o => o.type === 'LIMIT' && String(o.orderId) === String(orderId));
+        if (index < 0) throw new Error(`Paper order ${orderId} not found for ${symbol}`);
+        account.open_orders.splice(index, 1);
+    });
+    return { orderId, symbol, status: 'CANCELED', executedQty: '0' };
+}
+
+async function placePaperConditionalOrder(supabaseAdmin, userId, { symbol, side, type, triggerPrice, clientAlgoId }) {
+    const order = {
+        algoId: newOrderId(),
+        clientAlgoId,
+        symbol,
+        side,
+        type,
+        triggerPrice: parseFloat(triggerPrice),
+        closePosition: true,
+        createdAt: new Date().toISOString()
+    };
+    await mutatePaperAccount(supabaseAdmin, userId, account => {
+        account.open_orders.push(order);
+    });
+
+    return { algoId: order.algoId, clientAlgoId, algoStatus: 'NEW', symbol, side, type, triggerPrice: order.triggerPrice.toString() };
+}
+
+async function getPaperConditionalOrders(supabaseAdmin, userId, symbol) {
+    const account = await loadPaperAccount(supabaseAdmin, userId);
+    return account.open_orders
+        .filter(o => o.algoId && (!symbol || o.symbol === symbol))
+        .map(({ algoId, clientAlgoId, side, type, triggerPrice, ...order }) => ({ algoId, clientAlgoId, symbol: order.symbol, side, type, triggerPrice }));
+}
+
+async function cancelPaperConditionalOrder(supabaseAdmin, userId, { symbol, algoId }) {
+    await mutatePaperAccount(supabaseAdmin, userId, account => {
+        const index = account.open_orders.findIndex(o => String(o.algoId) === String(algoId));
+        if (index < 0) throw new Error(`Paper algo order ${algoId} not found for ${symbol}`);
+        account.open_orders.splice(index, 1);
+    });
+    return { algoId, algoStatus: 'CANCELED' };
+}
+
+async function getPaperOrder(supabaseAdmin, userId, symbol, orderId) {
+    const account = await loadPaperAccount(supabaseAdmin, userId);
+    const resting = account.open_orders.find(o => o.type === 'LIMIT' && String(o.orderId) === String(orderId));
+    if (resting) {
+        return {
+            orderId: resting.orderId,
+            symbol: resting.symbol,
+            status: 'NEW',
+            side: resting.side,
+            type: 'LIMIT',
+            clientOrderId: resting.clientOrderId,
+            avgPrice: 0,
+            executedQty: 0,
+            updateTime: new Date(resting.createdAt).getTime(),
+            reduceOnly: false
+        };
+    }
+
+    const fill = account.fills.find(f => String(f.orderId) === String(orderId));
+    if (!fill) throw new Error(`Paper order ${orderId} not found`);
+
+    // Paper orders always fill completely in a single fill
+    return {
+        orderId: fill.orderId,
+        symbol: fill.symbol,
+        status: 'FILLED',
+        side: fill.side,
+        type: fill.type,
+        clientOrderId: fill.clientOrderId,
+        avgPrice: fill.price,
+        executedQty: fill.qty,
+        updateTime: fill.time,
+        reduceOnly: Boolean(fill.reduceOnly)
+    };
+}
+
+async function getPaperUserTrades(supabaseAdmin, userId, symbol, { startTime, orderId } = {}) {
+    const account = await loadPaperAccount(supabaseAdmin, userId);
+    return account.fills
+        .filter(f => f.symbol === symbol)
+        .filter(f => orderId ? String(f.orderId) === String(orderId) : !startTime || f.time >= startTime)
+        .map(({ type, clientOrderId, reduceOnly, ...fill }) => fill);
+}
+
+function isTriggered(order, price) {
+    // A resting BUY limit fills once the price comes down to it, a SELL limit once it rises to it
+    if (order.type === 'LIMIT') {
+        return order.side === 'BUY' ? price <= order.price : price >= order.price;
+    }
+    // A SELL stop protects a long (fires on the way down), a SELL take-profit fires on the way up; BUY mirrors it.
+    if (order.type === 'STOP_MARKET') {
+        return order.side === 'SELL' ? price <= order.triggerPrice : price >= order.triggerPrice;
+    }
+    if (order.type === 'TAKE_PROFIT_MARKET') {
+        return order.side === 'SELL' ? price >= order.triggerPrice : price <= order.triggerPrice;
+    }
+    return false;
+}
+
+// Called from the scheduler: fires STOP_MARKET / TAKE_PROFIT_MARKET orders whose trigger price was crossed
+// and fills resting LIMIT orders (at their limit price, maker fee) the price has reached
+async function processPaperTriggers(supabaseAdmin) {
+    const { data: accounts, error } = await supabaseAdmin
+        .from('paper_accounts')
+        .select('user_id, open_orders');
+
+    if (error) throw new Error(`Paper trigger scan failed: ${error.message}`);
+
+    const pending = (accounts || []).filter(a => (a.open_orders || []).length > 0);
+    if (pending.length === 0) return;
+
+    const priceCache = {};
+    const priceFor = async (symbol) => {
+        if (!(symbol in priceCache)) priceCache[symbol] = await getMarketPrice(symbol);
+        return priceCache[symbol];
+    };
+
+    for (const { user_id: userId } of pending) {
+        try {
+            // Fills are logged once the write lands; a retried attempt re-evaluates against the fresh row
+            const events = await mutatePaperAccount(supabaseAdmin, userId, async (account) => {
+                const fired = [];
+                const remaining = [];
+
+                for (const order of account.open_orders) {
+                    const price = await priceFor(order.symbol);
+                    if (!price || !isTriggered(order, price)) {
+                        remaining.push(order);
+                        continue;
+                    }
+
+                    if (order.type === 'LIMIT') {
+                        const { realizedPnl, fee } = applyFill(account, order.symbol, order.side, order.quantity, order.price, MAKER_FEE_RATE);
+                        recordFill(account, {
+                            orderId: order.orderId,
+                            symbol: order.symbol,
+                            side: order.side,
+                            price: order.price,
+                            qty: order.quantity,
+                            commission: fee,
+                            realizedPnl,
+                            type: 'LIMIT',
+                            clientOrderId: order.clientOrderId
+                        });
+                        fired.push(['Limit order filled', { userId, side: order.side, quantity: order.quantity, symbol: order.symbol, price: order.price }]);
+                        continue;
+                    }
+
+                    const pos = account.positions.find(p => p.symbol === order.symbol);
+                    const closesPosition = pos && (order.side === 'SELL' ? pos.positionAmt > 0 : pos.positionAmt < 0);
+                    if (!closesPosition) {
+                        fired.push(['Trigger fired with no matching position, expired', { userId, type: order.type, id: order.clientAlgoId }]);
+                        continue;
+                    }
+
+                    const qty = Math.abs(pos.positionAmt);
+                    const { realizedPnl, fee } = applyFill(account, order.symbol, order.side, qty, price);
+                    recordFill(account, {
+                        orderId: newOrderId(),
+                        symbol: order.symbol,
+                        side: order.side,
+                        price,
+                        qty,
+                        commission: fee,
+                        realizedPnl,
+                        type: order.type,
+                        clientOrderId: order.clientAlgoId,
+                        reduceOnly: true
+                    });
+                    fired.push(['Trigger fired', { userId, type: order.type, id: order.clientAlgoId, price, realizedPnl }]);
+                }
+
+                if (remaining.length === account.open_orders.length) return UNCHANGED;
+                account.open_orders = remaining;
+                return fired;
+            });
+
+            if (events !== UNCHANGED) events.forEach(([message, fields]) => log.info(message, fields));
+        } catch (err) {
+            log.error('Trigger processing failed', { userId, error: err.message });
+        }
+    }
+}
+
+// Same interface as the live venue adapters, bound to one user's paper account
+function createPaperAdapter({ supabaseAdmin, userId }) {
+    return {
+        name: 'paper',
+        env: market.env,
+        marketKey: market.marketKey,
+        getAccount: () => getPaperContext(supabaseAdmin, userId),
+        getExchangeInfo: () => market.getExchangeInfo(),
+        getLeverageBrackets: null,
+        getMarketPrice,
+        getDailyRealizedPnl: () => getPaperDailyRealizedPnl(supabaseAdmin, userId),
+        getOrder: (symbol, orderId) => getPaperOrder(supabaseAdmin, userId, symbol, orderId),
+        getUserTrades: (symbol, options) => getPaperUserTrades(supabaseAdmin, userId, symbol, options),
+        setLeverage: (symbol, leverage) => setPaperLeverage(supabaseAdmin, userId, symbol, leverage),
+        placeMarketOrder: (order) => placePaperMarketOrder(supabaseAdmin, userId, order),
+        placeLimitOrder: (order) => placePaperLimitOrder(supabaseAdmin, userId, order),
+        cancelOrder: (symbol, orderId) => cancelPaperOrder(supabaseAdmin, userId, symbol, orderId),
+        placeConditionalOrder: (order) => placePaperConditionalOrder(supabaseAdmin, userId, order),
+        getOpenConditionalOrders: (symbol) => getPaperConditionalOrders(supabaseAdmin, userId, symbol),
+        cancelConditionalOrder: (order) => cancelPaperConditionalOrder(supabaseAdmin, userId, order),
+        getKlines: (symbol, interval, limit) => market.getKlines(symbol, interval, limit),
+        userStream: null
+    };
+}
+
+module.exports = { createPaperAdapter, processPaperTriggers };
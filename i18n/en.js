@@ -0,0 +1,96 @@
+// English catalog. Keys must match tr.js; placeholders use {name}.
+module.exports = {
+    // Analyst
+    'analyst.userQuery': 'Evaluate my current positions and optimize my portfolio by executing the 3 best new opportunities you see profit in.',
+
+    // Cycle report action labels
+    'action.closed': 'closed',
+    'action.long': 'bought (LONG)',
+    'action.short': 'sold (SHORT)',
+    'action.other': 'traded',
+    'action.pendingLong': 'limit buy placed (LONG)',
+    'action.pendingShort': 'limit sell placed (SHORT)',
+
+    // Notifications
+    'notify.tradeReport.title': 'Autonomous Trade Report',
+    'notify.tradeRejected.title': 'Trade Rejected',
+    'notify.cycleError.title': 'Autonomous Cycle Error',
+    'notify.cycleError.message': 'The autonomous trading cycle could not complete: {error}',
+    'notify.cycleError.deadLetter': 'The autonomous trading cycle failed after {attempts} attempts: {error}',
+    'notify.killSwitch.title': 'Autonomous Trading Stopped',
+    'notify.killSwitch.message': 'Daily loss limit breached ({pnl} USDT, limit -{limit} USDT). Autonomous trading has been turned off.',
+    'notify.partialTakeProfit.title': 'Partial Profit Taken',
+    'notify.partialTakeProfit.message': '{quantity} of the {symbol} position was closed at {profitPct}% profit.',
+    'notify.stopUpdateFailed.title': 'Stop Order Update Failed',
+    'notify.stopUpdateFailed.message': 'The stop order for {symbol} could not be moved. Please check the position.',
+    'notify.stopLossHit.title': 'Stop Loss Triggered',
+    'notify.stopLossHit.message': '{symbol} position closed by stop loss at {price}. Realized PnL: {pnl} USDT',
+    'notify.takeProfitHit.title': 'Take Profit Triggered',
+    'notify.takeProfitHit.message': '{symbol} position closed by take profit at {price}. Realized PnL: {pnl} USDT',
+    'notify.liquidation.title': 'Position Liquidated',
+    'notify.liquidation.message': '{symbol} position was liquidated at {price}. Realized PnL: {pnl} USDT',
+    'notify.marginCall.title': 'Margin Warning',
+    'notify.marginCall.message': 'Margin ratio is critical: {symbols}. Check your positions to avoid liquidation.',
+    'notify.credentialsInvalid.title': 'Exchange Keys Unusable',
+    'notify.credentialsInvalid.message': 'Your stored exchange API keys could not be read, so autonomous trading is paused. Please enter your API keys again.',
+    'notify.tradeProposal.title': 'Trade Awaiting Your Approval',
+    'notify.tradeProposal.message': '{trade}: {reason} (expires unless approved within {minutes} minutes)',
+    'notify.tradeSuggestions.title': 'AI Trade Suggestions',
+    'notify.dailySummary.title': 'Daily Summary',
+    'notify.dailySummary.message': 'In the last 24 hours {opened} positions were opened and {closed} closed ({wins} profitable). Net PnL: {pnl} USDT',
+
+    // Recommendation validation (recommendations.js)
+    'recommendation.notObject': 'Recommendation is not an object',
+    'recommendation.notArray': 'tradeRecommendations is not an array',
+    'recommendation.invalidSymbol': 'Invalid symbol: {symbol}',
+    'recommendation.unknownAction': 'Unknown action: {action}',
+    'recommendation.invalidQuantity': 'Invalid quantity: {quantity}',
+    'recommendation.invalidStopLoss': 'Invalid stopLoss: {value}',
+    'recommendation.invalidTakeProfit': 'Invalid takeProfit: {value}',
+    'recommendation.stopLossWrongSide': 'stopLoss {stopLoss} is on the wrong side of price {price} for {direction}',
+    'recommendation.takeProfitWrongSide': 'takeProfit {takeProfit} is on the wrong side of price {price} for {direction}',
+    'recommendation.invalidPositionSide': 'Invalid positionSide: {value} (must be LONG or SHORT)',
+    'recommendation.invalidOrderType': 'Unknown orderType: {orderType}',
+    'recommendation.invalidEntryPrice': 'Invalid entryPrice: {value}',
+    'recommendation.entryPriceRequired': '{orderType} entry needs an entryPrice or a scale range',
+    'recommendation.invalidScale': 'Invalid scale: from/to must be different positive prices and orders between 2 and {max}',
+    'recommendation.entryPriceTooFar': 'Entry price {entryPrice} is more than {maxPct}% away from market price {price}',
+    'recommendation.postOnlyCrosses': 'Post-only {direction} entry at {entryPrice} would execute immediately at market price {price}',
+    'recommendation.noPrice': 'Could not fetch price for {symbol} to check stopLoss/takeProfit',
+
+    // Pre-trade validation (binance.js)
+    'trade.symbolNotListed': '{symbol} is not listed on {exchange} ({env})',
+    'trade.symbolNotTradable': '{symbol} is not tradable right now (status: {status})',
+    'trade.noPositionToClose': 'No {symbol} position found to close.',
+    'trade.closeSideRequired': 'Both LONG and SHORT {symbol} positions are open; specify positionSide to close one',
+    'trade.limitEntryReduces': 'A limit entry cannot reduce the open {positionSide} {symbol} position; use CLOSE or a market order',
+    'trade.invalidQuantity': 'Invalid quantity: {quantity} must be greater than zero',
+    'trade.quantityBelowMin': 'Quantity {quantity} is below minimum {min} for {symbol}',
+    'trade.quantityAboveMax': 'Quantity {quantity} exceeds maximum {max} for {symbol}',
+    'trade.noMarketPrice': 'Could not fetch market price for {symbol}',
+    'trade.notionalBelowMin': 'Notional value {notional} USDT is below minimum {min} USDT for {symbol}',
+    'trade.insufficientBalance': 'Insufficient balance: Need ~{required} USDT margin ({leverage}x) but only {available} USDT available',
+
+    // Trade proposals (proposals.js)
+    'proposal.priceDrifted': '{symbol} moved {drift}% since the proposal ({reference} → {price}, tolerance {limit}%)',
+
+    // Strategy profiles (strategies.js)
+    'strategy.symbolNotAllowed': '{symbol} is not allowed by the symbol filter of strategy "{strategy}"',
+    'strategy.positionNotOwned': 'The {symbol} position was opened by another strategy; "{strategy}" cannot close it',
+    'strategy.maxNewPositions': 'Strategy "{strategy}" may open at most {limit} new positions per cycle',
+
+    // Risk rules (risk.js), keyed by rule
+    'risk.DAILY_LOSS_LIMIT': 'Daily loss {pnl} USDT breached limit -{limit} USDT',
+    'risk.MAX_LEVERAGE': 'Leverage {leverage}x exceeds limit {limit}x',
+    'risk.MAX_OPEN_POSITIONS': 'Already {count} open positions (limit {limit})',
+    'risk.MAX_POSITION_NOTIONAL': '{symbol} position would be {notional} USDT (limit {limit} USDT)',
+    'risk.MAX_TOTAL_EXPOSURE': 'Total exposure would be {exposure} USDT (limit {limit} USDT)',
+
+    // Position sizing (sizing.js)
+    'sizing.stopLossRequired': 'Fixed-risk sizing needs a stopLoss',
+    'sizing.stopLossAtEntry': 'Fixed-risk sizing needs a stopLoss away from the entry price',
+    'sizing.lowConfidence': 'Confidence {confidence} is below the sizing minimum {min}',
+    'sizing.noMarketPrice': 'Could not fetch market price for {symbol} to size the position',
+    'sizing.noBalance': 'No USDT balance to size the position from',
+    'sizing.belowMinimum': 'Sized quantity {quantity} {symbol} ({notional} USDT) is below the symbol minimum'
+};
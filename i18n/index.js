@@ -0,0 +1,53 @@
+const tr = require('./tr');
+const en = require('./en');
+
+// User-facing text. Language comes from user_settings.language; catalogs are flat key -> template maps
+// with `{name}` placeholders. Missing keys fall back to English, then to the key itself.
+// Errors shown to users carry `messageKey`/`messageParams` next to an English `message` for logs.
+
+const CATALOGS = { tr, en };
+const SUPPORTED_LANGUAGES = Object.keys(CATALOGS);
+const DEFAULT_LANGUAGE = 'tr';
+
+function normalizeLanguage(value) {
+    const language = String(value || '').trim().toLowerCase().split(/[-_]/)[0];
+    return CATALOGS[language] ? language : DEFAULT_LANGUAGE;
+}
+
+function t(language, key, params = {}) {
+    const template = CATALOGS[normalizeLanguage(language)][key] ?? en[key];
+    if (template === undefined) return key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+// Error whose English message is logged and whose key is rendered in the user's language where stored or shown
+function localizedError(key, params = {}) {
+    const error = new Error(t('en', key, params));
+    error.messageKey = key;
+    error.messageParams = params;
+    return error;
+}
+
+function errorMessage(language, error) {
+    if (error?.messageKey) return t(language, error.messageKey, error.messageParams);
+    return error?.message || String(error);
+}
+
+async function getUserLanguage(supabaseAdmin, userId) {
+    const { data: settings } = await supabaseAdmin
+        .from('user_settings')
+        .select('language')
+        .eq('user_id', userId)
+        .single();
+    return normalizeLanguage(settings?.language);
+}
+
+module.exports = {
+    SUPPORTED_LANGUAGES,
+    DEFAULT_LANGUAGE,
+    normalizeLanguage,
+    t,
+    localizedError,
+    errorMessage,
+    getUserLanguage
+};
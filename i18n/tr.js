@@ -0,0 +1,96 @@
+// Turkish catalog (default language). Keys must match en.js; placeholders use {name}.
+module.exports = {
+    // Analyst
+    'analyst.userQuery': 'Mevcut pozisyonlarımı değerlendir ve kâr gördüğün en iyi 3 yeni fırsatı uygulayarak portföyümü optimize et.',
+
+    // Cycle report action labels
+    'action.closed': 'kapatıldı',
+    'action.long': 'alındı (LONG)',
+    'action.short': 'satıldı (SHORT)',
+    'action.other': 'işlem yapıldı',
+    'action.pendingLong': 'limit alış emri verildi (LONG)',
+    'action.pendingShort': 'limit satış emri verildi (SHORT)',
+
+    // Notifications
+    'notify.tradeReport.title': 'Otonom İşlem Raporu',
+    'notify.tradeRejected.title': 'İşlem Reddedildi',
+    'notify.cycleError.title': 'Otonom Döngü Hatası',
+    'notify.cycleError.message': 'Otonom işlem döngüsü tamamlanamadı: {error}',
+    'notify.cycleError.deadLetter': 'Otonom işlem döngüsü {attempts} denemeden sonra başarısız oldu: {error}',
+    'notify.killSwitch.title': 'Otonom İşlem Durduruldu',
+    'notify.killSwitch.message': 'Günlük zarar limiti aşıldı ({pnl} USDT, limit -{limit} USDT). Otonom işlem kapatıldı.',
+    'notify.partialTakeProfit.title': 'Kısmi Kâr Alındı',
+    'notify.partialTakeProfit.message': '{symbol} pozisyonunun {quantity} adedi %{profitPct} kârda kapatıldı.',
+    'notify.stopUpdateFailed.title': 'Stop Emri Güncellenemedi',
+    'notify.stopUpdateFailed.message': '{symbol} için stop emri taşınamadı. Lütfen pozisyonu kontrol edin.',
+    'notify.stopLossHit.title': 'Zarar Durdur Tetiklendi',
+    'notify.stopLossHit.message': '{symbol} pozisyonu {price} fiyatından zarar durdur ile kapandı. Gerçekleşen K/Z: {pnl} USDT',
+    'notify.takeProfitHit.title': 'Kâr Al Tetiklendi',
+    'notify.takeProfitHit.message': '{symbol} pozisyonu {price} fiyatından kâr al ile kapandı. Gerçekleşen K/Z: {pnl} USDT',
+    'notify.liquidation.title': 'Pozisyon Likide Edildi',
+    'notify.liquidation.message': '{symbol} pozisyonu {price} fiyatından likide edildi. Gerçekleşen K/Z: {pnl} USDT',
+    'notify.marginCall.title': 'Marjin Uyarısı',
+    'notify.marginCall.message': 'Marjin oranı kritik seviyede: {symbols}. Likidasyon riskine karşı pozisyonlarınızı kontrol edin.',
+    'notify.credentialsInvalid.title': 'Borsa Anahtarları Kullanılamıyor',
+    'notify.credentialsInvalid.message': 'Kayıtlı borsa API anahtarlarınız okunamadı, otonom işlem duraklatıldı. Lütfen API anahtarlarınızı yeniden girin.',
+    'notify.tradeProposal.title': 'İşlem Onayınızı Bekliyor',
+    'notify.tradeProposal.message': '{trade}: {reason} ({minutes} dakika içinde onaylanmazsa geçersiz olur)',
+    'notify.tradeSuggestions.title': 'AI İşlem Önerileri',
+    'notify.dailySummary.title': 'Günlük Özet',
+    'notify.dailySummary.message': 'Son 24 saatte {opened} pozisyon açıldı, {closed} pozisyon kapandı ({wins} kârlı). Net K/Z: {pnl} USDT',
+
+    // Recommendation validation (recommendations.js)
+    'recommendation.notObject': 'Öneri bir nesne değil',
+    'recommendation.notArray': 'tradeRecommendations bir liste değil',
+    'recommendation.invalidSymbol': 'Geçersiz sembol: {symbol}',
+    'recommendation.unknownAction': 'Bilinmeyen işlem: {action}',
+    'recommendation.invalidQuantity': 'Geçersiz miktar: {quantity}',
+    'recommendation.invalidStopLoss': 'Geçersiz zarar durdur: {value}',
+    'recommendation.invalidTakeProfit': 'Geçersiz kâr al: {value}',
+    'recommendation.stopLossWrongSide': 'Zarar durdur {stopLoss}, {direction} için {price} fiyatının yanlış tarafında',
+    'recommendation.takeProfitWrongSide': 'Kâr al {takeProfit}, {direction} için {price} fiyatının yanlış tarafında',
+    'recommendation.invalidPositionSide': 'Geçersiz positionSide: {value} (LONG veya SHORT olmalı)',
+    'recommendation.invalidOrderType': 'Bilinmeyen emir tipi: {orderType}',
+    'recommendation.invalidEntryPrice': 'Geçersiz giriş fiyatı: {value}',
+    'recommendation.entryPriceRequired': '{orderType} giriş için entryPrice veya scale aralığı gerekli',
+    'recommendation.invalidScale': 'Geçersiz kademeli giriş: from/to pozitif ve farklı fiyatlar, orders 2 ile {max} arasında olmalı',
+    'recommendation.entryPriceTooFar': 'Giriş fiyatı {entryPrice}, {price} piyasa fiyatından %{maxPct} daha uzakta',
+    'recommendation.postOnlyCrosses': 'Yalnızca yapıcı {direction} girişi {entryPrice}, {price} piyasa fiyatında hemen gerçekleşirdi',
+    'recommendation.noPrice': '{symbol} fiyatı alınamadığı için zarar durdur/kâr al kontrol edilemedi',
+
+    // Pre-trade validation (binance.js)
+    'trade.symbolNotListed': '{symbol}, {exchange} ({env}) üzerinde listelenmiyor',
+    'trade.symbolNotTradable': '{symbol} şu anda işlem görmüyor (durum: {status})',
+    'trade.noPositionToClose': 'Kapatılacak {symbol} pozisyonu bulunamadı.',
+    'trade.closeSideRequired': '{symbol} için hem LONG hem SHORT pozisyon açık; kapatmak için positionSide belirtin',
+    'trade.limitEntryReduces': 'Limit giriş açık {positionSide} {symbol} pozisyonunu azaltamaz; CLOSE veya piyasa emri kullanın',
+    'trade.invalidQuantity': 'Geçersiz miktar: {quantity} sıfırdan büyük olmalı',
+    'trade.quantityBelowMin': '{quantity} miktarı {symbol} için minimum {min} değerinin altında',
+    'trade.quantityAboveMax': '{quantity} miktarı {symbol} için maksimum {max} değerini aşıyor',
+    'trade.noMarketPrice': '{symbol} piyasa fiyatı alınamadı',
+    'trade.notionalBelowMin': '{notional} USDT işlem büyüklüğü {symbol} için minimum {min} USDT değerinin altında',
+    'trade.insufficientBalance': 'Yetersiz bakiye: ~{required} USDT teminat gerekiyor ({leverage}x), kullanılabilir bakiye {available} USDT',
+
+    // Trade proposals (proposals.js)
+    'proposal.priceDrifted': '{symbol} fiyatı öneriden bu yana %{drift} değişti ({reference} → {price}, tolerans %{limit})',
+
+    // Strategy profiles (strategies.js)
+    'strategy.symbolNotAllowed': '{symbol}, "{strategy}" stratejisinin sembol filtresinde izin verilmiyor',
+    'strategy.positionNotOwned': '{symbol} pozisyonu başka bir strateji tarafından açıldı; "{strategy}" kapatamaz',
+    'strategy.maxNewPositions': '"{strategy}" stratejisi bu döngüde en fazla {limit} yeni pozisyon açabilir',
+
+    // Risk rules (risk.js), keyed by rule
+    'risk.DAILY_LOSS_LIMIT': 'Günlük zarar {pnl} USDT, -{limit} USDT limitini aştı',
+    'risk.MAX_LEVERAGE': '{leverage}x kaldıraç {limit}x limitini aşıyor',
+    'risk.MAX_OPEN_POSITIONS': 'Zaten {count} açık pozisyon var (limit {limit})',
+    'risk.MAX_POSITION_NOTIONAL': '{symbol} pozisyonu {notional} USDT olurdu (limit {limit} USDT)',
+    'risk.MAX_TOTAL_EXPOSURE': 'Toplam pozisyon büyüklüğü {exposure} USDT olurdu (limit {limit} USDT)',
+
+    // Position sizing (sizing.js)
+    'sizing.stopLossRequired': 'Sabit risk boyutlandırması için zarar durdur gerekli',
+    'sizing.stopLossAtEntry': 'Sabit risk boyutlandırması için zarar durdur giriş fiyatından farklı olmalı',
+    'sizing.lowConfidence': 'Güven {confidence}, boyutlandırma minimumu {min} değerinin altında',
+    'sizing.noMarketPrice': 'Pozisyonu boyutlandırmak için {symbol} piyasa fiyatı alınamadı',
+    'sizing.noBalance': 'Pozisyonu boyutlandırmak için USDT bakiyesi yok',
+    'sizing.belowMinimum': 'Hesaplanan miktar {quantity} {symbol} ({notional} USDT) sembol minimumunun altında'
+};
@@ -1,14 +1,41 @@
 const express = require('express');
+const { randomUUID } = require('crypto');
 const cors = require('cors');
 const { createClient } = require('@supabase/supabase-js');
 const fetch = require('node-fetch');
 const cron = require('node-cron');
-const { executeTradeInternal, getUserBinanceContext } = require('./binance');
+const { executeTradeInternal } = require('./binance');
+const { getUserExchange, processPaperTriggers, positionSideOf } = require('./exchanges');
+const { startSymbolRulesRefresh } = require('./symbolRules');
+const { notifyUser, retryNotificationDeliveries, checkExpoReceipts } = require('./notifications');
+const { normalizeRecommendations } = require('./recommendations');
+const { reconcileAllUsers, recordTradeIntents } = require('./reconcile');
+const { createMeRouter } = require('./routes/me');
+const { createTriggerRouter } = require('./routes/trigger');
+const { withCycleLock } = require('./cycleLock');
+const { createSemaphore, createJobQueue, isTransientError } = require('./workQueue');
+const { createAdminRouter } = require('./routes/admin');
+const { createRunRecorder, outcomeForError } = require('./runs');
+const { normalizeSchedule, isDue, nextRunAfter } = require('./schedule');
+const { monitorAllPositions } = require('./positionMonitor');
+const { createUserStreamManager } = require('./userStream');
+const { sweepOrphanedOrders } = require('./conditionalOrders');
+const { listPendingEntries, processUserEntries, processPendingEntries } = require('./entryOrders');
+const { sendDailySummaries } = require('./dailySummary');
+const { normalizeExecutionMode, createProposals, notifySuggestions, expireProposals } = require('./proposals');
+const { loadEnabledStrategies, validAnalystUrl, allocateBalances, describeStrategy, applyStrategy } = require('./strategies');
+const { t, errorMessage, normalizeLanguage } = require('./i18n');
+const { createLogger, withLogContext } = require('./logger');
+const metrics = require('./metrics');
 require('dotenv').config();
 
 const app = express();
 app.use(cors());
-app.use(express.json());
+app.use(express.json({
+    // Raw body is kept for service-token signature checks
+    verify: (req, res, buf) => { req.rawBody = buf.toString(); }
+}));
+app.set('trust proxy', 1); // Render terminates TLS in front of us; audit records use the client IP
 
 const PORT = process.env.PORT || 4000;
 const SUPABASE_URL = process.env.SUPABASE_URL;
@@ -17,6 +44,48 @@ const ANALYST_SERVER_URL = process.env.RENDER_ANALYST_URL || `${SUPABASE_URL}/fu
 
 const supabaseAdmin = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
 
+const log = createLogger('Autonomous');
+const cronLog = createLogger('Cron');
+
+const ANALYST_TIMEOUT_MS = parseInt(process.env.ANALYST_TIMEOUT_MS || '120000', 10);
+
+// Shared limits so a minute with many due users doesn't burst the analyst or the exchanges
+const analystLimiter = createSemaphore('analyst', parseInt(process.env.ANALYST_CONCURRENCY || '2', 10));
+const exchangeLimiter = createSemaphore('exchange', parseInt(process.env.EXCHANGE_CONCURRENCY || '4', 10));
+
+const cycleQueue = createJobQueue({
+    name: 'cycles',
+    concurrency: parseInt(process.env.CYCLE_CONCURRENCY || '4', 10),
+    maxAttempts: parseInt(process.env.CYCLE_MAX_ATTEMPTS || '3', 10),
+    baseDelayMs: parseInt(process.env.CYCLE_RETRY_BASE_MS || '5000', 10),
+    onDeadLetter: async (job, error) => {
+        const { error: insertError } = await supabaseAdmin.from('cycle_dead_letters').insert({
+            user_id: job.meta.userId,
+            strategy_id: job.meta.strategyId || null,
+            trigger: job.meta.trigger,
+            attempts: job.attempts,
+            error: error.message || String(error)
+        });
+        if (insertError) throw new Error(insertError.message);
+        metrics.deadLetters.inc({ queue: 'cycles' });
+
+        await notifyUser(supabaseAdmin, job.meta.userId, {
+            event: 'cycle_error',
+            titleKey: 'notify.cycleError.title',
+            messageKey: 'notify.cycleError.deadLetter',
+            params: { attempts: job.attempts, error: error.message || error },
+            data: { event: 'CYCLE_FAILED', attempts: job.attempts, error: error.message || String(error) }
+        });
+    }
+});
+
+metrics.trackQueue(cycleQueue);
+metrics.trackLimiter(analystLimiter);
+metrics.trackLimiter(exchangeLimiter);
+
+// Binance user-data streams (real-time fills, SL/TP and liquidation notifications)
+const userStreams = createUserStreamManager(supabaseAdmin);
+
 // Heartbeat Endpoint
 app.get('/', (req, res) => {
     res.send('Autonomous Trader Server is Live 🚀 (Scheduler Active)');
@@ -24,7 +93,7 @@ app.get('/', (req, res) => {
 
 // Keepalive Endpoint (for UptimeRobot/cron-job.org to prevent sleep)
 app.get('/keepalive', (req, res) => {
-    console.log('⏰ [Keepalive] Ping received, server staying awake');
+    createLogger('Keepalive').debug('Ping received');
     res.json({
         status: 'alive',
         uptime: process.uptime(),
@@ -32,194 +101,274 @@ app.get('/keepalive', (req, res) => {
     });
 });
 
-// Reusable function for trade cycle
-async function runTradeCycle(targetUserId = null, forceRun = false) {
-    console.log(`[Autonomous] Starting cycle. Target: ${targetUserId || 'ALL'}, Force: ${forceRun}`);
-    console.log(`[Autonomous] Supabase URL: ${SUPABASE_URL}`);
-    console.log(`[Autonomous] Service Key (first 20 chars): ${SUPABASE_SERVICE_ROLE_KEY?.substring(0, 20)}...`);
+// Prometheus scrape endpoint; METRICS_TOKEN, when set, is required as a bearer token
+app.get('/metrics', async (req, res) => {
+    if (process.env.METRICS_TOKEN && req.headers.authorization !== `Bearer ${process.env.METRICS_TOKEN}`) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+    res.set('Content-Type', metrics.register.contentType);
+    res.send(await metrics.register.metrics());
+});
 
-    let query = supabaseAdmin
-        .from('user_settings')
-        .select('user_id, expo_push_token, autonomous_schedule_type, autonomous_interval, autonomous_daily_time, last_autonomous_run, is_autonomous_enabled');
+// Authenticated user API (Supabase JWT)
+app.use('/me', createMeRouter(supabaseAdmin));
 
-    if (targetUserId) {
-        // If specific user is targeted, fetch them regardless of is_autonomous_enabled IF forceRun is true
-        // If forceRun is false but targetUserId is set? We still assume we want to check them.
-        console.log(`[Autonomous] Querying for specific user: ${targetUserId}`);
-        query = query.eq('user_id', targetUserId);
-    } else {
-        // Cron Mode: Only fetch enabled users
-        console.log(`[Autonomous] Querying for all users where is_autonomous_enabled = true`);
-        query = query.eq('is_autonomous_enabled', true);
-    }
+// Where a cycle's schedule and run claim live: the strategy profile row, or user_settings without one
+function scheduleOwner(user, strategy) {
+    return strategy
+        ? { table: 'strategy_profiles', key: 'id', row: strategy }
+        : { table: 'user_settings', key: 'user_id', row: user };
+}
 
-    const { data: users, error: userError } = await query;
+// One user's cycle: analyst call, recommendation execution and notifications.
+// Caller must hold the user's cycle lock. Transient failures are rethrown so the queue can retry.
+// cycleId doubles as the autonomous_runs id and is attached to every log line of the cycle.
+// strategy: the strategy profile row to run for (see strategies.js), null for the user_settings cycle.
+// Returns the cycle's outcome: 'ok', 'failed' or 'skipped' (claimed elsewhere, unusable credentials).
+async function runUserCycle(user, nowUTC, { forceRun, attempt, trigger, cycleId, strategy = null }) {
+    const userId = user.user_id;
+    const pushToken = user.expo_push_token;
+    const language = normalizeLanguage(user.language);
+
+    log.info('Starting trade cycle', {
+        trigger,
+        attempt,
+        strategy: strategy?.name,
+        mode: user.trading_mode || 'live',
+        venue: `${user.exchange || 'binance'}/${user.exchange_env || 'testnet'}`
+    });
 
-    console.log(`[Autonomous] Query result - Error:`, userError);
-    console.log(`[Autonomous] Query result - Data:`, users);
+    // Decision trace (autonomous_runs); the row is written by run.start()
+    const run = createRunRecorder(supabaseAdmin, userId, { trigger, attempt, id: cycleId, strategyId: strategy?.id || null });
 
-    if (userError) throw userError;
-    console.log(`[Autonomous] Found ${users?.length || 0} user(s) to process.`);
-    if (targetUserId && users?.length === 0) {
-        console.warn(`[Autonomous] Warning: Target user ${targetUserId} not found in user_settings.`);
+    // 2.5 Claim this run: compare-and-set last_autonomous_run against the value the schedule check saw,
+    // so an instance that read stale settings cannot start the same scheduled run again
+    // (retries of the same job already hold the claim)
+    const { table, key, row: scheduled } = scheduleOwner(user, strategy);
+    let nextRun = null;
+    try {
+        nextRun = nextRunAfter(normalizeSchedule(scheduled), nowUTC);
+    } catch (scheduleError) {
+        log.error('Invalid schedule', { error: scheduleError.message });
+    }
+    let claim = supabaseAdmin
+        .from(table)
+        .update({ last_autonomous_run: nowUTC.toISOString(), next_autonomous_run: nextRun ? nextRun.toISOString() : null })
+        .eq(key, scheduled[key]);
+    if (!forceRun && attempt === 1) {
+        claim = scheduled.last_autonomous_run
+            ? claim.eq('last_autonomous_run', scheduled.last_autonomous_run)
+            : claim.is('last_autonomous_run', null);
+    }
+    const { data: claimed, error: claimError } = await claim.select(key);
+    // Not retried: a retry skips the compare-and-set, so it could start a run another instance has claimed
+    if (claimError) {
+        log.error('Run claim failed', { error: claimError.message });
+        await run.start();
+        await run.finish('failed', claimError);
+        return 'failed';
+    }
+    if (!forceRun && attempt === 1 && (!claimed || claimed.length === 0)) {
+        log.info('Run already claimed elsewhere, skipping');
+        return 'skipped';
     }
 
-    // TR is always GMT+3 (no DST)
-    const trOffset = 3 * 60 * 60 * 1000
-    const nowUTC = new Date()
-    const nowTR = new Date(nowUTC.getTime() + trOffset)
+    if (trigger === 'cron' && attempt === 1 && scheduled.next_autonomous_run) {
+        const lagSeconds = (nowUTC - new Date(scheduled.next_autonomous_run)) / 1000;
+        if (lagSeconds >= 0) metrics.cycleScheduleLag.observe(lagSeconds);
+    }
 
-    const processPromises = users.map(async (user) => {
-        const userId = user.user_id;
-        const pushToken = user.expo_push_token;
-        const scheduleType = user.autonomous_schedule_type || 'interval';
-        const intervalMinutes = user.autonomous_interval || 60;
-        const dailyTime = user.autonomous_daily_time || '09:00';
-        const lastRunRaw = user.last_autonomous_run;
-        const lastRun = lastRunRaw ? new Date(lastRunRaw) : null;
-
-        // 2. Schedule Validation
-        let shouldRun = false;
+    // Unusable exchange keys are a recorded per-user state (see exchanges/index.js), not a cycle failure
+    let exchange;
+    try {
+        exchange = await exchangeLimiter.run(() => getUserExchange(supabaseAdmin, userId));
+    } catch (exchangeError) {
+        if (exchangeError.code !== 'CREDENTIALS_INVALID') throw exchangeError;
+        log.warn('Skipping cycle: exchange credentials unusable', { reason: exchangeError.reason });
+        return 'skipped';
+    }
 
-        if (forceRun) {
-            shouldRun = true;
-            console.log(`[Autonomous] [${userId}] Force Run active. Skipping schedule check.`);
-        } else {
-            // Check is_autonomous_enabled again just in case (for targetUserId mode without force, if that ever happens)
-            // But we already filtered by query if (no target).
-
-            if (scheduleType === 'interval') {
-                if (!lastRun) {
-                    shouldRun = true;
-                } else {
-                    const diffMs = nowUTC.getTime() - lastRun.getTime();
-                    const diffMin = Math.floor(diffMs / 60000);
-                    if (diffMin >= intervalMinutes) shouldRun = true;
-                }
-            } else if (scheduleType === 'daily') {
-                const [targetHour, targetMin] = dailyTime.split(':').map(Number);
-                const currentHour = nowTR.getUTCHours();
-                const currentMin = nowTR.getUTCMinutes();
-
-                let hasRunToday = false;
-                if (lastRun) {
-                    const lastRunTR = new Date(lastRun.getTime() + trOffset);
-                    hasRunToday = lastRunTR.getUTCDate() === nowTR.getUTCDate() &&
-                        lastRunTR.getUTCMonth() === nowTR.getUTCMonth() &&
-                        lastRunTR.getUTCFullYear() === nowTR.getUTCFullYear();
-                }
+    const runId = await run.start();
+    const cycleTimer = metrics.cycleDuration.startTimer();
 
-                if (!hasRunToday) {
-                    // Check if current time is past the target time
-                    if (currentHour > targetHour || (currentHour === targetHour && currentMin >= targetMin)) {
-                        shouldRun = true;
-                    }
-                }
+    try {
+        // Entries resting since earlier cycles are settled first (fills, expiries, SL/TP) so the context is current
+        const { balances: accountBalances, positions, pendingEntries } = await run.time('context', () => exchangeLimiter.run(async () => {
+            await processUserEntries(supabaseAdmin, userId).catch(entryError => {
+                log.error('Pending entry check failed', { error: entryError.message });
+            });
+            const account = await exchange.getAccount();
+            return { ...account, pendingEntries: await listPendingEntries(supabaseAdmin, userId) };
+        }));
+
+        // 2.7 Fetch Autonomous Trade History for Position Enrichment
+        const { data: autonomousHistory } = await supabaseAdmin
+            .from('autonomous_trades')
+            .select('symbol, position_side, strategy_id, open_reason, confidence_score, created_at')
+            .eq('user_id', userId)
+            .or('kind.is.null,kind.eq.OPEN')
+            .order('created_at', { ascending: false });
+
+        // Enrich positions with opening context (per side: a hedge-mode account can hold a LONG and a SHORT)
+        const enrichedPositions = positions.map(pos => {
+            const history = autonomousHistory?.find(h =>
+                h.symbol === pos.symbol && (!h.position_side || h.position_side === positionSideOf(pos))
+            );
+            if (history) {
+                const openedAt = new Date(history.created_at);
+                const ageMs = Date.now() - openedAt.getTime();
+                const ageHours = (ageMs / (1000 * 60 * 60)).toFixed(1);
+                return {
+                    ...pos,
+                    strategyId: history.strategy_id || null,
+                    openedAt: history.created_at,
+                    openingReason: history.open_reason || 'No reason recorded',
+                    openingConfidence: history.confidence_score || 0.9,
+                    ageHours: parseFloat(ageHours)
+                };
             }
-        }
+            return pos; // Position not in autonomous history (manual trade)
+        });
 
-        if (!shouldRun) {
-            // console.log(`[Autonomous] [${userId}] Schedule not due.`);
-            return;
+        log.debug('Context loaded', {
+            positions: positions.length,
+            enriched: enrichedPositions.filter(p => p.ageHours).length,
+            pendingEntries: pendingEntries.length
+        });
+        // A strategy profile sees only its allocated share of the wallet
+        const balances = allocateBalances(accountBalances, strategy);
+        await run.update({ balances, positions: enrichedPositions, pending_entries: pendingEntries });
+
+        // 3. Invoke Analyst (the profile's endpoint and prompt, if it sets them)
+        // Stored URLs are re-checked so removing a host from ANALYST_ALLOWED_HOSTS takes effect immediately
+        let analystUrl = ANALYST_SERVER_URL;
+        if (strategy?.analyst_url) {
+            if (validAnalystUrl(strategy.analyst_url)) analystUrl = strategy.analyst_url;
+            else log.warn('Strategy analyst_url not allowed, using the default analyst', { strategyId: strategy.id });
         }
-
-        console.log(`[Autonomous] >>> STARTING TRADE CYCLE for user ${userId}`);
-
-        // 2.5 Update Last Run Time IMMEDIATELY
-        await supabaseAdmin
-            .from('user_settings')
-            .update({ last_autonomous_run: nowUTC.toISOString() })
-            .eq('user_id', userId);
-
-        // Fetch context
-        console.log(`[Autonomous] Fetching Binance context for ${userId}...`);
-        try {
-            const { balances, positions } = await getUserBinanceContext(supabaseAdmin, userId);
-
-            // 2.7 Fetch Autonomous Trade History for Position Enrichment
-            console.log(`[Autonomous] Fetching position history for context...`);
-            const { data: autonomousHistory } = await supabaseAdmin
-                .from('autonomous_trades')
-                .select('symbol, open_reason, confidence_score, created_at')
-                .eq('user_id', userId)
-                .order('created_at', { ascending: false });
-
-            // Enrich positions with opening context
-            const enrichedPositions = positions.map(pos => {
-                const history = autonomousHistory?.find(h => h.symbol === pos.symbol);
-                if (history) {
-                    const openedAt = new Date(history.created_at);
-                    const ageMs = Date.now() - openedAt.getTime();
-                    const ageHours = (ageMs / (1000 * 60 * 60)).toFixed(1);
-                    return {
-                        ...pos,
-                        openedAt: history.created_at,
-                        openingReason: history.open_reason || 'No reason recorded',
-                        openingConfidence: history.confidence_score || 0.9,
-                        ageHours: parseFloat(ageHours)
-                    };
-                }
-                return pos; // Position not in autonomous history (manual trade)
-            });
-
-            console.log(`[Autonomous] Enriched ${enrichedPositions.filter(p => p.ageHours).length}/${positions.length} positions with history`);
-
-            // 3. Invoke Analyst
-            console.log(`[Autonomous] Calling analyst at: ${ANALYST_SERVER_URL}`);
-
-            const analystResponse = await fetch(ANALYST_SERVER_URL, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    userQuery: "Mevcut pozisyonlarımı değerlendir ve kâr gördüğün en iyi 3 yeni fırsatı uygulayarak portföyümü optimize et.",
-                    userBalances: balances,
-                    userPositions: enrichedPositions,  // ✅ Now includes opening context
-                    userId: userId
-                })
-            });
+        log.debug('Calling analyst', { url: analystUrl });
+
+        const analysis = await run.time('analyst', () => analystLimiter.run(async () => {
+            const analystTimer = metrics.analystLatency.startTimer();
+            let analystResponse;
+            try {
+                analystResponse = await fetch(analystUrl, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify({
+                        userQuery: strategy?.prompt || t(language, 'analyst.userQuery'),
+                        language,
+                        userBalances: balances,
+                        userPositions: enrichedPositions,  // ✅ Now includes opening context
+                        userPendingOrders: pendingEntries, // Unfilled limit entries from earlier cycles
+                        ...(strategy ? { strategy: describeStrategy(strategy) } : {}),
+                        userId: userId
+                    }),
+                    timeout: ANALYST_TIMEOUT_MS
+                });
+            } catch (networkError) {
+                analystTimer({ status: 'error' });
+                metrics.analystErrors.inc({ reason: networkError.type === 'request-timeout' ? 'timeout' : 'network' });
+                throw networkError;
+            }
+            analystTimer({ status: String(analystResponse.status) });
 
             if (!analystResponse.ok) {
+                metrics.analystErrors.inc({ reason: analystResponse.status >= 500 ? 'http_5xx' : 'http_4xx' });
                 const errorBody = await analystResponse.text();
-                throw new Error(`Analyst failed for ${userId}: ${errorBody}`);
+                const analystError = new Error(`Analyst failed for ${userId} (HTTP ${analystResponse.status}): ${errorBody}`);
+                analystError.retryable = analystResponse.status >= 500;
+                throw analystError;
             }
 
-            const analysis = await analystResponse.json();
-            console.log(`[Autonomous] Analyst recommendation count:`, analysis.tradeRecommendations?.length || 0);
+            try {
+                return await analystResponse.json();
+            } catch (parseError) {
+                metrics.analystErrors.inc({ reason: 'invalid_response' });
+                throw parseError;
+            }
+        }));
+        log.info('Analyst responded', { recommendations: analysis.tradeRecommendations?.length || 0 });
+        await run.update({ analyst_response: analysis, narrative: analysis.text || null });
+
+        // 3.5 Validate & normalize analyst output (aliases, numbers, SL/TP sides)
+        let { accepted: recommendations, rejected } = await normalizeRecommendations(
+            supabaseAdmin, userId, exchange, analysis.tradeRecommendations, { language }
+        );
+        if (strategy) {
+            const scoped = applyStrategy(strategy, recommendations, enrichedPositions, { language });
+            recommendations = scoped.accepted;
+            rejected = [...rejected, ...scoped.rejected];
+        }
+        log.info('Recommendations normalized', { accepted: recommendations.length, rejected: rejected.length });
+        rejected.forEach(r => {
+            run.addResult(r.raw || {}, 'validation_failed', { message: r.reason });
+            metrics.orders.inc({ venue: exchange.name, result: 'rejected', reason: r.reasonKey || 'invalid_recommendation' });
+        });
 
-            let actionLog = [];
-            let executedTradeDetails = [];
+        // 3.7 Approve / notify-only users decide themselves (see proposals.js); nothing is executed here
+        const executionMode = normalizeExecutionMode(user.execution_mode);
+        if (executionMode !== 'auto') {
+            await run.time('execution', async () => {
+                const options = { language, narrative: analysis.text, pushToken: pushToken || null };
+                if (executionMode === 'notify_only') {
+                    await notifySuggestions(supabaseAdmin, userId, recommendations, options);
+                    recommendations.forEach(trade => run.addResult(trade, 'notified'));
+                    return;
+                }
+                const proposals = await createProposals(supabaseAdmin, userId, exchange, recommendations, {
+                    ...options,
+                    runId,
+                    settings: user.approval_settings
+                });
+                proposals.forEach(({ trade, proposal, error }) => (proposal
+                    ? run.addResult(trade, 'proposed', { message: `proposal ${proposal.id}` })
+                    : run.addResult(trade, 'exchange_error', { message: `Proposal not stored: ${error}` })));
+            });
+            log.info('Recommendations handed to user', { mode: executionMode, count: recommendations.length });
+            await run.finish('completed');
+            cycleTimer({ status: 'completed' });
+            return 'ok';
+        }
 
-            // 4. Execute Trades
-            for (const trade of analysis.tradeRecommendations || []) {
-                console.log(`[Autonomous] [${userId}] Attempting: ${trade.action} ${trade.symbol}`);
+        let actionLog = [];
+        let rejectedLog = [];
+        let executedTradeDetails = [];
+
+        // 4. Execute Trades
+        await run.time('execution', async () => {
+            for (const trade of recommendations) {
+                log.info('Executing recommendation', { symbol: trade.symbol, action: trade.action });
 
                 try {
-                    const tradeResult = await executeTradeInternal(supabaseAdmin, userId, trade);
-                    if (tradeResult.orderId) {
-                        console.log(`[Autonomous] [${userId}] SUCCESS: ${trade.symbol} OrderId: ${tradeResult.orderId}`);
+                    const tradeResult = await exchangeLimiter.run(() => executeTradeInternal(supabaseAdmin, userId, trade));
+                    if (!tradeResult.orderId) {
+                        run.addResult(trade, 'exchange_error', { message: `No orderId in response: ${JSON.stringify(tradeResult)}` });
+                        metrics.orders.inc({ venue: exchange.name, result: 'rejected', reason: 'no_order_id' });
+                    } else {
+                        log.info('Order placed', { symbol: trade.symbol, orderId: tradeResult.orderId });
+                        run.addResult(trade, 'executed', { orderId: tradeResult.orderId, sizing: tradeResult.sizing });
+                        metrics.orders.inc({ venue: exchange.name, result: 'placed', reason: 'none' });
                         // Determine correct action label
-                        let actionLabel;
+                        let actionKey;
                         if (tradeResult.isClosing) {
-                            actionLabel = 'kapatıldı';
-                        } else if (trade.action === 'BUY' || trade.action === 'AL') {
-                            actionLabel = 'alındı (LONG)';
-                        } else if (trade.action === 'SELL' || trade.action === 'SAT') {
-                            actionLabel = 'satıldı (SHORT)';
+                            actionKey = 'action.closed';
+                        } else if (tradeResult.pending) {
+                            actionKey = trade.action === 'BUY' ? 'action.pendingLong' : 'action.pendingShort';
+                        } else if (trade.action === 'BUY') {
+                            actionKey = 'action.long';
+                        } else if (trade.action === 'SELL') {
+                            actionKey = 'action.short';
                         } else {
-                            actionLabel = 'işlem yapıldı';
+                            actionKey = 'action.other';
                         }
 
-                        actionLog.push(`${trade.symbol} ${actionLabel}`);
+                        actionLog.push(`${trade.symbol} ${t(language, actionKey)}`);
 
-                        await supabaseAdmin.from('autonomous_trades').insert({
-                            order_id: tradeResult.orderId,
-                            user_id: userId,
-                            symbol: trade.symbol,
-                            open_reason: trade.reason || 'Autonomous analysis',
-                            confidence_score: trade.confidence || 0.9
-                        });
+                        // Recorded as an intent; reconcile.js fills in price, fees and PnL later
+                        await recordTradeIntents(supabaseAdmin, userId, trade, tradeResult);
 
                         executedTradeDetails.push({
                             symbol: trade.symbol,
@@ -229,104 +378,249 @@ async function runTradeCycle(targetUserId = null, forceRun = false) {
                             leverage: trade.leverage,
                             stopLoss: trade.stopLoss,
                             takeProfit: trade.takeProfit,
-                            quantity: trade.quantity
+                            quantity: tradeResult.sizing ? parseFloat(tradeResult.sizing.quantity) : trade.quantity,
+                            ...(tradeResult.pending ? {
+                                orderType: tradeResult.orderType,
+                                entries: tradeResult.orders.map(o => ({ price: parseFloat(o.price), quantity: parseFloat(o.quantity) })),
+                                expiresAt: tradeResult.expiresAt
+                            } : {})
                         });
                     }
                 } catch (tErr) {
-                    console.error(`[Autonomous] [${userId}] Error executing ${trade.symbol}:`, tErr.message || tErr);
+                    log.error('Order failed', { symbol: trade.symbol, rule: tErr.rule, error: tErr.message || String(tErr) });
+                    metrics.orders.inc({
+                        venue: exchange.name,
+                        result: 'rejected',
+                        reason: tErr.rule || tErr.messageKey || outcomeForError(tErr)
+                    });
+                    const reason = errorMessage(language, tErr);
+                    run.addResult(trade, outcomeForError(tErr), { message: reason });
+                    rejectedLog.push(`${trade.symbol} ${trade.action}: ${reason}`);
                 }
             }
+        });
 
-            // 6. Notifications
-            console.log(`[Autonomous] [${userId}] actionLog length: ${actionLog.length}`);
-            console.log(`[Autonomous] [${userId}] actionLog:`, actionLog);
+        // 6. Notifications
+        log.info('Cycle actions', { actions: actionLog });
+
+        if (actionLog.length > 0) {
+            const notificationData = {
+                actions: actionLog,
+                ai_narrative: analysis.text,
+                trade_details: executedTradeDetails
+            };
+
+            await notifyUser(supabaseAdmin, userId, {
+                event: 'trade_executed',
+                title: t(language, 'notify.tradeReport.title'),
+                message: actionLog.join(', '),
+                pushBody: actionLog.join('\n'),
+                data: notificationData,
+                pushToken: pushToken || null
+            });
+        }
 
-            if (actionLog.length > 0) {
-                const notificationData = {
-                    actions: actionLog,
-                    ai_narrative: analysis.text,
-                    trade_details: executedTradeDetails
-                };
+        if (rejectedLog.length > 0) {
+            await notifyUser(supabaseAdmin, userId, {
+                event: 'trade_rejected',
+                title: t(language, 'notify.tradeRejected.title'),
+                message: rejectedLog.join('\n'),
+                data: { event: 'TRADE_REJECTED', rejected: rejectedLog },
+                pushToken: pushToken || null
+            });
+        }
 
-                console.log(`[Autonomous] [${userId}] Inserting notification...`);
-                const { data: notifData, error: notifError } = await supabaseAdmin.from('notifications').insert({
-                    user_id: userId,
-                    type: 'SYSTEM',
-                    title: 'Otonom İşlem Raporu',
-                    message: actionLog.join(', '),
-                    data: notificationData
-                });
+        await run.finish('completed');
+        cycleTimer({ status: 'completed' });
+        return 'ok';
+    } catch (ctxError) {
+        log.error('Cycle failed', { error: ctxError });
+        await run.finish('failed', ctxError);
+        cycleTimer({ status: 'failed' });
+        if (isTransientError(ctxError)) throw ctxError; // Queue retries; dead-lettering notifies
+
+        await notifyUser(supabaseAdmin, userId, {
+            event: 'cycle_error',
+            title: t(language, 'notify.cycleError.title'),
+            message: t(language, 'notify.cycleError.message', { error: ctxError.message }),
+            data: { event: 'CYCLE_FAILED', error: ctxError.message },
+            pushToken: pushToken || null
+        });
+        return 'failed';
+    }
+}
 
-                if (notifError) {
-                    console.error(`[Autonomous] [${userId}] Notification insert failed:`, notifError);
-                } else {
-                    console.log(`[Autonomous] [${userId}] Notification inserted successfully`);
-                }
+function sameInstant(a, b) {
+    if (!a || !b) return !a && !b;
+    return new Date(a).getTime() === new Date(b).getTime();
+}
 
-                if (pushToken) {
-                    await fetch('https://exp.host/--/api/v2/push/send', {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({
-                            to: pushToken,
-                            title: "Otonom İşlem Raporu",
-                            body: actionLog.join('\n'),
-                            sound: 'default',
-                            badge: 1
-                        })
-                    });
-                }
-            } else {
-                console.log(`[Autonomous] No trade actions took place for user ${userId}`);
+// Reusable function for trade cycle. Resolves to the number of cycles per outcome: { ok, failed, skipped }
+// (not due, cycle lock taken and the runUserCycle skips count as skipped; dead-lettered jobs as failed).
+async function runTradeCycle(targetUserId = null, forceRun = false) {
+    log.debug('Checking schedules', { target: targetUserId || 'ALL', forceRun });
+
+    let query = supabaseAdmin
+        .from('user_settings')
+        .select('user_id, expo_push_token, autonomous_schedule_type, autonomous_interval, autonomous_daily_time, autonomous_daily_times, autonomous_weekdays, autonomous_cron, autonomous_timezone, last_autonomous_run, next_autonomous_run, is_autonomous_enabled, trading_mode, exchange, exchange_env, language, execution_mode, approval_settings');
+
+    if (targetUserId) {
+        // If specific user is targeted, fetch them regardless of is_autonomous_enabled IF forceRun is true
+        // If forceRun is false but targetUserId is set? We still assume we want to check them.
+        query = query.eq('user_id', targetUserId);
+    } else {
+        // Cron Mode: Only fetch enabled users
+        query = query.eq('is_autonomous_enabled', true);
+    }
+
+    const { data, error: userError } = await query;
+
+    if (userError) throw userError;
+    const users = data || [];
+    log.debug('Users loaded', { count: users.length });
+    if (targetUserId && users.length === 0) {
+        log.warn('Target user not found in user_settings', { userId: targetUserId });
+    }
+
+    const nowUTC = new Date()
+
+    // Users with enabled strategy profiles run one cycle per profile, on the profile's schedule. A failed
+    // profile load throws (loadEnabledStrategies checks the query error) rather than falling back to
+    // user_settings cycles for users who have profiles.
+    const strategiesByUser = await loadEnabledStrategies(supabaseAdmin, users.map(u => u.user_id));
+    const cycles = users.flatMap(user => (strategiesByUser.get(user.user_id) || [null]).map(strategy => ({ user, strategy })));
+
+    const processPromises = cycles.map(async ({ user, strategy }) => {
+        const userId = user.user_id;
+        const { table, key, row: scheduled } = scheduleOwner(user, strategy);
+        const lastRun = scheduled.last_autonomous_run ? new Date(scheduled.last_autonomous_run) : null;
+
+        // 2. Schedule Validation (user's timezone, see schedule.js)
+        let shouldRun = false;
+        let nextRun = null;
+        const schedule = normalizeSchedule(scheduled);
+
+        if (forceRun) {
+            shouldRun = true;
+            log.info('Force run, skipping schedule check', { userId, strategyId: strategy?.id });
+        } else {
+            try {
+                shouldRun = isDue(schedule, lastRun, nowUTC);
+                nextRun = shouldRun ? null : nextRunAfter(schedule, lastRun || nowUTC);
+            } catch (scheduleError) {
+                log.error('Invalid schedule', { userId, strategyId: strategy?.id, error: scheduleError.message });
+                return 'failed';
             }
+        }
 
-        } catch (ctxError) {
-            console.error(`[Autonomous] [${userId}] Context/Analyst Error:`, ctxError.message);
+        if (!shouldRun) {
+            // Keep next_autonomous_run current when settings changed outside the API
+            const nextIso = nextRun ? nextRun.toISOString() : null;
+            if (!sameInstant(scheduled.next_autonomous_run, nextIso)) {
+                await supabaseAdmin.from(table).update({ next_autonomous_run: nextIso }).eq(key, scheduled[key]);
+            }
+            return 'skipped';
         }
+
+        // 3. Queue (bounded concurrency, retries) + lease: never two cycles for the same user. A profile that
+        // finds the lease taken by another profile's cycle is still unclaimed, so it runs on a later tick.
+        const trigger = forceRun ? 'force' : targetUserId ? 'manual' : 'cron';
+        const queueKey = strategy ? `${userId}:${strategy.id}` : userId;
+        return cycleQueue.enqueue(queueKey, async ({ attempt, waitedMs }) => {
+            metrics.queueWait.observe({ queue: 'cycles' }, waitedMs / 1000);
+            const cycleId = randomUUID();
+            return withLogContext({ userId, cycleId, ...(strategy ? { strategyId: strategy.id } : {}) }, async () => {
+                const { acquired, result } = await withCycleLock(supabaseAdmin, userId, () =>
+                    runUserCycle(user, nowUTC, { forceRun, attempt, trigger, cycleId, strategy })
+                );
+                if (!acquired) {
+                    log.info('Cycle already in flight, skipping');
+                    return 'skipped';
+                }
+                return result;
+            });
+        }, { trigger, userId, strategyId: strategy?.id || null });
     });
 
-    return Promise.allSettled(processPromises);
+    const outcomes = { ok: 0, failed: 0, skipped: 0 };
+    for (const settled of await Promise.allSettled(processPromises)) {
+        outcomes[settled.status === 'fulfilled' ? settled.value : 'failed']++;
+    }
+    return outcomes;
 }
 
 // Internal Cron Job (Runs every minute)
 // Only active users, respecting schedule
 cron.schedule('* * * * *', () => {
-    console.log('⏰ [Cron] Running every-minute check...');
-    runTradeCycle(null, false).then(() => {
-        console.log('✅ [Cron] Minute check complete.');
-    }).catch(err => {
-        console.error('❌ [Cron] Error in minute check:', err);
+    runTradeCycle(null, false).catch(err => {
+        cronLog.error('Minute check failed', { error: err });
+    });
+
+    // Paper accounts: fire simulated SL/TP orders whose trigger price was crossed
+    processPaperTriggers(supabaseAdmin).catch(err => {
+        cronLog.error('Paper trigger check failed', { error: err });
+    });
+
+    // Notification deliveries waiting for a retry
+    retryNotificationDeliveries(supabaseAdmin).catch(err => {
+        cronLog.error('Notification retries failed', { error: err });
+    });
+
+    // Resting limit entries: fills (then SL/TP), expiries
+    processPendingEntries(supabaseAdmin).catch(err => {
+        cronLog.error('Pending entry check failed', { error: err });
+    });
+
+    // Trade proposals nobody approved in time
+    expireProposals(supabaseAdmin).catch(err => {
+        cronLog.error('Proposal expiry failed', { error: err });
+    });
+
+    // Trailing stops, break-even moves and partial take-profits between analyst cycles
+    monitorAllPositions(supabaseAdmin).catch(err => {
+        cronLog.error('Position monitor failed', { error: err });
     });
 });
 
-// Trigger Endpoint (Manual Override)
-app.post('/trigger', async (req, res) => {
-    try {
-        const { userId, force } = req.body;
-        console.log(`🔔 [TRIGGER] Manual trigger received. User: ${userId}, Force: ${force}`);
-
-        if (!userId && force) {
-            console.warn("⚠️ Warning: Force run requested without missing userId. This will force run ALL users if not handled properly. Defaulting to standard check.");
-            // If force is true but no userId, maybe we should prevent it? Or just run all enabled users properly?
-            // Let's assume force requires userId for safety, or runs all enabled users bypassing schedule.
-            // For now, let's allow it but be careful.
-        }
+// Fill reconciliation (every 5 minutes): fill prices, fees, SL/TP closes and realized PnL
+cron.schedule('*/5 * * * *', () => {
+    reconcileAllUsers(supabaseAdmin).catch(err => {
+        cronLog.error('Fill reconciliation failed', { error: err });
+    });
 
-        // Run in background - Do NOT await
-        runTradeCycle(userId, !!force).then(() => {
-            console.log('✅ [Autonomous] Manual cycle finished.');
-        }).catch(err => {
-            console.error('❌ [Autonomous] Manual cycle finished with errors:', err);
-        });
+    // AI SL/TP orders left without a position to protect
+    sweepOrphanedOrders(supabaseAdmin).catch(err => {
+        cronLog.error('Orphaned order sweep failed', { error: err });
+    });
 
-        res.json({ success: true, message: 'Cycle started in background 🚀' });
+    // Expo push receipts (clears tokens of uninstalled apps)
+    checkExpoReceipts(supabaseAdmin).catch(err => {
+        cronLog.error('Push receipt check failed', { error: err });
+    });
 
-    } catch (error) {
-        console.error('[Error]', error);
-        res.status(500).json({ error: error.message });
-    }
+    // Real-time fills: open user-data streams for newly enabled users, close disabled ones
+    userStreams.sync().catch(err => {
+        cronLog.error('User stream sync failed', { error: err });
+    });
+});
+
+// Daily summary notifications (opt-in)
+cron.schedule(process.env.DAILY_SUMMARY_CRON || '0 18 * * *', () => {
+    sendDailySummaries(supabaseAdmin).catch(err => {
+        cronLog.error('Daily summaries failed', { error: err });
+    });
 });
 
+// Admin endpoints (queue inspection)
+app.use('/admin', createAdminRouter({ supabaseAdmin, cycleQueue, limiters: [analystLimiter, exchangeLimiter], userStreams }));
+
+// Trigger Endpoint (JWT or signed service token, audited)
+app.use('/trigger', createTriggerRouter({ supabaseAdmin, runTradeCycle }));
+
 app.listen(PORT, () => {
-    console.log(`Trader Server live on ${PORT}`);
+    log.info('Trader Server live', { port: PORT });
+    startSymbolRulesRefresh();
+    userStreams.sync().catch(err => {
+        log.error('User stream sync failed at startup', { error: err });
+    });
 });
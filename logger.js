@@ -0,0 +1,94 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured JSON logs, one object per line:
+//   { time, level, component, msg, userId?, cycleId?, ...fields }
+// userId/cycleId (and anything else passed to withLogContext) follow the async call chain, so modules
+// deep inside a cycle log them without threading a logger through. LOG_LEVEL: debug | info | warn | error.
+// Secrets are redacted before anything is written: fields with secret-looking names, values of the
+// configured secret env vars, JWTs, push tokens, stored key ciphertexts and request signatures.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] ?? LEVELS.info;
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 6;
+
+const SECRET_FIELD = /(secret|password|passphrase|token|api_?key|authorization|signature|listen_?key|private_?key|cookie)/i;
+const SECRET_ENV = ['SUPABASE_SERVICE_ROLE_KEY', 'APP_SECRET_KEY', 'APP_SECRET_KEYS', 'TRIGGER_SERVICE_SECRET', 'TELEGRAM_BOT_TOKEN', 'SMTP_PASS', 'METRICS_TOKEN'];
+const SECRET_PATTERNS = [
+    /eyJ[\w-]+\.[\w-]+\.[\w-]+/g,                   // JWTs (Supabase keys, user sessions)
+    /Expo(nent)?PushToken\[[^\]]+\]/g,              // Expo push tokens
+    /\b(v\d+:)?[0-9a-f]{24}:[0-9a-f]{32,}\b/gi,     // Stored exchange key ciphertexts
+    /([?&](signature|sign|listenKey)=)[^&\s"]+/gi   // Signed request query strings
+];
+
+const context = new AsyncLocalStorage();
+
+function secretValues() {
+    return SECRET_ENV
+        .flatMap(name => (process.env[name] || '').split(','))
+        .map(value => value.replace(/^\d+:/, '').trim())
+        .filter(value => value.length >= 8);
+}
+
+function redactString(value) {
+    let result = value;
+    for (const secret of secretValues()) result = result.split(secret).join(REDACTED);
+    for (const pattern of SECRET_PATTERNS) {
+        result = result.replace(pattern, (match, prefix) => (typeof prefix === 'string' && prefix.endsWith('=') ? `${prefix}${REDACTED}` : REDACTED));
+    }
+    return result;
+}
+
+function redact(value, depth = 0, seen = new WeakSet()) {
+    if (typeof value === 'string') return redactString(value);
+    if (value === null || typeof value !== 'object') return value;
+    if (depth >= MAX_DEPTH) return '[Truncated]';
+    if (seen.has(value)) return '[Circular]';
+    seen.add(value);
+
+    if (value instanceof Error) {
+        return redact({ name: value.name, message: value.message, code: value.code, stack: value.stack }, depth + 1, seen);
+    }
+    if (Array.isArray(value)) return value.map(item => redact(item, depth + 1, seen));
+
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+        if (item === undefined) continue;
+        result[key] = SECRET_FIELD.test(key) && item !== null ? REDACTED : redact(item, depth + 1, seen);
+    }
+    return result;
+}
+
+function write(level, component, bound, msg, fields) {
+    if (LEVELS[level] < MIN_LEVEL) return;
+    const entry = redact({
+        time: new Date().toISOString(),
+        level,
+        component,
+        msg,
+        ...context.getStore(),
+        ...bound,
+        ...(fields instanceof Error ? { error: fields } : fields)
+    });
+    const line = JSON.stringify(entry) + '\n';
+    if (LEVELS[level] >= LEVELS.warn) process.stderr.write(line);
+    else process.stdout.write(line);
+}
+
+// log.info('Order placed', { symbol, orderId }); log.error('Failed', { error }) or log.error('Failed', error)
+function createLogger(component, bound = {}) {
+    return {
+        debug: (msg, fields) => write('debug', component, bound, msg, fields),
+        info: (msg, fields) => write('info', component, bound, msg, fields),
+        warn: (msg, fields) => write('warn', component, bound, msg, fields),
+        error: (msg, fields) => write('error', component, bound, msg, fields),
+        child: (fields) => createLogger(component, { ...bound, ...fields })
+    };
+}
+
+// Runs fn with fields (userId, cycleId, ...) attached to every log line written inside it
+function withLogContext(fields, fn) {
+    return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+module.exports = { createLogger, withLogContext, redact };
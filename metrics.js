@@ -0,0 +1,153 @@
+const client = require('prom-client');
+
+// Prometheus metrics, served on GET /metrics (see index.js). Label values are kept to small fixed sets:
+// outcomes, rule names, message keys, HTTP status codes and endpoint paths, never user ids or symbols.
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: 'trader_' });
+
+const cycleDuration = new client.Histogram({
+    name: 'trader_cycle_duration_seconds',
+    help: 'Duration of one user trade cycle',
+    labelNames: ['status'],
+    buckets: [1, 5, 10, 30, 60, 120, 300, 600],
+    registers: [register]
+});
+
+const cycleScheduleLag = new client.Histogram({
+    name: 'trader_cycle_schedule_lag_seconds',
+    help: 'Delay between a scheduled run time and the cycle actually starting',
+    buckets: [1, 5, 15, 30, 60, 120, 300, 900],
+    registers: [register]
+});
+
+const analystLatency = new client.Histogram({
+    name: 'trader_analyst_request_duration_seconds',
+    help: 'Analyst endpoint latency',
+    labelNames: ['status'],
+    buckets: [1, 5, 10, 20, 30, 60, 90, 120, 180],
+    registers: [register]
+});
+
+const analystErrors = new client.Counter({
+    name: 'trader_analyst_errors_total',
+    help: 'Failed analyst calls by reason',
+    labelNames: ['reason'],
+    registers: [register]
+});
+
+const orders = new client.Counter({
+    name: 'trader_orders_total',
+    help: 'Recommendations executed as orders or rejected, by reason',
+    labelNames: ['venue', 'result', 'reason'],
+    registers: [register]
+});
+
+const exchangeHttp = new client.Counter({
+    name: 'trader_exchange_http_requests_total',
+    help: 'Exchange REST responses by status code',
+    labelNames: ['venue', 'method', 'endpoint', 'status'],
+    registers: [register]
+});
+
+const queueWait = new client.Histogram({
+    name: 'trader_queue_wait_seconds',
+    help: 'Time a job spent queued before it started',
+    labelNames: ['queue'],
+    buckets: [0.1, 0.5, 1, 5, 15, 30, 60, 120, 300],
+    registers: [register]
+});
+
+const deadLetters = new client.Counter({
+    name: 'trader_queue_dead_letters_total',
+    help: 'Jobs that failed every attempt',
+    labelNames: ['queue'],
+    registers: [register]
+});
+
+// Point-in-time queue and limiter state, read from their stats() on every scrape
+const queues = [];
+const limiters = [];
+
+new client.Gauge({
+    name: 'trader_queue_jobs',
+    help: 'Jobs per queue and state',
+    labelNames: ['queue', 'state'],
+    registers: [register],
+    collect() {
+        this.reset();
+        for (const queue of queues) {
+            const s = queue.stats();
+            this.set({ queue: s.name, state: 'running' }, s.running);
+            this.set({ queue: s.name, state: 'queued' }, s.queued);
+            this.set({ queue: s.name, state: 'retry_wait' }, s.retryWait);
+        }
+    }
+});
+
+new client.Gauge({
+    name: 'trader_queue_oldest_wait_seconds',
+    help: 'Age of the oldest queued job',
+    labelNames: ['queue'],
+    registers: [register],
+    collect() {
+        this.reset();
+        for (const queue of queues) {
+            const s = queue.stats();
+            this.set({ queue: s.name }, s.oldestQueuedMs / 1000);
+        }
+    }
+});
+
+new client.Gauge({
+    name: 'trader_limiter_slots',
+    help: 'Shared limiter usage (active holders and waiters)',
+    labelNames: ['limiter', 'state'],
+    registers: [register],
+    collect() {
+        this.reset();
+        for (const limiter of limiters) {
+            const s = limiter.stats();
+            this.set({ limiter: s.name, state: 'active' }, s.active);
+            this.set({ limiter: s.name, state: 'waiting' }, s.waiting);
+        }
+    }
+});
+
+function trackQueue(queue) {
+    queues.push(queue);
+}
+
+function trackLimiter(limiter) {
+    limiters.push(limiter);
+}
+
+// Wraps node-fetch so every exchange response is counted by status; the endpoint label is the URL path
+function instrumentFetch(venue, fetchImpl) {
+    return async (url, options = {}) => {
+        const endpoint = new URL(url).pathname;
+        const method = options.method || 'GET';
+        try {
+            const response = await fetchImpl(url, options);
+            exchangeHttp.inc({ venue, method, endpoint, status: String(response.status) });
+            return response;
+        } catch (error) {
+            exchangeHttp.inc({ venue, method, endpoint, status: error.type === 'request-timeout' ? 'timeout' : 'network_error' });
+            throw error;
+        }
+    };
+}
+
+module.exports = {
+    register,
+    cycleDuration,
+    cycleScheduleLag,
+    analystLatency,
+    analystErrors,
+    orders,
+    queueWait,
+    deadLetters,
+    trackQueue,
+    trackLimiter,
+    instrumentFetch
+};
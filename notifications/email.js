@@ -0,0 +1,37 @@
+const nodemailer = require('nodemailer');
+
+// SMTP email. Transport settings come from SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS / SMTP_FROM.
+let transporter = null;
+
+function getTransporter() {
+    if (!transporter && process.env.SMTP_HOST) {
+        const port = parseInt(process.env.SMTP_PORT || '587', 10);
+        transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port,
+            secure: port === 465,
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+        });
+    }
+    return transporter;
+}
+
+async function send(address, { title, message }) {
+    const transport = getTransporter();
+    if (!transport) return { ok: false, permanent: true, error: 'SMTP not configured' };
+
+    try {
+        await transport.sendMail({
+            from: process.env.SMTP_FROM || process.env.SMTP_USER,
+            to: address,
+            subject: title,
+            text: message
+        });
+        return { ok: true };
+    } catch (error) {
+        // 5xx SMTP replies are permanent (unknown mailbox etc.), everything else is worth retrying
+        return { ok: false, permanent: error.responseCode >= 500, error: error.message };
+    }
+}
+
+module.exports = { name: 'email', send };
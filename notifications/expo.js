@@ -0,0 +1,65 @@
+const fetch = require('node-fetch');
+
+// Expo push. A send returns a ticket; the receipt (fetched later by checkExpoReceipts) says whether
+// the push service accepted it. DeviceNotRegistered on either means the token is dead.
+const SEND_URL = 'https://exp.host/--/api/v2/push/send';
+const RECEIPTS_URL = 'https://exp.host/--/api/v2/push/getReceipts';
+
+function isInvalidToken(details) {
+    return details?.error === 'DeviceNotRegistered';
+}
+
+async function send(token, { title, message, pushBody, pushCategory, data }) {
+    const response = await fetch(SEND_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+        body: JSON.stringify({
+            to: token,
+            title,
+            body: pushBody || message,
+            data,
+            ...(pushCategory ? { categoryId: pushCategory } : {}),
+            sound: 'default',
+            badge: 1
+        }),
+        timeout: 10000
+    });
+
+    if (!response.ok) {
+        // 4xx other than rate limiting means the request itself is wrong; retrying won't help
+        const permanent = response.status >= 400 && response.status < 500 && response.status !== 429;
+        return { ok: false, permanent, error: `Expo HTTP ${response.status}` };
+    }
+
+    const { data: ticket } = await response.json();
+    if (ticket?.status === 'ok') return { ok: true, receiptId: ticket.id };
+
+    return {
+        ok: false,
+        permanent: true,
+        invalidTarget: isInvalidToken(ticket?.details),
+        error: ticket?.message || JSON.stringify(ticket)
+    };
+}
+
+// { receiptId: { ok, invalidTarget, error } } for the given ids
+async function getReceipts(ids) {
+    const response = await fetch(RECEIPTS_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+        body: JSON.stringify({ ids }),
+        timeout: 10000
+    });
+    if (!response.ok) throw new Error(`Expo receipts HTTP ${response.status}`);
+
+    const { data } = await response.json();
+    const results = {};
+    for (const [id, receipt] of Object.entries(data || {})) {
+        results[id] = receipt.status === 'ok'
+            ? { ok: true }
+            : { ok: false, invalidTarget: isInvalidToken(receipt.details), error: receipt.message };
+    }
+    return results;
+}
+
+module.exports = { name: 'push', send, getReceipts };
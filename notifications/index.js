@@ -0,0 +1,247 @@
+const expo = require('./expo');
+const telegram = require('./telegram');
+const email = require('./email');
+const webhook = require('./webhook');
+const { t, normalizeLanguage } = require('../i18n');
+const { createLogger } = require('../logger');
+
+// Notification dispatcher. Every notification gets an in-app `notifications` row; outbound channels
+// follow user_settings.notification_prefs (jsonb):
+//   channels        - enabled channels: push | telegram | email | webhook (default ['push'])
+//   events          - event types to deliver (default all but daily_summary)
+//   telegramChatId, email, webhookUrl, webhookSecret - channel targets (push uses expo_push_token)
+// Critical events (kill switch, liquidation, margin call, failed stop update) ignore `events`.
+// Each channel attempt is stored in `notification_deliveries`; failures are retried with backoff by
+// retryNotificationDeliveries, Expo receipts are checked by checkExpoReceipts.
+// Callers pass either ready `title`/`message` strings or `titleKey`/`messageKey` + `params`, rendered
+// in the user's language (user_settings.language). `pushCategory` names the Expo notification category
+// whose action buttons the app shows (e.g. approve/reject on trade proposals).
+
+const CHANNELS = { push: expo, telegram, email, webhook };
+const log = createLogger('Notify');
+const NOTIFICATION_EVENTS = ['trade_executed', 'trade_rejected', 'trade_proposal', 'sl_tp_hit', 'cycle_error', 'daily_summary'];
+const DEFAULT_PREFS = {
+    channels: ['push'],
+    events: NOTIFICATION_EVENTS.filter(e => e !== 'daily_summary')
+};
+
+// data.event values raised across the service -> preference event type
+const EVENT_TYPES = {
+    TRADE_PROPOSAL: 'trade_proposal',
+    TRADE_SUGGESTIONS: 'trade_proposal',
+    STOP_LOSS_HIT: 'sl_tp_hit',
+    TAKE_PROFIT_HIT: 'sl_tp_hit',
+    PARTIAL_TAKE_PROFIT: 'sl_tp_hit',
+    KILL_SWITCH: 'critical',
+    LIQUIDATION: 'critical',
+    MARGIN_CALL: 'critical',
+    STOP_UPDATE_FAILED: 'critical',
+    CREDENTIALS_INVALID: 'critical'
+};
+
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 60 * 1000;
+const RECEIPT_DELAY_MS = 15 * 60 * 1000; // Expo receipts are ready within ~15 minutes
+const RECEIPT_BATCH = 300;
+
+// Returns { prefs } or { error } for a user-supplied prefs object
+function normalizeNotificationPrefs(raw) {
+    if (!raw || typeof raw !== 'object') return { error: 'notification_prefs must be an object' };
+    const prefs = {};
+
+    const channels = raw.channels ?? DEFAULT_PREFS.channels;
+    if (!Array.isArray(channels) || !channels.every(c => c in CHANNELS)) {
+        return { error: `channels must be a list of: ${Object.keys(CHANNELS).join(', ')}` };
+    }
+    prefs.channels = [...new Set(channels)];
+
+    const events = raw.events ?? DEFAULT_PREFS.events;
+    if (!Array.isArray(events) || !events.every(e => NOTIFICATION_EVENTS.includes(e))) {
+        return { error: `events must be a list of: ${NOTIFICATION_EVENTS.join(', ')}` };
+    }
+    prefs.events = [...new Set(events)];
+
+    if (raw.telegramChatId != null) prefs.telegramChatId = String(raw.telegramChatId);
+    if (raw.email != null) {
+        if (typeof raw.email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(raw.email)) return { error: 'email is not a valid address' };
+        prefs.email = raw.email;
+    }
+    if (raw.webhookUrl != null) {
+        if (typeof raw.webhookUrl !== 'string' || !/^https:\/\//.test(raw.webhookUrl)) return { error: 'webhookUrl must be an https URL' };
+        prefs.webhookUrl = raw.webhookUrl;
+        if (typeof raw.webhookSecret !== 'string' || raw.webhookSecret.length < 16) {
+            return { error: 'webhookSecret of at least 16 characters is required with webhookUrl' };
+        }
+        prefs.webhookSecret = raw.webhookSecret;
+    }
+
+    for (const channel of prefs.channels) {
+        if (channel === 'telegram' && !prefs.telegramChatId) return { error: 'telegramChatId is required for the telegram channel' };
+        if (channel === 'email' && !prefs.email) return { error: 'email is required for the email channel' };
+        if (channel === 'webhook' && !prefs.webhookUrl) return { error: 'webhookUrl is required for the webhook channel' };
+    }
+    return { prefs };
+}
+
+function targetFor(channel, prefs, pushToken) {
+    switch (channel) {
+        case 'push': return pushToken || null;
+        case 'telegram': return prefs.telegramChatId || null;
+        case 'email': return prefs.email || null;
+        case 'webhook': return prefs.webhookUrl ? { url: prefs.webhookUrl, secret: prefs.webhookSecret } : null;
+        default: return null;
+    }
+}
+
+// Dead targets are removed so they are not retried forever
+async function clearInvalidTarget(supabaseAdmin, userId, channel, target) {
+    log.warn('Clearing invalid target', { userId, channel });
+    if (channel === 'push') {
+        await supabaseAdmin
+            .from('user_settings')
+            .update({ expo_push_token: null })
+            .eq('user_id', userId)
+            .eq('expo_push_token', target);
+        return;
+    }
+    if (channel === 'telegram') {
+        const { data: settings } = await supabaseAdmin
+            .from('user_settings')
+            .select('notification_prefs')
+            .eq('user_id', userId)
+            .single();
+        const prefs = { ...(settings?.notification_prefs || {}) };
+        if (prefs.telegramChatId !== target) return;
+        delete prefs.telegramChatId;
+        prefs.channels = (prefs.channels || []).filter(c => c !== 'telegram');
+        await supabaseAdmin.from('user_settings').update({ notification_prefs: prefs }).eq('user_id', userId);
+    }
+}
+
+async function attempt(supabaseAdmin, userId, channel, target, payload) {
+    try {
+        const result = await CHANNELS[channel].send(target, { ...payload, userId });
+        if (result.invalidTarget) await clearInvalidTarget(supabaseAdmin, userId, channel, target);
+        return result;
+    } catch (error) {
+        return { ok: false, permanent: false, error: error.message };
+    }
+}
+
+function deliveryFields(result, attempts) {
+    if (result.ok) {
+        return { status: 'sent', attempts, receipt_id: result.receiptId || null, last_error: null, next_attempt_at: null };
+    }
+    const retry = !result.permanent && attempts < MAX_ATTEMPTS;
+    return {
+        status: retry ? 'retry' : 'failed',
+        attempts,
+        last_error: result.error,
+        next_attempt_at: retry ? new Date(Date.now() + RETRY_BASE_MS * 2 ** (attempts - 1)).toISOString() : null
+    };
+}
+
+async function notifyUser(supabaseAdmin, userId, { event, title, message, titleKey, messageKey, params, data, pushBody, pushCategory, pushToken }) {
+    const { data: settings } = await supabaseAdmin
+        .from('user_settings')
+        .select('expo_push_token, notification_prefs, language')
+        .eq('user_id', userId)
+        .single();
+    const prefs = { ...DEFAULT_PREFS, ...(settings?.notification_prefs || {}) };
+    const token = pushToken === undefined ? settings?.expo_push_token : pushToken;
+
+    const language = normalizeLanguage(settings?.language);
+    if (titleKey) title = t(language, titleKey, params);
+    if (messageKey) message = t(language, messageKey, params);
+
+    const { error: notifError } = await supabaseAdmin.from('notifications').insert({
+        user_id: userId,
+        type: 'SYSTEM',
+        title,
+        message,
+        data
+    });
+
+    if (notifError) log.error('Notification insert failed', { userId, error: notifError });
+
+    const eventType = event || EVENT_TYPES[data?.event] || 'critical';
+    if (eventType !== 'critical' && !prefs.events.includes(eventType)) return;
+
+    const payload = { event: eventType, title, message, pushBody, pushCategory, data };
+    for (const channel of prefs.channels) {
+        const target = targetFor(channel, prefs, token);
+        if (!target || !CHANNELS[channel]) continue;
+
+        const result = await attempt(supabaseAdmin, userId, channel, target, payload);
+        if (!result.ok) log.warn('Delivery failed', { userId, channel, error: result.error });
+
+        const { error } = await supabaseAdmin.from('notification_deliveries').insert({
+            user_id: userId,
+            channel,
+            event: eventType,
+            target,
+            payload,
+            ...deliveryFields(result, 1)
+        });
+        if (error) log.error('Delivery log insert failed', { userId, error: error.message });
+    }
+}
+
+// Scheduler entry point: re-sends deliveries whose backoff has elapsed
+async function retryNotificationDeliveries(supabaseAdmin) {
+    const { data: due, error } = await supabaseAdmin
+        .from('notification_deliveries')
+        .select('*')
+        .eq('status', 'retry')
+        .lte('next_attempt_at', new Date().toISOString())
+        .limit(100);
+    if (error) throw new Error(`Delivery retry scan failed: ${error.message}`);
+
+    for (const delivery of due || []) {
+        const attempts = delivery.attempts + 1;
+        const result = await attempt(supabaseAdmin, delivery.user_id, delivery.channel, delivery.target, delivery.payload);
+        if (!result.ok) log.warn('Delivery retry failed', { userId: delivery.user_id, channel: delivery.channel, attempts, error: result.error });
+
+        await supabaseAdmin
+            .from('notification_deliveries')
+            .update(deliveryFields(result, attempts))
+            .eq('id', delivery.id);
+    }
+}
+
+// Scheduler entry point: Expo receipts for pushes sent at least RECEIPT_DELAY_MS ago
+async function checkExpoReceipts(supabaseAdmin) {
+    const { data: pending, error } = await supabaseAdmin
+        .from('notification_deliveries')
+        .select('id, user_id, target, receipt_id')
+        .eq('channel', 'push')
+        .eq('status', 'sent')
+        .not('receipt_id', 'is', null)
+        .is('receipt_checked_at', null)
+        .lte('created_at', new Date(Date.now() - RECEIPT_DELAY_MS).toISOString())
+        .limit(RECEIPT_BATCH);
+    if (error) throw new Error(`Receipt scan failed: ${error.message}`);
+    if (!pending || pending.length === 0) return;
+
+    const receipts = await expo.getReceipts(pending.map(d => d.receipt_id));
+    for (const delivery of pending) {
+        const receipt = receipts[delivery.receipt_id];
+        if (!receipt) continue; // Not ready yet
+
+        const fields = { receipt_checked_at: new Date().toISOString() };
+        if (!receipt.ok) {
+            fields.status = 'failed';
+            fields.last_error = receipt.error;
+            if (receipt.invalidTarget) await clearInvalidTarget(supabaseAdmin, delivery.user_id, 'push', delivery.target);
+        }
+        await supabaseAdmin.from('notification_deliveries').update(fields).eq('id', delivery.id);
+    }
+}
+
+module.exports = {
+    notifyUser,
+    retryNotificationDeliveries,
+    checkExpoReceipts,
+    normalizeNotificationPrefs,
+    NOTIFICATION_EVENTS
+};
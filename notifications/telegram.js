@@ -0,0 +1,27 @@
+const fetch = require('node-fetch');
+
+// Telegram bot messages. Users link a chat by starting the bot; the chat id is stored in their prefs.
+const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
+
+async function send(chatId, { title, message }) {
+    if (!BOT_TOKEN) return { ok: false, permanent: true, error: 'TELEGRAM_BOT_TOKEN not configured' };
+
+    const response = await fetch(`https://api.telegram.org/bot${BOT_TOKEN}/sendMessage`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ chat_id: chatId, text: `${title}\n\n${message}` }),
+        timeout: 10000
+    });
+    if (response.ok) return { ok: true };
+
+    const data = await response.json().catch(() => ({}));
+    return {
+        ok: false,
+        // 403: bot blocked or chat gone; 400: bad chat id. Both need the user to relink.
+        permanent: response.status === 400 || response.status === 403,
+        invalidTarget: response.status === 403,
+        error: `Telegram HTTP ${response.status}: ${data.description || 'unknown error'}`
+    };
+}
+
+module.exports = { name: 'telegram', send };
@@ -0,0 +1,31 @@
+const fetch = require('node-fetch');
+const crypto = require('crypto');
+
+// Signed outbound webhooks. Receivers verify
+//   X-Signature: sha256=HMAC_SHA256(secret, `${X-Timestamp}.${rawBody}`)
+// and should reject stale timestamps.
+async function send({ url, secret }, { event, title, message, data, userId }) {
+    const timestamp = Date.now().toString();
+    const body = JSON.stringify({ event, title, message, data, userId, timestamp: new Date(Number(timestamp)).toISOString() });
+    const signature = crypto.createHmac('sha256', secret || '').update(`${timestamp}.${body}`).digest('hex');
+
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Timestamp': timestamp,
+            'X-Signature': `sha256=${signature}`
+        },
+        body,
+        timeout: 10000
+    });
+    if (response.ok) return { ok: true };
+
+    return {
+        ok: false,
+        permanent: response.status >= 400 && response.status < 500 && response.status !== 408 && response.status !== 429,
+        error: `Webhook HTTP ${response.status}`
+    };
+}
+
+module.exports = { name: 'webhook', send };
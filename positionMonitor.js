@@ -0,0 +1,367 @@
+const { getUserExchange, findPosition } = require('./exchanges');
+const { getSymbolRules, roundToStep } = require('./symbolRules');
+const { withCycleLock } = require('./cycleLock');
+const { notifyUser } = require('./notifications');
+const { cancelAiConditionalOrders } = require('./conditionalOrders');
+const { createLogger } = require('./logger');
+
+// Position management between analyst cycles. Each AI-opened position gets a `position_rules` row:
+//   user_id, symbol, side (LONG | SHORT), status (ACTIVE | CLOSED), source (analyst | defaults)
+//   (unique per user_id, symbol, side: a hedge-mode account can hold both sides of a symbol)
+//   rules     - normalized management rules (below)
+//   stop_price - the stop currently on the exchange, as far as the monitor knows
+//   state     - { initialQty, peakPrice, breakEvenDone, partialsDone: [level index] }
+//
+// Rules come from the recommendation's `management` field, else user_settings.position_rules.
+// All percentages are price moves from the entry price, not leveraged returns:
+//   trailingStop:       { mode: 'percent', percent, activationPct } | { mode: 'atr', multiplier, period, interval, activationPct }
+//   breakEven:          { triggerPct, offsetPct }
+//   partialTakeProfits: [{ profitPct, closePct }] - closePct of the quantity seen when the monitor first picked the position up
+
+const ATR_INTERVALS = ['5m', '15m', '30m', '1h', '4h', '1d'];
+const MIN_STOP_MOVE_PCT = 0.1; // Skip replacements smaller than this (% of price) to avoid churning orders
+const ATR_CACHE_MS = 60 * 1000;
+
+let monitorRunning = false;
+const atrCache = new Map();
+const log = createLogger('Monitor');
+
+function positiveNumber(value) {
+    const n = typeof value === 'number' ? value : parseFloat(value);
+    return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+// Returns normalized rules, or null when nothing usable is left. Invalid parts are dropped and listed in notes.
+function normalizeManagementRules(raw, notes = []) {
+    if (!raw || typeof raw !== 'object') return null;
+    const rules = {};
+
+    if (raw.trailingStop) {
+        const t = raw.trailingStop;
+        const activationPct = positiveNumber(t.activationPct) || 0;
+        if (t.mode === 'atr') {
+            const multiplier = positiveNumber(t.multiplier);
+            const period = Math.round(positiveNumber(t.period) || 14);
+            const interval = ATR_INTERVALS.includes(t.interval) ? t.interval : '1h';
+            if (multiplier && period >= 2 && period <= 100) {
+                rules.trailingStop = { mode: 'atr', multiplier, period, interval, activationPct };
+            } else {
+                notes.push(`trailingStop dropped: invalid ATR multiplier ${t.multiplier} or period ${t.period}`);
+            }
+        } else {
+            const percent = positiveNumber(t.percent);
+            if (percent && percent < 50) {
+                rules.trailingStop = { mode: 'percent', percent, activationPct };
+            } else {
+                notes.push(`trailingStop dropped: invalid percent ${t.percent}`);
+            }
+        }
+    }
+
+    if (raw.breakEven) {
+        const triggerPct = positiveNumber(raw.breakEven.triggerPct);
+        const offsetPct = parseFloat(raw.breakEven.offsetPct) || 0;
+        if (triggerPct && offsetPct >= 0 && offsetPct < triggerPct) {
+            rules.breakEven = { triggerPct, offsetPct };
+        } else {
+            notes.push(`breakEven dropped: invalid triggerPct ${raw.breakEven.triggerPct} / offsetPct ${raw.breakEven.offsetPct}`);
+        }
+    }
+
+    if (Array.isArray(raw.partialTakeProfits)) {
+        const levels = raw.partialTakeProfits
+            .map(l => ({ profitPct: positiveNumber(l?.profitPct), closePct: positiveNumber(l?.closePct) }))
+            .filter(l => l.profitPct && l.closePct && l.closePct <= 100)
+            .sort((a, b) => a.profitPct - b.profitPct);
+        if (levels.length !== raw.partialTakeProfits.length) notes.push('invalid partialTakeProfits levels dropped');
+        if (levels.length > 0) rules.partialTakeProfits = levels;
+    }
+
+    return Object.keys(rules).length > 0 ? rules : null;
+}
+
+async function loadDefaultRules(supabaseAdmin, userId) {
+    const { data: settings } = await supabaseAdmin
+        .from('user_settings')
+        .select('position_rules')
+        .eq('user_id', userId)
+        .single();
+    return normalizeManagementRules(settings?.position_rules);
+}
+
+// Called after an opening order fills; replaces any earlier rules for the symbol and side. addsToPosition: the
+// order added to a position that was open before it, whose stage flags (partial TPs taken, break-even reached)
+// are kept so they do not fire twice; the size the partials are measured against is re-read from the enlarged
+// position on the next pass. A new position always starts from fresh state.
+async function registerPosition(supabaseAdmin, userId, { symbol, side, stopLoss, management, addsToPosition = false }) {
+    const rules = management || await loadDefaultRules(supabaseAdmin, userId);
+    if (!rules) return;
+
+    const positionSide = side === 'BUY' ? 'LONG' : 'SHORT';
+    let state = { partialsDone: [], breakEvenDone: false };
+    if (addsToPosition) {
+        const { data: existing, error: loadError } = await supabaseAdmin
+            .from('position_rules')
+            .select('state')
+            .eq('user_id', userId)
+            .eq('symbol', symbol)
+            .eq('side', positionSide)
+            .eq('status', 'ACTIVE')
+            .maybeSingle();
+        if (loadError) {
+            log.error('Failed to load position rules', { userId, symbol, error: loadError.message });
+            return;
+        }
+        const { partialsDone = [], breakEvenDone = false, peakPrice } = existing?.state || {};
+        state = { partialsDone, breakEvenDone, ...(peakPrice ? { peakPrice } : {}) };
+    }
+
+    const { error } = await supabaseAdmin.from('position_rules').upsert({
+        user_id: userId,
+        symbol,
+        side: positionSide,
+        status: 'ACTIVE',
+        source: management ? 'analyst' : 'defaults',
+        rules,
+        stop_price: stopLoss > 0 ? stopLoss : null,
+        state,
+        updated_at: new Date().toISOString()
+    }, { onConflict: 'user_id,symbol,side' });
+
+    if (error) log.error('Failed to register position rules', { userId, symbol, error: error.message });
+}
+
+// Called when an order fully closes (or flips) the position on `side` (LONG | SHORT), so a position reopened
+// before the next monitor pass does not pick up the old rules and state
+async function closePositionRules(supabaseAdmin, userId, symbol, side) {
+    const { error } = await supabaseAdmin
+        .from('position_rules')
+        .update({ status: 'CLOSED', updated_at: new Date().toISOString() })
+        .eq('user_id', userId)
+        .eq('symbol', symbol)
+        .eq('side', side)
+        .eq('status', 'ACTIVE');
+    if (error) log.error('Failed to close position rules', { userId, symbol, side, error: error.message });
+}
+
+// Wilder's ATR over the last `period` candles
+function computeAtr(klines, period) {
+    if (klines.length <= period) return null;
+    const ranges = [];
+    for (let i = 1; i < klines.length; i++) {
+        const { high, low } = klines[i];
+        const prevClose = klines[i - 1].close;
+        ranges.push(Math.max(high - low, Math.abs(high - prevClose), Math.abs(low - prevClose)));
+    }
+    let atr = ranges.slice(0, period).reduce((sum, r) => sum + r, 0) / period;
+    for (let i = period; i < ranges.length; i++) {
+        atr = (atr * (period - 1) + ranges[i]) / period;
+    }
+    return atr;
+}
+
+async function getAtr(exchange, symbol, { interval, period }) {
+    const key = `${exchange.marketKey}:${symbol}:${interval}:${period}`;
+    const cached = atrCache.get(key);
+    if (cached && Date.now() - cached.at < ATR_CACHE_MS) return cached.value;
+
+    const klines = await exchange.getKlines(symbol, interval, period * 3 + 1);
+    const value = computeAtr(klines, period);
+    atrCache.set(key, { value, at: Date.now() });
+    return value;
+}
+
+// Tightest stop the rules allow right now, or null. sign: 1 long, -1 short.
+function targetStop(rules, state, { sign, entry, atr }) {
+    const peakProfitPct = (state.peakPrice - entry) / entry * 100 * sign;
+    const candidates = [];
+
+    if (rules.breakEven && peakProfitPct >= rules.breakEven.triggerPct) {
+        candidates.push(entry * (1 + sign * rules.breakEven.offsetPct / 100));
+    }
+
+    const trailing = rules.trailingStop;
+    if (trailing && peakProfitPct >= trailing.activationPct) {
+        if (trailing.mode === 'percent') {
+            candidates.push(state.peakPrice * (1 - sign * trailing.percent / 100));
+        } else if (atr) {
+            candidates.push(state.peakPrice - sign * trailing.multiplier * atr);
+        }
+    }
+
+    if (candidates.length === 0) return null;
+    return sign > 0 ? Math.max(...candidates) : Math.min(...candidates);
+}
+
+function placementFailed(response) {
+    return !(response && (response.algoId || response.retCode === 0));
+}
+
+// Cancels the AI stop(s) for the symbol and places one at stopPrice; restores the previous stop if placement fails.
+// hedgeSide: the position side in hedge mode (stops are per side there), else null
+async function replaceStop(exchange, symbol, closeSide, hedgeSide, stopPrice, previousStop, tickSize) {
+    await cancelAiConditionalOrders(exchange, symbol, { types: ['STOP_MARKET'], positionSide: hedgeSide, log });
+
+    const place = (price) => exchange.placeConditionalOrder({
+        symbol,
+        side: closeSide,
+        ...(hedgeSide ? { positionSide: hedgeSide } : {}),
+        type: 'STOP_MARKET',
+        triggerPrice: roundToStep(price, tickSize),
+        clientAlgoId: `AI_TRAIL_SL_${Date.now()}`
+    });
+
+    const response = await place(stopPrice);
+    if (!placementFailed(response)) return;
+
+    if (previousStop > 0) {
+        const restored = await place(previousStop);
+        if (placementFailed(restored)) {
+            throw new Error(`Stop replacement and restore failed: ${JSON.stringify(response)} / ${JSON.stringify(restored)}`);
+        }
+    }
+    throw new Error(`Stop replacement failed: ${JSON.stringify(response)}`);
+}
+
+async function updateRow(supabaseAdmin, id, fields) {
+    const { error } = await supabaseAdmin
+        .from('position_rules')
+        .update({ ...fields, updated_at: new Date().toISOString() })
+        .eq('id', id);
+    if (error) throw new Error(`position_rules update failed: ${error.message}`);
+}
+
+async function managePosition(supabaseAdmin, userId, exchange, row, position) {
+    const positionLog = log.child({ userId, symbol: row.symbol });
+    const amt = parseFloat(position.positionAmt);
+    const sign = amt > 0 ? 1 : -1;
+    const closeSide = sign > 0 ? 'SELL' : 'BUY';
+    const hedgeSide = ['LONG', 'SHORT'].includes(position.positionSide) ? position.positionSide : null;
+    const entry = parseFloat(position.entryPrice);
+    const price = parseFloat(position.markPrice) || await exchange.getMarketPrice(row.symbol);
+    if (!(entry > 0) || !(price > 0)) return;
+
+    const symbolRules = await getSymbolRules(exchange, row.symbol);
+    if (!symbolRules) return;
+
+    const { rules } = row;
+    const state = { partialsDone: [], breakEvenDone: false, ...(row.state || {}) };
+    state.initialQty = state.initialQty || Math.abs(amt);
+    state.peakPrice = sign > 0
+        ? Math.max(state.peakPrice || entry, price)
+        : Math.min(state.peakPrice || entry, price);
+
+    const profitPct = (price - entry) / entry * 100 * sign;
+    let remaining = Math.abs(amt);
+    let stopPrice = parseFloat(row.stop_price) || null;
+
+    // 1. Partial take-profits (reduce-only market orders; the closePosition stop covers what is left)
+    for (const [index, level] of (rules.partialTakeProfits || []).entries()) {
+        if (state.partialsDone.includes(index) || profitPct < level.profitPct || remaining <= 0) continue;
+
+        const stepSize = symbolRules.marketLotSize.stepSize || symbolRules.lotSize.stepSize;
+        const qty = parseFloat(roundToStep(Math.min(remaining, state.initialQty * level.closePct / 100), stepSize));
+        state.partialsDone.push(index);
+        if (!(qty > 0) || qty < symbolRules.marketLotSize.minQty) {
+            positionLog.warn('Partial take-profit skipped: quantity below minimum', { profitPct: level.profitPct, quantity: qty });
+            continue;
+        }
+
+        const result = await exchange.placeMarketOrder({
+            symbol: row.symbol,
+            side: closeSide,
+            quantity: qty,
+            clientOrderId: `AI_PARTIAL_TP_${Date.now()}`,
+            reduceOnly: true,
+            positionSide: hedgeSide
+        });
+        remaining -= qty;
+        positionLog.info('Partial take-profit', { profitPct, quantity: qty, orderId: result.orderId });
+        await notifyUser(supabaseAdmin, userId, {
+            titleKey: 'notify.partialTakeProfit.title',
+            messageKey: 'notify.partialTakeProfit.message',
+            params: { symbol: row.symbol, quantity: qty, profitPct: profitPct.toFixed(2) },
+            data: { event: 'PARTIAL_TAKE_PROFIT', symbol: row.symbol, quantity: qty, orderId: result.orderId }
+        });
+    }
+
+    // 2. Break-even and trailing stop: only ever tighten, never loosen
+    if (remaining > 0 && (rules.breakEven || rules.trailingStop)) {
+        const atr = rules.trailingStop?.mode === 'atr' ? await getAtr(exchange, row.symbol, rules.trailingStop) : null;
+        const target = targetStop(rules, state, { sign, entry, atr });
+        const minMove = Math.max(symbolRules.priceFilter.tickSize, price * MIN_STOP_MOVE_PCT / 100);
+        const tighter = target !== null && (stopPrice === null || (target - stopPrice) * sign >= minMove);
+        const belowPrice = target !== null && (price - target) * sign > 0;
+
+        if (tighter && belowPrice) {
+            try {
+                await replaceStop(exchange, row.symbol, closeSide, hedgeSide, target, stopPrice, symbolRules.priceFilter.tickSize);
+                positionLog.info('Stop moved', { from: stopPrice, to: target, price, peak: state.peakPrice });
+                stopPrice = target;
+                if (rules.breakEven && (target - entry) * sign >= 0) state.breakEvenDone = true;
+            } catch (stopError) {
+                positionLog.error('Stop update failed', { error: stopError.message });
+                await notifyUser(supabaseAdmin, userId, {
+                    titleKey: 'notify.stopUpdateFailed.title',
+                    messageKey: 'notify.stopUpdateFailed.message',
+                    params: { symbol: row.symbol },
+                    data: { event: 'STOP_UPDATE_FAILED', symbol: row.symbol, error: stopError.message }
+                });
+            }
+        }
+    }
+
+    await updateRow(supabaseAdmin, row.id, { stop_price: stopPrice, state });
+}
+
+async function monitorUser(supabaseAdmin, userId, rows) {
+    const exchange = await getUserExchange(supabaseAdmin, userId);
+    if (!exchange.getOpenConditionalOrders) return;
+
+    const { positions } = await exchange.getAccount();
+    for (const row of rows) {
+        const position = findPosition(positions, row.symbol, row.side);
+
+        // Closed or flipped since the rules were registered
+        if (!position) {
+            await updateRow(supabaseAdmin, row.id, { status: 'CLOSED' });
+            continue;
+        }
+
+        try {
+            await managePosition(supabaseAdmin, userId, exchange, row, position);
+        } catch (err) {
+            log.error('Position management failed', { userId, symbol: row.symbol, error: err.message });
+        }
+    }
+}
+
+// Scheduler entry point. Skips users whose trade cycle currently holds the cycle lock.
+async function monitorAllPositions(supabaseAdmin) {
+    if (monitorRunning) return;
+    monitorRunning = true;
+
+    try {
+        const { data: rows, error } = await supabaseAdmin
+            .from('position_rules')
+            .select('*')
+            .eq('status', 'ACTIVE');
+        if (error) throw new Error(`position_rules scan failed: ${error.message}`);
+
+        const byUser = {};
+        for (const row of rows || []) (byUser[row.user_id] = byUser[row.user_id] || []).push(row);
+
+        for (const [userId, userRows] of Object.entries(byUser)) {
+            try {
+                const { acquired } = await withCycleLock(supabaseAdmin, userId, () => monitorUser(supabaseAdmin, userId, userRows));
+                if (!acquired) log.debug('Cycle in flight, skipping this pass', { userId });
+            } catch (err) {
+                log.error('Monitor pass failed', { userId, error: err.message });
+            }
+        }
+    } finally {
+        monitorRunning = false;
+    }
+}
+
+module.exports = { normalizeManagementRules, registerPosition, closePositionRules, monitorAllPositions, computeAtr, targetStop };
@@ -0,0 +1,253 @@
+const { executeTradeInternal } = require('./binance');
+const { getUserExchange } = require('./exchanges');
+const { withCycleLock } = require('./cycleLock');
+const { recordTradeIntents } = require('./reconcile');
+const { outcomeForError } = require('./runs');
+const { notifyUser } = require('./notifications');
+const { t, errorMessage, getUserLanguage } = require('./i18n');
+const { createLogger } = require('./logger');
+
+// How a cycle's validated recommendations are acted on, per user_settings.execution_mode:
+//   auto        - executed right away (default)
+//   approve     - stored as proposals the user approves or rejects (push with approve/reject actions)
+//   notify_only - sent as a notification; nothing is stored or executed
+// user_settings.approval_settings (jsonb): { ttlMinutes, maxDriftPct }
+// Proposals live in `trade_proposals`:
+//   user_id, run_id, symbol, action, trade (normalized recommendation), reference_price (market at proposal time)
+//   status (PENDING | EXECUTED | REJECTED | EXPIRED | DRIFTED | FAILED), expires_at, decided_at
+//   order_id, message (drift or failure reason, in the user's language)
+// An approved proposal is re-checked against the current price and executed under the cycle lock with the
+// same pre-trade checks as an autonomous order. CLOSE proposals skip the drift check: closing at a moved
+// price still reduces risk.
+
+const EXECUTION_MODES = ['auto', 'approve', 'notify_only'];
+const DEFAULT_APPROVAL_SETTINGS = { ttlMinutes: 30, maxDriftPct: 1 };
+const MAX_TTL_MINUTES = 24 * 60;
+const MAX_DRIFT_PCT = 20;
+const PUSH_CATEGORY = 'trade_proposal'; // Expo notification category carrying the approve/reject buttons
+const log = createLogger('Proposals');
+
+function normalizeExecutionMode(mode) {
+    return EXECUTION_MODES.includes(mode) ? mode : 'auto';
+}
+
+// Returns { config } or { error } for user-supplied approval settings
+function normalizeApprovalSettings(raw) {
+    if (raw == null) return { config: { ...DEFAULT_APPROVAL_SETTINGS } };
+    if (typeof raw !== 'object') return { error: 'approval_settings must be an object' };
+
+    const ttlMinutes = raw.ttlMinutes === undefined ? DEFAULT_APPROVAL_SETTINGS.ttlMinutes : Number(raw.ttlMinutes);
+    if (!Number.isInteger(ttlMinutes) || ttlMinutes < 1 || ttlMinutes > MAX_TTL_MINUTES) {
+        return { error: `ttlMinutes must be an integer between 1 and ${MAX_TTL_MINUTES}` };
+    }
+    const maxDriftPct = raw.maxDriftPct === undefined ? DEFAULT_APPROVAL_SETTINGS.maxDriftPct : Number(raw.maxDriftPct);
+    if (!Number.isFinite(maxDriftPct) || maxDriftPct <= 0 || maxDriftPct > MAX_DRIFT_PCT) {
+        return { error: `maxDriftPct must be greater than 0 and at most ${MAX_DRIFT_PCT}` };
+    }
+    return { config: { ttlMinutes, maxDriftPct } };
+}
+
+function proposalError(message, httpStatus) {
+    const error = new Error(message);
+    error.httpStatus = httpStatus;
+    return error;
+}
+
+function describe(trade) {
+    return `${trade.symbol} ${trade.positionSide ? `${trade.action} ${trade.positionSide}` : trade.action}`;
+}
+
+// Stores each recommendation as a PENDING proposal and pushes it with approve/reject actions
+async function createProposals(supabaseAdmin, userId, exchange, recommendations, { runId, settings, language, narrative, pushToken }) {
+    // Stored settings are validated on write; anything unreadable falls back to the defaults
+    const { config: { ttlMinutes } = DEFAULT_APPROVAL_SETTINGS } = normalizeApprovalSettings(settings);
+    const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000).toISOString();
+    const proposals = [];
+
+    for (const trade of recommendations) {
+        const referencePrice = await exchange.getMarketPrice(trade.symbol).catch(() => null);
+        const { data: proposal, error } = await supabaseAdmin
+            .from('trade_proposals')
+            .insert({
+                user_id: userId,
+                run_id: runId,
+                symbol: trade.symbol,
+                action: trade.action,
+                trade,
+                reference_price: referencePrice || null,
+                status: 'PENDING',
+                expires_at: expiresAt
+            })
+            .select('id, symbol, action, expires_at')
+            .single();
+        if (error) {
+            log.error('Proposal insert failed', { userId, symbol: trade.symbol, error: error.message });
+            proposals.push({ trade, error: error.message });
+            continue;
+        }
+        proposals.push({ trade, proposal });
+
+        await notifyUser(supabaseAdmin, userId, {
+            event: 'trade_proposal',
+            title: t(language, 'notify.tradeProposal.title'),
+            message: t(language, 'notify.tradeProposal.message', {
+                trade: describe(trade),
+                reason: trade.reason || narrative || '-',
+                minutes: ttlMinutes
+            }),
+            pushCategory: PUSH_CATEGORY,
+            data: { event: 'TRADE_PROPOSAL', proposalId: proposal.id, trade, expiresAt },
+            pushToken
+        });
+    }
+    return proposals;
+}
+
+// notify_only: one notification listing the recommendations
+async function notifySuggestions(supabaseAdmin, userId, recommendations, { language, narrative, pushToken }) {
+    if (recommendations.length === 0) return;
+    const lines = recommendations.map(trade => (trade.reason ? `${describe(trade)}: ${trade.reason}` : describe(trade)));
+    await notifyUser(supabaseAdmin, userId, {
+        event: 'trade_proposal',
+        title: t(language, 'notify.tradeSuggestions.title'),
+        message: lines.join('\n'),
+        data: { event: 'TRADE_SUGGESTIONS', trades: recommendations, ai_narrative: narrative || null },
+        pushToken
+    });
+}
+
+// Compare-and-set on PENDING, so a proposal is decided once even if approve, reject and expiry race
+async function decide(supabaseAdmin, proposal, fields) {
+    const { data, error } = await supabaseAdmin
+        .from('trade_proposals')
+        .update({ decided_at: new Date().toISOString(), ...fields })
+        .eq('id', proposal.id)
+        .eq('status', 'PENDING')
+        .select('*');
+    if (error) throw new Error(`trade_proposals update failed: ${error.message}`);
+    return data?.[0] || null;
+}
+
+async function updateProposal(supabaseAdmin, id, fields) {
+    const { data, error } = await supabaseAdmin.from('trade_proposals').update(fields).eq('id', id).select('*').single();
+    if (error) throw new Error(`trade_proposals update failed: ${error.message}`);
+    return data;
+}
+
+async function loadPending(supabaseAdmin, userId, proposalId) {
+    const { data: proposal, error } = await supabaseAdmin
+        .from('trade_proposals')
+        .select('*')
+        .eq('id', proposalId)
+        .eq('user_id', userId)
+        .maybeSingle();
+    if (error) throw new Error(`trade_proposals read failed: ${error.message}`);
+    if (!proposal) throw proposalError('Proposal not found', 404);
+    if (proposal.status !== 'PENDING') throw proposalError(`Proposal is already ${proposal.status}`, 409);
+
+    if (new Date(proposal.expires_at) <= new Date()) {
+        await decide(supabaseAdmin, proposal, { status: 'EXPIRED' });
+        throw proposalError('Proposal has expired', 410);
+    }
+    return proposal;
+}
+
+// Returns the drift message when the price moved beyond tolerance since the proposal, else null
+async function checkDrift(exchange, proposal, maxDriftPct, language) {
+    if (proposal.action === 'CLOSE' || !proposal.reference_price) return null;
+    const price = await exchange.getMarketPrice(proposal.symbol);
+    if (!price) return t(language, 'trade.noMarketPrice', { symbol: proposal.symbol });
+
+    const driftPct = Math.abs(price - proposal.reference_price) / proposal.reference_price * 100;
+    if (driftPct <= maxDriftPct) return null;
+    return t(language, 'proposal.priceDrifted', {
+        symbol: proposal.symbol,
+        drift: driftPct.toFixed(2),
+        limit: maxDriftPct,
+        reference: proposal.reference_price,
+        price
+    });
+}
+
+// Executes a PENDING proposal for its owner. Throws with httpStatus when it cannot be decided (missing,
+// already decided, expired, cycle running); otherwise returns the decided row (EXECUTED, DRIFTED or FAILED).
+async function approveProposal(supabaseAdmin, userId, proposalId) {
+    await loadPending(supabaseAdmin, userId, proposalId);
+
+    const { acquired, result } = await withCycleLock(supabaseAdmin, userId, async () => {
+        const proposal = await loadPending(supabaseAdmin, userId, proposalId);
+        const [exchange, language, { data: settings }] = await Promise.all([
+            getUserExchange(supabaseAdmin, userId),
+            getUserLanguage(supabaseAdmin, userId),
+            supabaseAdmin.from('user_settings').select('approval_settings').eq('user_id', userId).single()
+        ]);
+        const { config = DEFAULT_APPROVAL_SETTINGS } = normalizeApprovalSettings(settings?.approval_settings);
+
+        const driftMessage = await checkDrift(exchange, proposal, config.maxDriftPct, language);
+        if (driftMessage) {
+            log.info('Proposal drifted', { userId, proposalId, symbol: proposal.symbol });
+            const drifted = await decide(supabaseAdmin, proposal, { status: 'DRIFTED', message: driftMessage });
+            if (!drifted) throw proposalError('Proposal was decided concurrently', 409);
+            return drifted;
+        }
+
+        // Claimed before the order goes out so a concurrent reject or expiry cannot also decide it
+        const claimed = await decide(supabaseAdmin, proposal, { status: 'EXECUTED' });
+        if (!claimed) throw proposalError('Proposal was decided concurrently', 409);
+
+        try {
+            const tradeResult = await executeTradeInternal(supabaseAdmin, userId, proposal.trade);
+            if (!tradeResult.orderId) {
+                return updateProposal(supabaseAdmin, proposal.id, {
+                    status: 'FAILED',
+                    message: `No orderId in response: ${JSON.stringify(tradeResult)}`
+                });
+            }
+            await recordTradeIntents(supabaseAdmin, userId, proposal.trade, tradeResult);
+            log.info('Proposal executed', { userId, proposalId, symbol: proposal.symbol, orderId: tradeResult.orderId });
+            return updateProposal(supabaseAdmin, proposal.id, { order_id: String(tradeResult.orderId) });
+        } catch (tradeError) {
+            log.warn('Proposal execution failed', {
+                userId,
+                proposalId,
+                outcome: outcomeForError(tradeError),
+                rule: tradeError.rule,
+                error: tradeError.message
+            });
+            return updateProposal(supabaseAdmin, proposal.id, { status: 'FAILED', message: errorMessage(language, tradeError) });
+        }
+    });
+
+    if (!acquired) throw proposalError('A trade cycle is running for this account, try again shortly', 409);
+    return result;
+}
+
+async function rejectProposal(supabaseAdmin, userId, proposalId) {
+    const proposal = await loadPending(supabaseAdmin, userId, proposalId);
+    const rejected = await decide(supabaseAdmin, proposal, { status: 'REJECTED' });
+    if (!rejected) throw proposalError('Proposal was decided concurrently', 409);
+    return rejected;
+}
+
+// Scheduler entry point: PENDING proposals past expires_at become EXPIRED
+async function expireProposals(supabaseAdmin) {
+    const { data, error } = await supabaseAdmin
+        .from('trade_proposals')
+        .update({ status: 'EXPIRED', decided_at: new Date().toISOString() })
+        .eq('status', 'PENDING')
+        .lte('expires_at', new Date().toISOString())
+        .select('id');
+    if (error) throw new Error(`Proposal expiry failed: ${error.message}`);
+    if (data?.length) log.info('Proposals expired', { count: data.length });
+}
+
+module.exports = {
+    EXECUTION_MODES,
+    normalizeExecutionMode,
+    normalizeApprovalSettings,
+    createProposals,
+    notifySuggestions,
+    approveProposal,
+    rejectProposal,
+    expireProposals
+};
@@ -0,0 +1,22 @@
+// Sliding-window, in-memory rate limiter (per process)
+function createRateLimiter({ limit, windowMs }) {
+    const hits = new Map(); // key -> timestamps (ms) inside the window
+
+    function hit(key) {
+        const now = Date.now();
+        const recent = (hits.get(key) || []).filter(t => now - t < windowMs);
+
+        if (recent.length >= limit) {
+            hits.set(key, recent);
+            return { allowed: false, retryAfterMs: windowMs - (now - recent[0]) };
+        }
+
+        recent.push(now);
+        hits.set(key, recent);
+        return { allowed: true, retryAfterMs: 0 };
+    }
+
+    return { hit };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,259 @@
+const { normalizeManagementRules } = require('./positionMonitor');
+const { t, DEFAULT_LANGUAGE } = require('./i18n');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Recommendations');
+
+// Validation and normalization of analyst tradeRecommendations before anything reaches an exchange.
+
+// Turkish and English aliases the analyst is known to emit
+const ACTION_ALIASES = {
+    BUY: 'BUY', AL: 'BUY', LONG: 'BUY', 'ALIŞ': 'BUY', ALIS: 'BUY',
+    SELL: 'SELL', SAT: 'SELL', SHORT: 'SELL', 'SATIŞ': 'SELL', SATIS: 'SELL',
+    CLOSE: 'CLOSE', KAPAT: 'CLOSE', EXIT: 'CLOSE'
+};
+
+const ORDER_TYPE_ALIASES = {
+    MARKET: 'MARKET', PIYASA: 'MARKET',
+    LIMIT: 'LIMIT', 'LİMİT': 'LIMIT',
+    POST_ONLY: 'POST_ONLY', POSTONLY: 'POST_ONLY', GTX: 'POST_ONLY', MAKER: 'POST_ONLY'
+};
+
+const MIN_LEVERAGE = 1;
+const MAX_LEVERAGE = 125;
+const DEFAULT_CONFIDENCE = 0.9;
+const DEFAULT_ENTRY_TTL_MINUTES = 60;
+const MAX_ENTRY_TTL_MINUTES = 7 * 24 * 60;
+const MAX_SCALE_ORDERS = 10;
+const MAX_ENTRY_DISTANCE_PCT = 20; // Entry prices further than this from the market are taken for typos
+
+// Numbers may arrive as strings, some with a decimal comma ("0,5") or a unit ("10x"). A comma is only taken as
+// the decimal separator when it cannot be thousands grouping: "60,500" or "1.234,5" would otherwise pass
+// validation as a very different price, so values mixing separators, repeating one, or with a comma followed by
+// exactly three digits (unless the integer part is 0) are rejected.
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+
+    let text = String(value).trim();
+    const commas = (text.match(/,/g) || []).length;
+    const dots = (text.match(/\./g) || []).length;
+    if (commas > 1 || dots > 1 || (commas > 0 && dots > 0)) return null;
+    if (commas === 1) {
+        const [integerPart, rest] = text.split(',');
+        if (/^\d{3}(\D|$)/.test(rest) && !/^[+-]?0$/.test(integerPart)) return null;
+        text = `${integerPart}.${rest}`;
+    }
+    const n = parseFloat(text);
+    return Number.isFinite(n) ? n : null;
+}
+
+function cleanSymbol(symbol) {
+    return String(symbol || '').replace(/[\/\s-]/g, '').toUpperCase();
+}
+
+// reason is English for logs; reasonKey/reasonParams render it in the user's language
+function invalid(reasonKey, reasonParams = {}) {
+    return { trade: null, reason: t('en', reasonKey, reasonParams), reasonKey, reasonParams, notes: [] };
+}
+
+// Entry order fields of a BUY/SELL: orderType (MARKET | LIMIT | POST_ONLY), entryPrice, or a scale ladder
+// { from, to, orders } spreading the quantity over `orders` limit prices, and ttlMinutes for unfilled orders.
+// Returns { entry } with the normalized fields (entry.prices lists every limit price), or { error: [key, params] }.
+function normalizeEntry(raw, notes) {
+    let orderType = 'MARKET';
+    if (raw.orderType !== undefined && raw.orderType !== null && raw.orderType !== '') {
+        orderType = ORDER_TYPE_ALIASES[String(raw.orderType).trim().toUpperCase().replace(/[\s-]/g, '_')];
+        if (!orderType) return { error: ['recommendation.invalidOrderType', { orderType: raw.orderType }] };
+    }
+
+    let prices = null;
+    if (raw.scale !== undefined && raw.scale !== null) {
+        const from = toNumber(raw.scale.from);
+        const to = toNumber(raw.scale.to);
+        const orders = toNumber(raw.scale.orders);
+        if (!(from > 0) || !(to > 0) || from === to || !Number.isInteger(orders) || orders < 2 || orders > MAX_SCALE_ORDERS) {
+            return { error: ['recommendation.invalidScale', { max: MAX_SCALE_ORDERS }] };
+        }
+        prices = Array.from({ length: orders }, (_, i) => from + (to - from) * i / (orders - 1));
+    } else if (raw.entryPrice !== undefined && raw.entryPrice !== null) {
+        const entryPrice = toNumber(raw.entryPrice);
+        if (!(entryPrice > 0)) return { error: ['recommendation.invalidEntryPrice', { value: raw.entryPrice }] };
+        prices = [entryPrice];
+    }
+
+    if (prices && orderType === 'MARKET') {
+        if (raw.orderType !== undefined && raw.orderType !== null && raw.orderType !== '') {
+            notes.push('entry prices ignored for MARKET order');
+            prices = null;
+        } else {
+            notes.push('orderType LIMIT assumed from entry price');
+            orderType = 'LIMIT';
+        }
+    }
+    if (orderType === 'MARKET') return { entry: { orderType } };
+    if (!prices) return { error: ['recommendation.entryPriceRequired', { orderType }] };
+
+    let ttlMinutes = toNumber(raw.ttlMinutes);
+    if (ttlMinutes === null || ttlMinutes <= 0) {
+        if (raw.ttlMinutes !== undefined) notes.push(`ttlMinutes ${raw.ttlMinutes} replaced with ${DEFAULT_ENTRY_TTL_MINUTES}`);
+        ttlMinutes = DEFAULT_ENTRY_TTL_MINUTES;
+    }
+    const clampedTtl = Math.min(MAX_ENTRY_TTL_MINUTES, Math.max(1, Math.round(ttlMinutes)));
+    if (clampedTtl !== ttlMinutes) notes.push(`ttlMinutes ${ttlMinutes} clamped to ${clampedTtl}`);
+
+    return { entry: { orderType, prices, ttlMinutes: clampedTtl } };
+}
+
+// Returns { trade, reason, notes }: trade is null when the entry is rejected (reason says why),
+// notes list every clamp/default applied to an accepted entry.
+function normalizeRecommendation(raw, marketPrice) {
+    if (!raw || typeof raw !== 'object') return invalid('recommendation.notObject');
+
+    const symbol = cleanSymbol(raw.symbol);
+    if (!/^[A-Z0-9]{2,20}$/.test(symbol)) return invalid('recommendation.invalidSymbol', { symbol: raw.symbol });
+
+    const action = ACTION_ALIASES[String(raw.action || '').trim().toUpperCase()];
+    if (!action) return invalid('recommendation.unknownAction', { action: raw.action });
+
+    const notes = [];
+    const trade = {
+        symbol,
+        action,
+        reason: typeof raw.reason === 'string' ? raw.reason.trim() : ''
+    };
+
+    let confidence = toNumber(raw.confidence);
+    if (confidence !== null && confidence > 1 && confidence <= 100) {
+        notes.push(`confidence ${confidence} treated as percent`);
+        confidence = confidence / 100;
+    }
+    if (confidence === null || confidence < 0 || confidence > 1) {
+        if (raw.confidence !== undefined) notes.push(`confidence ${raw.confidence} replaced with ${DEFAULT_CONFIDENCE}`);
+        confidence = DEFAULT_CONFIDENCE;
+    }
+    trade.confidence = confidence;
+
+    // Hedge-mode accounts: which side a CLOSE targets (opening orders derive it from the action)
+    if (raw.positionSide !== undefined && raw.positionSide !== null && raw.positionSide !== '') {
+        const positionSide = String(raw.positionSide).trim().toUpperCase();
+        if (positionSide !== 'LONG' && positionSide !== 'SHORT') {
+            return invalid('recommendation.invalidPositionSide', { value: raw.positionSide });
+        }
+        trade.positionSide = positionSide;
+    }
+
+    // CLOSE sizes itself from the open position; nothing else matters
+    if (action === 'CLOSE') return { trade, reason: null, notes };
+
+    const quantity = toNumber(raw.quantity);
+    if (quantity === null || quantity <= 0) return invalid('recommendation.invalidQuantity', { quantity: raw.quantity });
+    trade.quantity = quantity;
+
+    let leverage = toNumber(raw.leverage);
+    if (leverage === null) {
+        leverage = MIN_LEVERAGE;
+        if (raw.leverage !== undefined) notes.push(`leverage ${raw.leverage} replaced with ${MIN_LEVERAGE}`);
+    }
+    const clampedLeverage = Math.min(MAX_LEVERAGE, Math.max(MIN_LEVERAGE, Math.round(leverage)));
+    if (clampedLeverage !== leverage) notes.push(`leverage ${leverage} clamped to ${clampedLeverage}`);
+    trade.leverage = clampedLeverage;
+
+    const stopLoss = toNumber(raw.stopLoss);
+    const takeProfit = toNumber(raw.takeProfit);
+    if (raw.stopLoss !== undefined && raw.stopLoss !== null && (stopLoss === null || stopLoss < 0)) {
+        return invalid('recommendation.invalidStopLoss', { value: raw.stopLoss });
+    }
+    if (raw.takeProfit !== undefined && raw.takeProfit !== null && (takeProfit === null || takeProfit < 0)) {
+        return invalid('recommendation.invalidTakeProfit', { value: raw.takeProfit });
+    }
+    trade.stopLoss = stopLoss || 0;
+    trade.takeProfit = takeProfit || 0;
+
+    const { entry, error: entryError } = normalizeEntry(raw, notes);
+    if (entryError) return invalid(...entryError);
+    Object.assign(trade, entry);
+
+    // Optional position management rules; without them the user's defaults apply
+    if (raw.management !== undefined && raw.management !== null) {
+        const management = normalizeManagementRules(raw.management, notes);
+        if (management) trade.management = management;
+        else notes.push('management rules ignored');
+    }
+
+    const isLong = action === 'BUY';
+    const direction = isLong ? 'LONG' : 'SHORT';
+
+    // Limit prices must be near the market; post-only ones must also rest on the book instead of executing
+    if (trade.prices && marketPrice > 0) {
+        for (const entryPrice of trade.prices) {
+            if (Math.abs(entryPrice - marketPrice) / marketPrice * 100 > MAX_ENTRY_DISTANCE_PCT) {
+                return invalid('recommendation.entryPriceTooFar', { entryPrice, price: marketPrice, maxPct: MAX_ENTRY_DISTANCE_PCT });
+            }
+            if (trade.orderType === 'POST_ONLY' && (isLong ? entryPrice >= marketPrice : entryPrice <= marketPrice)) {
+                return invalid('recommendation.postOnlyCrosses', { entryPrice, price: marketPrice, direction });
+            }
+        }
+    }
+
+    // Protective orders must sit on the losing/winning side of every entry price for the direction
+    // (the current price for market entries)
+    const entryLow = trade.prices ? Math.min(...trade.prices) : marketPrice;
+    const entryHigh = trade.prices ? Math.max(...trade.prices) : marketPrice;
+    if (entryLow > 0) {
+        if (trade.stopLoss > 0 && (isLong ? trade.stopLoss >= entryLow : trade.stopLoss <= entryHigh)) {
+            return invalid('recommendation.stopLossWrongSide', { stopLoss: trade.stopLoss, price: isLong ? entryLow : entryHigh, direction });
+        }
+        if (trade.takeProfit > 0 && (isLong ? trade.takeProfit <= entryHigh : trade.takeProfit >= entryLow)) {
+            return invalid('recommendation.takeProfitWrongSide', { takeProfit: trade.takeProfit, price: isLong ? entryHigh : entryLow, direction });
+        }
+    } else if (trade.stopLoss > 0 || trade.takeProfit > 0) {
+        return invalid('recommendation.noPrice', { symbol });
+    }
+
+    return { trade, reason: null, notes };
+}
+
+// Normalizes a whole analyst payload, logging raw and normalized forms to analyst_recommendation_logs
+// (skipped with options.record = false, e.g. when replaying a stored run). Rejection reasons are
+// rendered in options.language.
+async function normalizeRecommendations(supabaseAdmin, userId, exchange, rawRecommendations, { record = true, language = DEFAULT_LANGUAGE } = {}) {
+    const raw = Array.isArray(rawRecommendations) ? rawRecommendations : [];
+    const accepted = [];
+    const rejected = [];
+    const priceCache = {};
+
+    for (const entry of raw) {
+        const symbol = cleanSymbol(entry?.symbol);
+        if (symbol && !(symbol in priceCache)) {
+            priceCache[symbol] = await exchange.getMarketPrice(symbol);
+        }
+
+        const { trade, reason, reasonKey, reasonParams, notes } = normalizeRecommendation(entry, priceCache[symbol] || 0);
+        if (trade) {
+            accepted.push(trade);
+            if (notes.length > 0) log.info('Recommendation normalized', { userId, symbol: trade.symbol, notes });
+        } else {
+            rejected.push({ raw: entry, reason: t(language, reasonKey, reasonParams), reasonKey });
+            log.warn('Recommendation rejected', { userId, recommendation: entry, reason });
+        }
+    }
+
+    if (!Array.isArray(rawRecommendations) && rawRecommendations !== undefined) {
+        rejected.push({ raw: rawRecommendations, reason: t(language, 'recommendation.notArray'), reasonKey: 'recommendation.notArray' });
+    }
+
+    if (record) {
+        const { error } = await supabaseAdmin.from('analyst_recommendation_logs').insert({
+            user_id: userId,
+            raw: rawRecommendations ?? null,
+            normalized: accepted,
+            rejected
+        });
+        if (error) log.error('Failed to log analyst payload', { userId, error: error.message });
+    }
+
+    return { accepted, rejected };
+}
+
+module.exports = { normalizeRecommendation, normalizeRecommendations };
@@ -0,0 +1,361 @@
+const { getUserExchange } = require('./exchanges');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Reconcile');
+
+// Fill reconciliation for autonomous_trades. Rows are inserted at order time as intents
+// (kind OPEN/CLOSE, status PENDING); this job turns them into a trade journal:
+//   status                                               - OPEN: PENDING -> FILLED -> CLOSED; CLOSE: PENDING ->
+//                                                          LINKED (attributed to OPEN rows) or UNMATCHED
+//   fill_price, filled_qty, commission, filled_at        - from the order's fills
+//   opening_order_id                                     - on CLOSE rows, the OPEN trade it closed
+//   closed_qty, close_price, closed_at, close_reason     - on OPEN rows, once closing fills are linked
+//   realized_pnl, net_pnl (realized minus all commission)
+//   position_side (LONG | SHORT)                         - the position a row opened or closed; closes only
+//                                                          link to opens of the same side (hedge mode)
+// Closes that never went through executeTradeInternal (SL/TP triggers, liquidations, manual)
+// are discovered from the account's fills and inserted as CLOSE rows. A one-way mode order that closes more than
+// the journal holds flipped the position: the rest is recorded as a FILLED OPEN row with the same order_id.
+
+const QTY_EPSILON = 1e-9;
+
+// LONG/SHORT from an order or fill's positionSide in hedge mode, null in one-way mode (BOTH)
+function hedgeSide(positionSide) {
+    return positionSide === 'LONG' || positionSide === 'SHORT' ? positionSide : null;
+}
+
+function summarizeFills(fills) {
+    const qty = fills.reduce((sum, f) => sum + f.qty, 0);
+    return {
+        qty,
+        price: qty > 0 ? fills.reduce((sum, f) => sum + f.price * f.qty, 0) / qty : 0,
+        commission: fills.reduce((sum, f) => sum + f.commission, 0),
+        realizedPnl: fills.reduce((sum, f) => sum + f.realizedPnl, 0),
+        time: Math.max(...fills.map(f => f.time))
+    };
+}
+
+function classifyClose(order) {
+    const clientId = order.clientOrderId || '';
+    if (clientId.startsWith('autoclose') || clientId.startsWith('adl_autoclose')) return 'LIQUIDATION';
+    if (order.type === 'STOP_MARKET' || order.type === 'STOP' || clientId.includes('_SL')) return 'SL';
+    if (order.type === 'TAKE_PROFIT_MARKET' || order.type === 'TAKE_PROFIT' || clientId.includes('_TP')) return 'TP';
+    if (clientId.startsWith('AI_')) return 'AI';
+    return 'MANUAL';
+}
+
+// Journals an order placed by executeTradeInternal as PENDING intent rows (one per order of a scaled entry)
+async function recordTradeIntents(supabaseAdmin, userId, trade, tradeResult) {
+    const { error } = await supabaseAdmin.from('autonomous_trades').insert((tradeResult.orders || [tradeResult]).map(order => ({
+        order_id: order.orderId,
+        user_id: userId,
+        symbol: tradeResult.symbol,
+        kind: tradeResult.isClosing ? 'CLOSE' : 'OPEN',
+        side: tradeResult.side,
+        position_side: tradeResult.positionSide,
+        strategy_id: trade.strategyId || null,
+        status: 'PENDING',
+        open_reason: trade.reason || 'Autonomous analysis',
+        confidence_score: trade.confidence || 0.9
+    })));
+    if (error) log.error('Trade journal insert failed', { userId, symbol: tradeResult.symbol, error: error.message });
+}
+
+async function updateTrade(supabaseAdmin, id, fields) {
+    const { error } = await supabaseAdmin
+        .from('autonomous_trades')
+        .update({ ...fields, reconciled_at: new Date().toISOString() })
+        .eq('id', id);
+    if (error) throw new Error(`autonomous_trades update failed: ${error.message}`);
+}
+
+// Only an order that may open a position (not reduce-only) in one-way mode can flip it
+function canFlip(order) {
+    return !hedgeSide(order.positionSide) && !order.reduceOnly;
+}
+
+function openQtyOf(trade) {
+    return parseFloat(trade.filled_qty) - (parseFloat(trade.closed_qty) || 0);
+}
+
+// Attributes a closing fill to the oldest still-open trades on the opposite side (FIFO); rows recorded
+// before position_side existed match either side. With close.flip the venue's realized PnL belongs to the
+// matched part only (the opening remainder realizes nothing). Returns { openingOrderId, unmatchedQty }.
+async function linkClose(supabaseAdmin, openTrades, close) {
+    let remaining = close.qty;
+    let firstLinked = null;
+
+    const candidates = openTrades
+        .filter(t => t.symbol === close.symbol && t.side !== close.side && !t.closed_at)
+        .filter(t => !t.position_side || !close.positionSide || t.position_side === close.positionSide)
+        .sort((a, b) => new Date(a.filled_at) - new Date(b.filled_at));
+    const pnlQty = close.flip
+        ? Math.min(close.qty, candidates.reduce((sum, t) => sum + Math.max(0, openQtyOf(t)), 0))
+        : close.qty;
+
+    for (const open of candidates) {
+        if (remaining <= QTY_EPSILON) break;
+
+        const qty = Math.min(openQtyOf(open), remaining);
+        if (qty <= QTY_EPSILON) continue;
+
+        const closedQty = (parseFloat(open.closed_qty) || 0) + qty;
+        const closedBefore = parseFloat(open.closed_qty) || 0;
+        const realizedPnl = (parseFloat(open.realized_pnl) || 0) + close.realizedPnl * qty / pnlQty;
+        const closeCommission = (parseFloat(open.close_commission) || 0) + close.commission * qty / close.qty;
+        const fullyClosed = closedQty >= parseFloat(open.filled_qty) - QTY_EPSILON;
+
+        const fields = {
+            closed_qty: closedQty,
+            close_price: ((parseFloat(open.close_price) || 0) * closedBefore + close.price * qty) / closedQty,
+            close_commission: closeCommission,
+            realized_pnl: realizedPnl,
+            net_pnl: realizedPnl - (parseFloat(open.commission) || 0) - closeCommission,
+            close_reason: close.reason,
+            status: fullyClosed ? 'CLOSED' : 'FILLED',
+            closed_at: fullyClosed ? new Date(close.time).toISOString() : null
+        };
+        await updateTrade(supabaseAdmin, open.id, fields);
+        Object.assign(open, fields);
+
+        if (!firstLinked) firstLinked = open.order_id;
+        remaining -= qty;
+    }
+
+    if (remaining > QTY_EPSILON && !close.flip) {
+        log.warn('Close has unmatched quantity (pre-journal position)', { symbol: close.symbol, orderId: close.orderId, remaining });
+    }
+    return { openingOrderId: firstLinked, unmatchedQty: Math.max(0, remaining) };
+}
+
+// The opening part of a one-way flip: a FILLED OPEN row on the other side, so later closes link to it
+async function recordFlipRemainder(supabaseAdmin, userId, openTrades, close, qty, { strategyId = null, openReason }) {
+    const row = {
+        order_id: close.orderId,
+        user_id: userId,
+        symbol: close.symbol,
+        kind: 'OPEN',
+        side: close.side,
+        position_side: close.positionSide === 'LONG' ? 'SHORT' : 'LONG',
+        strategy_id: strategyId,
+        status: 'FILLED',
+        open_reason: openReason,
+        fill_price: close.price,
+        filled_qty: qty,
+        commission: close.commission * qty / close.qty,
+        filled_at: new Date(close.time).toISOString(),
+        reconciled_at: new Date().toISOString()
+    };
+    const { data, error } = await supabaseAdmin.from('autonomous_trades').insert(row).select('*').single();
+    if (error) throw new Error(`Flip insert failed: ${error.message}`);
+
+    openTrades.push(data);
+    log.info('Position flip recorded', { userId, symbol: close.symbol, orderId: close.orderId, positionSide: row.position_side, qty });
+}
+
+async function reconcileUser(supabaseAdmin, userId) {
+    const exchange = await getUserExchange(supabaseAdmin, userId);
+
+    const { data: trades, error } = await supabaseAdmin
+        .from('autonomous_trades')
+        .select('*')
+        .eq('user_id', userId)
+        .or('status.is.null,status.in.(PENDING,FILLED)')
+        .order('created_at', { ascending: true });
+    if (error) throw new Error(`autonomous_trades load failed: ${error.message}`);
+
+    const openTrades = trades.filter(t => t.kind !== 'CLOSE' && t.status === 'FILLED');
+    let filled = 0;
+    let discovered = 0;
+
+    // CLOSE rows journaled before they got a terminal status
+    for (const trade of trades.filter(t => t.kind === 'CLOSE' && t.status === 'FILLED')) {
+        await updateTrade(supabaseAdmin, trade.id, { status: trade.opening_order_id ? 'LINKED' : 'UNMATCHED' });
+    }
+
+    // 1. Pending orders: pull order status and fills
+    for (const trade of trades.filter(t => !t.status || t.status === 'PENDING')) {
+        try {
+            const order = await exchange.getOrder(trade.symbol, trade.order_id);
+            if (order.status === 'NEW' || order.status === 'PARTIALLY_FILLED') continue;
+            // A limit entry cancelled or expired after a partial fill still opened that part
+            if (order.status !== 'FILLED' && !(order.executedQty > 0)) {
+                await updateTrade(supabaseAdmin, trade.id, { status: order.status });
+                continue;
+            }
+
+            const fills = summarizeFills(await exchange.getUserTrades(trade.symbol, { orderId: trade.order_id }));
+            const fields = {
+                status: 'FILLED',
+                side: trade.side || order.side,
+                position_side: trade.position_side || hedgeSide(order.positionSide),
+                kind: trade.kind || 'OPEN',
+                fill_price: fills.price || order.avgPrice,
+                filled_qty: fills.qty || order.executedQty,
+                commission: fills.commission,
+                filled_at: new Date(fills.qty ? fills.time : order.updateTime).toISOString()
+            };
+
+            if (fields.kind === 'CLOSE') {
+                const close = {
+                    orderId: trade.order_id,
+                    symbol: trade.symbol,
+                    side: fields.side,
+                    positionSide: fields.position_side,
+                    qty: parseFloat(fields.filled_qty),
+                    price: parseFloat(fields.fill_price),
+                    commission: fills.commission,
+                    realizedPnl: fills.realizedPnl,
+                    time: fills.time || order.updateTime,
+                    reason: 'AI',
+                    flip: canFlip(order)
+                };
+                const { openingOrderId, unmatchedQty } = await linkClose(supabaseAdmin, openTrades, close);
+                if (close.flip && unmatchedQty > QTY_EPSILON) {
+                    await recordFlipRemainder(supabaseAdmin, userId, openTrades, close, unmatchedQty, {
+                        strategyId: trade.strategy_id,
+                        openReason: trade.open_reason
+                    });
+                }
+                fields.status = openingOrderId ? 'LINKED' : 'UNMATCHED';
+                fields.realized_pnl = fills.realizedPnl;
+                fields.close_reason = 'AI';
+                fields.opening_order_id = openingOrderId;
+            } else {
+                openTrades.push({ ...trade, ...fields });
+            }
+
+            await updateTrade(supabaseAdmin, trade.id, fields);
+            filled++;
+        } catch (err) {
+            log.error('Order reconciliation failed', { userId, orderId: trade.order_id, symbol: trade.symbol, error: err.message });
+        }
+    }
+
+    // 2. Open trades: find closing fills that did not come from us (SL/TP, liquidation, manual)
+    const { data: knownRows } = await supabaseAdmin
+        .from('autonomous_trades')
+        .select('order_id')
+        .eq('user_id', userId);
+    const knownOrderIds = new Set((knownRows || []).map(r => String(r.order_id)));
+
+    const symbols = [...new Set(openTrades.filter(t => !t.closed_at).map(t => t.symbol))];
+    for (const symbol of symbols) {
+        try {
+            const since = Math.min(...openTrades.filter(t => t.symbol === symbol).map(t => new Date(t.filled_at).getTime()));
+            const fills = await exchange.getUserTrades(symbol, { startTime: since });
+
+            const byOrder = {};
+            for (const fill of fills) {
+                if (knownOrderIds.has(String(fill.orderId))) continue;
+                (byOrder[fill.orderId] = byOrder[fill.orderId] || []).push(fill);
+            }
+
+            for (const [orderId, orderFills] of Object.entries(byOrder)) {
+                const summary = summarizeFills(orderFills);
+                const side = orderFills[0].side;
+                // In hedge mode BUY on LONG / SELL on SHORT opens; otherwise the side being closed follows from the order side
+                const fillSide = hedgeSide(orderFills[0].positionSide);
+                if (fillSide && (fillSide === 'LONG') === (side === 'BUY')) continue;
+                const positionSide = fillSide || (side === 'SELL' ? 'LONG' : 'SHORT');
+
+                const closesOpenTrade = openTrades.some(t =>
+                    t.symbol === symbol && !t.closed_at && t.side !== side && (!t.position_side || t.position_side === positionSide)
+                );
+                if (!closesOpenTrade) continue;
+
+                const order = await exchange.getOrder(symbol, orderId);
+                const reason = classifyClose(order);
+                const close = { orderId, symbol, side, positionSide, ...summary, reason, flip: !fillSide && canFlip(order) };
+
+                // Journaled before linking: once the row exists the order is known and is never linked twice. A pass
+                // that fails after the insert leaves the row FILLED, which the next pass settles like any other.
+                const { data: closeRow, error: insertError } = await supabaseAdmin.from('autonomous_trades').insert({
+                    order_id: orderId,
+                    user_id: userId,
+                    symbol,
+                    kind: 'CLOSE',
+                    side,
+                    position_side: positionSide,
+                    status: 'FILLED',
+                    open_reason: `Closed by ${reason}`,
+                    fill_price: summary.price,
+                    filled_qty: summary.qty,
+                    commission: summary.commission,
+                    filled_at: new Date(summary.time).toISOString(),
+                    realized_pnl: summary.realizedPnl,
+                    close_reason: reason,
+                    reconciled_at: new Date().toISOString()
+                }).select('id').single();
+                if (insertError) throw new Error(`Close insert failed: ${insertError.message}`);
+                knownOrderIds.add(String(orderId));
+
+                const { openingOrderId, unmatchedQty } = await linkClose(supabaseAdmin, openTrades, close);
+                await updateTrade(supabaseAdmin, closeRow.id, { status: openingOrderId ? 'LINKED' : 'UNMATCHED', opening_order_id: openingOrderId });
+                if (close.flip && unmatchedQty > QTY_EPSILON) {
+                    await recordFlipRemainder(supabaseAdmin, userId, openTrades, close, unmatchedQty, { openReason: `Flipped by ${reason}` });
+                }
+
+                discovered++;
+                log.info('External close recorded', { userId, symbol, reason, orderId, realizedPnl: summary.realizedPnl });
+            }
+        } catch (err) {
+            log.error('Fill scan failed', { userId, symbol, error: err.message });
+        }
+    }
+
+    await updateUserPnl(supabaseAdmin, userId);
+    return { filled, discovered };
+}
+
+// Per-user realized PnL rolled up from the journal into user_pnl_summary
+async function updateUserPnl(supabaseAdmin, userId) {
+    const { data: rows, error } = await supabaseAdmin
+        .from('autonomous_trades')
+        .select('realized_pnl, net_pnl, commission, close_commission, status')
+        .eq('user_id', userId)
+        .or('kind.is.null,kind.eq.OPEN')
+        .not('closed_qty', 'is', null);
+    if (error) throw new Error(`PnL summary load failed: ${error.message}`);
+
+    const closed = rows.filter(r => r.status === 'CLOSED');
+    const summary = {
+        user_id: userId,
+        realized_pnl: rows.reduce((sum, r) => sum + (parseFloat(r.realized_pnl) || 0), 0),
+        commission: rows.reduce((sum, r) => sum + (parseFloat(r.commission) || 0) + (parseFloat(r.close_commission) || 0), 0),
+        net_pnl: rows.reduce((sum, r) => sum + (parseFloat(r.net_pnl) || 0), 0),
+        closed_trades: closed.length,
+        winning_trades: closed.filter(r => parseFloat(r.net_pnl) > 0).length,
+        updated_at: new Date().toISOString()
+    };
+
+    const { error: upsertError } = await supabaseAdmin
+        .from('user_pnl_summary')
+        .upsert(summary, { onConflict: 'user_id' });
+    if (upsertError) throw new Error(`PnL summary upsert failed: ${upsertError.message}`);
+
+    return summary;
+}
+
+// Scheduler entry point: every user with trades still pending or open
+async function reconcileAllUsers(supabaseAdmin) {
+    const { data: rows, error } = await supabaseAdmin
+        .from('autonomous_trades')
+        .select('user_id')
+        .or('status.is.null,status.in.(PENDING,FILLED)');
+    if (error) throw new Error(`Reconcile scan failed: ${error.message}`);
+
+    const userIds = [...new Set((rows || []).map(r => r.user_id))];
+    for (const userId of userIds) {
+        try {
+            const { filled, discovered } = await reconcileUser(supabaseAdmin, userId);
+            if (filled || discovered) {
+                log.info('User reconciled', { userId, filled, discovered });
+            }
+        } catch (err) {
+            log.error('User reconciliation failed', { userId, error: err.message });
+        }
+    }
+}
+
+module.exports = { reconcileUser, reconcileAllUsers, updateUserPnl, classifyClose, recordTradeIntents };
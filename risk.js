@@ -0,0 +1,134 @@
+const { notifyUser } = require('./notifications');
+const { localizedError, errorMessage, normalizeLanguage } = require('./i18n');
+const { createLogger } = require('./logger');
+const { findPosition } = require('./exchanges');
+
+const log = createLogger('Risk');
+
+// Pre-trade risk engine. Limits come from user_settings.risk_limits (jsonb); any key left
+// out falls back to DEFAULT_RISK_LIMITS, and a null value disables that rule.
+const DEFAULT_RISK_LIMITS = {
+    maxLeverage: 10,
+    maxPositionNotional: null,   // USDT, per symbol after the order fills
+    maxOpenPositions: 5,
+    maxTotalExposure: null,      // USDT, sum of all position notionals after the order fills
+    dailyLossLimit: null,        // USDT, realized + unrealized since 00:00 UTC
+    dailyLossLimitPct: 5         // % of wallet balance, realized + unrealized since 00:00 UTC
+};
+
+async function loadRiskLimits(supabaseAdmin, userId) {
+    const { data: settings } = await supabaseAdmin
+        .from('user_settings')
+        .select('risk_limits, language')
+        .eq('user_id', userId)
+        .single();
+
+    return {
+        limits: { ...DEFAULT_RISK_LIMITS, ...(settings?.risk_limits || {}) },
+        language: normalizeLanguage(settings?.language)
+    };
+}
+
+// Message templates are keyed by rule (risk.<RULE> in the i18n catalogs)
+function rejection(rule, params) {
+    const error = localizedError(`risk.${rule}`, params);
+    error.rule = rule;
+    return error;
+}
+
+// Stores why a recommendation was skipped so the app can show it next to the trade (message in the user's language)
+async function recordRejection(supabaseAdmin, userId, trade, rule, message) {
+    const { error } = await supabaseAdmin.from('trade_rejections').insert({
+        user_id: userId,
+        symbol: trade.symbol,
+        action: trade.action,
+        rule,
+        message,
+        trade
+    });
+    if (error) log.error('Failed to record rejection', { userId, error: error.message });
+}
+
+// Kill switch: turn off autonomous trading once and tell the user why
+async function tripKillSwitch(supabaseAdmin, userId, dailyPnl, limit) {
+    const { data: disabled } = await supabaseAdmin
+        .from('user_settings')
+        .update({ is_autonomous_enabled: false })
+        .eq('user_id', userId)
+        .eq('is_autonomous_enabled', true)
+        .select('user_id');
+
+    if (!disabled || disabled.length === 0) return; // Already tripped by an earlier order
+
+    log.warn('Daily loss limit breached, autonomous trading disabled', { userId, dailyPnl, limit });
+    await notifyUser(supabaseAdmin, userId, {
+        titleKey: 'notify.killSwitch.title',
+        messageKey: 'notify.killSwitch.message',
+        params: { pnl: dailyPnl.toFixed(2), limit: limit.toFixed(2) },
+        data: { event: 'KILL_SWITCH', dailyPnl, dailyLossLimit: limit }
+    });
+}
+
+// Throws an Error with `rule` set when the order breaks a limit; closing/reducing orders are always allowed.
+// order: { symbol, side, positionSide, quantity, price, leverage, isClosing, isFlip }
+// isFlip: the order first closes the symbol's one-way position; quantity and positionSide describe only the
+// position it opens beyond that, which replaces the closed one in the position count and exposure.
+// options.dryRun: evaluate only, without recording rejections or tripping the kill switch
+async function checkTradeRisk(supabaseAdmin, userId, exchange, trade, order, { dryRun = false } = {}) {
+    if (order.isClosing) return;
+
+    const { limits, language } = await loadRiskLimits(supabaseAdmin, userId);
+    const { balances, positions: accountPositions } = await exchange.getAccount();
+    const positions = order.isFlip ? accountPositions.filter(p => p.symbol !== order.symbol) : accountPositions;
+
+    const usdt = balances.find(b => b.asset === 'USDT');
+    const walletBalance = usdt ? parseFloat(usdt.free) : 0;
+    const orderNotional = order.quantity * order.price;
+    const notionalOf = (p) => Math.abs(parseFloat(p.positionAmt)) * (parseFloat(p.markPrice) || parseFloat(p.entryPrice));
+
+    try {
+        // Daily loss first: a breach stops everything, not just this order
+        const dailyLossLimit = Math.min(
+            limits.dailyLossLimit ?? Infinity,
+            limits.dailyLossLimitPct != null ? walletBalance * limits.dailyLossLimitPct / 100 : Infinity
+        );
+        if (Number.isFinite(dailyLossLimit)) {
+            const realized = await exchange.getDailyRealizedPnl();
+            const unrealized = accountPositions.reduce((sum, p) => sum + parseFloat(p.unrealizedProfit || 0), 0);
+            const dailyPnl = realized + unrealized;
+            if (dailyPnl <= -dailyLossLimit) {
+                if (!dryRun) await tripKillSwitch(supabaseAdmin, userId, dailyPnl, dailyLossLimit);
+                throw rejection('DAILY_LOSS_LIMIT', { pnl: dailyPnl.toFixed(2), limit: dailyLossLimit.toFixed(2) });
+            }
+        }
+
+        if (limits.maxLeverage != null && order.leverage > limits.maxLeverage) {
+            throw rejection('MAX_LEVERAGE', { leverage: order.leverage, limit: limits.maxLeverage });
+        }
+
+        // The position this order adds to; in hedge mode the symbol's other side counts separately
+        const existing = findPosition(positions, order.symbol, order.positionSide);
+        if (limits.maxOpenPositions != null && !existing && positions.length >= limits.maxOpenPositions) {
+            throw rejection('MAX_OPEN_POSITIONS', { count: positions.length, limit: limits.maxOpenPositions });
+        }
+
+        const positionNotional = (existing ? notionalOf(existing) : 0) + orderNotional;
+        if (limits.maxPositionNotional != null && positionNotional > limits.maxPositionNotional) {
+            throw rejection('MAX_POSITION_NOTIONAL', {
+                symbol: order.symbol,
+                notional: positionNotional.toFixed(2),
+                limit: limits.maxPositionNotional
+            });
+        }
+
+        const totalExposure = positions.reduce((sum, p) => sum + notionalOf(p), 0) + orderNotional;
+        if (limits.maxTotalExposure != null && totalExposure > limits.maxTotalExposure) {
+            throw rejection('MAX_TOTAL_EXPOSURE', { exposure: totalExposure.toFixed(2), limit: limits.maxTotalExposure });
+        }
+    } catch (error) {
+        if (error.rule && !dryRun) await recordRejection(supabaseAdmin, userId, trade, error.rule, errorMessage(language, error));
+        throw error;
+    }
+}
+
+module.exports = { checkTradeRisk, recordRejection, DEFAULT_RISK_LIMITS };
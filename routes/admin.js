@@ -0,0 +1,61 @@
+const express = require('express');
+const { requireCaller, requireAdmin } = require('../auth');
+const { replayRun } = require('../runs');
+const { createLogger } = require('../logger');
+
+const log = createLogger('Admin');
+
+// Operator endpoints: admin JWT or signed service token
+function createAdminRouter({ supabaseAdmin, cycleQueue, limiters, userStreams }) {
+    const router = express.Router();
+    router.use(requireCaller(supabaseAdmin), requireAdmin);
+
+    // Queue depth, in-flight jobs, recent outcomes and shared limiter usage
+    router.get('/queue', (req, res) => {
+        res.json({
+            cycles: cycleQueue.stats(),
+            limiters: limiters.map(l => l.stats()),
+            jobs: cycleQueue.jobs()
+        });
+    });
+
+    router.get('/streams', (req, res) => {
+        res.json({ data: userStreams.stats() });
+    });
+
+    router.get('/dead-letters', async (req, res) => {
+        const limit = Math.min(200, parseInt(req.query.limit, 10) || 50);
+        const { data, error } = await supabaseAdmin
+            .from('cycle_dead_letters')
+            .select('*')
+            .order('created_at', { ascending: false })
+            .limit(limit);
+
+        if (error) return res.status(500).json({ error: error.message });
+        res.json({ data });
+    });
+
+    // Same dry-run replay as /me/runs/:id/replay, for any user's run
+    router.post('/runs/:id/replay', async (req, res) => {
+        const { data: run, error } = await supabaseAdmin
+            .from('autonomous_runs')
+            .select('*')
+            .eq('id', req.params.id)
+            .maybeSingle();
+
+        if (error) return res.status(500).json({ error: error.message });
+        if (!run) return res.status(404).json({ error: 'Run not found' });
+        if (!run.analyst_response) return res.status(409).json({ error: 'Run has no analyst response to replay' });
+
+        try {
+            res.json(await replayRun(supabaseAdmin, run));
+        } catch (replayError) {
+            log.error('Replay failed', { runId: run.id, error: replayError.message });
+            res.status(502).json({ error: replayError.message });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,482 @@
+const express = require('express');
+const { requireUser } = require('../auth');
+const { getUserBinanceContext } = require('../binance');
+const { replayRun } = require('../runs');
+const { normalizeManagementRules } = require('../positionMonitor');
+const { normalizeSizingConfig } = require('../sizing');
+const { normalizeNotificationPrefs } = require('../notifications');
+const { SUPPORTED_LANGUAGES } = require('../i18n');
+const { STRATEGY_COLUMNS, normalizeStrategyFields, allocatedPct, loadStrategy, strategyPerformance } = require('../strategies');
+const { EXECUTION_MODES, normalizeApprovalSettings, approveProposal, rejectProposal } = require('../proposals');
+const { SCHEDULE_TYPES, TIME_PATTERN, isValidTimeZone, parseCron, normalizeSchedule, getNextRun } = require('../schedule');
+const { createLogger } = require('../logger');
+
+// User-facing API. Every query is scoped to req.user.id; the user id is never taken from the request.
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MIN_INTERVAL_MINUTES = 5;
+const MAX_INTERVAL_MINUTES = 24 * 60;
+const MAX_DAILY_TIMES = 24;
+const SCHEDULE_COLUMNS = 'autonomous_schedule_type, autonomous_interval, autonomous_daily_time, autonomous_daily_times, ' +
+    'autonomous_weekdays, autonomous_cron, autonomous_timezone, last_autonomous_run, next_autonomous_run';
+const PROPOSAL_STATUSES = ['PENDING', 'EXECUTED', 'REJECTED', 'EXPIRED', 'DRIFTED', 'FAILED'];
+const log = createLogger('API');
+
+function parsePagination(query) {
+    const page = Math.max(1, parseInt(query.page, 10) || 1);
+    const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.pageSize, 10) || DEFAULT_PAGE_SIZE));
+    const from = (page - 1) * pageSize;
+    return { page, pageSize, from, to: from + pageSize - 1 };
+}
+
+// Returns { update } or { error } for a PATCH /me/schedule body
+function validateSchedule(body) {
+    const update = {};
+
+    if (body.autonomous_schedule_type !== undefined) {
+        if (!SCHEDULE_TYPES.includes(body.autonomous_schedule_type)) {
+            return { error: `autonomous_schedule_type must be one of: ${SCHEDULE_TYPES.join(', ')}` };
+        }
+        update.autonomous_schedule_type = body.autonomous_schedule_type;
+    }
+
+    if (body.autonomous_interval !== undefined) {
+        const interval = Number(body.autonomous_interval);
+        if (!Number.isInteger(interval) || interval < MIN_INTERVAL_MINUTES || interval > MAX_INTERVAL_MINUTES) {
+            return { error: `autonomous_interval must be an integer between ${MIN_INTERVAL_MINUTES} and ${MAX_INTERVAL_MINUTES} minutes` };
+        }
+        update.autonomous_interval = interval;
+    }
+
+    if (body.autonomous_daily_time !== undefined) {
+        if (typeof body.autonomous_daily_time !== 'string' || !TIME_PATTERN.test(body.autonomous_daily_time)) {
+            return { error: 'autonomous_daily_time must be HH:MM (24h)' };
+        }
+        update.autonomous_daily_time = body.autonomous_daily_time;
+    }
+
+    if (body.autonomous_daily_times !== undefined) {
+        const times = body.autonomous_daily_times;
+        if (!Array.isArray(times) || times.length === 0 || times.length > MAX_DAILY_TIMES ||
+            !times.every(t => typeof t === 'string' && TIME_PATTERN.test(t))) {
+            return { error: `autonomous_daily_times must be 1-${MAX_DAILY_TIMES} HH:MM (24h) times` };
+        }
+        update.autonomous_daily_times = [...new Set(times)].sort();
+    }
+
+    if (body.autonomous_weekdays !== undefined) {
+        const days = body.autonomous_weekdays;
+        if (days !== null && (!Array.isArray(days) || !days.every(d => Number.isInteger(d) && d >= 0 && d <= 6))) {
+            return { error: 'autonomous_weekdays must be null or an array of 0-6 (0 = Sunday)' };
+        }
+        update.autonomous_weekdays = days && days.length > 0 ? [...new Set(days)].sort() : null;
+    }
+
+    if (body.autonomous_cron !== undefined) {
+        if (body.autonomous_cron !== null) {
+            try {
+                parseCron(body.autonomous_cron);
+            } catch (cronError) {
+                return { error: `autonomous_cron: ${cronError.message}` };
+            }
+        }
+        update.autonomous_cron = body.autonomous_cron;
+    }
+
+    if (body.autonomous_timezone !== undefined) {
+        if (!isValidTimeZone(body.autonomous_timezone)) {
+            return { error: 'autonomous_timezone must be an IANA timezone, e.g. Europe/Istanbul' };
+        }
+        update.autonomous_timezone = body.autonomous_timezone;
+    }
+
+    if (Object.keys(update).length === 0) return { error: 'No schedule fields provided' };
+    return { update };
+}
+
+// Schedule fields of a strategy profile body; none given is fine (interval default)
+function strategySchedule(body) {
+    const scheduleBody = Object.fromEntries(Object.entries(body).filter(([key]) => key.startsWith('autonomous_')));
+    if (Object.keys(scheduleBody).length === 0) return { update: {} };
+    return validateSchedule(scheduleBody);
+}
+
+function createMeRouter(supabaseAdmin) {
+    const router = express.Router();
+    router.use(requireUser(supabaseAdmin));
+
+    // Balances and positions (live venue or paper account)
+    router.get('/account', async (req, res) => {
+        try {
+            const { balances, positions } = await getUserBinanceContext(supabaseAdmin, req.user.id);
+            res.json({ balances, positions });
+        } catch (error) {
+            log.error('/me/account failed', { userId: req.user.id, error: error.message });
+            res.status(502).json({ error: error.message });
+        }
+    });
+
+    // ?strategyId= narrows to one strategy profile's trades
+    router.get('/trades', async (req, res) => {
+        const { page, pageSize, from, to } = parsePagination(req.query);
+        let query = supabaseAdmin
+            .from('autonomous_trades')
+            .select('*', { count: 'exact' })
+            .eq('user_id', req.user.id);
+        if (req.query.strategyId) query = query.eq('strategy_id', req.query.strategyId);
+        const { data, count, error } = await query
+            .order('created_at', { ascending: false })
+            .range(from, to);
+
+        if (error) return res.status(500).json({ error: error.message });
+        res.json({ data, page, pageSize, total: count });
+    });
+
+    router.get('/notifications', async (req, res) => {
+        const { page, pageSize, from, to } = parsePagination(req.query);
+        const { data, count, error } = await supabaseAdmin
+            .from('notifications')
+            .select('*', { count: 'exact' })
+            .eq('user_id', req.user.id)
+            .order('created_at', { ascending: false })
+            .range(from, to);
+
+        if (error) return res.status(500).json({ error: error.message });
+        res.json({ data, page, pageSize, total: count });
+    });
+
+    router.get('/runs', async (req, res) => {
+        const { page, pageSize, from, to } = parsePagination(req.query);
+        const { data, count, error } = await supabaseAdmin
+            .from('autonomous_runs')
+            .select('id, trigger, attempt, status, results, timings, error, started_at, finished_at', { count: 'exact' })
+            .eq('user_id', req.user.id)
+            .order('started_at', { ascending: false })
+            .range(from, to);
+
+        if (error) return res.status(500).json({ error: error.message });
+        res.json({ data, page, pageSize, total: count });
+    });
+
+    router.get('/runs/:id', async (req, res) => {
+        const { data, error } = await supabaseAdmin
+            .from('autonomous_runs')
+            .select('*')
+            .eq('id', req.params.id)
+            .eq('user_id', req.user.id)
+            .maybeSingle();
+
+        if (error) return res.status(500).json({ error: error.message });
+        if (!data) return res.status(404).json({ error: 'Run not found' });
+        res.json(data);
+    });
+
+    // Dry-run the stored analyst output against current checks; never places orders
+    router.post('/runs/:id/replay', async (req, res) => {
+        const { data: run, error } = await supabaseAdmin
+            .from('autonomous_runs')
+            .select('*')
+            .eq('id', req.params.id)
+            .eq('user_id', req.user.id)
+            .maybeSingle();
+
+        if (error) return res.status(500).json({ error: error.message });
+        if (!run) return res.status(404).json({ error: 'Run not found' });
+        if (!run.analyst_response) return res.status(409).json({ error: 'Run has no analyst response to replay' });
+
+        try {
+            res.json(await replayRun(supabaseAdmin, run));
+        } catch (replayError) {
+            log.error('Replay failed', { userId: req.user.id, runId: run.id, error: replayError.message });
+            res.status(502).json({ error: replayError.message });
+        }
+    });
+
+    // Default trailing stop / break-even / partial TP rules for positions the analyst gives none for
+    router.put('/position-rules', async (req, res) => {
+        let rules = null;
+        if (req.body && Object.keys(req.body).length > 0) {
+            const notes = [];
+            rules = normalizeManagementRules(req.body, notes);
+            if (!rules || notes.length > 0) {
+                return res.status(400).json({ error: notes.length > 0 ? notes.join('; ') : 'No valid rules provided' });
+            }
+        }
+
+        const { data, error } = await supabaseAdmin
+            .from('user_settings')
+            .update({ position_rules: rules })
+            .eq('user_id', req.user.id)
+            .select('position_rules')
+            .single();
+
+        if (error) return res.status(500).json({ error: error.message });
+        res.json(data);
+    });
+
+    // Notification channels, targets and event types (see notifications/index.js)
+    router.put('/notification-prefs', async (req, res) => {
+        const { prefs, error: validationError } = normalizeNotificationPrefs(req.body);
+        if (validationError) return res.status(400).json({ error: validationError });
+
+        const { data, error } = await supabaseAdmin
+            .from('user_settings')
+            .update({ notification_prefs: prefs })
+            .eq('user_id', req.user.id)
+            .select('notification_prefs')
+            .single();
+
+        if (error) return res.status(500).json({ error: error.message });
+        res.json(data);
+    });
+
+    // Language for notifications, stored rejection reasons and the analyst prompt
+    router.put('/language', async (req, res) => {
+        const language = req.body?.language;
+        if (!SUPPORTED_LANGUAGES.includes(language)) {
+            return res.status(400).json({ error: `language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}` });
+        }
+
+        const { data, error } = await supabaseAdmin
+            .from('user_settings')
+            .update({ language })
+            .eq('user_id', req.user.id)
+            .select('language')
+            .single();
+
+        if (error) return res.status(500).json({ error: error.message });
+        res.json(data);
+    });
+
+    // Entry sizing mode (see sizing.js)
+    router.put('/position-sizing', async (req, res) => {
+        const { config, error: validationError } = normalizeSizingConfig(req.body);
+        if (validationError) return res.status(400).json({ error: validationError });
+
+        const { data, error } = await supabaseAdmin
+            .from('user_settings')
+            .update({ position_sizing: config })
+            .eq('user_id', req.user.id)
+            .select('position_sizing')
+            .single();
+
+        if (error) return res.status(500).json({ error: error.message });
+        res.json(data);
+    });
+
+    // auto | approve | notify_only, plus proposal expiry and price drift tolerance (see proposals.js)
+    router.put('/execution-mode', async (req, res) => {
+        const mode = req.body?.execution_mode;
+        if (!EXECUTION_MODES.includes(mode)) {
+            return res.status(400).json({ error: `execution_mode must be one of: ${EXECUTION_MODES.join(', ')}` });
+        }
+        const update = { execution_mode: mode };
+        if (req.body.approval_settings !== undefined) {
+            const { config, error: validationError } = normalizeApprovalSettings(req.body.approval_settings);
+            if (validationError) return res.status(400).json({ error: validationError });
+            update.approval_settings = config;
+        }
+
+        const { data, error } = await supabaseAdmin
+            .from('user_settings')
+            .update(update)
+            .eq('user_id', req.user.id)
+            .select('execution_mode, approval_settings')
+            .single();
+
+        if (error) return res.status(500).json({ error: error.message });
+        res.json(data);
+    });
+
+    router.get('/proposals', async (req, res) => {
+        const { page, pageSize, from, to } = parsePagination(req.query);
+        if (req.query.status !== undefined && !PROPOSAL_STATUSES.includes(req.query.status)) {
+            return res.status(400).json({ error: `status must be one of: ${PROPOSAL_STATUSES.join(', ')}` });
+        }
+
+        let query = supabaseAdmin
+            .from('trade_proposals')
+            .select('*', { count: 'exact' })
+            .eq('user_id', req.user.id);
+        if (req.query.status) query = query.eq('status', req.query.status);
+        const { data, count, error } = await query
+            .order('created_at', { ascending: false })
+            .range(from, to);
+
+        if (error) return res.status(500).json({ error: error.message });
+        res.json({ data, page, pageSize, total: count });
+    });
+
+    // Executes after a drift check against the current price; the response is the decided proposal
+    router.post('/proposals/:id/approve', async (req, res) => {
+        try {
+            res.json(await approveProposal(supabaseAdmin, req.user.id, req.params.id));
+        } catch (approveError) {
+            if (!approveError.httpStatus) log.error('Proposal approval failed', { userId: req.user.id, proposalId: req.params.id, error: approveError.message });
+            res.status(approveError.httpStatus || 502).json({ error: approveError.message });
+        }
+    });
+
+    router.post('/proposals/:id/reject', async (req, res) => {
+        try {
+            res.json(await rejectProposal(supabaseAdmin, req.user.id, req.params.id));
+        } catch (rejectError) {
+            res.status(rejectError.httpStatus || 500).json({ error: rejectError.message });
+        }
+    });
+
+    // Strategy profiles (see strategies.js); schedule fields are validated like PATCH /me/schedule
+    router.get('/strategies', async (req, res) => {
+        const { data, error } = await supabaseAdmin
+            .from('strategy_profiles')
+            .select(STRATEGY_COLUMNS)
+            .eq('user_id', req.user.id)
+            .order('created_at');
+
+        if (error) return res.status(500).json({ error: error.message });
+        res.json({ data });
+    });
+
+    router.post('/strategies', async (req, res) => {
+        const body = req.body || {};
+        const { update: fields, error: fieldError } = normalizeStrategyFields(body);
+        if (fieldError) return res.status(400).json({ error: fieldError });
+        const { update: scheduleFields, error: scheduleError } = strategySchedule(body);
+        if (scheduleError) return res.status(400).json({ error: scheduleError });
+
+        const profile = { is_enabled: true, ...fields, ...scheduleFields };
+        const { error: checkError, nextRun } = await checkStrategy(req.user.id, profile, null);
+        if (checkError) return res.status(checkError.status).json({ error: checkError.message });
+
+        const { data, error } = await supabaseAdmin
+            .from('strategy_profiles')
+            .insert({ ...profile, user_id: req.user.id, next_autonomous_run: nextRun })
+            .select(STRATEGY_COLUMNS)
+            .single();
+
+        if (error) return res.status(500).json({ error: error.message });
+        res.status(201).json(data);
+    });
+
+    router.patch('/strategies/:id', async (req, res) => {
+        const body = req.body || {};
+        const { update: fields, error: fieldError } = normalizeStrategyFields(body, { partial: true });
+        if (fieldError) return res.status(400).json({ error: fieldError });
+        const { update: scheduleFields, error: scheduleError } = strategySchedule(body);
+        if (scheduleError) return res.status(400).json({ error: scheduleError });
+
+        let current;
+        try {
+            current = await loadStrategy(supabaseAdmin, req.user.id, req.params.id);
+        } catch (readError) {
+            return res.status(500).json({ error: readError.message });
+        }
+        if (!current) return res.status(404).json({ error: 'Strategy not found' });
+
+        const update = { ...fields, ...scheduleFields };
+        const { error: checkError, nextRun } = await checkStrategy(req.user.id, { ...current, ...update }, current.id);
+        if (checkError) return res.status(checkError.status).json({ error: checkError.message });
+
+        const { data, error } = await supabaseAdmin
+            .from('strategy_profiles')
+            .update({ ...update, next_autonomous_run: nextRun, updated_at: new Date().toISOString() })
+            .eq('id', current.id)
+            .eq('user_id', req.user.id)
+            .select(STRATEGY_COLUMNS)
+            .single();
+
+        if (error) return res.status(500).json({ error: error.message });
+        res.json(data);
+    });
+
+    // Trades keep their strategy_id; the journal is not touched
+    router.delete('/strategies/:id', async (req, res) => {
+        const { data, error } = await supabaseAdmin
+            .from('strategy_profiles')
+            .delete()
+            .eq('id', req.params.id)
+            .eq('user_id', req.user.id)
+            .select('id');
+
+        if (error) return res.status(500).json({ error: error.message });
+        if (!data || data.length === 0) return res.status(404).json({ error: 'Strategy not found' });
+        res.status(204).end();
+    });
+
+    // Realized results of one profile's closed trades
+    router.get('/strategies/:id/performance', async (req, res) => {
+        try {
+            res.json(await strategyPerformance(supabaseAdmin, req.user.id, req.params.id));
+        } catch (performanceError) {
+            res.status(500).json({ error: performanceError.message });
+        }
+    });
+
+    // Enabled profiles may not allocate more than the whole wallet; returns the profile's next run
+    async function checkStrategy(userId, profile, excludeId) {
+        if (profile.autonomous_schedule_type === 'cron' && !profile.autonomous_cron) {
+            return { error: { status: 400, message: 'autonomous_cron is required for the cron schedule type' } };
+        }
+        if (profile.is_enabled) {
+            let allocated;
+            try {
+                allocated = await allocatedPct(supabaseAdmin, userId, excludeId);
+            } catch (readError) {
+                return { error: { status: 500, message: readError.message } };
+            }
+            if (allocated + parseFloat(profile.allocation_pct) > 100) {
+                return { error: { status: 409, message: `allocation_pct exceeds the unallocated ${Math.max(0, 100 - allocated)}%` } };
+            }
+        }
+        const lastRun = profile.last_autonomous_run ? new Date(profile.last_autonomous_run) : null;
+        const nextRun = getNextRun(normalizeSchedule(profile), lastRun, new Date());
+        return { nextRun: nextRun ? nextRun.toISOString() : null };
+    }
+
+    router.get('/schedule', async (req, res) => {
+        const { data, error } = await supabaseAdmin
+            .from('user_settings')
+            .select(SCHEDULE_COLUMNS)
+            .eq('user_id', req.user.id)
+            .single();
+
+        if (error) return res.status(500).json({ error: error.message });
+        res.json(data);
+    });
+
+    router.patch('/schedule', async (req, res) => {
+        const { update, error: validationError } = validateSchedule(req.body || {});
+        if (validationError) return res.status(400).json({ error: validationError });
+
+        const { data: current, error: readError } = await supabaseAdmin
+            .from('user_settings')
+            .select(SCHEDULE_COLUMNS)
+            .eq('user_id', req.user.id)
+            .single();
+        if (readError) return res.status(500).json({ error: readError.message });
+
+        const merged = { ...current, ...update };
+        if (merged.autonomous_schedule_type === 'cron' && !merged.autonomous_cron) {
+            return res.status(400).json({ error: 'autonomous_cron is required for the cron schedule type' });
+        }
+
+        const lastRun = merged.last_autonomous_run ? new Date(merged.last_autonomous_run) : null;
+        const nextRun = getNextRun(normalizeSchedule(merged), lastRun, new Date());
+        update.next_autonomous_run = nextRun ? nextRun.toISOString() : null;
+
+        const { data, error } = await supabaseAdmin
+            .from('user_settings')
+            .update(update)
+            .eq('user_id', req.user.id)
+            .select(SCHEDULE_COLUMNS)
+            .single();
+
+        if (error) return res.status(500).json({ error: error.message });
+        res.json(data);
+    });
+
+    return router;
+}
+
+module.exports = { createMeRouter };
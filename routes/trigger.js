@@ -0,0 +1,97 @@
+const express = require('express');
+const { requireCaller } = require('../auth');
+const { createRateLimiter } = require('../rateLimit');
+const { createLogger } = require('../logger');
+
+const log = createLogger('Trigger');
+
+// Forced runs bypass the schedule, so they are rate limited per target user
+const forceLimiter = createRateLimiter({
+    limit: parseInt(process.env.FORCE_RUN_LIMIT || '3', 10),
+    windowMs: parseInt(process.env.FORCE_RUN_WINDOW_MS || `${10 * 60 * 1000}`, 10)
+});
+
+// Writes a trigger_audit row and returns its id so the outcome can be filled in later
+async function audit(supabaseAdmin, req, { targetUserId, force, outcome, detail }) {
+    const { data, error } = await supabaseAdmin
+        .from('trigger_audit')
+        .insert({
+            caller_id: req.caller?.id || null,
+            caller_type: req.caller?.type || 'anonymous',
+            target_user_id: targetUserId || null,
+            force: !!force,
+            outcome,
+            detail: detail || null,
+            ip: req.ip
+        })
+        .select('id')
+        .single();
+
+    if (error) log.error('Audit insert failed', { error: error.message });
+    return data?.id || null;
+}
+
+// Audit outcome of a finished run from runTradeCycle's per-cycle counts
+function summarizeOutcomes({ ok, failed, skipped }) {
+    const outcome = failed === 0 ? (ok > 0 ? 'completed' : 'skipped') : ok > 0 ? 'partial' : 'failed';
+    return { outcome, detail: `ok=${ok} failed=${failed} skipped=${skipped}` };
+}
+
+async function finishAudit(supabaseAdmin, auditId, outcome, detail) {
+    if (!auditId) return;
+    const { error } = await supabaseAdmin
+        .from('trigger_audit')
+        .update({ outcome, detail: detail || null, finished_at: new Date().toISOString() })
+        .eq('id', auditId);
+    if (error) log.error('Audit update failed', { error: error.message });
+}
+
+function createTriggerRouter({ supabaseAdmin, runTradeCycle }) {
+    const router = express.Router();
+
+    // Trigger Endpoint (Manual Override)
+    router.post('/', requireCaller(supabaseAdmin), async (req, res) => {
+        const { caller } = req;
+        const force = !!req.body?.force;
+        const privileged = caller.type === 'admin' || caller.type === 'service';
+
+        // Regular users may only trigger themselves; omitting userId means "me"
+        let targetUserId = req.body?.userId || null;
+        if (!privileged) {
+            if (targetUserId && targetUserId !== caller.id) {
+                await audit(supabaseAdmin, req, { targetUserId, force, outcome: 'rejected', detail: 'Cannot trigger another user' });
+                return res.status(403).json({ error: 'You can only trigger your own cycle' });
+            }
+            targetUserId = caller.id;
+        }
+
+        log.info('Trigger received', { caller: caller.type, callerId: caller.id, target: targetUserId || 'ALL', force });
+
+        if (force) {
+            const limit = forceLimiter.hit(targetUserId || 'ALL');
+            if (!limit.allowed) {
+                await audit(supabaseAdmin, req, { targetUserId, force, outcome: 'rate_limited' });
+                res.set('Retry-After', Math.ceil(limit.retryAfterMs / 1000).toString());
+                return res.status(429).json({ error: 'Too many forced runs, try again later' });
+            }
+        }
+
+        const auditId = await audit(supabaseAdmin, req, { targetUserId, force, outcome: 'started' });
+
+        // Run in background - Do NOT await
+        runTradeCycle(targetUserId, force).then(outcomes => {
+            const { outcome, detail } = summarizeOutcomes(outcomes);
+            log.info('Manual cycle finished', { target: targetUserId || 'ALL', outcome, ...outcomes });
+            return finishAudit(supabaseAdmin, auditId, outcome, detail);
+        }).catch(err => {
+            log.error('Manual cycle finished with errors', { target: targetUserId || 'ALL', error: err });
+            return finishAudit(supabaseAdmin, auditId, 'failed', err.message);
+        });
+
+        res.json({ success: true, message: 'Cycle started in background 🚀' });
+    });
+
+    return router;
+}
+
+module.exports = { createTriggerRouter };
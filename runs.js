@@ -0,0 +1,123 @@
+const { executeTradeInternal } = require('./binance');
+const { getUserExchange } = require('./exchanges');
+const { loadStrategy, applyStrategy } = require('./strategies');
+const { normalizeRecommendations } = require('./recommendations');
+const { errorMessage, getUserLanguage } = require('./i18n');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Runs');
+
+// Decision trace for every user cycle, stored in `autonomous_runs`:
+//   trigger (cron | manual | force), attempt, status (running | completed | skipped | failed)
+//   strategy_id                     - the strategy profile the cycle ran for (null = user_settings cycle)
+//   balances, positions, pending_entries - the snapshot sent to the analyst
+//   analyst_response, narrative     - raw analyst JSON and its text
+//   results                         - per recommendation: outcome (executed | proposed | notified | validation_failed
+//                                     | exchange_error), message, orderId, sizing ({ mode, suggested, quantity, notional })
+//   timings                         - { context_ms, analyst_ms, execution_ms, total_ms }
+//   error, started_at, finished_at
+// options.id: run id to use instead of a generated one (the cycle id the cycle's log lines carry)
+
+function createRunRecorder(supabaseAdmin, userId, { trigger, attempt, id = null, strategyId = null }) {
+    const startedAt = Date.now();
+    const timings = {};
+    const results = [];
+    let runId = null;
+
+    async function write(fields) {
+        if (!runId) return;
+        const { error } = await supabaseAdmin.from('autonomous_runs').update(fields).eq('id', runId);
+        if (error) log.error('Failed to update run', { userId, runId, error: error.message });
+    }
+
+    return {
+        async start() {
+            const { data, error } = await supabaseAdmin
+                .from('autonomous_runs')
+                .insert({
+                    ...(id ? { id } : {}),
+                    user_id: userId,
+                    strategy_id: strategyId,
+                    trigger,
+                    attempt,
+                    status: 'running',
+                    started_at: new Date(startedAt).toISOString()
+                })
+                .select('id')
+                .single();
+            if (error) log.error('Failed to create run', { userId, error: error.message });
+            runId = data?.id || null;
+            return runId;
+        },
+
+        // Wraps a step and stores its duration as timings[`${name}_ms`]
+        async time(name, fn) {
+            const t0 = Date.now();
+            try {
+                return await fn();
+            } finally {
+                timings[`${name}_ms`] = Date.now() - t0;
+            }
+        },
+
+        update: write,
+
+        addResult(trade, outcome, { message = null, orderId = null, sizing = null } = {}) {
+            results.push({ symbol: trade.symbol, action: trade.action, trade, outcome, message, orderId, sizing });
+        },
+
+        async finish(status, error = null) {
+            timings.total_ms = Date.now() - startedAt;
+            await write({
+                status,
+                results,
+                timings,
+                error: error ? error.message || String(error) : null,
+                finished_at: new Date().toISOString()
+            });
+        }
+    };
+}
+
+// Maps an executeTradeInternal failure onto a run result outcome
+function outcomeForError(error) {
+    return error.stage === 'validation' ? 'validation_failed' : 'exchange_error';
+}
+
+// Re-runs a stored run's analyst output through normalization and every pre-trade check against the
+// current market and account, without placing orders or writing logs.
+async function replayRun(supabaseAdmin, run) {
+    const exchange = await getUserExchange(supabaseAdmin, run.user_id);
+    const language = await getUserLanguage(supabaseAdmin, run.user_id);
+    let { accepted, rejected } = await normalizeRecommendations(
+        supabaseAdmin, run.user_id, exchange, run.analyst_response?.tradeRecommendations, { record: false, language }
+    );
+
+    // The profile's filters as they are now, with ownership taken from the positions stored on the run
+    const strategy = run.strategy_id ? await loadStrategy(supabaseAdmin, run.user_id, run.strategy_id) : null;
+    if (strategy) {
+        const scoped = applyStrategy(strategy, accepted, run.positions || [], { language });
+        accepted = scoped.accepted;
+        rejected = [...rejected, ...scoped.rejected];
+    }
+
+    const results = rejected.map(r => ({ raw: r.raw, outcome: 'validation_failed', message: r.reason }));
+    for (const trade of accepted) {
+        try {
+            const order = await executeTradeInternal(supabaseAdmin, run.user_id, trade, { dryRun: true });
+            results.push({ trade, outcome: 'would_execute', order });
+        } catch (error) {
+            results.push({ trade, outcome: outcomeForError(error), rule: error.rule || null, message: errorMessage(language, error) });
+        }
+    }
+
+    return {
+        runId: run.id,
+        replayedAt: new Date().toISOString(),
+        note: 'Checks use current prices, symbol rules, risk limits and account state, not those at run time',
+        original: run.results,
+        replay: results
+    };
+}
+
+module.exports = { createRunRecorder, outcomeForError, replayRun };
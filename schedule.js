@@ -0,0 +1,264 @@
+// Per-user autonomous schedule: interval, daily times or a cron expression, evaluated in the
+// user's IANA timezone with an optional weekday mask. Pure functions, no I/O.
+//
+// user_settings columns:
+//   autonomous_schedule_type  interval | daily | cron
+//   autonomous_interval       minutes between runs (interval)
+//   autonomous_daily_times    ['09:00', '18:30'] (daily; falls back to autonomous_daily_time)
+//   autonomous_cron           5-field cron expression (cron)
+//   autonomous_weekdays       [1, 2, 3, 4, 5] (0 = Sunday); null/empty = every day
+//   autonomous_timezone       IANA name, e.g. 'Europe/Istanbul'
+//   next_autonomous_run       stored result of getNextRun for display
+
+const DEFAULT_TIMEZONE = 'Europe/Istanbul';
+const DEFAULT_INTERVAL_MINUTES = 60;
+const DEFAULT_DAILY_TIME = '09:00';
+const SCHEDULE_TYPES = ['interval', 'daily', 'cron'];
+const MAX_LOOKAHEAD_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+    { name: 'dayOfWeek', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+    let formatter = formatters.get(timeZone);
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric', month: 'numeric', day: 'numeric',
+            hour: 'numeric', minute: 'numeric', second: 'numeric'
+        });
+        formatters.set(timeZone, formatter);
+    }
+    return formatter;
+}
+
+function isValidTimeZone(timeZone) {
+    if (typeof timeZone !== 'string' || !timeZone) return false;
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Wall-clock fields of `date` in `timeZone`
+function zonedParts(date, timeZone) {
+    const parts = {};
+    for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+        if (type !== 'literal') parts[type] = parseInt(value, 10);
+    }
+    return {
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        hour: parts.hour,
+        minute: parts.minute,
+        second: parts.second,
+        weekday: new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay()
+    };
+}
+
+function offsetAt(ms, timeZone) {
+    const p = zonedParts(new Date(ms), timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - Math.floor(ms / 1000) * 1000;
+}
+
+// UTC instant for a wall-clock time in `timeZone`. The offsets a day either side cover any transition on
+// that date: times repeated by a fall-back resolve to their first occurrence, times skipped by a spring-forward
+// take the pre-transition offset and land after the jump (shifted by the length of the gap).
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+    const candidates = [...new Set([offsetAt(wallClock - DAY_MS, timeZone), offsetAt(wallClock + DAY_MS, timeZone)])]
+        .map(offset => ({ offset, instant: wallClock - offset }));
+    const valid = candidates.filter(c => offsetAt(c.instant, timeZone) === c.offset).map(c => c.instant);
+    return new Date(valid.length > 0 ? Math.min(...valid) : Math.max(...candidates.map(c => c.instant)));
+}
+
+// Calendar day `offset` days after { year, month, day }, with its weekday
+function addDays({ year, month, day }, offset) {
+    const d = new Date(Date.UTC(year, month - 1, day + offset));
+    return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate(), weekday: d.getUTCDay() };
+}
+
+function parseCronValue(raw, field) {
+    const upper = raw.toUpperCase();
+    const named = field.names ? field.names.indexOf(upper) : -1;
+    if (named !== -1) return named + (field.name === 'month' ? 1 : 0);
+    if (!/^\d+$/.test(raw)) throw new Error(`Invalid ${field.name} value: ${raw}`);
+    return parseInt(raw, 10);
+}
+
+function parseCronField(text, field) {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const [rangeText, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+        if (!Number.isInteger(step) || step < 1 || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+            throw new Error(`Invalid ${field.name} step: ${part}`);
+        }
+
+        let from;
+        let to;
+        if (rangeText === '*') {
+            from = field.min;
+            to = field.max;
+        } else if (rangeText.includes('-')) {
+            const [a, b] = rangeText.split('-');
+            from = parseCronValue(a, field);
+            to = parseCronValue(b, field);
+        } else {
+            from = parseCronValue(rangeText, field);
+            to = stepText === undefined ? from : field.max;
+        }
+
+        if (from < field.min || to > field.max || from > to) {
+            throw new Error(`${field.name} out of range (${field.min}-${field.max}): ${part}`);
+        }
+        for (let v = from; v <= to; v += step) values.add(v);
+    }
+
+    // 7 is an alias for Sunday
+    if (field.name === 'dayOfWeek' && values.delete(7)) values.add(0);
+    return values;
+}
+
+// Standard 5-field cron: minute hour day-of-month month day-of-week.
+// Supports *, lists, ranges, steps and JAN-DEC / SUN-SAT names. Throws on invalid input.
+function parseCron(expression) {
+    const fields = String(expression || '').trim().split(/\s+/);
+    if (fields.length !== 5) throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+
+    const parsed = {};
+    CRON_FIELDS.forEach((field, i) => {
+        parsed[field.name] = parseCronField(fields[i], field);
+    });
+    parsed.minutes = [...parsed.minute].sort((a, b) => a - b);
+    parsed.hours = [...parsed.hour].sort((a, b) => a - b);
+    // Vixie cron: when both day fields are restricted, either one matching is enough
+    parsed.dayOfMonthAny = fields[2] === '*';
+    parsed.dayOfWeekAny = fields[4] === '*';
+    return parsed;
+}
+
+function cronMatchesDay(cron, date) {
+    if (!cron.month.has(date.month)) return false;
+    const domMatch = cron.dayOfMonth.has(date.day);
+    const dowMatch = cron.dayOfWeek.has(date.weekday);
+    if (cron.dayOfMonthAny) return dowMatch;
+    if (cron.dayOfWeekAny) return domMatch;
+    return domMatch || dowMatch;
+}
+
+// Settings row -> schedule object; invalid timezones fall back to DEFAULT_TIMEZONE
+function normalizeSchedule(settings = {}) {
+    const type = SCHEDULE_TYPES.includes(settings.autonomous_schedule_type) ? settings.autonomous_schedule_type : 'interval';
+    const timezone = isValidTimeZone(settings.autonomous_timezone) ? settings.autonomous_timezone : DEFAULT_TIMEZONE;
+
+    const dailyTimes = (Array.isArray(settings.autonomous_daily_times) && settings.autonomous_daily_times.length > 0
+        ? settings.autonomous_daily_times
+        : [settings.autonomous_daily_time || DEFAULT_DAILY_TIME]
+    ).filter(t => TIME_PATTERN.test(t));
+
+    const weekdays = Array.isArray(settings.autonomous_weekdays) && settings.autonomous_weekdays.length > 0
+        ? settings.autonomous_weekdays.map(d => (d === 7 ? 0 : d)).filter(d => Number.isInteger(d) && d >= 0 && d <= 6)
+        : null;
+
+    return {
+        type,
+        timezone,
+        intervalMinutes: settings.autonomous_interval || DEFAULT_INTERVAL_MINUTES,
+        dailyTimes: [...new Set(dailyTimes)].sort(),
+        weekdays,
+        cron: type === 'cron' ? settings.autonomous_cron : null
+    };
+}
+
+// Wall-clock (hour, minute) slots for the given day, ascending
+function slotsForDay(schedule, cron, date) {
+    if (schedule.weekdays && !schedule.weekdays.includes(date.weekday)) return [];
+
+    if (schedule.type === 'daily') {
+        return schedule.dailyTimes.map(t => t.split(':').map(Number));
+    }
+    if (!cronMatchesDay(cron, date)) return [];
+    const slots = [];
+    for (const hour of cron.hours) {
+        for (const minute of cron.minutes) slots.push([hour, minute]);
+    }
+    return slots;
+}
+
+// First scheduled instant strictly after `from`, or null if none within a year
+function nextRunAfter(schedule, from) {
+    if (schedule.type === 'interval') {
+        const candidate = new Date(from.getTime() + schedule.intervalMinutes * 60000);
+        if (!schedule.weekdays) return candidate;
+
+        // Outside the weekday mask: wait for the start of the next allowed day
+        const local = zonedParts(candidate, schedule.timezone);
+        if (schedule.weekdays.includes(local.weekday)) return candidate;
+        for (let offset = 1; offset <= 7; offset++) {
+            const date = addDays(local, offset);
+            if (schedule.weekdays.includes(date.weekday)) return zonedTimeToUtc(date, schedule.timezone);
+        }
+        return null;
+    }
+
+    const cron = schedule.type === 'cron' ? parseCron(schedule.cron) : null;
+    const start = zonedParts(from, schedule.timezone);
+    for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS; offset++) {
+        const date = addDays(start, offset);
+        for (const [hour, minute] of slotsForDay(schedule, cron, date)) {
+            if (offset === 0 && (hour < start.hour || (hour === start.hour && minute < start.minute))) continue;
+            const at = zonedTimeToUtc({ ...date, hour, minute }, schedule.timezone);
+            if (at > from) return at;
+        }
+    }
+    return null;
+}
+
+// Due when the first slot after the last run has passed. Without a last run, interval schedules
+// are due immediately and daily/cron schedules catch up on slots from the current local day only.
+function isDue(schedule, lastRun, now) {
+    if (!lastRun) {
+        if (schedule.type === 'interval') {
+            return !schedule.weekdays || schedule.weekdays.includes(zonedParts(now, schedule.timezone).weekday);
+        }
+        const { year, month, day } = zonedParts(now, schedule.timezone);
+        const midnight = zonedTimeToUtc({ year, month, day }, schedule.timezone);
+        const first = nextRunAfter(schedule, new Date(midnight.getTime() - 1));
+        return first !== null && first <= now;
+    }
+    const next = nextRunAfter(schedule, lastRun);
+    return next !== null && next <= now;
+}
+
+// When the next run will happen, for display: now if already due, otherwise the next slot
+function getNextRun(schedule, lastRun, now) {
+    if (isDue(schedule, lastRun, now)) return now;
+    return nextRunAfter(schedule, lastRun || now);
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    SCHEDULE_TYPES,
+    TIME_PATTERN,
+    isValidTimeZone,
+    parseCron,
+    normalizeSchedule,
+    nextRunAfter,
+    isDue,
+    getNextRun
+};
@@ -0,0 +1,81 @@
+const { createClient } = require('@supabase/supabase-js');
+const { KEY_COLUMNS } = require('../exchanges');
+const { decryptSecret, encryptSecret, envelopeVersion, currentKeyVersion, keyringVersions } = require('../credentials');
+const { createLogger } = require('../logger');
+require('dotenv').config();
+
+// Re-encrypts every stored exchange credential with the current key version (see credentials.js):
+//   npm run keys:reencrypt              - rewrite values on older versions
+//   npm run keys:reencrypt -- --dry-run - only report what would change
+// Each row is updated with a compare-and-set on the old ciphertexts, so keys a user saves while the
+// migration runs are never overwritten. Values no configured key can decrypt are reported and left alone.
+
+const PAGE_SIZE = 200;
+const COLUMNS = Object.values(KEY_COLUMNS).flat();
+const log = createLogger('KeyMigration');
+
+async function reencryptRow(supabaseAdmin, row, targetVersion, dryRun) {
+    const updates = {};
+    for (const column of COLUMNS) {
+        const value = row[column];
+        if (!value || envelopeVersion(value) === targetVersion) continue;
+        updates[column] = await encryptSecret(await decryptSecret(value), targetVersion);
+    }
+    if (Object.keys(updates).length === 0 || dryRun) return Object.keys(updates);
+
+    let query = supabaseAdmin.from('user_settings').update(updates).eq('user_id', row.user_id);
+    for (const column of Object.keys(updates)) query = query.eq(column, row[column]);
+    const { data, error } = await query.select('user_id');
+    if (error) throw new Error(`Update failed: ${error.message}`);
+    if (!data || data.length === 0) throw new Error('Credentials changed during migration, skipped');
+    return Object.keys(updates);
+}
+
+async function reencryptAll(supabaseAdmin, { dryRun = false } = {}) {
+    const targetVersion = currentKeyVersion();
+    if (targetVersion === null) throw new Error('No encryption keys configured (APP_SECRET_KEYS / APP_SECRET_KEY)');
+    log.info('Starting re-encryption', { targetVersion, keyring: keyringVersions(), dryRun });
+
+    const summary = { scanned: 0, updated: 0, current: 0, failed: [] };
+    for (let from = 0; ; from += PAGE_SIZE) {
+        const { data: rows, error } = await supabaseAdmin
+            .from('user_settings')
+            .select(`user_id, ${COLUMNS.join(', ')}`)
+            .or(COLUMNS.map(column => `${column}.not.is.null`).join(','))
+            .order('user_id')
+            .range(from, from + PAGE_SIZE - 1);
+        if (error) throw new Error(`user_settings scan failed: ${error.message}`);
+
+        for (const row of rows) {
+            summary.scanned++;
+            try {
+                const columns = await reencryptRow(supabaseAdmin, row, targetVersion, dryRun);
+                if (columns.length === 0) {
+                    summary.current++;
+                } else {
+                    summary.updated++;
+                    log.info(dryRun ? 'Would re-encrypt' : 'Re-encrypted', { userId: row.user_id, columns });
+                }
+            } catch (rowError) {
+                summary.failed.push({ userId: row.user_id, error: rowError.message });
+                log.warn('Row not re-encrypted', { userId: row.user_id, error: rowError.message });
+            }
+        }
+        if (rows.length < PAGE_SIZE) break;
+    }
+
+    log.info('Re-encryption finished', { ...summary, failed: summary.failed.length });
+    return summary;
+}
+
+if (require.main === module) {
+    const supabaseAdmin = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+    reencryptAll(supabaseAdmin, { dryRun: process.argv.includes('--dry-run') })
+        .then(summary => process.exit(summary.failed.length > 0 ? 1 : 0))
+        .catch(error => {
+            log.error('Re-encryption failed', { error });
+            process.exit(1);
+        });
+}
+
+module.exports = { reencryptAll };
@@ -0,0 +1,139 @@
+const { roundToStep } = require('./symbolRules');
+const { localizedError } = require('./i18n');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Sizing');
+
+// Position sizing for new entries. Config lives in user_settings.position_sizing (jsonb):
+//   { mode: 'analyst' }                                  - analyst quantity as-is (default)
+//   { mode: 'fixed_usdt', notionalUsdt }                 - fixed notional per entry
+//   { mode: 'equity_pct', equityPct }                    - equityPct of equity as margin, times leverage
+//   { mode: 'fixed_risk', riskPct }                      - lose riskPct of equity if stopLoss is hit
+//   { mode: 'confidence', equityPct, minConfidence }     - equity_pct scaled linearly from 0 at
+//                                                          minConfidence to 1 at confidence 1; skipped below it
+// Equity is the USDT wallet balance. Every mode is capped so margin stays within MAX_MARGIN_SHARE of it.
+
+const SIZING_MODES = ['analyst', 'fixed_usdt', 'equity_pct', 'fixed_risk', 'confidence'];
+const MAX_MARGIN_SHARE = 0.9; // Same headroom validateTrade leaves for fees
+const DEFAULT_SIZING = { mode: 'analyst' };
+
+function sizingError(key, params) {
+    const error = localizedError(key, params);
+    error.stage = 'validation';
+    return error;
+}
+
+function inRange(value, min, max) {
+    return Number.isFinite(value) && value > min && value <= max;
+}
+
+// Returns { config } or { error } for a user-supplied sizing config
+function normalizeSizingConfig(raw) {
+    if (!raw || typeof raw !== 'object') return { error: 'position_sizing must be an object' };
+    if (!SIZING_MODES.includes(raw.mode)) return { error: `mode must be one of: ${SIZING_MODES.join(', ')}` };
+
+    const num = (key) => Number(raw[key]);
+    switch (raw.mode) {
+        case 'analyst':
+            return { config: { mode: 'analyst' } };
+        case 'fixed_usdt':
+            if (!inRange(num('notionalUsdt'), 0, 1e9)) return { error: 'notionalUsdt must be a positive number' };
+            return { config: { mode: 'fixed_usdt', notionalUsdt: num('notionalUsdt') } };
+        case 'equity_pct':
+            if (!inRange(num('equityPct'), 0, 100)) return { error: 'equityPct must be in (0, 100]' };
+            return { config: { mode: 'equity_pct', equityPct: num('equityPct') } };
+        case 'fixed_risk':
+            if (!inRange(num('riskPct'), 0, 20)) return { error: 'riskPct must be in (0, 20]' };
+            return { config: { mode: 'fixed_risk', riskPct: num('riskPct') } };
+        case 'confidence': {
+            if (!inRange(num('equityPct'), 0, 100)) return { error: 'equityPct must be in (0, 100]' };
+            const minConfidence = raw.minConfidence === undefined ? 0.5 : num('minConfidence');
+            if (!(minConfidence >= 0 && minConfidence < 1)) return { error: 'minConfidence must be in [0, 1)' };
+            return { config: { mode: 'confidence', equityPct: num('equityPct'), minConfidence } };
+        }
+        default:
+            return { error: 'Unsupported mode' };
+    }
+}
+
+async function loadSizingConfig(supabaseAdmin, userId) {
+    const { data: settings } = await supabaseAdmin
+        .from('user_settings')
+        .select('position_sizing')
+        .eq('user_id', userId)
+        .single();
+
+    if (!settings?.position_sizing) return DEFAULT_SIZING;
+    const { config, error } = normalizeSizingConfig(settings.position_sizing);
+    if (error) {
+        log.warn('Invalid position_sizing, using analyst quantity', { userId, error });
+        return DEFAULT_SIZING;
+    }
+    return config;
+}
+
+// Target notional (USDT) for the config; pure so it can be checked without an exchange
+function targetNotional(config, { equity, leverage, price, stopLoss, confidence }) {
+    switch (config.mode) {
+        case 'fixed_usdt':
+            return config.notionalUsdt;
+        case 'equity_pct':
+            return equity * config.equityPct / 100 * leverage;
+        case 'fixed_risk': {
+            if (!(stopLoss > 0)) throw sizingError('sizing.stopLossRequired');
+            const stopDistance = Math.abs(price - stopLoss) / price;
+            if (!(stopDistance > 0)) throw sizingError('sizing.stopLossAtEntry');
+            return equity * config.riskPct / 100 / stopDistance;
+        }
+        case 'confidence': {
+            if (confidence < config.minConfidence) {
+                throw sizingError('sizing.lowConfidence', { confidence, min: config.minConfidence });
+            }
+            const scale = (confidence - config.minConfidence) / (1 - config.minConfidence);
+            return equity * config.equityPct / 100 * leverage * Math.min(1, scale);
+        }
+        default:
+            return null;
+    }
+}
+
+// Final entry quantity (string, rounded to the step) for trade. Returns { quantity, mode, suggested, notional }.
+// entryPrice: the (average) limit price of a resting entry, sized against LOT_SIZE instead of the market.
+async function sizePosition(supabaseAdmin, userId, exchange, rules, trade, { balances, leverage, entryPrice = null }) {
+    const config = await loadSizingConfig(supabaseAdmin, userId);
+    const suggested = trade.quantity;
+    if (config.mode === 'analyst') return { quantity: suggested, mode: config.mode, suggested, notional: null };
+
+    const price = entryPrice || await exchange.getMarketPrice(rules.symbol);
+    if (!(price > 0)) throw sizingError('sizing.noMarketPrice', { symbol: rules.symbol });
+
+    const usdt = balances.find(b => b.asset === 'USDT');
+    const equity = usdt ? parseFloat(usdt.free) : 0;
+    if (!(equity > 0)) throw sizingError('sizing.noBalance');
+
+    let notional = targetNotional(config, {
+        equity,
+        leverage,
+        price,
+        stopLoss: trade.stopLoss,
+        confidence: trade.confidence
+    });
+    notional = Math.min(notional, equity * MAX_MARGIN_SHARE * leverage);
+
+    const lot = !entryPrice && rules.marketLotSize.stepSize ? rules.marketLotSize : rules.lotSize;
+    let qty = notional / price;
+    if (lot.maxQty) qty = Math.min(qty, lot.maxQty);
+    const quantity = roundToStep(qty, lot.stepSize);
+
+    if (parseFloat(quantity) < lot.minQty || parseFloat(quantity) * price < rules.minNotional) {
+        throw sizingError('sizing.belowMinimum', {
+            quantity,
+            symbol: rules.symbol,
+            notional: (parseFloat(quantity) * price).toFixed(2)
+        });
+    }
+
+    return { quantity, mode: config.mode, suggested, notional: parseFloat(quantity) * price };
+}
+
+module.exports = { SIZING_MODES, normalizeSizingConfig, targetNotional, sizePosition };
@@ -0,0 +1,268 @@
+const { positionSideOf } = require('./exchanges');
+const { t } = require('./i18n');
+const { createLogger } = require('./logger');
+
+// Strategy profiles: a user with enabled profiles gets one analyst cycle per profile instead of the single
+// user_settings cycle. Rows live in `strategy_profiles`:
+//   user_id, name, is_enabled
+//   prompt              - analyst userQuery (null = the default analyst.userQuery text)
+//   analyst_url         - analyst endpoint (null = the service default); https on a host listed in
+//                         ANALYST_ALLOWED_HOSTS only, never an IP literal or a private/loopback name
+//   symbol_filter       - { mode: 'whitelist' | 'blacklist', symbols: ['BTCUSDT', ...] } or null
+//   max_new_positions   - cap on recommendations opening a symbol with no open position, per cycle (null = none)
+//   allocation_pct      - share of the USDT wallet the profile sees and sizes against; enabled profiles sum to <= 100
+//   autonomous_schedule_type ... next_autonomous_run - same schedule columns as user_settings (see schedule.js)
+// Orders carry the profile as trade.strategyId; autonomous_trades.strategy_id and autonomous_runs.strategy_id
+// attribute trades, positions and cycles to it. A profile may only CLOSE positions it opened (or untagged ones);
+// CLOSE is allowed regardless of the symbol filter. Risk limits stay account-wide.
+
+const FILTER_MODES = ['whitelist', 'blacklist'];
+const MAX_NAME_LENGTH = 60;
+const MAX_PROMPT_LENGTH = 4000;
+const MAX_FILTER_SYMBOLS = 200;
+const SYMBOL_PATTERN = /^[A-Z0-9]{2,20}$/;
+const STRATEGY_COLUMNS = 'id, user_id, name, is_enabled, prompt, analyst_url, symbol_filter, max_new_positions, allocation_pct, ' +
+    'autonomous_schedule_type, autonomous_interval, autonomous_daily_time, autonomous_daily_times, autonomous_weekdays, ' +
+    'autonomous_cron, autonomous_timezone, last_autonomous_run, next_autonomous_run';
+const log = createLogger('Strategies');
+
+function allowedAnalystHosts() {
+    return (process.env.ANALYST_ALLOWED_HOSTS || '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+}
+
+// Names that resolve inside the deployment (or to the machine itself) regardless of the allowlist
+function isInternalHostname(hostname) {
+    if (hostname.startsWith('[') || /^[\d.]+$/.test(hostname)) return true; // IP literals (URL normalizes hex/octal IPv4)
+    return hostname === 'localhost' || !hostname.includes('.') ||
+        ['.localhost', '.local', '.internal', '.lan', '.home.arpa'].some(suffix => hostname.endsWith(suffix));
+}
+
+// The cycle POSTs the user's balances and positions to this URL, so custom endpoints are opt-in per host:
+// with ANALYST_ALLOWED_HOSTS unset only the service default is used
+function validAnalystUrl(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch {
+        return false;
+    }
+    const hostname = url.hostname.toLowerCase();
+    if (url.protocol !== 'https:' || url.username || url.password || isInternalHostname(hostname)) return false;
+    return allowedAnalystHosts().includes(hostname);
+}
+
+// Returns { update } or { error } for the non-schedule fields of a profile body; `partial` skips required fields
+function normalizeStrategyFields(body, { partial = false } = {}) {
+    const update = {};
+
+    if (body.name !== undefined || !partial) {
+        if (typeof body.name !== 'string' || !body.name.trim() || body.name.trim().length > MAX_NAME_LENGTH) {
+            return { error: `name must be 1-${MAX_NAME_LENGTH} characters` };
+        }
+        update.name = body.name.trim();
+    }
+
+    if (body.is_enabled !== undefined) {
+        if (typeof body.is_enabled !== 'boolean') return { error: 'is_enabled must be a boolean' };
+        update.is_enabled = body.is_enabled;
+    }
+
+    if (body.prompt !== undefined) {
+        if (body.prompt !== null && (typeof body.prompt !== 'string' || !body.prompt.trim() || body.prompt.length > MAX_PROMPT_LENGTH)) {
+            return { error: `prompt must be null or 1-${MAX_PROMPT_LENGTH} characters` };
+        }
+        update.prompt = body.prompt === null ? null : body.prompt.trim();
+    }
+
+    if (body.analyst_url !== undefined) {
+        if (body.analyst_url !== null && !validAnalystUrl(body.analyst_url)) {
+            return { error: 'analyst_url must be an https URL on an allowed host' };
+        }
+        update.analyst_url = body.analyst_url;
+    }
+
+    if (body.symbol_filter !== undefined) {
+        const filter = body.symbol_filter;
+        if (filter !== null) {
+            if (typeof filter !== 'object' || !FILTER_MODES.includes(filter.mode)) {
+                return { error: `symbol_filter.mode must be one of: ${FILTER_MODES.join(', ')}` };
+            }
+            const symbols = Array.isArray(filter.symbols)
+                ? filter.symbols.map(s => (typeof s === 'string' ? s.replace(/[\/\s-]/g, '').toUpperCase() : ''))
+                : [];
+            if (symbols.length === 0 || symbols.length > MAX_FILTER_SYMBOLS || !symbols.every(s => SYMBOL_PATTERN.test(s))) {
+                return { error: `symbol_filter.symbols must be 1-${MAX_FILTER_SYMBOLS} symbols, e.g. BTCUSDT` };
+            }
+            update.symbol_filter = { mode: filter.mode, symbols: [...new Set(symbols)].sort() };
+        } else {
+            update.symbol_filter = null;
+        }
+    }
+
+    if (body.max_new_positions !== undefined) {
+        const max = body.max_new_positions;
+        if (max !== null && !(Number.isInteger(max) && max >= 0 && max <= 50)) {
+            return { error: 'max_new_positions must be null or an integer between 0 and 50' };
+        }
+        update.max_new_positions = max;
+    }
+
+    if (body.allocation_pct !== undefined || !partial) {
+        const pct = Number(body.allocation_pct);
+        if (!Number.isFinite(pct) || pct <= 0 || pct > 100) return { error: 'allocation_pct must be in (0, 100]' };
+        update.allocation_pct = pct;
+    }
+
+    return { update };
+}
+
+// Sum of allocation_pct over the user's enabled profiles, optionally ignoring one (the profile being edited)
+async function allocatedPct(supabaseAdmin, userId, excludeId = null) {
+    let query = supabaseAdmin
+        .from('strategy_profiles')
+        .select('allocation_pct')
+        .eq('user_id', userId)
+        .eq('is_enabled', true);
+    if (excludeId) query = query.neq('id', excludeId);
+    const { data, error } = await query;
+    if (error) throw new Error(`strategy_profiles read failed: ${error.message}`);
+    return (data || []).reduce((sum, row) => sum + (parseFloat(row.allocation_pct) || 0), 0);
+}
+
+async function loadStrategy(supabaseAdmin, userId, strategyId) {
+    const { data, error } = await supabaseAdmin
+        .from('strategy_profiles')
+        .select(STRATEGY_COLUMNS)
+        .eq('id', strategyId)
+        .eq('user_id', userId)
+        .maybeSingle();
+    if (error) throw new Error(`strategy_profiles read failed: ${error.message}`);
+    return data;
+}
+
+// Enabled profiles of the given users, grouped by user_id
+async function loadEnabledStrategies(supabaseAdmin, userIds) {
+    const byUser = new Map();
+    if (userIds.length === 0) return byUser;
+
+    const { data, error } = await supabaseAdmin
+        .from('strategy_profiles')
+        .select(STRATEGY_COLUMNS)
+        .in('user_id', userIds)
+        .eq('is_enabled', true)
+        .order('created_at');
+    if (error) throw new Error(`strategy_profiles read failed: ${error.message}`);
+
+    for (const row of data || []) {
+        if (!byUser.has(row.user_id)) byUser.set(row.user_id, []);
+        byUser.get(row.user_id).push(row);
+    }
+    return byUser;
+}
+
+// The profile's share of the wallet: USDT balances scaled by allocation_pct (other assets untouched)
+function allocateBalances(balances, strategy) {
+    const pct = parseFloat(strategy?.allocation_pct);
+    if (!(pct > 0 && pct < 100)) return balances;
+    const scale = value => (parseFloat(value) * pct / 100).toString();
+    return balances.map(b => (b.asset === 'USDT' ? { ...b, free: scale(b.free) } : b));
+}
+
+// Realized results of the profile's fully closed trades. reconcile.js books PnL on the OPEN row (closes found
+// from SL/TP or manual fills carry no strategy_id), so attribution follows the tagged OPEN rows.
+async function strategyPerformance(supabaseAdmin, userId, strategyId) {
+    const { data: trades, error } = await supabaseAdmin
+        .from('autonomous_trades')
+        .select('net_pnl')
+        .eq('user_id', userId)
+        .eq('strategy_id', strategyId)
+        .eq('kind', 'OPEN')
+        .eq('status', 'CLOSED');
+    if (error) throw new Error(`autonomous_trades read failed: ${error.message}`);
+
+    const pnls = trades.map(row => parseFloat(row.net_pnl) || 0);
+    const wins = pnls.filter(pnl => pnl > 0).length;
+    return {
+        strategyId,
+        closedTrades: pnls.length,
+        wins,
+        winRate: pnls.length > 0 ? wins / pnls.length : null,
+        netPnl: pnls.reduce((sum, pnl) => sum + pnl, 0)
+    };
+}
+
+// What the analyst is told about the profile
+function describeStrategy(strategy) {
+    return {
+        id: strategy.id,
+        name: strategy.name,
+        symbolFilter: strategy.symbol_filter || null,
+        maxNewPositions: strategy.max_new_positions ?? null,
+        allocationPct: strategy.allocation_pct
+    };
+}
+
+// Applies the profile's symbol filter, position ownership and new-position cap to normalized recommendations
+// and tags the accepted ones with strategyId. positions: enriched with strategyId (null = untagged).
+function applyStrategy(strategy, recommendations, positions, { language } = {}) {
+    const accepted = [];
+    const rejected = [];
+    const filter = strategy.symbol_filter;
+    let newPositions = 0;
+
+    const reject = (trade, reasonKey, params) => {
+        rejected.push({ raw: trade, reason: t(language, reasonKey, { symbol: trade.symbol, strategy: strategy.name, ...params }), reasonKey });
+        log.info('Recommendation outside strategy', { strategyId: strategy.id, symbol: trade.symbol, reasonKey });
+    };
+
+    for (const trade of recommendations) {
+        const held = positions.filter(p => p.symbol === trade.symbol);
+        const ownedElsewhere = list => list.length > 0 && list.every(p => p.strategyId && p.strategyId !== strategy.id);
+
+        if (trade.action === 'CLOSE') {
+            const own = held.filter(p => !trade.positionSide || positionSideOf(p) === trade.positionSide);
+            if (ownedElsewhere(own)) {
+                reject(trade, 'strategy.positionNotOwned');
+                continue;
+            }
+        } else {
+            // A one-way position (positionSide BOTH) is reduced or flipped by an order on the other side
+            const opposite = trade.action === 'BUY' ? 'SHORT' : 'LONG';
+            const opposing = held.filter(p => p.positionSide !== 'LONG' && p.positionSide !== 'SHORT' && positionSideOf(p) === opposite);
+            if (ownedElsewhere(opposing)) {
+                reject(trade, 'strategy.positionNotOwned');
+                continue;
+            }
+            if (filter?.mode === 'whitelist' && !filter.symbols.includes(trade.symbol)) {
+                reject(trade, 'strategy.symbolNotAllowed');
+                continue;
+            }
+            if (filter?.mode === 'blacklist' && filter.symbols.includes(trade.symbol)) {
+                reject(trade, 'strategy.symbolNotAllowed');
+                continue;
+            }
+            if (held.length === 0 && strategy.max_new_positions != null) {
+                if (newPositions >= strategy.max_new_positions) {
+                    reject(trade, 'strategy.maxNewPositions', { limit: strategy.max_new_positions });
+                    continue;
+                }
+                newPositions++;
+            }
+        }
+        accepted.push({ ...trade, strategyId: strategy.id });
+    }
+    return { accepted, rejected };
+}
+
+module.exports = {
+    STRATEGY_COLUMNS,
+    validAnalystUrl,
+    normalizeStrategyFields,
+    allocatedPct,
+    loadStrategy,
+    loadEnabledStrategies,
+    strategyPerformance,
+    allocateBalances,
+    describeStrategy,
+    applyStrategy
+};
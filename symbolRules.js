@@ -0,0 +1,94 @@
+// Symbol-rules registry: one cached exchangeInfo per market (venue + environment),
+// loaded on first use and refreshed in the background instead of per order.
+
+const { createLogger } = require('./logger');
+
+const log = createLogger('SymbolRules');
+
+const REFRESH_INTERVAL_MS = parseInt(process.env.SYMBOL_RULES_REFRESH_MS || `${15 * 60 * 1000}`, 10);
+
+// marketKey -> { rules: Map<symbol, rules>, loadedAt, loading, exchange }
+const registries = new Map();
+let refreshTimer = null;
+
+async function loadRegistry(entry) {
+    const list = await entry.exchange.getExchangeInfo();
+    const rules = new Map(list.map(r => [r.symbol, r]));
+
+    // Keep max leverage learned from a previous signed call across refreshes
+    if (entry.rules) {
+        for (const [symbol, previous] of entry.rules) {
+            const next = rules.get(symbol);
+            if (next && next.maxLeverage == null && previous.maxLeverage != null) next.maxLeverage = previous.maxLeverage;
+        }
+    }
+
+    entry.rules = rules;
+    entry.loadedAt = Date.now();
+    log.info('Symbol rules loaded', { market: entry.exchange.marketKey, symbols: rules.size });
+}
+
+async function ensureLoaded(exchange) {
+    let entry = registries.get(exchange.marketKey);
+    if (!entry) {
+        entry = { rules: null, loadedAt: 0, loading: null, exchange, leverageLoaded: false };
+        registries.set(exchange.marketKey, entry);
+    }
+
+    if (!entry.rules) {
+        // Concurrent first callers share one download
+        if (!entry.loading) {
+            entry.loading = loadRegistry(entry).finally(() => { entry.loading = null; });
+        }
+        await entry.loading;
+    }
+
+    // Binance only exposes max leverage through a signed endpoint, so fill it in once a keyed adapter shows up
+    if (!entry.leverageLoaded && exchange.getLeverageBrackets) {
+        try {
+            const brackets = await exchange.getLeverageBrackets();
+            for (const [symbol, maxLeverage] of Object.entries(brackets)) {
+                const rules = entry.rules.get(symbol);
+                if (rules) rules.maxLeverage = maxLeverage;
+            }
+            entry.leverageLoaded = true;
+        } catch (error) {
+            log.warn('Failed to load leverage brackets', { market: exchange.marketKey, error: error.message });
+        }
+    }
+
+    return entry;
+}
+
+// Returns { symbol, status, lotSize, marketLotSize, priceFilter, minNotional, maxLeverage } or null if unlisted
+async function getSymbolRules(exchange, symbol) {
+    const entry = await ensureLoaded(exchange);
+    return entry.rules.get(symbol) || null;
+}
+
+async function refreshAll() {
+    for (const entry of registries.values()) {
+        try {
+            await loadRegistry(entry);
+        } catch (error) {
+            // Stale rules are better than none; keep serving the previous snapshot
+            const ageMin = Math.round((Date.now() - entry.loadedAt) / 60000);
+            log.error('Refresh failed, serving previous rules', { market: entry.exchange.marketKey, ageMin, error: error.message });
+        }
+    }
+}
+
+function startSymbolRulesRefresh() {
+    if (refreshTimer) return;
+    refreshTimer = setInterval(refreshAll, REFRESH_INTERVAL_MS);
+    refreshTimer.unref();
+}
+
+// Floors a quantity or price to the symbol's step/tick size, as a string with matching precision
+function roundToStep(value, stepSize) {
+    const precision = Math.max(0, Math.round(-Math.log10(stepSize)));
+    const rounded = Math.floor(value / stepSize) * stepSize;
+    return rounded.toFixed(precision);
+}
+
+module.exports = { getSymbolRules, startSymbolRulesRefresh, roundToStep };
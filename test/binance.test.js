@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const exchanges = require('../exchanges');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+
+// binance.js binds getUserExchange at require time
+let venue;
+exchanges.getUserExchange = async () => venue;
+const { executeTradeInternal } = require('../binance');
+
+const lot = { minQty: 0.001, maxQty: 1000, stepSize: 0.001 };
+const BTC_RULES = { symbol: 'BTCUSDT', status: 'TRADING', lotSize: lot, marketLotSize: lot, priceFilter: { tickSize: 0.1 }, minNotional: 5, maxLeverage: 125 };
+
+function createVenue(positions, { price = 100, balance = '1000' } = {}) {
+    return {
+        name: 'paper',
+        env: 'test',
+        marketKey: 'test:binance',
+        getExchangeInfo: async () => [BTC_RULES],
+        getLeverageBrackets: null,
+        getAccount: async () => ({ balances: [{ asset: 'USDT', free: balance }], positions }),
+        getMarketPrice: async () => price,
+        getDailyRealizedPnl: async () => 0
+    };
+}
+
+const oneWayLong = amt => ({ symbol: 'BTCUSDT', positionAmt: String(amt), entryPrice: '100', markPrice: '100', unrealizedProfit: '0', leverage: '1', positionSide: 'BOTH' });
+const userSettings = fields => ({ user_settings: [{ user_id: 'u1', language: 'en', ...fields }] });
+
+test('the opening part of a one-way flip is sized like an entry', async () => {
+    const supabase = createFakeSupabase(userSettings({ position_sizing: { mode: 'equity_pct', equityPct: 10 } }));
+    venue = createVenue([oneWayLong(1)]);
+
+    // Closes the 1 BTC long, then opens 10% of 1000 USDT at 1x = 1 BTC short (not the 4 the analyst asked for)
+    const result = await executeTradeInternal(supabase, 'u1', { symbol: 'BTCUSDT', action: 'SELL', quantity: 5, leverage: 1 }, { dryRun: true });
+    assert.equal(result.isClosing, true);
+    assert.equal(result.quantity, '2.000');
+    assert.equal(result.sizing.mode, 'equity_pct');
+});
+
+test('one-way reductions within the position keep the requested quantity', async () => {
+    const supabase = createFakeSupabase(userSettings({ position_sizing: { mode: 'equity_pct', equityPct: 10 } }));
+    venue = createVenue([oneWayLong(1)]);
+
+    const result = await executeTradeInternal(supabase, 'u1', { symbol: 'BTCUSDT', action: 'SELL', quantity: 0.4, leverage: 1 }, { dryRun: true });
+    assert.equal(result.quantity, '0.400');
+    assert.equal(result.sizing, null);
+});
+
+test('a full close retires the position rules, so reopening starts from fresh stage flags', async () => {
+    const management = { partialTakeProfits: [{ profitPct: 2, closePct: 50 }] };
+    const supabase = createFakeSupabase({
+        ...userSettings({}),
+        position_rules: [{ id: 1, user_id: 'u1', symbol: 'BTCUSDT', side: 'LONG', status: 'ACTIVE', rules: management,
+            state: { initialQty: 1, peakPrice: 110, partialsDone: [0], breakEvenDone: true } }]
+    });
+    const positions = [oneWayLong(1)];
+    let nextOrderId = 1;
+    venue = {
+        ...createVenue(positions),
+        setLeverage: async () => ({}),
+        getOpenConditionalOrders: async () => [],
+        cancelConditionalOrder: async () => ({}),
+        placeConditionalOrder: async () => ({ algoId: nextOrderId++ }),
+        cancelOrder: async () => ({}),
+        placeMarketOrder: async ({ side, quantity }) => {
+            positions.splice(0, positions.length, ...(side === 'SELL' ? [] : [oneWayLong(quantity)]));
+            return { orderId: nextOrderId++, status: 'FILLED' };
+        }
+    };
+
+    await executeTradeInternal(supabase, 'u1', { symbol: 'BTCUSDT', action: 'CLOSE' });
+    assert.equal(supabase.tables.position_rules[0].status, 'CLOSED');
+
+    await executeTradeInternal(supabase, 'u1', { symbol: 'BTCUSDT', action: 'BUY', quantity: 1, leverage: 1, stopLoss: 90, management });
+    const [row] = supabase.tables.position_rules;
+    assert.equal(row.status, 'ACTIVE');
+    assert.deepEqual(row.state, { partialsDone: [], breakEvenDone: false });
+});
+
+test('limit entries are risk-checked at their entry price, not the market price', async () => {
+    const supabase = createFakeSupabase(userSettings({ risk_limits: { maxTotalExposure: 120 } }));
+    venue = createVenue([]);
+
+    // 1 BTC is 100 USDT at the market price but 150 USDT at the limit price
+    await assert.rejects(
+        executeTradeInternal(supabase, 'u1', { symbol: 'BTCUSDT', action: 'BUY', orderType: 'LIMIT', prices: [150], quantity: 1, leverage: 1 }, { dryRun: true }),
+        err => err.rule === 'MAX_TOTAL_EXPOSURE'
+    );
+});
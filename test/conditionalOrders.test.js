@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const exchanges = require('../exchanges');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+
+// conditionalOrders.js binds getUserExchange at require time
+const swept = [];
+exchanges.getUserExchange = async (supabaseAdmin, userId) => ({
+    getOpenConditionalOrders: async () => [{ algoId: 1, clientAlgoId: 'AI_RULE_SL_1', symbol: 'BTCUSDT', side: 'SELL', type: 'STOP_MARKET' }],
+    getAccount: async () => ({ balances: [], positions: [] }),
+    cancelConditionalOrder: async () => swept.push(userId)
+});
+const { sweepOrphanedOrders } = require('../conditionalOrders');
+
+test('the orphan sweep covers users the kill switch stopped, not only autonomous ones', async () => {
+    const aiStop = { algoId: 1, clientAlgoId: 'AI_RULE_SL_1', symbol: 'BTCUSDT', side: 'SELL', type: 'STOP_MARKET', triggerPrice: 90 };
+    const supabase = createFakeSupabase({
+        user_settings: [
+            { user_id: 'live', trading_mode: 'live', exchange: 'binance', is_autonomous_enabled: false, binance_api_key: 'k', binance_secret_key: 's' },
+            { user_id: 'paper', trading_mode: 'paper', is_autonomous_enabled: false },
+            { user_id: 'paper-idle', trading_mode: 'paper', is_autonomous_enabled: true },
+            { user_id: 'no-keys', trading_mode: 'live', exchange: 'bybit', is_autonomous_enabled: true, binance_api_key: 'k', binance_secret_key: 's' },
+            { user_id: 'bad-keys', trading_mode: 'live', credentials_status: 'invalid', binance_api_key: 'k', binance_secret_key: 's' }
+        ],
+        paper_accounts: [
+            { user_id: 'paper', open_orders: [aiStop] },
+            { user_id: 'paper-idle', open_orders: [{ ...aiStop, clientAlgoId: 'manual_sl' }] }
+        ],
+        cycle_locks: []
+    });
+
+    await sweepOrphanedOrders(supabase);
+
+    assert.deepEqual(swept.sort(), ['live', 'paper']);
+});
@@ -0,0 +1,134 @@
+// In-memory stand-in for the supabase-js query builder, covering the filters this service uses.
+// createFakeSupabase({ table: [rows] }) -> client; client.tables holds the rows for assertions.
+
+function parseValue(raw) {
+    if (raw === 'null') return null;
+    if (raw === 'true') return true;
+    if (raw === 'false') return false;
+    return raw;
+}
+
+// PostgREST `or` strings such as 'status.is.null,status.in.(PENDING,FILLED)'
+function parseOr(expression) {
+    const parts = expression.match(/[^,()]+\.in\.\([^)]*\)|[^,]+/g) || [];
+    return parts.map(part => {
+        const [column, op, ...rest] = part.split('.');
+        const value = rest.join('.');
+        if (op === 'in') return row => value.slice(1, -1).split(',').includes(String(row[column]));
+        if (op === 'is') return row => row[column] === parseValue(value) || (value === 'null' && row[column] === undefined);
+        if (op === 'eq') return row => String(row[column]) === value;
+        throw new Error(`Unsupported or() operator: ${op}`);
+    });
+}
+
+function createFakeSupabase(seed = {}) {
+    const tables = {};
+    for (const [name, rows] of Object.entries(seed)) tables[name] = rows.map(row => structuredClone(row));
+    let nextId = 1;
+
+    function from(table) {
+        if (!tables[table]) tables[table] = [];
+        const filters = [];
+        let action = 'select';
+        let payload = null;
+        let conflictColumns = null;
+        let returning = false;
+        let order = null;
+        let range = null;
+        let mode = 'many';
+        let countRequested = false;
+
+        const builder = {
+            select(columns, options = {}) {
+                if (action !== 'select') returning = true;
+                if (options.count) countRequested = true;
+                return builder;
+            },
+            insert(rows) { action = 'insert'; payload = rows; return builder; },
+            update(fields) { action = 'update'; payload = fields; return builder; },
+            upsert(rows, { onConflict } = {}) {
+                action = 'upsert';
+                payload = rows;
+                conflictColumns = onConflict ? onConflict.split(',') : null;
+                return builder;
+            },
+            delete() { action = 'delete'; return builder; },
+            eq(column, value) { filters.push(row => row[column] === value); return builder; },
+            neq(column, value) { filters.push(row => row[column] !== value); return builder; },
+            lte(column, value) { filters.push(row => row[column] <= value); return builder; },
+            gte(column, value) { filters.push(row => row[column] >= value); return builder; },
+            in(column, values) { filters.push(row => values.includes(row[column])); return builder; },
+            is(column, value) { filters.push(row => (row[column] ?? null) === value); return builder; },
+            not(column, op, value) {
+                if (op !== 'is') throw new Error(`Unsupported not() operator: ${op}`);
+                filters.push(row => (row[column] ?? null) !== value);
+                return builder;
+            },
+            or(expression) {
+                const alternatives = parseOr(expression);
+                filters.push(row => alternatives.some(match => match(row)));
+                return builder;
+            },
+            order(column, { ascending = true } = {}) { order = { column, ascending }; return builder; },
+            range(fromIndex, toIndex) { range = [fromIndex, toIndex]; return builder; },
+            limit(count) { range = [0, count - 1]; return builder; },
+            single() { mode = 'single'; return builder; },
+            maybeSingle() { mode = 'maybeSingle'; return builder; },
+            then(resolve, reject) {
+                return Promise.resolve().then(execute).then(resolve, reject);
+            }
+        };
+
+        function matching() {
+            return tables[table].filter(row => filters.every(filter => filter(row)));
+        }
+
+        function shape(rows) {
+            if (mode === 'single') {
+                return rows.length === 1
+                    ? { data: rows[0], error: null }
+                    : { data: null, error: { message: `Expected 1 row, got ${rows.length}` } };
+            }
+            if (mode === 'maybeSingle') return { data: rows[0] || null, error: null };
+            return { data: rows, error: null, ...(countRequested ? { count: rows.length } : {}) };
+        }
+
+        function execute() {
+            if (action === 'insert' || action === 'upsert') {
+                const rows = (Array.isArray(payload) ? payload : [payload]).map(row => {
+                    const existing = conflictColumns && tables[table].find(stored => conflictColumns.every(column => stored[column] === row[column]));
+                    if (existing) return Object.assign(existing, structuredClone(row));
+                    const inserted = { id: nextId++, ...structuredClone(row) };
+                    tables[table].push(inserted);
+                    return inserted;
+                });
+                return returning ? shape(rows.map(row => ({ ...row }))) : { data: null, error: null };
+            }
+            if (action === 'update') {
+                const rows = matching();
+                rows.forEach(row => Object.assign(row, structuredClone(payload)));
+                return returning ? shape(rows.map(row => ({ ...row }))) : { data: null, error: null };
+            }
+            if (action === 'delete') {
+                const rows = matching();
+                tables[table] = tables[table].filter(row => !rows.includes(row));
+                return returning ? shape(rows) : { data: null, error: null };
+            }
+
+            // Copies, like rows decoded from a response: callers mutating jsonb columns must not touch the table
+            let rows = matching().map(row => structuredClone(row));
+            if (order) {
+                const { column, ascending } = order;
+                rows.sort((a, b) => (a[column] < b[column] ? -1 : a[column] > b[column] ? 1 : 0) * (ascending ? 1 : -1));
+            }
+            if (range) rows = rows.slice(range[0], range[1] + 1);
+            return shape(rows);
+        }
+
+        return builder;
+    }
+
+    return { from, tables };
+}
+
+module.exports = { createFakeSupabase };
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPaperAdapter } = require('../exchanges/paper');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+
+const account = (fields = {}) => ({
+    user_id: 'u1',
+    wallet_balance: '10000',
+    positions: [],
+    leverage: {},
+    open_orders: [],
+    realized_day: '2026-05-04',
+    realized_day_pnl: '0',
+    fills: [],
+    version: 0,
+    ...fields
+});
+
+const stop = (clientAlgoId, triggerPrice) => ({ symbol: 'BTCUSDT', side: 'SELL', type: 'STOP_MARKET', triggerPrice, clientAlgoId });
+
+test('concurrent paper account writes are retried instead of overwriting each other', async () => {
+    const supabase = createFakeSupabase({ paper_accounts: [account()] });
+    const paper = createPaperAdapter({ supabaseAdmin: supabase, userId: 'u1' });
+
+    await Promise.all([
+        paper.placeConditionalOrder(stop('AI_SL_1', '59000')),
+        paper.placeConditionalOrder(stop('AI_SL_2', '58000')),
+        paper.setLeverage('BTCUSDT', 5)
+    ]);
+
+    const [row] = supabase.tables.paper_accounts;
+    assert.deepEqual(row.open_orders.map(o => o.clientAlgoId).sort(), ['AI_SL_1', 'AI_SL_2']);
+    assert.equal(row.leverage.BTCUSDT, 5);
+    assert.equal(row.version, 3);
+});
+
+test('a rejected paper mutation leaves the account untouched', async () => {
+    const supabase = createFakeSupabase({ paper_accounts: [account()] });
+    const paper = createPaperAdapter({ supabaseAdmin: supabase, userId: 'u1' });
+
+    await assert.rejects(paper.cancelConditionalOrder({ symbol: 'BTCUSDT', algoId: 42 }), /not found/);
+    assert.equal(supabase.tables.paper_accounts[0].version, 0);
+});
+
+test('resting limit entries hold margin like open positions', async () => {
+    const entry = { orderId: 7, symbol: 'BTCUSDT', side: 'BUY', type: 'LIMIT', price: 50000, quantity: 0.5 };
+    const supabase = createFakeSupabase({
+        paper_accounts: [account({ leverage: { BTCUSDT: 5 }, open_orders: [entry, { ...stop('AI_SL_1', 45000), algoId: 8 }] })]
+    });
+    const paper = createPaperAdapter({ supabaseAdmin: supabase, userId: 'u1' });
+
+    const { balances } = await paper.getAccount();
+    assert.equal(balances[0].locked, '5000');
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { registerPosition } = require('../positionMonitor');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+
+const management = { breakEven: { triggerPct: 1, offsetPct: 0.1 }, partialTakeProfits: [{ profitPct: 2, closePct: 50 }] };
+const trackedRow = (fields = {}) => ({
+    id: 1,
+    user_id: 'u1',
+    symbol: 'BTCUSDT',
+    side: 'LONG',
+    status: 'ACTIVE',
+    rules: { breakEven: { triggerPct: 2, offsetPct: 0 } },
+    stop_price: 95,
+    state: { initialQty: 1, peakPrice: 120, partialsDone: [0], breakEvenDone: true },
+    ...fields
+});
+
+test('adding to a tracked position keeps its stage flags and refreshes rules, stop and size', async () => {
+    const supabase = createFakeSupabase({ position_rules: [trackedRow()] });
+
+    await registerPosition(supabase, 'u1', { symbol: 'BTCUSDT', side: 'BUY', stopLoss: 105, management, addsToPosition: true });
+
+    const rows = supabase.tables.position_rules;
+    assert.equal(rows.length, 1);
+    assert.deepEqual(rows[0].rules, management);
+    assert.equal(rows[0].stop_price, 105);
+    assert.deepEqual(rows[0].state, { partialsDone: [0], breakEvenDone: true, peakPrice: 120 });
+});
+
+test('a position opened after the tracked one closed starts from fresh stage flags', async () => {
+    const supabase = createFakeSupabase({ position_rules: [trackedRow({ status: 'CLOSED' })] });
+
+    await registerPosition(supabase, 'u1', { symbol: 'BTCUSDT', side: 'BUY', stopLoss: 105, management, addsToPosition: true });
+
+    const [row] = supabase.tables.position_rules;
+    assert.equal(row.status, 'ACTIVE');
+    assert.deepEqual(row.state, { partialsDone: [], breakEvenDone: false });
+});
+
+test('a new position ignores a row the monitor has not retired yet', async () => {
+    // Closed on the exchange (e.g. by its stop) and reopened before the next monitor pass
+    const supabase = createFakeSupabase({ position_rules: [trackedRow()] });
+
+    await registerPosition(supabase, 'u1', { symbol: 'BTCUSDT', side: 'BUY', stopLoss: 105, management });
+
+    assert.deepEqual(supabase.tables.position_rules[0].state, { partialsDone: [], breakEvenDone: false });
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeRecommendation } = require('../recommendations');
+
+const MARKET = 60000;
+const long = fields => normalizeRecommendation({ symbol: 'BTCUSDT', action: 'BUY', quantity: '0.01', ...fields }, MARKET);
+
+test('decimal commas are accepted when unambiguous', () => {
+    const { trade } = long({ quantity: '0,015', stopLoss: '59000,5', takeProfit: '61000,25', leverage: '5,0' });
+    assert.equal(trade.quantity, 0.015);
+    assert.equal(trade.stopLoss, 59000.5);
+    assert.equal(trade.takeProfit, 61000.25);
+    assert.equal(trade.leverage, 5);
+
+    assert.equal(long({ quantity: '0,500' }).trade.quantity, 0.5); // a grouping never follows a lone 0
+    assert.equal(long({ stopLoss: '59500.5' }).trade.stopLoss, 59500.5);
+    assert.equal(long({ stopLoss: 59500 }).trade.stopLoss, 59500);
+});
+
+test('thousands-grouped values are rejected instead of misread', () => {
+    // "60,500" must not become 60.5
+    assert.equal(long({ stopLoss: '59,500' }).reasonKey, 'recommendation.invalidStopLoss');
+    assert.equal(long({ takeProfit: '61,000' }).reasonKey, 'recommendation.invalidTakeProfit');
+    assert.equal(long({ quantity: '1,500' }).reasonKey, 'recommendation.invalidQuantity');
+    assert.equal(long({ entryPrice: '59,800' }).reasonKey, 'recommendation.invalidEntryPrice');
+});
+
+test('values mixing or repeating separators are rejected', () => {
+    assert.equal(long({ stopLoss: '59,500.5' }).reasonKey, 'recommendation.invalidStopLoss');
+    assert.equal(long({ stopLoss: '59.500,5' }).reasonKey, 'recommendation.invalidStopLoss');
+    assert.equal(long({ takeProfit: '1,061,000' }).reasonKey, 'recommendation.invalidTakeProfit');
+    assert.equal(long({ takeProfit: '61.000.000' }).reasonKey, 'recommendation.invalidTakeProfit');
+});
+
+test('units after a number are still tolerated', () => {
+    const { trade, notes } = long({ leverage: '10x', confidence: '85%' });
+    assert.equal(trade.leverage, 10);
+    assert.equal(trade.confidence, 0.85);
+    assert.ok(notes.includes('confidence 85 treated as percent'));
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const exchanges = require('../exchanges');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+
+// reconcile.js binds getUserExchange at require time
+let venue;
+exchanges.getUserExchange = async () => venue;
+const { reconcileUser } = require('../reconcile');
+
+const T0 = Date.parse('2026-05-04T10:00:00Z');
+
+function createVenue(orders, fills) {
+    return {
+        getOrder: async (symbol, orderId) => orders[orderId],
+        getUserTrades: async (symbol, { startTime, orderId } = {}) => fills
+            .filter(f => f.symbol === symbol)
+            .filter(f => (orderId ? String(f.orderId) === String(orderId) : f.time >= startTime))
+    };
+}
+
+const trades = supabase => supabase.tables.autonomous_trades;
+const byOrder = (supabase, orderId, kind) => trades(supabase).find(t => String(t.order_id) === orderId && t.kind === kind);
+
+test('a one-way flip closes the journal position and opens the remainder on the other side', async () => {
+    const supabase = createFakeSupabase({
+        autonomous_trades: [
+            { id: 1, user_id: 'u1', order_id: '100', symbol: 'BTCUSDT', kind: 'OPEN', side: 'BUY', position_side: 'LONG', strategy_id: 's1',
+                status: 'FILLED', fill_price: 100, filled_qty: 1, commission: 0.04, filled_at: new Date(T0).toISOString(), created_at: '1' },
+            { id: 2, user_id: 'u1', order_id: '200', symbol: 'BTCUSDT', kind: 'CLOSE', side: 'SELL', position_side: 'LONG', strategy_id: 's1',
+                status: 'PENDING', open_reason: 'Trend reversal', created_at: '2' }
+        ]
+    });
+    const flipFill = { orderId: 200, symbol: 'BTCUSDT', side: 'SELL', positionSide: 'BOTH', price: 110, qty: 3, commission: 0.3, realizedPnl: 10, time: T0 + 60000 };
+    venue = createVenue({
+        200: { orderId: 200, status: 'FILLED', side: 'SELL', positionSide: 'BOTH', type: 'MARKET', avgPrice: 110, executedQty: 3, updateTime: T0 + 60000, reduceOnly: false }
+    }, [flipFill]);
+
+    await reconcileUser(supabase, 'u1');
+
+    const closed = byOrder(supabase, '100', 'OPEN');
+    assert.equal(closed.status, 'CLOSED');
+    assert.equal(closed.realized_pnl, 10); // all of the flip's PnL belongs to the closed part
+    assert.ok(Math.abs(closed.close_commission - 0.1) < 1e-9);
+
+    assert.equal(byOrder(supabase, '200', 'CLOSE').status, 'LINKED');
+
+    const flipped = byOrder(supabase, '200', 'OPEN');
+    assert.equal(flipped.status, 'FILLED');
+    assert.equal(flipped.position_side, 'SHORT');
+    assert.equal(flipped.strategy_id, 's1');
+    assert.equal(flipped.filled_qty, 2);
+    assert.equal(flipped.fill_price, 110);
+    assert.ok(Math.abs(flipped.commission - 0.2) < 1e-9);
+
+    // The flipped SHORT is later stopped out: the discovered close links to the remainder row
+    venue = createVenue({
+        200: { orderId: 200, status: 'FILLED', side: 'SELL', positionSide: 'BOTH', type: 'MARKET', reduceOnly: false },
+        300: { orderId: 300, status: 'FILLED', side: 'BUY', positionSide: 'BOTH', type: 'STOP_MARKET', clientOrderId: 'AI_SL_1', reduceOnly: true }
+    }, [flipFill, { orderId: 300, symbol: 'BTCUSDT', side: 'BUY', positionSide: 'BOTH', price: 115, qty: 2, commission: 0.2, realizedPnl: -10, time: T0 + 120000 }]);
+
+    const { discovered } = await reconcileUser(supabase, 'u1');
+    assert.equal(discovered, 1);
+    assert.equal(byOrder(supabase, '200', 'OPEN').status, 'CLOSED');
+    assert.equal(byOrder(supabase, '200', 'OPEN').close_reason, 'SL');
+    assert.equal(byOrder(supabase, '300', 'CLOSE').status, 'LINKED');
+    assert.equal(byOrder(supabase, '300', 'CLOSE').opening_order_id, '200');
+});
+
+test('linked CLOSE rows leave the reconcile scan, and legacy FILLED ones are moved out of it', async () => {
+    const supabase = createFakeSupabase({
+        autonomous_trades: [
+            { id: 1, user_id: 'u1', order_id: '100', symbol: 'ETHUSDT', kind: 'OPEN', side: 'BUY', status: 'CLOSED', created_at: '1' },
+            { id: 2, user_id: 'u1', order_id: '200', symbol: 'ETHUSDT', kind: 'CLOSE', side: 'SELL', status: 'FILLED', opening_order_id: '100', created_at: '2' },
+            { id: 3, user_id: 'u1', order_id: '300', symbol: 'ETHUSDT', kind: 'CLOSE', side: 'SELL', status: 'FILLED', opening_order_id: null, created_at: '3' }
+        ]
+    });
+    venue = createVenue({}, []);
+
+    await reconcileUser(supabase, 'u1');
+
+    assert.equal(byOrder(supabase, '200', 'CLOSE').status, 'LINKED');
+    assert.equal(byOrder(supabase, '300', 'CLOSE').status, 'UNMATCHED');
+});
+
+test('a discovered close whose journal insert fails is linked once, on the pass that records it', async () => {
+    const supabase = createFakeSupabase({
+        autonomous_trades: [
+            { id: 1, user_id: 'u1', order_id: '100', symbol: 'BTCUSDT', kind: 'OPEN', side: 'BUY', position_side: 'LONG',
+                status: 'FILLED', fill_price: 100, filled_qty: 2, commission: 0.08, filled_at: new Date(T0).toISOString(), created_at: '1' }
+        ]
+    });
+    venue = createVenue({
+        300: { orderId: 300, status: 'FILLED', side: 'SELL', positionSide: 'BOTH', type: 'STOP_MARKET', clientOrderId: 'AI_SL_1', reduceOnly: true }
+    }, [{ orderId: 300, symbol: 'BTCUSDT', side: 'SELL', positionSide: 'BOTH', price: 95, qty: 1, commission: 0.04, realizedPnl: -5, time: T0 + 60000 }]);
+
+    const from = supabase.from.bind(supabase);
+    supabase.from = table => {
+        const query = from(table);
+        query.insert = () => ({ select: () => ({ single: async () => ({ data: null, error: { message: 'connection reset' } }) }) });
+        return query;
+    };
+    assert.equal((await reconcileUser(supabase, 'u1')).discovered, 0);
+    assert.equal(byOrder(supabase, '100', 'OPEN').closed_qty, undefined);
+
+    supabase.from = from;
+    assert.equal((await reconcileUser(supabase, 'u1')).discovered, 1);
+    assert.equal((await reconcileUser(supabase, 'u1')).discovered, 0);
+
+    const open = byOrder(supabase, '100', 'OPEN');
+    assert.equal(open.closed_qty, 1);
+    assert.equal(open.realized_pnl, -5);
+    assert.equal(open.status, 'FILLED');
+    assert.equal(byOrder(supabase, '300', 'CLOSE').status, 'LINKED');
+    assert.equal(byOrder(supabase, '300', 'CLOSE').opening_order_id, '100');
+});
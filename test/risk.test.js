@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkTradeRisk } = require('../risk');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+
+const settings = riskLimits => ({ user_settings: [{ user_id: 'u1', language: 'en', risk_limits: riskLimits }] });
+const venue = positions => ({
+    getAccount: async () => ({ balances: [{ asset: 'USDT', free: '1000' }], positions }),
+    getDailyRealizedPnl: async () => 0
+});
+const long = (symbol, amt, price) => ({ symbol, positionAmt: String(amt), entryPrice: String(price), markPrice: String(price), unrealizedProfit: '0', positionSide: 'BOTH' });
+const trade = { symbol: 'BTCUSDT', action: 'SELL' };
+
+test('reductions skip the limits but the opening part of a flip does not', async () => {
+    const supabase = createFakeSupabase(settings({ maxLeverage: 5 }));
+    const exchange = venue([long('BTCUSDT', 1, 100)]);
+    const order = { symbol: 'BTCUSDT', side: 'SELL', positionSide: 'LONG', quantity: 1, price: 100, leverage: 20, isClosing: true };
+
+    await checkTradeRisk(supabase, 'u1', exchange, trade, order);
+    await assert.rejects(
+        checkTradeRisk(supabase, 'u1', exchange, trade, { ...order, positionSide: 'SHORT', isClosing: false, isFlip: true }),
+        error => error.rule === 'MAX_LEVERAGE'
+    );
+    assert.equal(supabase.tables.trade_rejections.length, 1);
+});
+
+test('a flip replaces the closed position in the position count and exposure', async () => {
+    const supabase = createFakeSupabase(settings({ maxOpenPositions: 2, maxTotalExposure: 500, dailyLossLimitPct: null }));
+    const exchange = venue([long('BTCUSDT', 2, 100), long('ETHUSDT', 1, 200)]);
+    const flip = { symbol: 'BTCUSDT', side: 'SELL', positionSide: 'SHORT', quantity: 2, price: 100, leverage: 1, isClosing: false, isFlip: true };
+
+    // 200 (ETH) + 200 (new SHORT) <= 500; the closed 200 LONG no longer counts
+    await checkTradeRisk(supabase, 'u1', exchange, trade, flip);
+    await assert.rejects(checkTradeRisk(supabase, 'u1', exchange, trade, { ...flip, quantity: 4 }), error => error.rule === 'MAX_TOTAL_EXPOSURE');
+
+    // A plain opening SELL on a third symbol is still capped by the count
+    await assert.rejects(
+        checkTradeRisk(supabase, 'u1', exchange, { symbol: 'SOLUSDT', action: 'SELL' }, { ...flip, symbol: 'SOLUSDT', isFlip: false }),
+        error => error.rule === 'MAX_OPEN_POSITIONS'
+    );
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeSchedule, nextRunAfter, isDue, getNextRun, parseCron } = require('../schedule');
+
+const at = iso => new Date(iso);
+const next = (settings, from) => nextRunAfter(normalizeSchedule(settings), at(from)).toISOString();
+
+test('interval schedules run every N minutes from the last run', () => {
+    const settings = { autonomous_schedule_type: 'interval', autonomous_interval: 90, autonomous_timezone: 'UTC' };
+    assert.equal(next(settings, '2026-05-04T10:00:00Z'), '2026-05-04T11:30:00.000Z');
+
+    const schedule = normalizeSchedule(settings);
+    assert.equal(isDue(schedule, at('2026-05-04T10:00:00Z'), at('2026-05-04T11:29:00Z')), false);
+    assert.equal(isDue(schedule, at('2026-05-04T10:00:00Z'), at('2026-05-04T11:30:00Z')), true);
+    assert.equal(isDue(schedule, null, at('2026-05-04T11:30:00Z')), true);
+});
+
+test('interval schedules wait for the start of the next allowed weekday', () => {
+    // Friday 2026-05-08 23:30 in Istanbul (UTC+3); weekdays only
+    const settings = { autonomous_schedule_type: 'interval', autonomous_interval: 60, autonomous_weekdays: [1, 2, 3, 4, 5], autonomous_timezone: 'Europe/Istanbul' };
+    assert.equal(next(settings, '2026-05-08T20:30:00Z'), '2026-05-10T21:00:00.000Z'); // Monday 00:00 local
+
+    const schedule = normalizeSchedule(settings);
+    assert.equal(isDue(schedule, null, at('2026-05-09T12:00:00Z')), false); // Saturday
+    assert.equal(isDue(schedule, null, at('2026-05-11T12:00:00Z')), true);  // Monday
+});
+
+test('daily schedules run at each local time in the user timezone', () => {
+    const settings = { autonomous_schedule_type: 'daily', autonomous_daily_times: ['18:30', '09:00'], autonomous_timezone: 'Europe/Istanbul' };
+    assert.equal(next(settings, '2026-05-04T05:00:00Z'), '2026-05-04T06:00:00.000Z'); // 09:00 local
+    assert.equal(next(settings, '2026-05-04T06:00:00Z'), '2026-05-04T15:30:00.000Z'); // 18:30 local
+    assert.equal(next(settings, '2026-05-04T15:30:00Z'), '2026-05-05T06:00:00.000Z'); // next morning
+
+    // Legacy single autonomous_daily_time
+    assert.equal(next({ autonomous_schedule_type: 'daily', autonomous_daily_time: '07:15', autonomous_timezone: 'UTC' }, '2026-05-04T08:00:00Z'),
+        '2026-05-05T07:15:00.000Z');
+});
+
+test('daily schedules skip days outside the weekday mask', () => {
+    const settings = { autonomous_schedule_type: 'daily', autonomous_daily_times: ['10:00'], autonomous_weekdays: [6, 0], autonomous_timezone: 'UTC' };
+    assert.equal(next(settings, '2026-05-04T12:00:00Z'), '2026-05-09T10:00:00.000Z'); // Monday -> Saturday
+    assert.equal(next(settings, '2026-05-09T10:00:00Z'), '2026-05-10T10:00:00.000Z'); // Saturday -> Sunday
+
+    // 7 is accepted as Sunday
+    const sunday = normalizeSchedule({ ...settings, autonomous_weekdays: [7] });
+    assert.deepEqual(sunday.weekdays, [0]);
+});
+
+test('daily schedules without a last run catch up on today\'s passed slots only', () => {
+    const schedule = normalizeSchedule({ autonomous_schedule_type: 'daily', autonomous_daily_times: ['09:00'], autonomous_timezone: 'UTC' });
+    assert.equal(isDue(schedule, null, at('2026-05-04T08:59:00Z')), false);
+    assert.equal(isDue(schedule, null, at('2026-05-04T09:01:00Z')), true);
+    assert.equal(getNextRun(schedule, null, at('2026-05-04T08:00:00Z')).toISOString(), '2026-05-04T09:00:00.000Z');
+});
+
+test('cron schedules support steps, ranges, lists and names', () => {
+    const settings = { autonomous_schedule_type: 'cron', autonomous_cron: '*/15 9-17 * * MON-FRI', autonomous_timezone: 'UTC' };
+    assert.equal(next(settings, '2026-05-04T09:07:00Z'), '2026-05-04T09:15:00.000Z');
+    assert.equal(next(settings, '2026-05-04T17:45:00Z'), '2026-05-05T09:00:00.000Z');
+    assert.equal(next(settings, '2026-05-08T17:50:00Z'), '2026-05-11T09:00:00.000Z'); // Friday -> Monday
+
+    const lists = { autonomous_schedule_type: 'cron', autonomous_cron: '0 8,20 * JAN,MAY *', autonomous_timezone: 'UTC' };
+    assert.equal(next(lists, '2026-05-31T20:00:00Z'), '2027-01-01T08:00:00.000Z');
+});
+
+test('cron schedules match either day field when both are restricted', () => {
+    // The 1st of the month or any Sunday
+    const settings = { autonomous_schedule_type: 'cron', autonomous_cron: '0 12 1 * 0', autonomous_timezone: 'UTC' };
+    assert.equal(next(settings, '2026-05-01T12:00:00Z'), '2026-05-03T12:00:00.000Z'); // Sunday
+    assert.equal(next(settings, '2026-05-31T12:00:00Z'), '2026-06-01T12:00:00.000Z'); // 1st
+});
+
+test('parseCron rejects malformed expressions', () => {
+    assert.throws(() => parseCron('* * * *'), /5 fields/);
+    assert.throws(() => parseCron('60 * * * *'), /minute out of range/);
+    assert.throws(() => parseCron('*/0 * * * *'), /step/);
+    assert.throws(() => parseCron('0 * * FOO *'), /Invalid month/);
+    assert.deepEqual([...parseCron('0 0 * * 7').dayOfWeek], [0]);
+});
+
+test('times skipped by the spring-forward jump land after the jump', () => {
+    // America/New_York 2026-03-08: 02:00 EST -> 03:00 EDT
+    const settings = { autonomous_schedule_type: 'daily', autonomous_daily_times: ['02:30'], autonomous_timezone: 'America/New_York' };
+    assert.equal(next(settings, '2026-03-08T00:00:00Z'), '2026-03-08T07:30:00.000Z'); // 03:30 EDT
+    assert.equal(next(settings, '2026-03-08T07:30:00Z'), '2026-03-09T06:30:00.000Z'); // 02:30 EDT next day
+
+    // Times just outside the gap keep their wall clock
+    assert.equal(next({ ...settings, autonomous_daily_times: ['01:30'] }, '2026-03-08T00:00:00Z'), '2026-03-08T06:30:00.000Z');
+    assert.equal(next({ ...settings, autonomous_daily_times: ['03:30'] }, '2026-03-08T00:00:00Z'), '2026-03-08T07:30:00.000Z');
+
+    // Europe/Berlin 2026-03-29: 02:00 CET -> 03:00 CEST
+    const berlin = { autonomous_schedule_type: 'cron', autonomous_cron: '30 2 * * *', autonomous_timezone: 'Europe/Berlin' };
+    assert.equal(next(berlin, '2026-03-28T23:00:00Z'), '2026-03-29T01:30:00.000Z'); // 03:30 CEST
+
+    const cron = { autonomous_schedule_type: 'cron', autonomous_cron: '30 2 * * *', autonomous_timezone: 'Europe/Istanbul' };
+    assert.equal(next(cron, '2026-03-08T00:00:00Z'), '2026-03-08T23:30:00.000Z'); // No DST in Istanbul
+});
+
+test('times repeated by the fall-back jump run once, at the first occurrence', () => {
+    // America/New_York 2026-11-01: 02:00 EDT -> 01:00 EST
+    const settings = { autonomous_schedule_type: 'daily', autonomous_daily_times: ['01:30'], autonomous_timezone: 'America/New_York' };
+    assert.equal(next(settings, '2026-11-01T00:00:00Z'), '2026-11-01T05:30:00.000Z'); // 01:30 EDT
+    assert.equal(next(settings, '2026-11-01T05:30:00Z'), '2026-11-02T06:30:00.000Z'); // not again at 01:30 EST
+
+    // Europe/Berlin 2026-10-25: 03:00 CEST -> 02:00 CET
+    const berlin = { autonomous_schedule_type: 'daily', autonomous_daily_times: ['02:30'], autonomous_timezone: 'Europe/Berlin' };
+    assert.equal(next(berlin, '2026-10-24T23:00:00Z'), '2026-10-25T00:30:00.000Z'); // 02:30 CEST
+    assert.equal(next(berlin, '2026-10-25T00:30:00Z'), '2026-10-26T01:30:00.000Z');
+});
+
+test('interval schedules are unaffected by DST transitions', () => {
+    const settings = { autonomous_schedule_type: 'interval', autonomous_interval: 60, autonomous_timezone: 'America/New_York' };
+    assert.equal(next(settings, '2026-03-08T06:30:00Z'), '2026-03-08T07:30:00.000Z');
+    assert.equal(next(settings, '2026-11-01T05:30:00Z'), '2026-11-01T06:30:00.000Z');
+});
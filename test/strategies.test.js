@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+const { strategyPerformance } = require('../strategies');
+
+// Journal rows as reconcile.js leaves them: PnL on the OPEN row, the discovered CLOSE row untagged
+function closedPair({ id, strategyId, netPnl }) {
+    return [
+        { id, user_id: 'u1', order_id: `${id}`, kind: 'OPEN', strategy_id: strategyId, status: 'CLOSED', net_pnl: String(netPnl) },
+        { id: id + 1000, user_id: 'u1', order_id: `${id + 1000}`, kind: 'CLOSE', strategy_id: null, status: 'LINKED', net_pnl: null, opening_order_id: `${id}` }
+    ];
+}
+
+test('strategyPerformance attributes closed OPEN rows to their strategy', async () => {
+    const supabase = createFakeSupabase({
+        autonomous_trades: [
+            ...closedPair({ id: 1, strategyId: 's1', netPnl: 12.5 }),
+            ...closedPair({ id: 2, strategyId: 's1', netPnl: -2.5 }),
+            ...closedPair({ id: 3, strategyId: 's2', netPnl: 100 }),
+            { id: 4, user_id: 'u1', order_id: '4', kind: 'OPEN', strategy_id: 's1', status: 'FILLED', net_pnl: null }
+        ]
+    });
+
+    const result = await strategyPerformance(supabase, 'u1', 's1');
+    assert.deepEqual(result, { strategyId: 's1', closedTrades: 2, wins: 1, winRate: 0.5, netPnl: 10 });
+});
+
+test('strategyPerformance reports no trades for an unused strategy', async () => {
+    const supabase = createFakeSupabase({ autonomous_trades: closedPair({ id: 1, strategyId: 's1', netPnl: 5 }) });
+
+    const result = await strategyPerformance(supabase, 'u1', 'other');
+    assert.deepEqual(result, { strategyId: 'other', closedTrades: 0, wins: 0, winRate: null, netPnl: 0 });
+});
+
+test('validAnalystUrl only accepts https URLs on allowlisted public hosts', t => {
+    const { validAnalystUrl } = require('../strategies');
+    const previous = process.env.ANALYST_ALLOWED_HOSTS;
+    t.after(() => {
+        if (previous === undefined) delete process.env.ANALYST_ALLOWED_HOSTS;
+        else process.env.ANALYST_ALLOWED_HOSTS = previous;
+    });
+
+    delete process.env.ANALYST_ALLOWED_HOSTS;
+    assert.equal(validAnalystUrl('https://analyst.example.com/run'), false);
+
+    process.env.ANALYST_ALLOWED_HOSTS = 'analyst.example.com, 10.0.0.5, localhost';
+    assert.equal(validAnalystUrl('https://analyst.example.com/run'), true);
+    assert.equal(validAnalystUrl('http://analyst.example.com/run'), false);
+    assert.equal(validAnalystUrl('https://other.example.com/run'), false);
+    assert.equal(validAnalystUrl('https://user:pw@analyst.example.com/run'), false);
+    assert.equal(validAnalystUrl('https://10.0.0.5/run'), false);
+    assert.equal(validAnalystUrl('https://[::1]/run'), false);
+    assert.equal(validAnalystUrl('https://localhost/run'), false);
+    assert.equal(validAnalystUrl('https://metadata.internal/run'), false);
+});
+
+test('applyStrategy keeps a strategy from reversing a one-way position another strategy opened', () => {
+    const { applyStrategy } = require('../strategies');
+    const strategy = { id: 's2', name: 'Scalper', symbol_filter: null, max_new_positions: null };
+    const positions = [
+        { symbol: 'BTCUSDT', positionAmt: '1', positionSide: 'BOTH', strategyId: 's1' },
+        { symbol: 'ETHUSDT', positionAmt: '2', positionSide: 'LONG', strategyId: 's1' }
+    ];
+
+    const { accepted, rejected } = applyStrategy(strategy, [
+        { symbol: 'BTCUSDT', action: 'SELL', quantity: 2 },
+        { symbol: 'BTCUSDT', action: 'BUY', quantity: 1 },
+        { symbol: 'ETHUSDT', action: 'SELL', quantity: 1 }
+    ], positions, { language: 'en' });
+
+    assert.deepEqual(rejected.map(r => [r.raw.symbol, r.raw.action, r.reasonKey]), [['BTCUSDT', 'SELL', 'strategy.positionNotOwned']]);
+    // Adding to the position and opening the other side of a hedge-mode position stay allowed
+    assert.deepEqual(accepted.map(a => [a.symbol, a.action]), [['BTCUSDT', 'BUY'], ['ETHUSDT', 'SELL']]);
+});
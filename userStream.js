@@ -0,0 +1,312 @@
+const WebSocket = require('ws');
+const { getUserExchange } = require('./exchanges');
+const { reconcileUser, classifyClose } = require('./reconcile');
+const { processUserEntries } = require('./entryOrders');
+const { withCycleLock } = require('./cycleLock');
+const { notifyUser } = require('./notifications');
+const { createLogger } = require('./logger');
+
+// Binance futures user-data streams for live users with autonomous trading enabled.
+// Per user: a listenKey (kept alive every KEEPALIVE_MS), one WebSocket, ping/pong liveness checks and
+// reconnects with backoff on close, error or listenKeyExpired.
+//   ORDER_TRADE_UPDATE - each execution is stored in `exchange_fills` (unique per user/symbol/trade_id);
+//                        filled orders trigger reconciliation and SL/TP/liquidation notifications, fills of
+//                        AI limit entries (AI_ENTRY_*) a pending-entry pass so their SL/TP go on right away
+//   ACCOUNT_UPDATE     - latest balances/positions upserted into `account_snapshots`
+//   MARGIN_CALL        - notification
+// The fills insert doubles as de-duplication when more than one instance holds a stream for the same user.
+
+const KEEPALIVE_MS = 30 * 60 * 1000;
+const PING_INTERVAL_MS = 60 * 1000;
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 60 * 1000;
+const RECONCILE_DEBOUNCE_MS = 2000;
+const UNIQUE_VIOLATION = '23505';
+const log = createLogger('UserStream');
+
+const CLOSE_NOTIFICATIONS = {
+    SL: { key: 'notify.stopLossHit', event: 'STOP_LOSS_HIT' },
+    TP: { key: 'notify.takeProfitHit', event: 'TAKE_PROFIT_HIT' },
+    LIQUIDATION: { key: 'notify.liquidation', event: 'LIQUIDATION' }
+};
+
+function createUserStreamManager(supabaseAdmin) {
+    const streams = new Map(); // userId -> stream state
+
+    // Stores the execution; returns false when another instance already stored it
+    async function recordFill(userId, o) {
+        const { error } = await supabaseAdmin.from('exchange_fills').insert({
+            user_id: userId,
+            symbol: o.s,
+            trade_id: o.t,
+            order_id: o.i,
+            client_order_id: o.c,
+            side: o.S,
+            position_side: o.ps || null,
+            order_type: o.ot || o.o,
+            price: parseFloat(o.L),
+            qty: parseFloat(o.l),
+            commission: parseFloat(o.n || 0),
+            commission_asset: o.N || null,
+            realized_pnl: parseFloat(o.rp || 0),
+            order_status: o.X,
+            trade_time: new Date(o.T).toISOString()
+        });
+        if (error?.code === UNIQUE_VIOLATION) return false;
+        if (error) log.error('Fill insert failed', { userId, error: error.message });
+        return true;
+    }
+
+    function scheduleReconcile(stream) {
+        clearTimeout(stream.reconcileTimer);
+        stream.reconcileTimer = setTimeout(() => {
+            reconcileUser(supabaseAdmin, stream.userId).catch(err => {
+                log.error('Reconcile failed', { userId: stream.userId, error: err.message });
+            });
+        }, RECONCILE_DEBOUNCE_MS);
+        stream.reconcileTimer.unref();
+    }
+
+    // Under the cycle lock like the scheduler's pass; a cycle in flight settles entries itself
+    function scheduleEntryCheck(stream) {
+        clearTimeout(stream.entryTimer);
+        stream.entryTimer = setTimeout(() => {
+            withCycleLock(supabaseAdmin, stream.userId, () => processUserEntries(supabaseAdmin, stream.userId)).catch(err => {
+                log.error('Entry check failed', { userId: stream.userId, error: err.message });
+            });
+        }, RECONCILE_DEBOUNCE_MS);
+        stream.entryTimer.unref();
+    }
+
+    async function handleOrderUpdate(stream, o) {
+        if (o.x !== 'TRADE') return;
+
+        const isNew = await recordFill(stream.userId, o);
+        if (isNew && (o.c || '').startsWith('AI_ENTRY')) scheduleEntryCheck(stream);
+        if (!isNew || o.X !== 'FILLED') return;
+
+        scheduleReconcile(stream);
+
+        // The position monitor sends its own partial take-profit notification for these
+        if ((o.c || '').startsWith('AI_PARTIAL_TP')) return;
+
+        const kind = classifyClose({ clientOrderId: o.c, type: o.o === 'LIQUIDATION' ? 'LIQUIDATION' : o.ot });
+        const notification = CLOSE_NOTIFICATIONS[o.o === 'LIQUIDATION' ? 'LIQUIDATION' : kind];
+        if (!notification) return;
+
+        const price = parseFloat(o.ap) || parseFloat(o.L);
+        const pnl = parseFloat(o.rp || 0);
+        await notifyUser(supabaseAdmin, stream.userId, {
+            titleKey: `${notification.key}.title`,
+            messageKey: `${notification.key}.message`,
+            params: { symbol: o.s, price, pnl: pnl.toFixed(2) },
+            data: { event: notification.event, symbol: o.s, orderId: o.i, price, realizedPnl: pnl }
+        });
+    }
+
+    async function handleAccountUpdate(stream, event) {
+        const { error } = await supabaseAdmin.from('account_snapshots').upsert({
+            user_id: stream.userId,
+            reason: event.a.m,
+            balances: (event.a.B || []).map(b => ({ asset: b.a, walletBalance: b.wb, crossWalletBalance: b.cw })),
+            positions: (event.a.P || []).map(p => ({
+                symbol: p.s,
+                positionAmt: p.pa,
+                entryPrice: p.ep,
+                unrealizedProfit: p.up,
+                positionSide: p.ps
+            })),
+            event_time: new Date(event.E).toISOString()
+        }, { onConflict: 'user_id' });
+        if (error) log.error('Snapshot upsert failed', { userId: stream.userId, error: error.message });
+    }
+
+    async function handleMarginCall(stream, event) {
+        const symbols = (event.p || []).map(p => p.s).join(', ');
+        await notifyUser(supabaseAdmin, stream.userId, {
+            titleKey: 'notify.marginCall.title',
+            messageKey: 'notify.marginCall.message',
+            params: { symbols },
+            data: { event: 'MARGIN_CALL', symbols }
+        });
+    }
+
+    async function handleMessage(stream, raw) {
+        let event;
+        try {
+            event = JSON.parse(raw);
+        } catch {
+            return;
+        }
+
+        switch (event.e) {
+            case 'ORDER_TRADE_UPDATE':
+                return handleOrderUpdate(stream, event.o);
+            case 'ACCOUNT_UPDATE':
+                return handleAccountUpdate(stream, event);
+            case 'MARGIN_CALL':
+                return handleMarginCall(stream, event);
+            case 'listenKeyExpired':
+                log.warn('listenKey expired, reconnecting', { userId: stream.userId });
+                stream.listenKey = null;
+                stream.ws?.terminate();
+                return;
+            default:
+                return;
+        }
+    }
+
+    function clearTimers(stream) {
+        clearInterval(stream.keepAliveTimer);
+        clearInterval(stream.pingTimer);
+        clearTimeout(stream.reconnectTimer);
+        stream.keepAliveTimer = null;
+        stream.pingTimer = null;
+        stream.reconnectTimer = null;
+    }
+
+    function scheduleReconnect(stream) {
+        if (stream.stopped || stream.reconnectTimer) return;
+        const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** stream.failures);
+        stream.failures++;
+        log.warn('Reconnecting', { userId: stream.userId, delayMs: delay });
+        stream.reconnectTimer = setTimeout(() => {
+            stream.reconnectTimer = null;
+            connect(stream);
+        }, delay);
+        stream.reconnectTimer.unref();
+    }
+
+    async function connect(stream) {
+        if (stream.stopped) return;
+        clearTimers(stream);
+
+        try {
+            stream.exchange = await getUserExchange(supabaseAdmin, stream.userId);
+            if (!stream.exchange.userStream) {
+                log.info('Venue has no user-data stream, skipping', { userId: stream.userId, venue: stream.exchange.name });
+                streams.delete(stream.userId);
+                return;
+            }
+            if (!stream.listenKey) stream.listenKey = await stream.exchange.userStream.createListenKey();
+        } catch (err) {
+            log.error('listenKey setup failed', { userId: stream.userId, error: err.message });
+            stream.listenKey = null;
+            return scheduleReconnect(stream);
+        }
+
+        // stop() may have run while the listenKey was being set up; it could not close a key it had not seen yet
+        if (stream.stopped) {
+            if (stream.listenKey) await stream.exchange.userStream.closeListenKey().catch(() => {});
+            return;
+        }
+
+        const ws = new WebSocket(stream.exchange.userStream.url(stream.listenKey));
+        stream.ws = ws;
+        let alive = true;
+
+        ws.on('open', () => {
+            log.info('Connected', { userId: stream.userId });
+            stream.failures = 0;
+            stream.connectedAt = Date.now();
+
+            stream.pingTimer = setInterval(() => {
+                if (!alive) {
+                    log.warn('No pong, terminating', { userId: stream.userId });
+                    return ws.terminate();
+                }
+                alive = false;
+                ws.ping();
+            }, PING_INTERVAL_MS);
+            stream.pingTimer.unref();
+
+            stream.keepAliveTimer = setInterval(() => {
+                stream.exchange.userStream.keepAliveListenKey().catch(err => {
+                    // Binance answers -1125 once the key is gone; start over with a new one
+                    log.error('listenKey keepalive failed', { userId: stream.userId, error: err.message });
+                    stream.listenKey = null;
+                    ws.terminate();
+                });
+            }, KEEPALIVE_MS);
+            stream.keepAliveTimer.unref();
+        });
+
+        ws.on('pong', () => { alive = true; });
+
+        ws.on('message', (data) => {
+            alive = true;
+            stream.lastEventAt = Date.now();
+            handleMessage(stream, data.toString()).catch(err => {
+                log.error('Event handling failed', { userId: stream.userId, error: err.message });
+            });
+        });
+
+        ws.on('error', (err) => {
+            log.error('Socket error', { userId: stream.userId, error: err.message });
+        });
+
+        // Binance also closes every stream after 24h; all closes end up here
+        ws.on('close', (code) => {
+            if (stream.ws !== ws) return;
+            clearTimers(stream);
+            stream.ws = null;
+            if (stream.stopped) return;
+            log.warn('Closed', { userId: stream.userId, code });
+            scheduleReconnect(stream);
+        });
+    }
+
+    function start(userId) {
+        if (streams.has(userId)) return;
+        const stream = { userId, listenKey: null, ws: null, failures: 0, stopped: false };
+        streams.set(userId, stream);
+        connect(stream);
+    }
+
+    async function stop(userId) {
+        const stream = streams.get(userId);
+        if (!stream) return;
+        streams.delete(userId);
+        stream.stopped = true;
+        clearTimers(stream);
+        clearTimeout(stream.reconcileTimer);
+        clearTimeout(stream.entryTimer);
+        stream.ws?.close();
+        if (stream.listenKey) {
+            await stream.exchange.userStream.closeListenKey().catch(() => {});
+        }
+        log.info('Stopped', { userId });
+    }
+
+    // Opens streams for enabled live users and closes the rest; call periodically
+    async function sync() {
+        const { data: users, error } = await supabaseAdmin
+            .from('user_settings')
+            .select('user_id, trading_mode, exchange')
+            .eq('is_autonomous_enabled', true);
+        if (error) throw new Error(`User stream sync failed: ${error.message}`);
+
+        const wanted = new Set((users || [])
+            .filter(u => u.trading_mode !== 'paper' && (u.exchange || 'binance') === 'binance')
+            .map(u => u.user_id));
+
+        for (const userId of wanted) start(userId);
+        for (const userId of [...streams.keys()]) {
+            if (!wanted.has(userId)) await stop(userId);
+        }
+    }
+
+    function stats() {
+        return [...streams.values()].map(s => ({
+            userId: s.userId,
+            connected: s.ws?.readyState === WebSocket.OPEN,
+            failures: s.failures,
+            connectedAt: s.connectedAt ? new Date(s.connectedAt).toISOString() : null,
+            lastEventAt: s.lastEventAt ? new Date(s.lastEventAt).toISOString() : null
+        }));
+    }
+
+    return { sync, start, stop, stats };
+}
+
+module.exports = { createUserStreamManager };
@@ -0,0 +1,169 @@
+// In-process concurrency primitives: a counting semaphore for shared resources (analyst,
+// exchange) and a keyed job queue with retries, exponential backoff and a dead-letter hook.
+
+const { createLogger } = require('./logger');
+
+const FINISHED_HISTORY = 100;
+
+function createSemaphore(name, limit) {
+    let active = 0;
+    const waiting = [];
+
+    function release() {
+        active--;
+        const next = waiting.shift();
+        if (next) next();
+    }
+
+    async function run(fn) {
+        if (active >= limit) {
+            await new Promise(resolve => waiting.push(resolve));
+        }
+        active++;
+        try {
+            return await fn();
+        } finally {
+            release();
+        }
+    }
+
+    return {
+        run,
+        stats: () => ({ name, limit, active, waiting: waiting.length })
+    };
+}
+
+// Network failures, timeouts and errors explicitly flagged retryable (e.g. analyst 5xx)
+function isTransientError(error) {
+    if (!error) return false;
+    if (error.retryable === true) return true;
+    if (error.retryable === false) return false;
+    if (error.name === 'AbortError') return true;
+    if (error.name === 'FetchError') return error.type === 'system' || error.type === 'request-timeout';
+    return ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND'].includes(error.code);
+}
+
+function createJobQueue({
+    name,
+    concurrency,
+    maxAttempts = 3,
+    baseDelayMs = 5000,
+    isRetryable = isTransientError,
+    onDeadLetter = null
+}) {
+    const queued = [];
+    const jobsByKey = new Map(); // key -> job (queued, running or waiting to retry)
+    const finished = [];
+    let running = 0;
+    const log = createLogger(`Queue:${name}`);
+
+    function summarize(job) {
+        return {
+            key: job.key,
+            state: job.state,
+            attempts: job.attempts,
+            meta: job.meta,
+            enqueuedAt: new Date(job.enqueuedAt).toISOString(),
+            startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+            nextAttemptAt: job.nextAttemptAt ? new Date(job.nextAttemptAt).toISOString() : null,
+            finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+            lastError: job.lastError
+        };
+    }
+
+    function finish(job, state, error) {
+        job.state = state;
+        job.finishedAt = Date.now();
+        jobsByKey.delete(job.key);
+        finished.push(summarize(job));
+        if (finished.length > FINISHED_HISTORY) finished.shift();
+
+        if (error) job.reject(error);
+        else job.resolve(job.result);
+    }
+
+    async function runJob(job) {
+        running++;
+        job.state = 'running';
+        job.startedAt = Date.now();
+        job.nextAttemptAt = null;
+        job.attempts++;
+
+        try {
+            // waitedMs: time since this attempt became runnable (enqueue or end of the retry delay)
+            job.result = await job.fn({ attempt: job.attempts, waitedMs: job.startedAt - job.readyAt });
+            finish(job, 'done');
+        } catch (error) {
+            job.lastError = error.message || String(error);
+
+            if (job.attempts < maxAttempts && isRetryable(error)) {
+                const delay = baseDelayMs * 2 ** (job.attempts - 1);
+                log.warn('Attempt failed, retrying', { key: job.key, attempt: job.attempts, error: job.lastError, delayMs: delay });
+                job.state = 'retry_wait';
+                job.nextAttemptAt = Date.now() + delay;
+                setTimeout(() => {
+                    job.state = 'queued';
+                    job.readyAt = Date.now();
+                    queued.push(job);
+                    pump();
+                }, delay).unref();
+            } else {
+                log.error('Job failed', { key: job.key, attempts: job.attempts, error: job.lastError });
+                if (onDeadLetter) {
+                    try {
+                        await onDeadLetter(summarize(job), error);
+                    } catch (dlqError) {
+                        log.error('Dead-letter write failed', { key: job.key, error: dlqError.message });
+                    }
+                }
+                finish(job, 'dead', error);
+            }
+        } finally {
+            running--;
+            pump();
+        }
+    }
+
+    function pump() {
+        while (running < concurrency && queued.length > 0) {
+            runJob(queued.shift());
+        }
+    }
+
+    // One job per key at a time: enqueueing a key that is already pending returns that job's promise
+    function enqueue(key, fn, meta = {}) {
+        const existing = jobsByKey.get(key);
+        if (existing) return existing.promise;
+
+        const job = { key, fn, meta, state: 'queued', attempts: 0, enqueuedAt: Date.now(), lastError: null };
+        job.readyAt = job.enqueuedAt;
+        job.promise = new Promise((resolve, reject) => {
+            job.resolve = resolve;
+            job.reject = reject;
+        });
+        jobsByKey.set(key, job);
+        queued.push(job);
+        pump();
+        return job.promise;
+    }
+
+    function stats() {
+        const pending = [...jobsByKey.values()];
+        return {
+            name,
+            concurrency,
+            running,
+            queued: queued.length,
+            retryWait: pending.filter(j => j.state === 'retry_wait').length,
+            oldestQueuedMs: queued.length ? Date.now() - Math.min(...queued.map(j => j.readyAt)) : 0
+        };
+    }
+
+    return {
+        enqueue,
+        stats,
+        jobs: () => ({ pending: [...jobsByKey.values()].map(summarize), recent: [...finished].reverse() })
+    };
+}
+
+module.exports = { createSemaphore, createJobQueue, isTransientError };